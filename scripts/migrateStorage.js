@@ -0,0 +1,98 @@
+/**
+ * One-shot storage migration
+ *
+ * Usage:
+ *   npm run migrate:storage -- [--from json] [--to sqlite] [--dry-run]
+ *                              [--data-dir ./data] [--sqlite-path ./data/hr-emailer.db]
+ *                              [--report ./migration-report.json] [--help]
+ *
+ * Safe to re-run: records are upserted by ID and unchanged ones are left alone.
+ * Exits non-zero when a collection fails to load or the checksums don't match.
+ */
+require('dotenv').config();
+
+const path = require('path');
+const StorageMigrationService = require('../src/services/storageMigrationService');
+
+const HELP = `Copy every storage collection from one backend to another.
+
+Usage:
+  npm run migrate:storage -- [options]
+
+Options:
+  --from <json|sqlite>   Source backend (default: json)
+  --to <json|sqlite>     Target backend (default: sqlite)
+  --dry-run              Report what would be copied without writing
+  --data-dir <dir>       JSON data directory (default: ./data)
+  --sqlite-path <file>   SQLite database file (default: SQLITE_PATH or ./data/hr-emailer.db)
+  --report <file>        Where to write the JSON report (default: data/migrations/)
+  --help                 Show this help
+
+Rows are read with the backend's findAll, the same read the models' loadAll
+makes, but each row is checked before its model is built: loadAll would give
+a row without an id a new one each time, so such rows are reported as skipped
+instead. Valid rows are then built through their model and upserted by id, so
+re-running only writes what changed.`;
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+
+    switch (arg) {
+      case '--from': options.from = next(); break;
+      case '--to': options.to = next(); break;
+      case '--dry-run': options.dryRun = true; break;
+      case '--data-dir': options.dataDir = path.resolve(next()); break;
+      case '--sqlite-path': options.sqlitePath = path.resolve(next()); break;
+      case '--report': options.reportPath = path.resolve(next()); break;
+      case '--help':
+      case '-h':
+        options.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(HELP);
+    process.exit(0);
+  }
+
+  const migration = new StorageMigrationService(options);
+  const summary = await migration.migrate();
+
+  console.log(`\n${summary.dryRun ? 'Dry run' : 'Migration'}: ${summary.from} -> ${summary.to}`);
+  summary.collections.forEach(result => {
+    console.log(`\n[${result.collection}]`);
+    if (result.error) {
+      console.log(`  ERROR: ${result.error}`);
+      return;
+    }
+    console.log(`  read ${result.read}, valid ${result.migrated}, new ${result.inserted}, updated ${result.updated}, unchanged ${result.unchanged}, skipped ${result.skipped.length}`);
+    console.log(`  source checksum: ${result.sourceChecksum}`);
+    if (!summary.dryRun) {
+      console.log(`  target checksum: ${result.targetChecksum} ${result.verified ? '(verified)' : '(MISMATCH)'}`);
+    }
+    result.skipped.forEach(row => {
+      console.log(`  skipped #${row.index}${row.id ? ` (${row.id})` : ''}: ${row.reasons.join(', ')}`);
+    });
+  });
+
+  if (summary.reportPath) {
+    console.log(`\nReport: ${summary.reportPath}`);
+  }
+
+  process.exit(summary.success ? 0 : 1);
+}
+
+main().catch(error => {
+  console.error(`❌ Migration failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,54 @@
+/**
+ * One-shot bounce processing
+ *
+ * Usage:
+ *   npm run process:bounces -- [--dir ./data/bounces] [--imap]
+ *
+ * Reads delivery status notifications from a folder of .eml/.mbox files
+ * (BOUNCE_DROP_DIR by default) and, with --imap, from the configured mailbox.
+ * Handled files are moved to a processed/ subfolder so they are read once.
+ */
+require('dotenv').config();
+
+const path = require('path');
+const BounceService = require('../src/services/bounceService');
+const storage = require('../src/config/storage');
+
+function parseArgs(argv) {
+  const options = { imap: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+
+    switch (arg) {
+      case '--dir': options.dir = path.resolve(next()); break;
+      case '--imap': options.imap = true; break;
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const bounceService = new BounceService();
+  const result = BounceService.createResult();
+
+  if (options.imap) {
+    await bounceService.processImap(result);
+  }
+  await bounceService.processDropFolder(options.dir || bounceService.dropDir, result);
+
+  console.log(`\nChecked ${result.checked} message(s), ${result.reports} delivery report(s)`);
+  console.log(`  bounces ${result.bounces} (hard ${result.hard}), newly suppressed ${result.suppressed}`);
+  console.log(`  duplicates ${result.duplicates}, unmatched ${result.unmatched}, ignored ${result.ignored}, errors ${result.errors}`);
+
+  await storage.close();
+  process.exit(result.errors > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error(`❌ Bounce processing failed: ${error.message}`);
+  process.exit(1);
+});
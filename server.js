@@ -84,6 +84,10 @@ async function gracefulShutdown(signal) {
       logger.info('✅ Socket connections closed');
     }
 
+    // Flush pending writes and close the storage backend
+    await require('./src/config/storage').close();
+    logger.info('✅ Storage closed');
+
     logger.info('✅ Graceful shutdown completed');
     process.exit(0);
   } catch (error) {
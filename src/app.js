@@ -13,6 +13,14 @@ const { cleanupOldFiles } = require('./middleware/uploadMiddleware');
 const campaignRoutes = require('./routes/campaignRoutes');
 const emailRoutes = require('./routes/emailRoutes');
 const templateRoutes = require('./routes/templateRoutes');
+const suppressionRoutes = require('./routes/suppressionRoutes');
+const contactRoutes = require('./routes/contactRoutes');
+const senderRoutes = require('./routes/senderRoutes');
+const outboxRoutes = require('./routes/outboxRoutes');
+const pipelineRoutes = require('./routes/pipelineRoutes');
+const uploadRoutes = require('./routes/uploadRoutes');
+const unsubscribeRoutes = require('./routes/unsubscribeRoutes');
+const trackingRoutes = require('./routes/trackingRoutes');
 const testRoutes = require('./routes/testRoutes');
 
 // Import services and handlers
@@ -86,7 +94,8 @@ class App {
       origin: allowedOrigins,
       credentials: true,
       methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-      allowedHeaders: ['Content-Type', 'Authorization']
+      allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+      exposedHeaders: ['Idempotent-Replayed']
     };
     
     this.app.use(cors(corsOptions));
@@ -120,7 +129,7 @@ class App {
     });
 
     // API status endpoint
-    this.app.get('/api/status', (req, res) => {
+    this.app.get('/api/status', async (req, res) => {
       const stats = {
         server: {
           status: 'running',
@@ -132,7 +141,12 @@ class App {
 
       // Add scheduler statistics if available
       if (this.schedulerService) {
-        stats.scheduler = this.schedulerService.getStatistics();
+        try {
+          stats.scheduler = await this.schedulerService.getStatistics();
+        } catch (error) {
+          logger.error(`Error getting scheduler statistics: ${error.message}`);
+          stats.scheduler = { error: 'Failed to get scheduler statistics' };
+        }
       }
 
       res.json(stats);
@@ -146,7 +160,19 @@ class App {
     this.app.use('/api/campaigns', campaignRoutes);
     this.app.use('/api/emails', emailRoutes);
     this.app.use('/api/templates', templateRoutes);
+    this.app.use('/api/suppressions', suppressionRoutes);
+    this.app.use('/api/contacts', contactRoutes);
+    this.app.use('/api/senders', senderRoutes);
+    this.app.use('/api/outbox', outboxRoutes);
+    this.app.use('/api/pipeline', pipelineRoutes);
+    this.app.use('/api/uploads', uploadRoutes);
     this.app.use('/api/test', testRoutes);
+
+    // Public unsubscribe links from sent emails
+    this.app.use('/unsubscribe', unsubscribeRoutes);
+
+    // Public tracking pixel and link redirects from sent emails
+    this.app.use('/track', trackingRoutes);
     
     // Legacy routes for backward compatibility
     this.app.use('/api/template', templateRoutes);
@@ -154,12 +180,13 @@ class App {
     // Import email controller for legacy route
     const EmailController = require('./controllers/emailController');
     const { legacySendEmailsUpload } = require('./middleware/uploadMiddleware');
+    const { idempotency } = require('./middleware/idempotency');
     
     // Create controller instance
     const emailController = new EmailController();
     
     // Legacy send-emails endpoint
-    this.app.post('/api/send-emails', legacySendEmailsUpload, emailController.sendEmails.bind(emailController));
+    this.app.post('/api/send-emails', legacySendEmailsUpload, idempotency('send-emails'), emailController.sendEmails.bind(emailController));
 
     // Root endpoint
     this.app.get('/', (req, res) => {
@@ -171,6 +198,12 @@ class App {
           campaigns: '/api/campaigns',
           emails: '/api/emails',
           templates: '/api/templates',
+          suppressions: '/api/suppressions',
+          contacts: '/api/contacts',
+          senders: '/api/senders',
+          outbox: '/api/outbox',
+          pipeline: '/api/pipeline',
+          uploads: '/api/uploads',
           health: '/health',
           status: '/api/status'
         },
@@ -202,6 +235,9 @@ class App {
     // Initialize Socket.IO handler
     this.socketHandler = new SocketHandler(this.server);
 
+    // Store socket handler reference for controllers (e.g. import progress)
+    this.app.set('socketHandler', this.socketHandler);
+
     // Set socket handler in logger for real-time log emission
     logger.setSocketHandler(this.socketHandler);
 
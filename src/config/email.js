@@ -26,28 +26,12 @@ class EmailConfig {
         throw new Error('Invalid EMAIL environment variable format');
       }
 
-      // Use explicit SMTP configuration for better reliability with connection pooling
-      this.transporter = nodemailer.createTransport({
-        host: process.env.SMTP_HOST || 'smtp.gmail.com',
-        port: parseInt(process.env.SMTP_PORT) || 587,
-        secure: process.env.SMTP_SECURE === 'true', // true for 465, false for other ports
-        pool: this.connectionPool, // Enable connection pooling
-        maxConnections: this.maxConnections,
-        maxMessages: this.maxMessages,
-        rateDelta: 1000, // Rate limiting: 1 second between messages
-        rateLimit: 5, // Maximum 5 messages per rateDelta
-        auth: {
-          user: process.env.EMAIL,
-          pass: process.env.EMAIL_PASS
-        },
-        tls: {
-          rejectUnauthorized: true, // Enforce certificate validation
-          minVersion: 'TLSv1.2', // Minimum TLS version
-          ciphers: 'HIGH:!aNULL:!eNULL:!EXPORT:!DES:!RC4:!MD5:!PSK:!SRP:!CAMELLIA' // Secure cipher suites
-        },
-        connectionTimeout: 60000, // 60 seconds
-        greetingTimeout: 30000, // 30 seconds
-        socketTimeout: 60000 // 60 seconds
+      this.transporter = this.createTransport({
+        host: process.env.SMTP_HOST,
+        port: process.env.SMTP_PORT,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.EMAIL,
+        pass: process.env.EMAIL_PASS
       });
 
       console.log('📧 Email transporter initialized with secure SMTP configuration');
@@ -61,6 +45,30 @@ class EmailConfig {
     }
   }
 
+  // Build a pooled, TLS-enforcing transporter (also used for additional sender accounts)
+  createTransport({ host, port, secure = false, user, pass }) {
+    // Use explicit SMTP configuration for better reliability with connection pooling
+    return nodemailer.createTransport({
+      host: host || 'smtp.gmail.com',
+      port: parseInt(port) || 587,
+      secure, // true for 465, false for other ports
+      pool: this.connectionPool, // Enable connection pooling
+      maxConnections: this.maxConnections,
+      maxMessages: this.maxMessages,
+      rateDelta: 1000, // Rate limiting: 1 second between messages
+      rateLimit: 5, // Maximum 5 messages per rateDelta
+      auth: { user, pass },
+      tls: {
+        rejectUnauthorized: true, // Enforce certificate validation
+        minVersion: 'TLSv1.2', // Minimum TLS version
+        ciphers: 'HIGH:!aNULL:!eNULL:!EXPORT:!DES:!RC4:!MD5:!PSK:!SRP:!CAMELLIA' // Secure cipher suites
+      },
+      connectionTimeout: 60000, // 60 seconds
+      greetingTimeout: 30000, // 30 seconds
+      socketTimeout: 60000 // 60 seconds
+    });
+  }
+
   getTransporter() {
     if (!this.transporter) {
       this.initializeTransporter();
@@ -87,17 +95,7 @@ class EmailConfig {
       console.error('❌ Email connection verification failed:', error.message);
       this.isVerified = false;
 
-      // Categorize verification errors
-      let errorType = 'UNKNOWN';
-      const errorMsg = error.message.toLowerCase();
-
-      if (errorMsg.includes('authentication') || errorMsg.includes('credentials')) {
-        errorType = 'AUTHENTICATION';
-      } else if (errorMsg.includes('connection') || errorMsg.includes('network')) {
-        errorType = 'NETWORK';
-      } else if (errorMsg.includes('tls') || errorMsg.includes('certificate')) {
-        errorType = 'TLS';
-      }
+      const errorType = this.getVerificationErrorType(error);
 
       // Reinitialize transporter on verification failure
       try {
@@ -114,6 +112,20 @@ class EmailConfig {
     }
   }
 
+  // Categorize verification errors
+  getVerificationErrorType(error) {
+    const errorMsg = error.message.toLowerCase();
+
+    if (errorMsg.includes('authentication') || errorMsg.includes('credentials')) {
+      return 'AUTHENTICATION';
+    } else if (errorMsg.includes('connection') || errorMsg.includes('network')) {
+      return 'NETWORK';
+    } else if (errorMsg.includes('tls') || errorMsg.includes('certificate')) {
+      return 'TLS';
+    }
+    return 'UNKNOWN';
+  }
+
   // Get safe verification error messages
   getSafeVerificationError(errorType, originalError) {
     switch (errorType) {
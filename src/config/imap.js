@@ -0,0 +1,60 @@
+const { ImapFlow } = require('imapflow');
+
+/**
+ * IMAP configuration
+ *
+ * Used to read the inbox for replies and bounces. Polling is opt-in with
+ * IMAP_ENABLED=true and defaults to Gmail with the same credentials as SMTP.
+ * Point IMAP_HOST/IMAP_PORT at a local server with IMAP_SECURE=false to run
+ * against a stand-in during development.
+ */
+class ImapConfig {
+  constructor() {
+    this.enabled = process.env.IMAP_ENABLED === 'true';
+  }
+
+  getConnectionOptions() {
+    const secure = process.env.IMAP_SECURE !== 'false';
+
+    return {
+      host: process.env.IMAP_HOST || 'imap.gmail.com',
+      port: parseInt(process.env.IMAP_PORT) || (secure ? 993 : 143),
+      secure,
+      auth: {
+        user: process.env.IMAP_USER || process.env.EMAIL,
+        pass: process.env.IMAP_PASS || process.env.EMAIL_PASS
+      },
+      tls: {
+        rejectUnauthorized: process.env.IMAP_TLS_REJECT_UNAUTHORIZED !== 'false',
+        minVersion: 'TLSv1.2'
+      },
+      // STARTTLS is only skipped for plain-text local stand-ins
+      doSTARTTLS: secure ? undefined : process.env.IMAP_STARTTLS === 'true',
+      logger: false,
+      connectionTimeout: 30000,
+      greetingTimeout: 15000
+    };
+  }
+
+  getMailbox() {
+    return process.env.IMAP_MAILBOX || 'INBOX';
+  }
+
+  // Bounces usually land in the inbox, but some providers file them elsewhere
+  getBounceMailbox() {
+    return process.env.IMAP_BOUNCE_MAILBOX || this.getMailbox();
+  }
+
+  // Polling only runs when enabled and credentials are available
+  isConfigured() {
+    const { auth } = this.getConnectionOptions();
+    return this.enabled && !!auth.user && !!auth.pass;
+  }
+
+  // Create a new, unconnected client (callers connect and log out themselves)
+  createClient(overrides = {}) {
+    return new ImapFlow({ ...this.getConnectionOptions(), ...overrides });
+  }
+}
+
+module.exports = new ImapConfig();
@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+/**
+ * Public link configuration
+ *
+ * Links in sent emails (unsubscribe, tracking) point at PUBLIC_BASE_URL, which must be
+ * reachable by recipients. Their tokens are signed with LINK_SIGNING_SECRET
+ * (falling back to SESSION_SECRET); without either a random secret is used
+ * and links from earlier runs stop verifying after a restart.
+ */
+class LinkConfig {
+  constructor() {
+    this.generatedSecret = null;
+  }
+
+  getBaseUrl() {
+    const baseUrl = process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
+    return baseUrl.replace(/\/+$/, '');
+  }
+
+  getSecret() {
+    const secret = process.env.LINK_SIGNING_SECRET || process.env.SESSION_SECRET;
+    if (secret) {
+      return secret;
+    }
+
+    if (!this.generatedSecret) {
+      this.generatedSecret = crypto.randomBytes(32).toString('hex');
+      logger.warning('LINK_SIGNING_SECRET is not set; links in sent emails will stop working after a restart');
+    }
+    return this.generatedSecret;
+  }
+
+  buildUrl(pathname) {
+    return `${this.getBaseUrl()}${pathname}`;
+  }
+}
+
+module.exports = new LinkConfig();
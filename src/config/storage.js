@@ -0,0 +1,62 @@
+const path = require('path');
+const JsonStorage = require('../storage/jsonStorage');
+
+/**
+ * Storage configuration
+ *
+ * Selects the backend the models persist to. Set STORAGE_BACKEND to `sqlite`
+ * for the embedded SQLite database (SQLITE_PATH, defaults to data/hr-emailer.db)
+ * or leave it at `json` to keep using the JSON files under data/.
+ *
+ * Every backend exposes the same async interface: findAll, findById, find,
+ * count, upsert, upsertMany, update, remove, removeWhere, replaceAll and close.
+ * `update` re-reads one record and applies a change to it atomically, so
+ * writers that only touch some fields never overwrite each other's.
+ */
+class StorageConfig {
+  constructor() {
+    this.backend = null;
+    this.supportedBackends = ['json', 'sqlite'];
+  }
+
+  // Create a backend instance without making it the active one
+  createBackend(type = process.env.STORAGE_BACKEND || 'json', options = {}) {
+    switch (type) {
+      case 'json':
+        return new JsonStorage({
+          dataDir: options.dataDir || path.join(__dirname, '../../data')
+        });
+      case 'sqlite': {
+        // Required lazily so JSON-only deployments don't need the native module
+        const SqliteStorage = require('../storage/sqliteStorage');
+        return new SqliteStorage({ path: options.path });
+      }
+      default:
+        throw new Error(`Unsupported storage backend: ${type} (expected one of ${this.supportedBackends.join(', ')})`);
+    }
+  }
+
+  // Get the active backend, creating it from the environment on first use
+  getBackend() {
+    if (!this.backend) {
+      this.backend = this.createBackend();
+      console.log(`🗄️ Storage backend: ${this.backend.name}`);
+    }
+    return this.backend;
+  }
+
+  // Replace the active backend (used by tooling that reads one backend and writes another)
+  setBackend(backend) {
+    this.backend = backend;
+  }
+
+  // Flush pending writes and close connections
+  async close() {
+    if (this.backend) {
+      await this.backend.close();
+      this.backend = null;
+    }
+  }
+}
+
+module.exports = new StorageConfig();
@@ -1,11 +1,24 @@
 const CampaignService = require('../services/campaignService');
 const EmailService = require('../services/emailService');
+const AddressQualityService = require('../services/addressQualityService');
+const SenderService = require('../services/senderService');
+const ContactService = require('../services/contactService');
+const TrackingService = require('../services/trackingService');
+const VariantService = require('../services/variantService');
+const Campaign = require('../models/Campaign');
+const Suppression = require('../models/Suppression');
+const SendingWindow = require('../utils/sendingWindow');
 const logger = require('../utils/logger');
 
 class CampaignController {
   constructor() {
     this.campaignService = new CampaignService();
     this.emailService = new EmailService();
+    this.addressQualityService = new AddressQualityService();
+    this.senderService = new SenderService();
+    this.contactService = new ContactService();
+    this.trackingService = new TrackingService();
+    this.variantService = new VariantService();
   }
 
   // GET /api/campaigns - Get all campaigns
@@ -20,6 +33,7 @@ class CampaignController {
         sentEmails: campaign.sentEmails,
         progress: Math.round((campaign.sentEmails / campaign.totalEmails) * 100),
         createdAt: campaign.createdAt,
+        startDate: campaign.startDate,
         estimatedCompletion: campaign.getEstimatedCompletion()
       }));
 
@@ -51,30 +65,145 @@ class CampaignController {
   // POST /api/campaigns - Create new campaign
   async createCampaign(req, res) {
     try {
-      const campaignData = req.body;
+      let campaignData = req.body;
 
       // Validate required fields
       if (!campaignData.userEmail) {
         return res.status(400).json({ error: 'User email is required for campaigns' });
       }
 
+      // Recipients left out of a segment by the suppression list or the re-contact cooldown
+      const skippedRecipients = [];
+      let cooldownSummary = null;
+
+      // Recipients from a saved segment (segmentId) or an inline filter (segment) instead of a contact list
+      if ((!campaignData.contacts || campaignData.contacts.length === 0) && (campaignData.segmentId || campaignData.segment)) {
+        let selection;
+        try {
+          selection = await this.contactService.resolveRecipients(campaignData);
+        } catch (error) {
+          return res.status(400).json({ error: error.message });
+        }
+        if (!selection) {
+          return res.status(404).json({ error: 'Segment not found' });
+        }
+        if (selection.recipients.length === 0) {
+          return res.status(400).json({ error: 'The segment has no contacts' });
+        }
+
+        // Registry contacts get the same suppression and cooldown checks as an uploaded list
+        const { allowed: unsuppressed, suppressed } = await Suppression.filterContacts(selection.recipients);
+        skippedRecipients.push(...suppressed.map(({ contact, entry }) => ({
+          email: contact.email,
+          reason: entry.reason,
+          matchedBy: entry.type
+        })));
+
+        let cooldown;
+        try {
+          cooldown = await this.contactService.checkCooldown(unsuppressed, {
+            mode: campaignData.cooldownMode,
+            days: campaignData.cooldownDays
+          });
+        } catch (error) {
+          return res.status(400).json({ error: error.message });
+        }
+        skippedRecipients.push(...cooldown.skipped);
+        cooldownSummary = {
+          mode: cooldown.mode,
+          days: cooldown.days,
+          skipped: cooldown.skipped.length,
+          warnings: cooldown.warnings
+        };
+
+        if (skippedRecipients.length > 0) {
+          logger.warning(`Skipping ${suppressed.length} suppressed and ${cooldown.skipped.length} recently contacted segment contact(s)`);
+        }
+        if (cooldown.allowed.length === 0) {
+          return res.status(400).json({
+            error: 'All segment contacts are on the suppression list or within the re-contact cooldown',
+            skippedRecipients,
+            cooldown: cooldownSummary
+          });
+        }
+
+        campaignData = {
+          ...campaignData,
+          contacts: cooldown.allowed,
+          segmentId: selection.segment ? selection.segment.id : null
+        };
+      }
+
       if (!campaignData.contacts || campaignData.contacts.length === 0) {
         return res.status(400).json({ error: 'At least one contact is required' });
       }
 
+      // Drop or flag contacts whose addresses score below the quality threshold
+      let quality;
+      try {
+        quality = this.addressQualityService.applyPolicy(campaignData.contacts, {
+          mode: campaignData.qualityMode,
+          minScore: campaignData.minQualityScore
+        });
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      if (quality.allowed.length === 0) {
+        return res.status(400).json({ error: 'All contacts are below the address quality threshold', quality });
+      }
+
+      if (campaignData.startDate && isNaN(new Date(campaignData.startDate).getTime())) {
+        return res.status(400).json({ error: 'startDate must be a valid date and time' });
+      }
+
+      const windowErrors = SendingWindow.validate(campaignData.sendingWindow || null);
+      if (windowErrors.length > 0) {
+        return res.status(400).json({ error: `Invalid sending window: ${windowErrors.join(', ')}` });
+      }
+
+      // A/B test variants of the initial email
+      if (campaignData.variants !== undefined && !Array.isArray(campaignData.variants)) {
+        return res.status(400).json({ error: 'variants must be an array' });
+      }
+      if (campaignData.variants && campaignData.variants.length > 0) {
+        const variantErrors = new Campaign(campaignData).validateVariants();
+        if (variantErrors.length > 0) {
+          return res.status(400).json({ error: `Invalid variants: ${variantErrors.join(', ')}` });
+        }
+      }
+
+      // Sender account(s) the campaign goes out through
+      let sender;
+      try {
+        sender = await this.senderService.resolveSelection(campaignData);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
       // Create campaign
-      const campaign = await this.campaignService.createCampaign(campaignData);
+      const campaign = await this.campaignService.createCampaign({ ...campaignData, ...sender, contacts: quality.allowed });
 
       logger.campaign(`Campaign created successfully: ${campaign.id}`);
 
       res.status(201).json({
         success: true,
-        message: 'Campaign created successfully',
+        message: campaign.status === 'scheduled' ? 'Campaign scheduled successfully' : 'Campaign created successfully',
         campaignId: campaign.id,
+        status: campaign.status,
+        startDate: campaign.startDate,
+        segmentId: campaign.segmentId,
         totalEmails: campaign.totalEmails,
         dailyBatches: Math.ceil(campaign.totalEmails / 300),
         estimatedDays: Math.ceil(campaign.totalEmails / 300),
-        type: 'campaign'
+        type: 'campaign',
+        skippedRecipients,
+        cooldown: cooldownSummary,
+        quality: {
+          mode: quality.mode,
+          minScore: quality.minScore,
+          excluded: quality.excluded,
+          warnings: quality.warnings
+        }
       });
     } catch (error) {
       logger.error(`Error creating campaign: ${error.message}`);
@@ -86,7 +215,22 @@ class CampaignController {
   async updateCampaign(req, res) {
     try {
       const { id } = req.params;
-      const updates = req.body;
+      let updates = req.body;
+
+      if (updates.sendingWindow !== undefined) {
+        const windowErrors = SendingWindow.validate(updates.sendingWindow);
+        if (windowErrors.length > 0) {
+          return res.status(400).json({ error: `Invalid sending window: ${windowErrors.join(', ')}` });
+        }
+      }
+
+      if (updates.senderId !== undefined || updates.senderPool !== undefined) {
+        try {
+          updates = { ...updates, ...(await this.senderService.resolveSelection(updates)) };
+        } catch (error) {
+          return res.status(400).json({ error: error.message });
+        }
+      }
 
       const updatedCampaign = await this.campaignService.updateCampaign(id, updates);
 
@@ -101,6 +245,87 @@ class CampaignController {
     }
   }
 
+  // GET /api/campaigns/scheduled - Campaigns waiting for their start date
+  async getScheduledCampaigns(req, res) {
+    try {
+      const campaigns = await this.campaignService.getScheduledCampaigns();
+      res.json(campaigns.map(campaign => ({
+        id: campaign.id,
+        name: campaign.name,
+        type: campaign.type,
+        status: campaign.status,
+        startDate: campaign.startDate,
+        totalEmails: campaign.totalEmails,
+        createdAt: campaign.createdAt
+      })));
+    } catch (error) {
+      logger.error(`Error getting scheduled campaigns: ${error.message}`);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // PUT /api/campaigns/:id/schedule - Move a scheduled campaign's start date
+  async rescheduleCampaign(req, res) {
+    try {
+      const { id } = req.params;
+      const { startDate } = req.body;
+
+      // Straight from storage: a cached copy may still say scheduled after the scheduler started it
+      const campaign = await Campaign.findById(id);
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+      if (campaign.status !== 'scheduled') {
+        return res.status(409).json({ error: `Only scheduled campaigns can be rescheduled (status: ${campaign.status})` });
+      }
+
+      const start = new Date(startDate);
+      if (!startDate || isNaN(start.getTime())) {
+        return res.status(400).json({ error: 'startDate must be a valid date and time' });
+      }
+      if (start <= new Date()) {
+        return res.status(400).json({ error: 'startDate must be in the future' });
+      }
+
+      const updatedCampaign = await this.campaignService.rescheduleCampaign(id, start);
+      res.json({
+        success: true,
+        message: 'Campaign rescheduled successfully',
+        campaign: updatedCampaign
+      });
+    } catch (error) {
+      logger.error(`Error rescheduling campaign ${req.params.id}: ${error.message}`);
+      const status = /^Only scheduled campaigns/.test(error.message) ? 409 : 500;
+      res.status(status).json({ error: error.message });
+    }
+  }
+
+  // POST /api/campaigns/:id/cancel - Cancel a scheduled campaign before it starts
+  async cancelCampaign(req, res) {
+    try {
+      const { id } = req.params;
+
+      const campaign = await Campaign.findById(id);
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+      if (campaign.status !== 'scheduled') {
+        return res.status(409).json({ error: `Only scheduled campaigns can be cancelled (status: ${campaign.status})` });
+      }
+
+      const cancelledCampaign = await this.campaignService.cancelCampaign(id);
+      res.json({
+        success: true,
+        message: 'Campaign cancelled successfully',
+        campaign: cancelledCampaign
+      });
+    } catch (error) {
+      logger.error(`Error cancelling campaign ${req.params.id}: ${error.message}`);
+      const status = /^Only scheduled campaigns/.test(error.message) ? 409 : 500;
+      res.status(status).json({ error: error.message });
+    }
+  }
+
   // POST /api/campaign/:id/pause - Pause campaign
   async pauseCampaign(req, res) {
     try {
@@ -179,6 +404,77 @@ class CampaignController {
     }
   }
 
+  // GET /api/campaigns/:id/clicks - Tracked link clicks by link and by company
+  async getCampaignClicks(req, res) {
+    try {
+      const { id } = req.params;
+      const campaign = await this.campaignService.getCampaignById(id);
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+
+      const report = await this.trackingService.getCampaignClickReport(id);
+      res.json({ ...report, tracked: campaign.trackClicks });
+    } catch (error) {
+      logger.error(`Error getting campaign clicks ${req.params.id}: ${error.message}`);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // GET /api/campaigns/:id/variants - A/B test results per variant
+  async getCampaignVariants(req, res) {
+    try {
+      const { id } = req.params;
+      const campaign = await this.campaignService.getCampaignById(id);
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+      if (!campaign.hasVariants()) {
+        return res.status(400).json({ error: 'Campaign has no A/B test variants' });
+      }
+
+      const report = await this.variantService.getReport(campaign);
+      res.json(report);
+    } catch (error) {
+      logger.error(`Error getting campaign variants ${req.params.id}: ${error.message}`);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // POST /api/campaigns/:id/variants/:variantId/promote - Send one variant to the remaining contacts
+  async promoteCampaignVariant(req, res) {
+    try {
+      const { id, variantId } = req.params;
+      // Straight from storage: the cached copy may predate the campaign finishing
+      const campaign = await Campaign.findById(id);
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+      if (!campaign.hasVariants()) {
+        return res.status(400).json({ error: 'Campaign has no A/B test variants' });
+      }
+      if (!campaign.getVariant(variantId)) {
+        return res.status(404).json({ error: `Variant ${variantId} not found` });
+      }
+      if (['completed', 'cancelled', 'deleted'].includes(campaign.status)) {
+        return res.status(409).json({ error: `Cannot promote a variant of a ${campaign.status} campaign` });
+      }
+
+      const promoted = await this.variantService.promote(campaign, variantId);
+      this.campaignService.updateCache(promoted);
+      res.json({
+        success: true,
+        message: `Variant ${variantId} will be sent to the remaining contacts`,
+        winnerVariantId: promoted.winnerVariantId,
+        promotedAt: promoted.promotedAt
+      });
+    } catch (error) {
+      logger.error(`Error promoting variant for campaign ${req.params.id}: ${error.message}`);
+      const status = /^Cannot promote/.test(error.message) ? 409 : 500;
+      res.status(status).json({ error: error.message });
+    }
+  }
+
   // POST /api/campaigns/trigger - Manually trigger campaign processing (for testing)
   async triggerCampaignProcessing(req, res) {
     try {
@@ -187,7 +483,7 @@ class CampaignController {
         return res.status(500).json({ error: 'Scheduler service not available' });
       }
 
-      const { force = false } = req.body; // Allow forcing processing outside business hours
+      const { force = false } = req.body; // Run now; each recipient's sending window still applies
 
       logger.info('Manually triggering campaign processing...');
       await schedulerService.triggerDailyCampaigns(force);
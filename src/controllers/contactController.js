@@ -0,0 +1,295 @@
+const Contact = require('../models/Contact');
+const ContactField = require('../models/ContactField');
+const Segment = require('../models/Segment');
+const ContactService = require('../services/contactService');
+const AddressQualityService = require('../services/addressQualityService');
+const logger = require('../utils/logger');
+
+class ContactController {
+  constructor() {
+    this.contactService = new ContactService();
+    this.addressQualityService = new AddressQualityService();
+  }
+
+  // GET /api/contacts/history?email= - Every campaign and send that touched an address
+  async getContactHistory(req, res) {
+    try {
+      const { email } = req.query;
+      if (!email) {
+        return res.status(400).json({ error: 'Email is required' });
+      }
+
+      const contact = await this.contactService.getHistory(email);
+      if (!contact) {
+        return res.status(404).json({ error: 'No history for this address' });
+      }
+
+      res.json(contact.toJSON());
+    } catch (error) {
+      logger.error(`Error getting contact history: ${error.message}`);
+      res.status(500).json({ error: 'Failed to get contact history' });
+    }
+  }
+
+  // POST /api/contacts/cooldown-check - Preview which recipients the cooldown would skip or flag
+  async checkCooldown(req, res) {
+    try {
+      const { emails, mode, days } = req.body || {};
+      if (!Array.isArray(emails) || emails.length === 0) {
+        return res.status(400).json({ error: 'emails must be a non-empty array' });
+      }
+
+      let result;
+      try {
+        result = await this.contactService.checkCooldown(emails.map(email => ({ email })), { mode, days });
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      res.json({
+        mode: result.mode,
+        days: result.days,
+        allowed: result.allowed.map(contact => contact.email),
+        skipped: result.skipped,
+        warnings: result.warnings
+      });
+    } catch (error) {
+      logger.error(`Error checking contact cooldown: ${error.message}`);
+      res.status(500).json({ error: 'Failed to check contact cooldown' });
+    }
+  }
+
+  // POST /api/contacts/quality-check - Score addresses offline (syntax, role accounts, disposable domains, typos)
+  async checkQuality(req, res) {
+    try {
+      const { emails } = req.body || {};
+      if (!Array.isArray(emails) || emails.length === 0) {
+        return res.status(400).json({ error: 'emails must be a non-empty array' });
+      }
+
+      res.json(this.addressQualityService.checkAddresses(emails));
+    } catch (error) {
+      logger.error(`Error checking address quality: ${error.message}`);
+      res.status(500).json({ error: 'Failed to check address quality' });
+    }
+  }
+
+  // Validation errors from the service map to 400, anything else to 500
+  sendError(res, error, message) {
+    if (/^Invalid (contact|contact field|segment)\b/.test(error.message)) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error(`${message}: ${error.message}`);
+    res.status(500).json({ error: message });
+  }
+
+  // GET /api/contacts - Search contacts (?tag, ?company, ?domain, ?search, ?fields[name]=value, ?limit, ?offset)
+  async getContacts(req, res) {
+    try {
+      const { tag, tags, company, domain, search, fields, limit, offset } = req.query;
+      const result = await this.contactService.list({ tags: tags || tag, company, domain, search, fields, limit, offset });
+      res.json({
+        contacts: result.contacts.map(contact => contact.toJSON()),
+        total: result.total,
+        limit: result.limit,
+        offset: result.offset
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to get contacts');
+    }
+  }
+
+  // GET /api/contacts/:id - One contact with its notes, custom fields and history
+  async getContact(req, res) {
+    try {
+      const contact = await Contact.findById(req.params.id);
+      if (!contact) {
+        return res.status(404).json({ error: 'Contact not found' });
+      }
+      res.json(contact.toJSON());
+    } catch (error) {
+      this.sendError(res, error, 'Failed to get contact');
+    }
+  }
+
+  // POST /api/contacts - Add a contact ({ email, companyName?, name?, tags?, customFields?, note? })
+  async createContact(req, res) {
+    try {
+      const { email } = req.body || {};
+      if (!email) {
+        return res.status(400).json({ error: 'Email is required' });
+      }
+
+      const { contact, created } = await this.contactService.createContact(req.body);
+      if (!created) {
+        return res.status(409).json({ error: 'A contact with this address already exists', contact: contact.toJSON() });
+      }
+      res.status(201).json(contact.toJSON());
+    } catch (error) {
+      this.sendError(res, error, 'Failed to create contact');
+    }
+  }
+
+  // PUT /api/contacts/:id - Update company, name, tags or custom fields
+  async updateContact(req, res) {
+    try {
+      const contact = await this.contactService.updateContact(req.params.id, req.body || {});
+      if (!contact) {
+        return res.status(404).json({ error: 'Contact not found' });
+      }
+      res.json(contact.toJSON());
+    } catch (error) {
+      this.sendError(res, error, 'Failed to update contact');
+    }
+  }
+
+  // DELETE /api/contacts/:id - Remove a contact and its send history
+  async deleteContact(req, res) {
+    try {
+      const contact = await this.contactService.removeContact(req.params.id);
+      if (!contact) {
+        return res.status(404).json({ error: 'Contact not found' });
+      }
+      res.json({ message: 'Contact removed', contact: contact.toJSON() });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to delete contact');
+    }
+  }
+
+  // POST /api/contacts/:id/notes - Add a note ({ text })
+  async addNote(req, res) {
+    try {
+      const { text } = req.body || {};
+      if (!text || !String(text).trim()) {
+        return res.status(400).json({ error: 'Note text is required' });
+      }
+
+      const result = await this.contactService.addNote(req.params.id, text);
+      if (!result) {
+        return res.status(404).json({ error: 'Contact not found' });
+      }
+      res.status(201).json(result.note);
+    } catch (error) {
+      this.sendError(res, error, 'Failed to add note');
+    }
+  }
+
+  // DELETE /api/contacts/:id/notes/:noteId - Remove a note
+  async deleteNote(req, res) {
+    try {
+      const result = await this.contactService.removeNote(req.params.id, req.params.noteId);
+      if (!result || !result.note) {
+        return res.status(404).json({ error: 'Note not found' });
+      }
+      res.json({ message: 'Note removed', note: result.note });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to delete note');
+    }
+  }
+
+  // GET /api/contacts/fields - Custom field definitions
+  async getFields(req, res) {
+    try {
+      const fields = await ContactField.loadAll();
+      res.json(fields.map(field => field.toJSON()));
+    } catch (error) {
+      this.sendError(res, error, 'Failed to get contact fields');
+    }
+  }
+
+  // POST /api/contacts/fields - Define a custom field ({ name, type, label? })
+  async createField(req, res) {
+    try {
+      const { field, created } = await this.contactService.createField(req.body || {});
+      if (!created) {
+        return res.status(409).json({ error: 'A field with this name already exists' });
+      }
+      res.status(201).json(field.toJSON());
+    } catch (error) {
+      this.sendError(res, error, 'Failed to create contact field');
+    }
+  }
+
+  // DELETE /api/contacts/fields/:name - Delete a custom field and its values
+  async deleteField(req, res) {
+    try {
+      const field = await this.contactService.removeField(req.params.name);
+      if (!field) {
+        return res.status(404).json({ error: 'Contact field not found' });
+      }
+      res.json({ message: 'Contact field removed', field: field.toJSON() });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to delete contact field');
+    }
+  }
+
+  // GET /api/contacts/segments - Saved segments with their current size
+  async getSegments(req, res) {
+    try {
+      const segments = await Segment.loadAll();
+      const contacts = await Contact.loadAll();
+      res.json(segments.map(segment => ({
+        ...segment.toJSON(),
+        contactCount: contacts.filter(contact => contact.matches(segment.filter)).length
+      })));
+    } catch (error) {
+      this.sendError(res, error, 'Failed to get segments');
+    }
+  }
+
+  // POST /api/contacts/segments - Save a segment ({ name, description?, filter: { tags, company, domain, search, fields } })
+  async createSegment(req, res) {
+    try {
+      const segment = await this.contactService.createSegment(req.body || {});
+      res.status(201).json(segment.toJSON());
+    } catch (error) {
+      this.sendError(res, error, 'Failed to create segment');
+    }
+  }
+
+  // GET /api/contacts/segments/:id - A segment and the contacts in it
+  async getSegment(req, res) {
+    try {
+      const segment = await Segment.findById(req.params.id);
+      if (!segment) {
+        return res.status(404).json({ error: 'Segment not found' });
+      }
+      const contacts = await this.contactService.findContacts(segment.filter);
+      res.json({
+        ...segment.toJSON(),
+        contactCount: contacts.length,
+        contacts: contacts.map(contact => contact.toJSON())
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to get segment');
+    }
+  }
+
+  // PUT /api/contacts/segments/:id - Rename or change the filter
+  async updateSegment(req, res) {
+    try {
+      const segment = await this.contactService.updateSegment(req.params.id, req.body || {});
+      if (!segment) {
+        return res.status(404).json({ error: 'Segment not found' });
+      }
+      res.json(segment.toJSON());
+    } catch (error) {
+      this.sendError(res, error, 'Failed to update segment');
+    }
+  }
+
+  // DELETE /api/contacts/segments/:id - Delete a segment (its contacts are kept)
+  async deleteSegment(req, res) {
+    try {
+      const segment = await this.contactService.removeSegment(req.params.id);
+      if (!segment) {
+        return res.status(404).json({ error: 'Segment not found' });
+      }
+      res.json({ message: 'Segment removed', segment: segment.toJSON() });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to delete segment');
+    }
+  }
+}
+
+module.exports = ContactController;
@@ -1,7 +1,16 @@
 const EmailService = require('../services/emailService');
 const CampaignService = require('../services/campaignService');
+const ContactService = require('../services/contactService');
+const AddressQualityService = require('../services/addressQualityService');
+const SenderService = require('../services/senderService');
 const FileService = require('../services/fileService');
+const ImportService = require('../services/importService');
+const OutboxService = require('../services/outboxService');
 const Template = require('../models/Template');
+const Campaign = require('../models/Campaign');
+const Suppression = require('../models/Suppression');
+const ColumnMapping = require('../models/ColumnMapping');
+const SendingWindow = require('../utils/sendingWindow');
 const logger = require('../utils/logger');
 
 /**
@@ -46,6 +55,24 @@ class EmailController {
      * @type {FileService}
      */
     this.fileService = new FileService();
+
+    /**
+     * Contact registry used for the cross-campaign re-contact cooldown
+     * @type {ContactService}
+     */
+    this.contactService = new ContactService();
+
+    /**
+     * Offline address quality scoring for uploaded recipients
+     * @type {AddressQualityService}
+     */
+    this.addressQualityService = new AddressQualityService();
+
+    /**
+     * Sender account registry used to validate the requested sender(s)
+     * @type {SenderService}
+     */
+    this.senderService = new SenderService();
   }
   /**
    * Send emails endpoint - handles both immediate sending and campaign creation
@@ -65,6 +92,32 @@ class EmailController {
    * @param {string} req.body.userEmail - Sender email address
    * @param {string} req.body.campaignType - 'immediate' or 'multi-day'
    * @param {string} req.body.templateId - Template ID to use
+   * @param {string} [req.body.sequence] - JSON array of follow-up steps for multi-day campaigns
+   *   ({ delayBusinessDays, templateId | template, subject? })
+   * @param {string} [req.body.cooldownMode] - 'skip', 'warn' or 'allow' contacts emailed by another
+   *   campaign within the cooldown window (default CONTACT_COOLDOWN_MODE)
+   * @param {string} [req.body.cooldownDays] - Cooldown window in days (default CONTACT_COOLDOWN_DAYS)
+   * @param {string} [req.body.qualityMode] - 'exclude', 'warn' or 'off' for addresses scoring below
+   *   minQualityScore (default EMAIL_QUALITY_MODE)
+   * @param {string} [req.body.minQualityScore] - Lowest acceptable quality score, 0-100 (default EMAIL_QUALITY_MIN_SCORE)
+   * @param {string} [req.body.senderId] - Sender account to send every email from
+   * @param {string} [req.body.senderPool] - JSON array or comma-separated sender account IDs to rotate across
+   *   (default: every enabled account)
+   * @param {string} [req.body.sendAt] - ISO date-time to start sending at; immediate sends become a scheduled
+   *   one-off campaign, multi-day campaigns stay scheduled until then (startDate is accepted as an alias)
+   * @param {string} [req.body.trackOpens] - 'true' or 'false' to add an open tracking pixel (default TRACK_OPENS)
+   * @param {string} [req.body.trackClicks] - 'true' or 'false' to rewrite links to tracked redirects (default TRACK_CLICKS)
+   * @param {string} [req.body.variants] - JSON array of A/B test variants of the initial email for multi-day
+   *   campaigns ({ id?, name?, subject?, templateId | template?, weight? })
+   * @param {string} [req.body.abTest] - JSON { metric, minSamplePerVariant, autoPromote } for the A/B test
+   * @param {string} [req.body.sendingWindow] - JSON { days, start, end, timezone, holidays } for multi-day
+   *   campaigns (default SENDING_DAYS / SENDING_START / SENDING_END / SENDING_TIMEZONE)
+   * @param {string} [req.body.columnMapping] - JSON { email, company_name, name?, subject?, message_body?, timezone? }
+   *   naming the file column for each field, as confirmed after POST /api/uploads/analyze
+   * @param {string} [req.body.mappingId] - ID of a saved column mapping to use instead
+   * @param {string} [req.body.saveMapping] - 'true' to save columnMapping for files with the same headers
+   * @param {string} [req.body.mappingName] - Label for the saved mapping
+   * @param {string} [req.body.importId] - ID to tag 'import-progress' Socket.IO events with
    * @param {Array} req.files - Uploaded files (Excel and resume)
    * @param {Object} res - Express response object
    *
@@ -116,27 +169,57 @@ class EmailController {
       // Validate that we have either a file or manual recipients
       let recipients = [];
       let hasValidRecipients = false;
+      let columnMapping = null;
+      let importSummary = null;
 
       if (excelFile) {
-        // Handle CSV/Excel file upload
+        // Handle CSV/Excel file upload, streamed row by row with progress over Socket.IO
 
-        // Determine file type and parse accordingly
-        const fileExtension = excelFile.originalname.split('.').pop().toLowerCase();
-        let parseResult;
+        // Column mapping confirmed by the client; without one a saved mapping or the header aliases apply
+        let mapping = null;
+        if (req.body.columnMapping) {
+          try {
+            mapping = typeof req.body.columnMapping === 'string' ? JSON.parse(req.body.columnMapping) : req.body.columnMapping;
+          } catch (error) {
+            return safeError('Invalid column mapping format', 400);
+          }
+        }
 
-        if (fileExtension === 'csv') {
-          parseResult = await this.fileService.parseCsvFile(excelFile.path);
-        } else {
-          parseResult = await this.fileService.parseExcelFile(excelFile.path);
+        let parseResult;
+        try {
+          const importService = new ImportService(req.app.get('socketHandler'));
+          parseResult = await importService.importFile(excelFile.path, {
+            fileName: excelFile.originalname,
+            importId: req.body.importId,
+            mapping,
+            mappingId: req.body.mappingId || null
+          });
+        } catch (error) {
+          return safeError(error.message, 400);
         }
 
-        if (!parseResult.success) {
-          return safeError(parseResult.error, 400);
+        const { recipients: imported, headers, columnMapping: usedMapping, ...summary } = parseResult;
+        importSummary = summary;
+        columnMapping = usedMapping;
+        if (mapping && String(req.body.saveMapping) === 'true') {
+          const saved = await ColumnMapping.remember({
+            headers,
+            fields: mapping,
+            name: req.body.mappingName
+          });
+          columnMapping = { ...columnMapping, id: saved.id, name: saved.name, saved: true };
         }
 
-        recipients = parseResult.recipients;
+        recipients = imported;
         if (recipients.length === 0) {
-          return safeError('No valid recipients found in Excel file', 400);
+          if (!responseSent) {
+            responseSent = true;
+            res.status(400).json({
+              error: 'No valid recipients found in file. Check the column mapping with POST /api/uploads/analyze',
+              import: importSummary
+            });
+          }
+          return;
         }
         hasValidRecipients = true;
         logger.info(`[DEBUG] File parsed successfully, recipients: ${recipients.length}`);
@@ -147,7 +230,9 @@ class EmailController {
           if (Array.isArray(parsedRecipients) && parsedRecipients.length > 0) {
             recipients = parsedRecipients.map(r => ({
               email: r.email,
-              company_name: r.companyName
+              company_name: r.companyName,
+              ...(r.timezone ? { timezone: r.timezone } : {}),
+              ...(r.variables && typeof r.variables === 'object' ? { variables: r.variables } : {})
             }));
             hasValidRecipients = true;
           }
@@ -165,7 +250,7 @@ class EmailController {
       logger.info(`[DEBUG] Loading template, templateId: ${templateId}`);
       let template;
       if (templateId) {
-        template = Template.getTemplateById(templateId);
+        template = await Template.getTemplateById(templateId);
         if (!template) {
           return safeError(`Template ${templateId} not found`, 400);
         }
@@ -178,12 +263,106 @@ class EmailController {
       }
       logger.info(`[DEBUG] Template loaded successfully: ${template.name}`);
 
-      // Convert recipients to campaign format
-      const contacts = recipients.map(r => ({
-        email: r.email,
+      // Convert recipients to campaign format, leaving out anyone on the suppression list.
+      // Extra columns (name, subject, variables) travel with the contact into the templates.
+      const { allowed: unsuppressed, suppressed } = await Suppression.filterContacts(recipients.map(r => ({
+        ...r,
         company_name: r.company_name || r.companyName
+      })));
+      const skippedRecipients = suppressed.map(({ contact, entry }) => ({
+        email: contact.email,
+        reason: entry.reason,
+        matchedBy: entry.type
       }));
 
+      // Apply the re-contact cooldown for people recently emailed by any campaign
+      let cooldown;
+      try {
+        cooldown = await this.contactService.checkCooldown(unsuppressed, {
+          mode: req.body.cooldownMode,
+          days: req.body.cooldownDays
+        });
+      } catch (error) {
+        return safeError(error.message, 400);
+      }
+      skippedRecipients.push(...cooldown.skipped);
+      const cooldownSummary = {
+        mode: cooldown.mode,
+        days: cooldown.days,
+        skipped: cooldown.skipped.length,
+        warnings: cooldown.warnings
+      };
+      if (cooldown.warnings.length > 0) {
+        logger.warning(`${cooldown.warnings.length} recipient(s) were emailed within the last ${cooldown.days} days`);
+      }
+
+      // Score addresses (role accounts, disposable domains, typos) and drop or flag low scorers
+      let quality;
+      try {
+        quality = this.addressQualityService.applyPolicy(cooldown.allowed, {
+          mode: req.body.qualityMode,
+          minScore: req.body.minQualityScore
+        });
+      } catch (error) {
+        return safeError(error.message, 400);
+      }
+      const contacts = quality.allowed;
+      skippedRecipients.push(...quality.excluded);
+      const qualitySummary = {
+        mode: quality.mode,
+        minScore: quality.minScore,
+        excluded: quality.excluded.length,
+        warnings: quality.warnings
+      };
+      if (quality.warnings.length > 0) {
+        logger.warning(`${quality.warnings.length} recipient address(es) scored below ${quality.minScore} or look misspelled`);
+      }
+
+      if (skippedRecipients.length > 0) {
+        logger.warning(`Skipping ${suppressed.length} suppressed, ${cooldown.skipped.length} recently contacted and ${quality.excluded.length} low-quality recipient(s)`);
+      }
+      if (contacts.length === 0) {
+        return safeError('All recipients are on the suppression list, within the re-contact cooldown or below the address quality threshold', 400);
+      }
+
+      // Rows whose columns leave template variables empty
+      const unresolvedVariables = this.emailService.findUnresolvedVariables(template, contacts);
+      if (unresolvedVariables.length > 0) {
+        logger.warning(`${unresolvedVariables.length} recipient(s) are missing values for template variables`);
+      }
+
+      // Sender account(s) to send from
+      let sender;
+      try {
+        sender = await this.senderService.resolveSelection({
+          senderId: req.body.senderId,
+          senderPool: req.body.senderPool
+        });
+      } catch (error) {
+        return safeError(error.message, 400);
+      }
+
+      // Optional start time; a time already past means send now
+      let sendAt = null;
+      const requestedStart = req.body.sendAt || req.body.startDate;
+      if (requestedStart) {
+        sendAt = new Date(requestedStart);
+        if (isNaN(sendAt.getTime())) {
+          return safeError('sendAt must be a valid date and time', 400);
+        }
+        if (sendAt <= new Date()) {
+          sendAt = null;
+        }
+      }
+
+      // Open tracking pixel and tracked links in each email
+      const trackOpens = req.body.trackOpens !== undefined
+        ? String(req.body.trackOpens) === 'true'
+        : process.env.TRACK_OPENS === 'true';
+      const trackClicks = req.body.trackClicks !== undefined
+        ? String(req.body.trackClicks) === 'true'
+        : process.env.TRACK_CLICKS === 'true';
+
       // Check if this should be a multi-day campaign
       if (campaignType === 'multi-day') {
         logger.campaign('Creating multi-day campaign...');
@@ -193,6 +372,60 @@ class EmailController {
           return safeError('User email is required for multi-day campaigns', 400);
         }
 
+        let sequence = [];
+        if (req.body.sequence) {
+          try {
+            sequence = typeof req.body.sequence === 'string' ? JSON.parse(req.body.sequence) : req.body.sequence;
+          } catch (error) {
+            return safeError('Invalid sequence format', 400);
+          }
+        }
+
+        // A/B test variants of the initial email
+        let variants = [];
+        let abTest = null;
+        if (req.body.variants) {
+          try {
+            variants = typeof req.body.variants === 'string' ? JSON.parse(req.body.variants) : req.body.variants;
+            if (req.body.abTest) {
+              abTest = typeof req.body.abTest === 'string' ? JSON.parse(req.body.abTest) : req.body.abTest;
+            }
+          } catch (error) {
+            return safeError('Invalid variants format', 400);
+          }
+          if (!Array.isArray(variants)) {
+            return safeError('Invalid variants format', 400);
+          }
+          const draft = new Campaign({ variants, abTest, trackOpens, trackClicks });
+          const variantErrors = draft.validateVariants();
+          for (const variant of draft.variants) {
+            if (variant.templateId && !(await Template.getTemplateById(variant.templateId))) {
+              variantErrors.push(`Template ${variant.templateId} of variant ${variant.id} not found`);
+            }
+          }
+          if (variantErrors.length > 0) {
+            return safeError(`Invalid variants: ${variantErrors.join(', ')}`, 400);
+          }
+        }
+
+        // Days, hours, time zone and holidays the campaign may send in
+        let sendingWindow = null;
+        if (req.body.sendingWindow) {
+          try {
+            sendingWindow = typeof req.body.sendingWindow === 'string' ? JSON.parse(req.body.sendingWindow) : req.body.sendingWindow;
+          } catch (error) {
+            return safeError('Invalid sending window format', 400);
+          }
+          const windowErrors = SendingWindow.validate(sendingWindow);
+          if (windowErrors.length > 0) {
+            return safeError(`Invalid sending window: ${windowErrors.join(', ')}`, 400);
+          }
+        }
+        const unknownTimeZones = SendingWindow.findUnknownTimeZones(contacts);
+        if (unknownTimeZones.length > 0) {
+          logger.warning(`${unknownTimeZones.length} recipient(s) have an unknown time zone and will use the campaign's`);
+        }
+
         // Create campaign
         logger.debug('[DEBUG] Preparing campaign data');
         const campaignData = {
@@ -204,6 +437,14 @@ class EmailController {
           resumeDocLink,
           userEmail,
           delay: parseInt(delayMs) || 10000,
+          sequence,
+          variants,
+          abTest,
+          sendingWindow,
+          startDate: sendAt,
+          trackOpens,
+          trackClicks,
+          ...sender,
           attachments: resumeFile ? [{
             filename: resumeFile.originalname,
             path: resumeFile.path,
@@ -228,9 +469,9 @@ class EmailController {
         }
 
 
-        // Trigger immediate processing of the new campaign
+        // Trigger immediate processing of the new campaign (scheduled ones start at their start date)
         const schedulerService = req.app.get('schedulerService');
-        if (schedulerService) {
+        if (schedulerService && !sendAt) {
           try {
             // Small delay to ensure database write is complete
             await new Promise(resolve => setTimeout(resolve, 100));
@@ -259,9 +500,20 @@ class EmailController {
 
         safeJson({
           success: true,
-          message: 'Multi-day campaign created successfully',
+          message: sendAt ? 'Multi-day campaign scheduled successfully' : 'Multi-day campaign created successfully',
           campaignId: campaign.id,
+          status: campaign.status,
+          startDate: campaign.startDate,
           totalEmails: contacts.length,
+          skipped: skippedRecipients.length,
+          skippedRecipients,
+          cooldown: cooldownSummary,
+          quality: qualitySummary,
+          sender,
+          sendingWindow: { ...SendingWindow.normalize(sendingWindow), unknownTimeZones },
+          unresolvedVariables,
+          columnMapping,
+          import: importSummary,
           dailyBatches: Math.ceil(contacts.length / 300),
           estimatedDays: Math.ceil(contacts.length / 300),
           type: 'campaign',
@@ -271,21 +523,73 @@ class EmailController {
         return;
       }
 
+      const attachments = resumeFile ? [{
+        filename: resumeFile.originalname,
+        path: resumeFile.path,
+        contentType: 'application/pdf'
+      }] : [];
+
+      // A one-off send with a future sendAt is stored as a scheduled campaign that sends in full at that time
+      if (sendAt) {
+        const campaign = await this.campaignService.createCampaign({
+          name: `Scheduled send - ${sendAt.toLocaleString()}`,
+          type: 'immediate',
+          contacts,
+          template: template.content,
+          templateId: template.id,
+          subject: template.subject,
+          resumeDocLink,
+          userEmail: userEmail || process.env.EMAIL,
+          delay: parseInt(delayMs) || 10000,
+          startDate: sendAt,
+          trackOpens,
+          trackClicks,
+          ...sender,
+          attachments
+        });
+
+        if (excelFile) {
+          this.fileService.deleteFile(excelFile.path);
+        }
+
+        safeJson({
+          success: true,
+          message: 'Email sending scheduled',
+          campaignId: campaign.id,
+          status: campaign.status,
+          startDate: campaign.startDate,
+          totalEmails: contacts.length,
+          skipped: skippedRecipients.length,
+          skippedRecipients,
+          cooldown: cooldownSummary,
+          quality: qualitySummary,
+          sender,
+          unresolvedVariables,
+          columnMapping,
+          import: importSummary,
+          type: 'immediate',
+          templateUsed: template.name
+        });
+        return;
+      }
+
       // For immediate sending
-      const emails = this.emailService.prepareEmailsFromCampaign({
+      const emails = await this.emailService.prepareEmailsFromCampaign({
         template: template.content,
         subject: template.subject,
         templateId: template.id,
         contacts,
         resumeDocLink,
-        attachments: resumeFile ? [{
-          filename: resumeFile.originalname,
-          path: resumeFile.path,
-          contentType: 'application/pdf'
-        }] : []
+        trackOpens,
+        trackClicks,
+        ...sender,
+        attachments
       });
 
-      // Send response immediately
+      // Store the emails in the outbox before answering, so a send reported as started survives a crash
+      // (and an Idempotency-Key replay of this response never stands for emails that were lost)
+      const entries = await OutboxService.getInstance().enqueue(emails, { delayMs: parseInt(delayMs) || 10000 });
+
       safeJson({
         message: 'Email sending started',
         totalEmails: emails.length,
@@ -293,12 +597,20 @@ class EmailController {
           company: e.companyName,
           email: e.to
         })),
+        skipped: skippedRecipients.length,
+        skippedRecipients,
+        cooldown: cooldownSummary,
+        quality: qualitySummary,
+        sender,
+        unresolvedVariables,
+        columnMapping,
+        import: importSummary,
         type: 'immediate',
         templateUsed: template.name
       });
 
-      // Start sending emails asynchronously
-      this.sendEmailsAsync(emails, parseInt(delayMs) || 10000);
+      // The outbox worker sends them in the background
+      this.logSendResults(entries);
 
       // Clean up files
       if (excelFile) {
@@ -310,24 +622,13 @@ class EmailController {
     }
   }
 
-  // Send emails asynchronously with progress updates and memory optimization
-  async sendEmailsAsync(emails, delayMs) {
+  // Log how queued emails went once the outbox worker is done with them; the worker resumes
+  // after a restart and removes the attachments once the last one is done
+  async logSendResults(entries) {
     try {
-      // Use memory-efficient processing for large lists
-      const results = await this.emailService.processLargeEmailList(emails, {
-        delayMs: delayMs,
-        batchSize: this.emailService.batchConfig.defaultBatchSize
-      }, (progress) => {
-        // Progress callback - no socket emissions needed
-      });
-
-      // Generate comprehensive report
-      const report = this.emailService.generateBatchReport(results);
-
-      // Clean up attachments
-      this.emailService.cleanupAttachments(emails);
+      const results = await OutboxService.getInstance().waitFor(entries);
 
-      logger.info(`Email campaign completed with report: ${JSON.stringify(report.summary)}`);
+      logger.info(`Email sending completed: ${results.successful} sent, ${results.failed} failed, ${results.deferred} still queued for a later attempt`);
     } catch (error) {
       logger.error(`Error in async email sending: ${error.message}`);
     }
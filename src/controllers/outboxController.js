@@ -0,0 +1,71 @@
+const OutboxEntry = require('../models/OutboxEntry');
+const OutboxService = require('../services/outboxService');
+const logger = require('../utils/logger');
+
+class OutboxController {
+  constructor() {
+    this.outboxService = OutboxService.getInstance();
+  }
+
+  // GET /api/outbox - Queue counts and entries, filtered by ?status= and ?campaignId=
+  async getOutbox(req, res) {
+    try {
+      const { status, campaignId } = req.query;
+      if (status && !OutboxEntry.STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Status must be one of: ${OutboxEntry.STATUSES.join(', ')}` });
+      }
+
+      const where = {};
+      if (status) where.status = status;
+      if (campaignId) where.campaignId = campaignId;
+      const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+
+      const entries = await OutboxEntry.find({
+        where,
+        orderBy: { field: 'nextAttemptAt', direction: 'asc' },
+        limit
+      });
+
+      res.json({
+        summary: await this.outboxService.getSummary(),
+        entries: entries.map(entry => entry.toSummary())
+      });
+    } catch (error) {
+      logger.error(`Error getting outbox: ${error.message}`);
+      res.status(500).json({ error: 'Failed to get outbox' });
+    }
+  }
+
+  // GET /api/outbox/:id - One entry
+  async getEntry(req, res) {
+    try {
+      const entry = await OutboxEntry.findById(req.params.id);
+      if (!entry) {
+        return res.status(404).json({ error: 'Outbox entry not found' });
+      }
+      res.json(entry.toSummary());
+    } catch (error) {
+      logger.error(`Error getting outbox entry: ${error.message}`);
+      res.status(500).json({ error: 'Failed to get outbox entry' });
+    }
+  }
+
+  // POST /api/outbox/:id/retry - Queue an interrupted (or failed one-off) email again
+  async retryEntry(req, res) {
+    try {
+      const entry = await this.outboxService.retry(req.params.id);
+      if (!entry) {
+        return res.status(404).json({ error: 'Outbox entry not found' });
+      }
+      res.json(entry.toSummary());
+    } catch (error) {
+      if (error.message.includes('cannot be retried') || error.message.includes('can be retried')) {
+        return res.status(409).json({ error: error.message });
+      }
+      logger.error(`Error retrying outbox entry: ${error.message}`);
+      res.status(500).json({ error: 'Failed to retry outbox entry' });
+    }
+  }
+}
+
+module.exports = OutboxController;
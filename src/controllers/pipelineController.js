@@ -0,0 +1,166 @@
+const PipelineEntry = require('../models/PipelineEntry');
+const PipelineService = require('../services/pipelineService');
+const logger = require('../utils/logger');
+
+class PipelineController {
+  constructor() {
+    this.pipelineService = new PipelineService();
+  }
+
+  // GET /api/pipeline - List companies (?stage, ?search, ?limit, ?offset)
+  async getEntries(req, res) {
+    try {
+      const { stage, search, limit, offset } = req.query;
+      if (stage && !PipelineEntry.STAGES.includes(stage)) {
+        return res.status(400).json({ error: `Stage must be one of: ${PipelineEntry.STAGES.join(', ')}` });
+      }
+
+      const result = await this.pipelineService.list({ stage, search, limit, offset });
+      res.json({
+        entries: result.entries.map(entry => entry.toSummary()),
+        total: result.total,
+        limit: result.limit,
+        offset: result.offset
+      });
+    } catch (error) {
+      logger.error(`Error getting pipeline: ${error.message}`);
+      res.status(500).json({ error: 'Failed to get pipeline' });
+    }
+  }
+
+  // GET /api/pipeline/board - Counts per stage with the most recently active companies in each
+  async getBoard(req, res) {
+    try {
+      res.json(await this.pipelineService.getBoard({ limit: req.query.limit }));
+    } catch (error) {
+      logger.error(`Error getting pipeline board: ${error.message}`);
+      res.status(500).json({ error: 'Failed to get pipeline board' });
+    }
+  }
+
+  // GET /api/pipeline/:id - One company with its notes and activities
+  async getEntry(req, res) {
+    try {
+      const entry = await PipelineEntry.findById(req.params.id);
+      if (!entry) {
+        return res.status(404).json({ error: 'Pipeline entry not found' });
+      }
+      res.json(entry.toJSON());
+    } catch (error) {
+      logger.error(`Error getting pipeline entry: ${error.message}`);
+      res.status(500).json({ error: 'Failed to get pipeline entry' });
+    }
+  }
+
+  // POST /api/pipeline - Add a company contacted outside the app ({ companyName?, email?, contacts?, stage?, note? })
+  async createEntry(req, res) {
+    try {
+      const { companyName, email } = req.body || {};
+      if (!companyName && !email) {
+        return res.status(400).json({ error: 'Company name or email is required' });
+      }
+
+      const { entry, created } = await this.pipelineService.create(req.body);
+      if (!created) {
+        return res.status(409).json({ error: 'This company is already in the pipeline', entry: entry.toJSON() });
+      }
+
+      logger.info(`Added ${entry.companyName || entry.key} to the pipeline at ${entry.stage}`);
+      res.status(201).json(entry.toJSON());
+    } catch (error) {
+      if (error.message.startsWith('Invalid pipeline entry')) {
+        return res.status(400).json({ error: error.message });
+      }
+      logger.error(`Error creating pipeline entry: ${error.message}`);
+      res.status(500).json({ error: 'Failed to create pipeline entry' });
+    }
+  }
+
+  // PUT /api/pipeline/:id - Rename, add contacts or move to another stage ({ stage, note?, date? })
+  async updateEntry(req, res) {
+    try {
+      const entry = await this.pipelineService.update(req.params.id, req.body || {});
+      if (!entry) {
+        return res.status(404).json({ error: 'Pipeline entry not found' });
+      }
+      res.json(entry.toJSON());
+    } catch (error) {
+      if (error.message.startsWith('Invalid pipeline entry')) {
+        return res.status(400).json({ error: error.message });
+      }
+      logger.error(`Error updating pipeline entry: ${error.message}`);
+      res.status(500).json({ error: 'Failed to update pipeline entry' });
+    }
+  }
+
+  // POST /api/pipeline/:id/notes - Add a note ({ text })
+  async addNote(req, res) {
+    try {
+      const { text } = req.body || {};
+      if (!text || !String(text).trim()) {
+        return res.status(400).json({ error: 'Note text is required' });
+      }
+
+      const result = await this.pipelineService.addNote(req.params.id, text);
+      if (!result) {
+        return res.status(404).json({ error: 'Pipeline entry not found' });
+      }
+      res.status(201).json(result.note);
+    } catch (error) {
+      logger.error(`Error adding pipeline note: ${error.message}`);
+      res.status(500).json({ error: 'Failed to add note' });
+    }
+  }
+
+  // DELETE /api/pipeline/:id/notes/:noteId - Remove a note
+  async deleteNote(req, res) {
+    try {
+      const result = await this.pipelineService.removeNote(req.params.id, req.params.noteId);
+      if (!result || !result.note) {
+        return res.status(404).json({ error: 'Note not found' });
+      }
+      res.json({ message: 'Note removed', note: result.note });
+    } catch (error) {
+      logger.error(`Error deleting pipeline note: ${error.message}`);
+      res.status(500).json({ error: 'Failed to delete note' });
+    }
+  }
+
+  // POST /api/pipeline/:id/activities - Log a dated activity ({ type, description?, date? })
+  async addActivity(req, res) {
+    try {
+      const { type } = req.body || {};
+      if (!type || !String(type).trim()) {
+        return res.status(400).json({ error: 'Activity type is required' });
+      }
+
+      const result = await this.pipelineService.addActivity(req.params.id, req.body);
+      if (!result) {
+        return res.status(404).json({ error: 'Pipeline entry not found' });
+      }
+      res.status(201).json(result.activity);
+    } catch (error) {
+      if (error.message.startsWith('Invalid pipeline entry')) {
+        return res.status(400).json({ error: error.message });
+      }
+      logger.error(`Error adding pipeline activity: ${error.message}`);
+      res.status(500).json({ error: 'Failed to add activity' });
+    }
+  }
+
+  // DELETE /api/pipeline/:id - Remove a company from the pipeline
+  async deleteEntry(req, res) {
+    try {
+      const entry = await this.pipelineService.remove(req.params.id);
+      if (!entry) {
+        return res.status(404).json({ error: 'Pipeline entry not found' });
+      }
+      res.json({ message: 'Pipeline entry removed', entry: entry.toSummary() });
+    } catch (error) {
+      logger.error(`Error deleting pipeline entry: ${error.message}`);
+      res.status(500).json({ error: 'Failed to delete pipeline entry' });
+    }
+  }
+}
+
+module.exports = PipelineController;
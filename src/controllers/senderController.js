@@ -0,0 +1,133 @@
+const SenderAccount = require('../models/SenderAccount');
+const SenderService = require('../services/senderService');
+const logger = require('../utils/logger');
+
+class SenderController {
+  constructor() {
+    this.senderService = new SenderService();
+  }
+
+  // GET /api/senders - Every sender account with today's usage and health
+  async getSenders(req, res) {
+    try {
+      res.json(await this.senderService.getSummary());
+    } catch (error) {
+      logger.error(`Error getting sender accounts: ${error.message}`);
+      res.status(500).json({ error: 'Failed to get sender accounts' });
+    }
+  }
+
+  // GET /api/senders/:id - One account with its usage
+  async getSender(req, res) {
+    try {
+      const account = await SenderAccount.findById(req.params.id);
+      if (!account) {
+        return res.status(404).json({ error: 'Sender account not found' });
+      }
+
+      res.json({ ...account.toSafeJSON(), usage: await this.senderService.getUsage(account) });
+    } catch (error) {
+      logger.error(`Error getting sender account: ${error.message}`);
+      res.status(500).json({ error: 'Failed to get sender account' });
+    }
+  }
+
+  // POST /api/senders - Add an SMTP account
+  async createSender(req, res) {
+    try {
+      const account = await this.senderService.createAccount(req.body || {});
+      logger.info(`Added sender account ${account.name} (${account.email})`);
+      res.status(201).json(account.toSafeJSON());
+    } catch (error) {
+      if (error.message.startsWith('Invalid sender account')) {
+        return res.status(400).json({ error: error.message });
+      }
+      if (error.message.includes('already exists')) {
+        return res.status(409).json({ error: error.message });
+      }
+      logger.error(`Error creating sender account: ${error.message}`);
+      res.status(500).json({ error: 'Failed to create sender account' });
+    }
+  }
+
+  // PUT /api/senders/:id - Change settings, caps or enable/disable an account
+  async updateSender(req, res) {
+    try {
+      const account = await this.senderService.updateAccount(req.params.id, req.body || {});
+      if (!account) {
+        return res.status(404).json({ error: 'Sender account not found' });
+      }
+      res.json(account.toSafeJSON());
+    } catch (error) {
+      if (error.message.startsWith('Invalid sender account')) {
+        return res.status(400).json({ error: error.message });
+      }
+      if (error.message.includes('already exists')) {
+        return res.status(409).json({ error: error.message });
+      }
+      logger.error(`Error updating sender account: ${error.message}`);
+      res.status(500).json({ error: 'Failed to update sender account' });
+    }
+  }
+
+  // DELETE /api/senders/:id - Remove an account no unfinished campaign depends on
+  async deleteSender(req, res) {
+    try {
+      const account = await SenderAccount.findById(req.params.id);
+      if (!account) {
+        return res.status(404).json({ error: 'Sender account not found' });
+      }
+      if (account.isDefault()) {
+        return res.status(400).json({ error: 'The default account comes from EMAIL/EMAIL_PASS; disable it instead' });
+      }
+
+      const campaigns = await this.senderService.findCampaignsUsing(account.id);
+      if (campaigns.length > 0) {
+        return res.status(409).json({
+          error: 'Sender account is used by campaigns that have not finished',
+          campaignIds: campaigns.map(campaign => campaign.id)
+        });
+      }
+
+      this.senderService.closeTransporter(account.id);
+      await account.delete();
+      res.json({ success: true, message: 'Sender account deleted' });
+    } catch (error) {
+      logger.error(`Error deleting sender account: ${error.message}`);
+      res.status(500).json({ error: 'Failed to delete sender account' });
+    }
+  }
+
+  // POST /api/senders/:id/verify - Test the SMTP login (clears failure state on success)
+  async verifySender(req, res) {
+    try {
+      const account = await SenderAccount.findById(req.params.id);
+      if (!account) {
+        return res.status(404).json({ error: 'Sender account not found' });
+      }
+      res.json(await this.senderService.verify(account));
+    } catch (error) {
+      logger.error(`Error verifying sender account: ${error.message}`);
+      res.status(500).json({ error: 'Failed to verify sender account' });
+    }
+  }
+
+  // POST /api/senders/:id/reset - Mark a paused account healthy again
+  async resetSender(req, res) {
+    try {
+      const account = await SenderAccount.findById(req.params.id);
+      if (!account) {
+        return res.status(404).json({ error: 'Sender account not found' });
+      }
+
+      account.resetHealth();
+      await account.save();
+      res.json(account.toSafeJSON());
+    } catch (error) {
+      logger.error(`Error resetting sender account: ${error.message}`);
+      res.status(500).json({ error: 'Failed to reset sender account' });
+    }
+  }
+}
+
+module.exports = SenderController;
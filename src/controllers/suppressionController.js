@@ -0,0 +1,160 @@
+const fs = require('fs').promises;
+const Suppression = require('../models/Suppression');
+const SuppressionService = require('../services/suppressionService');
+const logger = require('../utils/logger');
+
+class SuppressionController {
+  constructor() {
+    this.suppressionService = new SuppressionService();
+  }
+
+  // GET /api/suppressions - List entries (?reason, ?type, ?search, ?limit, ?offset)
+  async getSuppressions(req, res) {
+    try {
+      const { reason, type, search, limit, offset } = req.query;
+      const result = await this.suppressionService.list({ reason, type, search, limit, offset });
+      res.json({
+        suppressions: result.entries.map(entry => entry.toJSON()),
+        total: result.total,
+        limit: result.limit,
+        offset: result.offset
+      });
+    } catch (error) {
+      logger.error(`Error getting suppressions: ${error.message}`);
+      res.status(500).json({ error: 'Failed to get suppression list' });
+    }
+  }
+
+  // GET /api/suppressions/check?email= - Whether an address is suppressed and by which entry
+  async checkAddress(req, res) {
+    try {
+      const { email } = req.query;
+      if (!email) {
+        return res.status(400).json({ error: 'Email is required' });
+      }
+
+      const entry = await Suppression.findMatch(email);
+      res.json({
+        email,
+        suppressed: !!entry,
+        entry: entry ? entry.toJSON() : null
+      });
+    } catch (error) {
+      logger.error(`Error checking suppression: ${error.message}`);
+      res.status(500).json({ error: 'Failed to check suppression list' });
+    }
+  }
+
+  // GET /api/suppressions/:id - Get one entry
+  async getSuppression(req, res) {
+    try {
+      const entry = await Suppression.findById(req.params.id);
+      if (!entry) {
+        return res.status(404).json({ error: 'Suppression entry not found' });
+      }
+      res.json(entry.toJSON());
+    } catch (error) {
+      logger.error(`Error getting suppression: ${error.message}`);
+      res.status(500).json({ error: 'Failed to get suppression entry' });
+    }
+  }
+
+  // POST /api/suppressions - Add an address ({ email }) or a domain ({ domain })
+  async createSuppression(req, res) {
+    try {
+      const { email, domain } = req.body || {};
+      if (!email && !domain) {
+        return res.status(400).json({ error: 'Email or domain is required' });
+      }
+
+      const { entry, created } = await this.suppressionService.create(req.body);
+      if (!created) {
+        return res.status(409).json({ error: 'Already on the suppression list', suppression: entry.toJSON() });
+      }
+
+      logger.info(`Suppressed ${entry.type} ${entry.value} (${entry.reason})`);
+      res.status(201).json(entry.toJSON());
+    } catch (error) {
+      if (error.message.startsWith('Invalid suppression entry')) {
+        return res.status(400).json({ error: error.message });
+      }
+      logger.error(`Error creating suppression: ${error.message}`);
+      res.status(500).json({ error: 'Failed to add suppression entry' });
+    }
+  }
+
+  // PUT /api/suppressions/:id - Change the reason or note
+  async updateSuppression(req, res) {
+    try {
+      const entry = await this.suppressionService.update(req.params.id, req.body || {});
+      if (!entry) {
+        return res.status(404).json({ error: 'Suppression entry not found' });
+      }
+      res.json(entry.toJSON());
+    } catch (error) {
+      if (error.message.startsWith('Invalid suppression entry')) {
+        return res.status(400).json({ error: error.message });
+      }
+      logger.error(`Error updating suppression: ${error.message}`);
+      res.status(500).json({ error: 'Failed to update suppression entry' });
+    }
+  }
+
+  // DELETE /api/suppressions/:id - Remove an entry so the address can be contacted again
+  async deleteSuppression(req, res) {
+    try {
+      const entry = await this.suppressionService.remove(req.params.id);
+      if (!entry) {
+        return res.status(404).json({ error: 'Suppression entry not found' });
+      }
+      res.json({ message: 'Suppression entry removed', suppression: entry.toJSON() });
+    } catch (error) {
+      logger.error(`Error deleting suppression: ${error.message}`);
+      res.status(500).json({ error: 'Failed to delete suppression entry' });
+    }
+  }
+
+  // POST /api/suppressions/import - Bulk import from an uploaded CSV (field "file") or a "csv" body field
+  async importSuppressions(req, res) {
+    const file = req.file;
+    try {
+      const content = file ? await fs.readFile(file.path, 'utf8') : (req.body && req.body.csv);
+      if (!content) {
+        return res.status(400).json({ error: 'A CSV file or csv field is required' });
+      }
+
+      const reason = req.body && req.body.reason;
+      if (reason && !Suppression.REASONS.includes(reason)) {
+        return res.status(400).json({ error: `Reason must be one of: ${Suppression.REASONS.join(', ')}` });
+      }
+
+      const result = await this.suppressionService.importCsv(content, { reason: reason || 'manual' });
+      res.json(result);
+    } catch (error) {
+      logger.error(`Error importing suppressions: ${error.message}`);
+      res.status(500).json({ error: 'Failed to import suppression list' });
+    } finally {
+      if (file) {
+        fs.unlink(file.path).catch(() => {});
+      }
+    }
+  }
+
+  // GET /api/suppressions/export - Download the (filtered) list as CSV
+  async exportSuppressions(req, res) {
+    try {
+      const { reason, type, search } = req.query;
+      const content = await this.suppressionService.exportCsv({ reason, type, search });
+      const date = new Date().toISOString().split('T')[0];
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="suppressions-${date}.csv"`);
+      res.send(content);
+    } catch (error) {
+      logger.error(`Error exporting suppressions: ${error.message}`);
+      res.status(500).json({ error: 'Failed to export suppression list' });
+    }
+  }
+}
+
+module.exports = SuppressionController;
@@ -1,11 +1,21 @@
 const Template = require('../models/Template');
+const DiffUtils = require('../utils/diffUtils');
 const logger = require('../utils/logger');
 
 class TemplateController {
+  // Author and change note recorded on the version a save creates
+  getVersionInfo(req, defaultNote) {
+    const body = req.body || {};
+    return {
+      author: body.author || process.env.MAIN_USER_EMAIL || 'system',
+      note: body.note || defaultNote
+    };
+  }
+
   // GET /api/templates - Get all templates
   async getAllTemplates(req, res) {
     try {
-      const templates = Template.getAllTemplates();
+      const templates = await Template.getAllTemplates();
       res.json({
         templates: templates.map(t => t.toJSON()),
         count: templates.length
@@ -20,7 +30,7 @@ class TemplateController {
   async getTemplateById(req, res) {
     try {
       const { id } = req.params;
-      const template = Template.getTemplateById(id);
+      const template = await Template.getTemplateById(id);
       
       if (!template) {
         return res.status(404).json({ error: 'Template not found' });
@@ -33,6 +43,238 @@ class TemplateController {
     }
   }
 
+  // POST /api/templates - Create a user-defined template
+  async createTemplate(req, res) {
+    try {
+      const { name, subject, content, category, description, type } = req.body;
+
+      if (!name || !name.trim()) {
+        return res.status(400).json({ error: 'Template name is required' });
+      }
+
+      const template = new Template({
+        name: name.trim(),
+        subject,
+        content,
+        category: category || 'custom',
+        description,
+        type
+      });
+
+      const validation = template.isValid();
+      if (!validation.valid) {
+        return res.status(400).json({ error: 'Invalid template', errors: validation.errors });
+      }
+
+      await template.save(this.getVersionInfo(req, 'Created'));
+      logger.info(`Template created: ${template.name} (${template.id})`);
+
+      res.status(201).json(template.toJSON());
+    } catch (error) {
+      logger.error(`Error creating template: ${error.message}`);
+      res.status(500).json({ error: 'Failed to create template' });
+    }
+  }
+
+  // PUT /api/templates/:id - Update a user-defined template
+  async updateTemplate(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (Template.isBuiltIn(id)) {
+        return res.status(403).json({ error: 'Built-in templates are read-only. Clone the template to customize it.' });
+      }
+
+      const template = await Template.findById(id);
+      if (!template) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+
+      const editableFields = ['name', 'subject', 'content', 'category', 'description', 'type'];
+      editableFields.forEach(field => {
+        if (req.body[field] !== undefined) {
+          template[field] = field === 'name' ? String(req.body[field]).trim() : req.body[field];
+        }
+      });
+
+      if (!template.name) {
+        return res.status(400).json({ error: 'Template name is required' });
+      }
+
+      const validation = template.isValid();
+      if (!validation.valid) {
+        return res.status(400).json({ error: 'Invalid template', errors: validation.errors });
+      }
+
+      await template.save(this.getVersionInfo(req, 'Updated'));
+      logger.info(`Template updated: ${template.name} (${template.id}) - version ${template.version}`);
+
+      res.json(template.toJSON());
+    } catch (error) {
+      logger.error(`Error updating template: ${error.message}`);
+      res.status(500).json({ error: 'Failed to update template' });
+    }
+  }
+
+  // DELETE /api/templates/:id - Delete a user-defined template
+  async deleteTemplate(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (Template.isBuiltIn(id)) {
+        return res.status(403).json({ error: 'Built-in templates cannot be deleted' });
+      }
+
+      const template = await Template.findById(id);
+      if (!template) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+
+      await template.delete();
+      logger.info(`Template deleted: ${template.name} (${template.id})`);
+
+      res.json({ success: true, message: 'Template deleted successfully' });
+    } catch (error) {
+      logger.error(`Error deleting template: ${error.message}`);
+      res.status(500).json({ error: 'Failed to delete template' });
+    }
+  }
+
+  // POST /api/templates/:id/clone - Copy any template (including built-ins) into a new editable one
+  async cloneTemplate(req, res) {
+    try {
+      const { id } = req.params;
+      const template = await Template.getTemplateById(id);
+
+      if (!template) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+
+      const name = (req.body && req.body.name && req.body.name.trim()) || `${template.name} (Copy)`;
+      const clone = template.clone(name);
+      await clone.save(this.getVersionInfo(req, `Cloned from ${template.name} (${template.id}) version ${template.version}`));
+      logger.info(`Template cloned: ${template.name} -> ${clone.name} (${clone.id})`);
+
+      res.status(201).json(clone.toJSON());
+    } catch (error) {
+      logger.error(`Error cloning template: ${error.message}`);
+      res.status(500).json({ error: 'Failed to clone template' });
+    }
+  }
+
+  // GET /api/templates/:id/versions - List the version history of a template
+  async getTemplateVersions(req, res) {
+    try {
+      const template = await Template.getTemplateById(req.params.id);
+      if (!template) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+
+      const versions = await template.getVersions();
+      res.json({
+        templateId: template.id,
+        currentVersion: template.version,
+        builtIn: template.builtIn,
+        versions: versions.map(v => v.toJSON()),
+        count: versions.length
+      });
+    } catch (error) {
+      logger.error(`Error getting template versions: ${error.message}`);
+      res.status(500).json({ error: 'Failed to get template versions' });
+    }
+  }
+
+  // GET /api/templates/:id/versions/:version - Get a single version
+  async getTemplateVersion(req, res) {
+    try {
+      const template = await Template.getTemplateById(req.params.id);
+      if (!template) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+
+      const version = await template.getVersion(req.params.version);
+      if (!version) {
+        return res.status(404).json({ error: `Version ${req.params.version} not found` });
+      }
+
+      res.json(version.toJSON());
+    } catch (error) {
+      logger.error(`Error getting template version: ${error.message}`);
+      res.status(500).json({ error: 'Failed to get template version' });
+    }
+  }
+
+  // GET /api/templates/:id/diff?from=1&to=2 - Diff subject and content of two versions (to defaults to current)
+  async diffTemplateVersions(req, res) {
+    try {
+      const template = await Template.getTemplateById(req.params.id);
+      if (!template) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+
+      const fromNumber = parseInt(req.query.from);
+      const toNumber = req.query.to ? parseInt(req.query.to) : template.version;
+      if (!fromNumber || !toNumber) {
+        return res.status(400).json({ error: 'Query parameter "from" must be a version number' });
+      }
+
+      const [from, to] = await Promise.all([
+        template.getVersion(fromNumber),
+        template.getVersion(toNumber)
+      ]);
+      if (!from || !to) {
+        return res.status(404).json({ error: `Version ${!from ? fromNumber : toNumber} not found` });
+      }
+
+      res.json({
+        templateId: template.id,
+        from: { version: from.version, author: from.author, note: from.note, createdAt: from.createdAt },
+        to: { version: to.version, author: to.author, note: to.note, createdAt: to.createdAt },
+        subject: DiffUtils.diffLines(from.subject, to.subject),
+        content: DiffUtils.diffLines(from.content, to.content)
+      });
+    } catch (error) {
+      logger.error(`Error diffing template versions: ${error.message}`);
+      res.status(500).json({ error: 'Failed to diff template versions' });
+    }
+  }
+
+  // POST /api/templates/:id/versions/:version/restore - Restore an older version as a new version
+  async restoreTemplateVersion(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (Template.isBuiltIn(id)) {
+        return res.status(403).json({ error: 'Built-in templates are read-only' });
+      }
+
+      const template = await Template.findById(id);
+      if (!template) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+
+      const version = await template.getVersion(req.params.version);
+      if (!version) {
+        return res.status(404).json({ error: `Version ${req.params.version} not found` });
+      }
+
+      ['name', 'subject', 'content', 'type', 'category', 'description'].forEach(field => {
+        template[field] = version[field];
+      });
+
+      await template.save({
+        ...this.getVersionInfo(req, `Restored version ${version.version}`),
+        restoredFrom: version.version
+      });
+      logger.info(`Template restored: ${template.name} (${template.id}) - version ${version.version} saved as ${template.version}`);
+
+      res.json(template.toJSON());
+    } catch (error) {
+      logger.error(`Error restoring template version: ${error.message}`);
+      res.status(500).json({ error: 'Failed to restore template version' });
+    }
+  }
+
   // GET /api/template - Get default template (legacy support)
   async getDefaultTemplate(req, res) {
     try {
@@ -56,7 +298,7 @@ class TemplateController {
   async previewTemplate(req, res) {
     try {
       const templateId = req.query.templateId || 'job-application';
-      const template = Template.getTemplateById(templateId);
+      const template = await Template.getTemplateById(templateId);
       
       if (!template) {
         return res.status(404).json({ error: 'Template not found' });
@@ -89,7 +331,7 @@ class TemplateController {
   async getTemplateVariables(req, res) {
     try {
       const templateId = req.query.templateId || 'job-application';
-      const template = Template.getTemplateById(templateId);
+      const template = await Template.getTemplateById(templateId);
       
       if (!template) {
         return res.status(404).json({ error: 'Template not found' });
@@ -101,7 +343,8 @@ class TemplateController {
         variables,
         description: {
           company_name: 'Company name from Excel file',
-          email: 'Recipient email address'
+          email: 'Recipient email address',
+          unsubscribe_url: 'Signed one-click unsubscribe link for the recipient'
         },
         template: template.toJSON()
       });
@@ -140,14 +383,16 @@ class TemplateController {
   }
 
   // POST /api/template/render - Render template with custom data
+  // POST /api/templates/:id/render - Render a stored template
   async renderTemplate(req, res) {
     try {
-      const { content, subject, variables, templateId } = req.body;
+      const { content, subject, variables } = req.body;
+      const templateId = req.params.id || req.body.templateId;
       
       let template;
       
       if (templateId) {
-        template = Template.getTemplateById(templateId);
+        template = await Template.getTemplateById(templateId);
         if (!template) {
           return res.status(404).json({ error: 'Template not found' });
         }
@@ -0,0 +1,45 @@
+const TrackingService = require('../services/trackingService');
+const logger = require('../utils/logger');
+
+class TrackingController {
+  constructor() {
+    this.trackingService = new TrackingService();
+  }
+
+  // GET /track/open/:token - Tracking pixel; always answers with the image so mail clients show nothing broken
+  async openPixel(req, res) {
+    try {
+      await this.trackingService.recordOpen(req.params.token, { userAgent: req.get('User-Agent') });
+    } catch (error) {
+      logger.error(`Error recording email open: ${error.message}`);
+    }
+
+    res.set({
+      'Content-Type': 'image/gif',
+      'Content-Length': TrackingService.PIXEL.length,
+      'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+      Pragma: 'no-cache',
+      Expires: '0'
+    });
+    res.end(TrackingService.PIXEL);
+  }
+
+  // GET /track/click/:token - Record a click on a tracked link and redirect to the original URL
+  async click(req, res) {
+    const target = TrackingService.parseClickToken(req.params.token);
+    if (!target) {
+      return res.status(400).type('text/plain').send('This link is invalid or incomplete. Please use the link from the email you received.');
+    }
+
+    try {
+      await this.trackingService.recordClick(req.params.token, { userAgent: req.get('User-Agent') });
+    } catch (error) {
+      logger.error(`Error recording link click: ${error.message}`);
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.redirect(302, target.url);
+  }
+}
+
+module.exports = TrackingController;
@@ -0,0 +1,80 @@
+const UnsubscribeService = require('../services/unsubscribeService');
+const logger = require('../utils/logger');
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Minimal standalone page; recipients see it outside the client app
+const renderPage = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f8f9fa; color: #333; margin: 0; }
+    main { max-width: 480px; margin: 80px auto; padding: 32px; background: #fff; border-radius: 8px; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.08); }
+    h1 { font-size: 22px; margin-top: 0; }
+    button { background: #667eea; color: #fff; border: 0; border-radius: 5px; padding: 10px 20px; font-size: 15px; cursor: pointer; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>${escapeHtml(title)}</h1>
+    ${body}
+  </main>
+</body>
+</html>`;
+
+class UnsubscribeController {
+  constructor() {
+    this.unsubscribeService = new UnsubscribeService();
+  }
+
+  sendInvalidLink(res) {
+    res.status(400).send(renderPage('Invalid link', '<p>This unsubscribe link is invalid or incomplete. Please use the link from the email you received.</p>'));
+  }
+
+  // GET /unsubscribe/:token - Confirmation form (a plain GET never unsubscribes, so link scanners can't trigger it)
+  async showConfirmation(req, res) {
+    try {
+      const target = UnsubscribeService.parseToken(req.params.token);
+      if (!target) {
+        return this.sendInvalidLink(res);
+      }
+
+      res.send(renderPage('Unsubscribe', `
+    <p>Stop receiving emails at <strong>${escapeHtml(target.email)}</strong>?</p>
+    <form method="POST" action="/unsubscribe/${escapeHtml(req.params.token)}">
+      <button type="submit">Unsubscribe</button>
+    </form>`));
+    } catch (error) {
+      logger.error(`Error showing unsubscribe page: ${error.message}`);
+      res.status(500).send(renderPage('Something went wrong', '<p>Please try again later.</p>'));
+    }
+  }
+
+  // POST /unsubscribe/:token - Form submission or RFC 8058 one-click request from the mail client
+  async unsubscribe(req, res) {
+    try {
+      const oneClick = req.body && req.body['List-Unsubscribe'] === 'One-Click';
+      const result = await this.unsubscribeService.unsubscribe(req.params.token, { method: oneClick ? 'one-click' : 'link' });
+      if (!result) {
+        return this.sendInvalidLink(res);
+      }
+
+      res.send(renderPage('You have been unsubscribed', `
+    <p><strong>${escapeHtml(result.email)}</strong> will not receive any further emails from us.</p>`));
+    } catch (error) {
+      logger.error(`Error processing unsubscribe: ${error.message}`);
+      res.status(500).send(renderPage('Something went wrong', '<p>We could not process your request. Please try again later.</p>'));
+    }
+  }
+}
+
+module.exports = UnsubscribeController;
@@ -0,0 +1,100 @@
+const ColumnMapping = require('../models/ColumnMapping');
+const FileService = require('../services/fileService');
+const ImportService = require('../services/importService');
+const logger = require('../utils/logger');
+
+class UploadController {
+  constructor() {
+    this.fileService = new FileService();
+    this.importService = new ImportService();
+  }
+
+  // POST /api/uploads/analyze - Headers, sample rows and a suggested column mapping for a contact file
+  async analyzeUpload(req, res) {
+    const file = req.file;
+    try {
+      if (!file) {
+        return res.status(400).json({ error: 'A spreadsheet file (field "file") is required' });
+      }
+
+      const extension = file.originalname.split('.').pop().toLowerCase();
+      const analysis = await this.fileService.analyzeUpload(file.path, extension);
+      if (!analysis.success) {
+        return res.status(400).json({ error: analysis.error || 'Failed to read spreadsheet' });
+      }
+
+      res.json(analysis);
+    } catch (error) {
+      logger.error(`Error analyzing upload: ${error.message}`);
+      res.status(500).json({ error: 'Failed to analyze file' });
+    } finally {
+      if (file) {
+        this.fileService.deleteFile(file.path);
+      }
+    }
+  }
+
+  // GET /api/uploads/imports/:id/rejections - Download the rejected rows of an import as CSV
+  async downloadRejections(req, res) {
+    try {
+      const reportPath = await this.importService.findReport(req.params.id);
+      if (!reportPath) {
+        return res.status(404).json({ error: 'No rejection report for this import' });
+      }
+
+      res.download(reportPath, `import-${req.params.id}-rejections.csv`);
+    } catch (error) {
+      logger.error(`Error downloading rejection report: ${error.message}`);
+      res.status(500).json({ error: 'Failed to download rejection report' });
+    }
+  }
+
+  // GET /api/uploads/mappings - Saved column mappings
+  async getMappings(req, res) {
+    try {
+      const mappings = await ColumnMapping.loadAll();
+      res.json({ mappings: mappings.map(mapping => mapping.toJSON()) });
+    } catch (error) {
+      logger.error(`Error getting column mappings: ${error.message}`);
+      res.status(500).json({ error: 'Failed to get column mappings' });
+    }
+  }
+
+  // POST /api/uploads/mappings - Save a mapping for a header layout ({ headers, fields, name? })
+  async saveMapping(req, res) {
+    try {
+      const { headers, fields, name } = req.body || {};
+      if (!Array.isArray(headers) || headers.length === 0) {
+        return res.status(400).json({ error: 'headers must be a non-empty array' });
+      }
+
+      const mapping = await ColumnMapping.remember({ headers, fields, name });
+      logger.info(`Saved column mapping ${mapping.name || mapping.id}`);
+      res.status(201).json(mapping.toJSON());
+    } catch (error) {
+      if (error.message.startsWith('Invalid column mapping')) {
+        return res.status(400).json({ error: error.message });
+      }
+      logger.error(`Error saving column mapping: ${error.message}`);
+      res.status(500).json({ error: 'Failed to save column mapping' });
+    }
+  }
+
+  // DELETE /api/uploads/mappings/:id - Forget a saved mapping
+  async deleteMapping(req, res) {
+    try {
+      const mapping = await ColumnMapping.findById(req.params.id);
+      if (!mapping) {
+        return res.status(404).json({ error: 'Column mapping not found' });
+      }
+
+      await mapping.delete();
+      res.json({ message: 'Column mapping deleted', mapping: mapping.toJSON() });
+    } catch (error) {
+      logger.error(`Error deleting column mapping: ${error.message}`);
+      res.status(500).json({ error: 'Failed to delete column mapping' });
+    }
+  }
+}
+
+module.exports = UploadController;
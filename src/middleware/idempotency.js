@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const FileUtils = require('../utils/fileUtils');
+const logger = require('../utils/logger');
+
+const HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+
+// Keys whose first request is still running in this process
+const inFlight = new Set();
+
+// JSON with sorted object keys, so the same payload always hashes the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// Files multer stored for this request, whatever the upload shape
+const getUploadedFiles = (req) => {
+  if (req.file) {
+    return [req.file];
+  }
+  if (Array.isArray(req.files)) {
+    return req.files;
+  }
+  return req.files ? Object.values(req.files).flat() : [];
+};
+
+const hashFile = (file) => {
+  const hash = crypto.createHash('sha256');
+  if (file.buffer) {
+    hash.update(file.buffer);
+  } else if (file.path && fs.existsSync(file.path)) {
+    hash.update(fs.readFileSync(file.path));
+  }
+  return hash.digest('hex');
+};
+
+// Hash of what the request asks for: its body and the contents of any uploaded files
+const fingerprintRequest = (req) => {
+  const files = getUploadedFiles(req).map(file => ({
+    field: file.fieldname,
+    name: file.originalname,
+    size: file.size,
+    sha256: hashFile(file)
+  }));
+  return crypto.createHash('sha256').update(stableStringify({ body: req.body || {}, files })).digest('hex');
+};
+
+// A replayed or rejected request never reaches the controller, so its uploads are removed here
+const discardUploads = (req) => {
+  getUploadedFiles(req).forEach(file => {
+    if (file.path) {
+      FileUtils.deleteFile(file.path);
+    }
+  });
+};
+
+/**
+ * Idempotency-Key support for endpoints that create things or send email
+ *
+ * The first response (anything but a 5xx) under a key is stored and replayed
+ * for retries with the same key until it expires (IDEMPOTENCY_KEY_TTL_HOURS).
+ * A retry with a different payload gets 422, and one that arrives while the
+ * first request is still running gets 409. Requests without the header are
+ * untouched. Mount after any upload middleware so files count in the payload.
+ *
+ * @param {string} scope - Endpoint name the keys belong to
+ * @returns {Function} Express middleware
+ */
+const idempotency = (scope) => async (req, res, next) => {
+  const key = req.get(HEADER);
+  if (key === undefined) {
+    return next();
+  }
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    discardUploads(req);
+    return res.status(400).json({ error: `${HEADER} must be between 1 and ${MAX_KEY_LENGTH} characters` });
+  }
+
+  const id = IdempotencyKey.makeId(scope, key);
+  if (inFlight.has(id)) {
+    discardUploads(req);
+    return res.status(409).json({ error: `A request with this ${HEADER} is still being processed` });
+  }
+  inFlight.add(id);
+
+  try {
+    const fingerprint = fingerprintRequest(req);
+    const stored = await IdempotencyKey.find(scope, key);
+    if (stored) {
+      inFlight.delete(id);
+      discardUploads(req);
+      if (!stored.matches(fingerprint)) {
+        return res.status(422).json({ error: `${HEADER} was already used with a different request payload` });
+      }
+
+      logger.info(`Replaying stored response for ${HEADER} on ${scope}`);
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(stored.statusCode).json(stored.response);
+    }
+
+    // Store the first response before it goes out, so a retry that follows it always finds it
+    let storing = false;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (storing || res.statusCode >= 500) {
+        return json(body);
+      }
+
+      storing = true;
+      new IdempotencyKey({ scope, key, fingerprint, statusCode: res.statusCode, response: body })
+        .save()
+        .catch(error => logger.error(`Failed to store ${HEADER} response: ${error.message}`))
+        .finally(() => {
+          inFlight.delete(id);
+          json(body);
+        });
+      return res;
+    };
+    res.on('close', () => {
+      if (!storing) {
+        inFlight.delete(id);
+      }
+    });
+
+    next();
+  } catch (error) {
+    inFlight.delete(id);
+    logger.error(`Error checking ${HEADER}: ${error.message}`);
+    next(error);
+  }
+};
+
+module.exports = {
+  idempotency
+};
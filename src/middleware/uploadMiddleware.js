@@ -106,6 +106,16 @@ const legacyFileFilter = (req, file, cb) => {
   }
 };
 
+// File filter for plain CSV lists (e.g. suppression imports)
+const csvFileFilter = (req, file, cb) => {
+  const fileExt = file.originalname.toLowerCase().split('.').pop();
+  if (file.fieldname === 'file' && fileExt === 'csv') {
+    cb(null, true);
+  } else {
+    cb(new Error('Only CSV files are allowed'));
+  }
+};
+
 // Multer configuration for modern API
 const upload = multer({
   storage,
@@ -117,14 +127,28 @@ const upload = multer({
   }
 });
 
+// Contact lists are streamed on import, so they may be larger than other uploads
+const contactFileMaxBytes = (parseFloat(process.env.CONTACT_FILE_MAX_MB) || 50) * 1024 * 1024;
+
 // Multer configuration for legacy API
 const legacyUpload = multer({
   storage,
   fileFilter: legacyFileFilter,
   limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB limit
+    fileSize: contactFileMaxBytes, // CONTACT_FILE_MAX_MB, default 50MB
     files: 2, // Maximum 2 files
-    fields: 10 // Maximum 10 fields
+    fields: 20 // Maximum 20 fields
+  }
+});
+
+// Multer configuration for CSV list imports
+const csvUploader = multer({
+  storage,
+  fileFilter: csvFileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+    files: 1,
+    fields: 10
   }
 });
 
@@ -143,6 +167,12 @@ const legacySendEmailsUpload = legacyUpload.fields([
 // Single file upload for templates
 const templateUpload = upload.single('template');
 
+// Single CSV upload for list imports
+const csvUpload = csvUploader.single('file');
+
+// Single contact spreadsheet upload (Excel or CSV) for column analysis
+const contactFileUpload = legacyUpload.single('file');
+
 // Cleanup old files middleware
 const cleanupOldFiles = (req, res, next) => {
   try {
@@ -207,6 +237,8 @@ module.exports = {
   campaignUpload,
   legacySendEmailsUpload,
   templateUpload,
+  csvUpload,
+  contactFileUpload,
   cleanupOldFiles,
   validateUploadedFiles
 };
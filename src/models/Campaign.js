@@ -1,91 +1,129 @@
-const fs = require('fs').promises;
-const path = require('path');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const storage = require('../config/storage');
+const DateUtils = require('../utils/dateUtils');
+const SendingWindow = require('../utils/sendingWindow');
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const STATUSES = ['scheduled', 'active', 'paused', 'completed', 'cancelled', 'deleted'];
+
+const AB_TEST_METRICS = ['reply', 'open', 'click'];
 
 class Campaign {
   constructor(data = {}) {
     this.id = data.id || uuidv4();
     this.name = data.name || '';
     this.status = data.status || 'active';
+    // 'campaign' sends in daily batches; 'immediate' is a one-off send scheduled with sendAt
+    this.type = data.type || 'campaign';
     this.contacts = data.contacts || [];
+    // Saved contact segment the recipients were selected from, if any
+    this.segmentId = data.segmentId || null;
     this.template = data.template || '';
     this.templateId = data.templateId || '';
     this.subject = data.subject || '';
     this.resumeDocLink = data.resumeDocLink || '';
+    this.attachments = data.attachments || [];
     this.userEmail = data.userEmail || '';
     this.totalEmails = data.totalEmails || 0;
     this.sentEmails = data.sentEmails || 0;
     this.failedEmails = data.failedEmails || 0;
+    // Contacts passed over because they are on the suppression list
+    this.skippedEmails = data.skippedEmails || 0;
     this.dailyLogs = data.dailyLogs || [];
     this.delay = data.delay || 10000;
     this.createdAt = data.createdAt || new Date();
     this.updatedAt = data.updatedAt || new Date();
     this.lastProcessedAt = data.lastProcessedAt || null;
     this.completedAt = data.completedAt || null;
+    // When a scheduled campaign starts sending (null = as soon as it is created)
+    this.startDate = data.startDate || null;
+    this.startedAt = data.startedAt || null;
+    this.cancelledAt = data.cancelledAt || null;
+    // Follow-up steps sent after the initial email: [{ delayBusinessDays, templateId, template, subject }]
+    this.sequence = data.sequence || [];
+    // Per-contact sequence progress keyed by normalized email
+    this.sequenceState = data.sequenceState || {};
+    // Sender account to send every email from, or accounts to rotate across (all accounts when neither is set)
+    this.senderId = data.senderId || null;
+    this.senderPool = data.senderPool || [];
+    // { days, start, end, timezone, holidays }; unset fields fall back to the SENDING_* defaults
+    this.sendingWindow = data.sendingWindow || null;
+    // Add an open tracking pixel to each email (TRACK_OPENS sets the default for new campaigns)
+    this.trackOpens = data.trackOpens !== undefined ? data.trackOpens : process.env.TRACK_OPENS === 'true';
+    // Rewrite links to tracked redirects (TRACK_CLICKS sets the default for new campaigns)
+    this.trackClicks = data.trackClicks !== undefined ? data.trackClicks : process.env.TRACK_CLICKS === 'true';
+    // A/B test variants of the initial email: [{ id, name, subject, templateId, template, weight }];
+    // ids default to A, B, C... and weights (percent) to an even split
+    this.variants = (data.variants || []).map((variant, index) => ({
+      ...variant,
+      id: variant.id || String.fromCharCode(65 + index)
+    }));
+    // { metric: reply | open | click, minSamplePerVariant, autoPromote }
+    this.abTest = this.variants.length > 0 ? Campaign.getAbTestSettings(data.abTest) : null;
+    // Variant every remaining contact gets once a winner is promoted
+    this.winnerVariantId = data.winnerVariantId || null;
+    this.promotedAt = data.promotedAt || null;
+  }
+
+  static get STATUSES() {
+    return STATUSES;
   }
 
-  // File storage path
-  static getStoragePath() {
-    return path.join(__dirname, '../../data/campaigns.json');
+  // Storage backend (JSON files or SQLite, see config/storage)
+  static getStorage() {
+    return storage.getBackend();
   }
 
-  // Load all campaigns from file
+  // Load all campaigns
   static async loadAll() {
-    try {
-      const storagePath = this.getStoragePath();
-      const data = await fs.readFile(storagePath, 'utf8');
-      const campaigns = JSON.parse(data);
-      return campaigns.map(campaign => new Campaign(campaign));
-    } catch (error) {
-      // If file doesn't exist, return empty array
-      return [];
-    }
+    const campaigns = await this.getStorage().findAll('campaigns');
+    return campaigns.map(campaign => new Campaign(campaign));
   }
 
-  // Save all campaigns to file
+  // Replace all stored campaigns
   static async saveAll(campaigns) {
-    const storagePath = this.getStoragePath();
-    const dir = path.dirname(storagePath);
-
-    // Ensure directory exists
-    try {
-      await fs.mkdir(dir, { recursive: true });
-    } catch (error) {
-      // Directory might already exist
-    }
-
-    const data = JSON.stringify(campaigns.map(c => c.toJSON()), null, 2);
-    await fs.writeFile(storagePath, data, 'utf8');
+    await this.getStorage().replaceAll('campaigns', campaigns.map(c => c.toJSON()));
   }
 
   // Find campaign by ID
   static async findById(id) {
-    const campaigns = await this.loadAll();
-    return campaigns.find(c => c.id === id) || null;
+    const campaign = await this.getStorage().findById('campaigns', id);
+    return campaign ? new Campaign(campaign) : null;
   }
 
   // Save this campaign
   async save() {
-    const campaigns = await Campaign.loadAll();
-    const existingIndex = campaigns.findIndex(c => c.id === this.id);
-
     this.updatedAt = new Date();
-
-    if (existingIndex >= 0) {
-      campaigns[existingIndex] = this;
-    } else {
-      campaigns.push(this);
-    }
-
-    await Campaign.saveAll(campaigns);
+    await Campaign.getStorage().upsert('campaigns', this.toJSON());
     return this;
   }
 
+  /**
+   * Change a campaign as it is stored now rather than as this process last loaded it, so
+   * progress, sequence state and status written by other services in between are kept.
+   * The read and the write happen as one step under the storage backend's write lock.
+   * @param {string} id - Campaign ID
+   * @param {Function} mutate - Changes the Campaign it is given; must not await, and returns
+   *   false to leave the stored record as it is
+   * @returns {Promise<Campaign|null>} The campaign as stored afterwards, or null if not found
+   */
+  static async update(id, mutate) {
+    const record = await this.getStorage().update('campaigns', id, stored => {
+      const campaign = new Campaign(stored);
+      if (mutate(campaign) === false) {
+        return null;
+      }
+      campaign.updatedAt = new Date();
+      return campaign.toJSON();
+    });
+    return record ? new Campaign(record) : null;
+  }
+
   // Delete this campaign
   async delete() {
-    const campaigns = await Campaign.loadAll();
-    const filtered = campaigns.filter(c => c.id !== this.id);
-    await Campaign.saveAll(filtered);
+    await Campaign.getStorage().remove('campaigns', this.id);
   }
 
   // Instance methods
@@ -97,14 +135,21 @@ class Campaign {
       totalEmails: this.totalEmails,
       sentEmails: this.sentEmails,
       failedEmails: this.failedEmails,
+      skippedEmails: this.skippedEmails,
       progress: this.totalEmails > 0 ? Math.round((this.sentEmails / this.totalEmails) * 100) : 0,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
       lastProcessedAt: this.lastProcessedAt,
-      completedAt: this.completedAt
+      completedAt: this.completedAt,
+      startDate: this.startDate
     };
   }
 
+  // Scheduled and its start time has come
+  isDue(now = new Date()) {
+    return this.status === 'scheduled' && !!this.startDate && new Date(this.startDate) <= now;
+  }
+
   getEstimatedCompletion() {
     if (this.status !== 'active' || this.sentEmails >= this.totalEmails) {
       return null;
@@ -117,12 +162,13 @@ class Campaign {
     return new Date(Date.now() + estimatedMs);
   }
 
-  updateProgress(successCount, failedCount) {
+  updateProgress(successCount, failedCount, skippedCount = 0) {
     this.sentEmails += successCount;
     this.failedEmails += failedCount;
+    this.skippedEmails += skippedCount;
     this.lastProcessedAt = new Date();
 
-    if (this.sentEmails + this.failedEmails >= this.totalEmails) {
+    if (this.sentEmails + this.failedEmails + this.skippedEmails >= this.totalEmails) {
       this.status = 'completed';
       this.completedAt = new Date();
     }
@@ -145,26 +191,291 @@ class Campaign {
     if (logData.recipients) {
       dailyLog.recipients.push(...logData.recipients);
       dailyLog.totalSent += logData.recipients.filter(r => r.success).length;
-      dailyLog.totalFailed += logData.recipients.filter(r => !r.success).length;
+      dailyLog.totalFailed += logData.recipients.filter(r => !r.success && !r.skipped).length;
+      dailyLog.totalSkipped = (dailyLog.totalSkipped || 0) + logData.recipients.filter(r => r.skipped).length;
     }
   }
 
-  getNextBatch(batchSize = 25) {
-    const processedEmails = new Set();
+  getSendingWindow() {
+    return SendingWindow.normalize(this.sendingWindow);
+  }
 
-    // Collect all processed emails from daily logs
+  // Whether it is inside the sending window for a contact, in their own time zone when they have one
+  isInSendingWindow(contact, now = new Date()) {
+    // A one-off send goes out in full at its sendAt time
+    if (this.type === 'immediate') {
+      return true;
+    }
+    return SendingWindow.isOpen(this.getSendingWindow(), SendingWindow.getContactTimeZone(contact), now);
+  }
+
+  // The window, and how many pending contacts it lets through right now
+  getSendingWindowStatus(now = new Date()) {
+    const window = this.getSendingWindow();
+    const pending = this.getPendingContacts();
+    return {
+      ...window,
+      openNow: SendingWindow.isOpen(window, null, now),
+      nextOpening: SendingWindow.getNextOpening(window, null, now),
+      pending: pending.length,
+      pendingInWindow: pending.filter(contact => this.isInSendingWindow(contact, now)).length
+    };
+  }
+
+  // Addresses in the daily logs: sent, failed or skipped
+  getProcessedEmails() {
+    const processedEmails = new Set();
     this.dailyLogs.forEach(log => {
       log.recipients.forEach(recipient => {
         processedEmails.add(recipient.email);
       });
     });
+    return processedEmails;
+  }
+
+  // Contacts not yet emailed (or replied), whether or not their window is open
+  getPendingContacts() {
+    const processedEmails = this.getProcessedEmails();
 
-    // Find unprocessed contacts
+    // Find unprocessed contacts, skipping anyone who already replied
     const unprocessedContacts = this.contacts.filter(contact =>
-      !processedEmails.has(contact.email)
+      !processedEmails.has(contact.email) && !contact.repliedAt
     );
 
-    return unprocessedContacts.slice(0, batchSize);
+    return unprocessedContacts;
+  }
+
+  // Next pending contacts whose sending window is open right now, leaving out addresses already queued
+  getNextBatch(batchSize = 25, now = new Date(), queued = new Set()) {
+    return this.getPendingContacts()
+      .filter(contact => !queued.has(contact.email) && this.isInSendingWindow(contact, now))
+      .slice(0, batchSize);
+  }
+
+  // Sequence methods
+  hasSequence() {
+    return this.sequence.length > 0;
+  }
+
+  static get AB_TEST_METRICS() {
+    return AB_TEST_METRICS;
+  }
+
+  static getAbTestSettings(settings = {}) {
+    return {
+      metric: 'reply',
+      minSamplePerVariant: 20,
+      autoPromote: false,
+      ...(settings || {})
+    };
+  }
+
+  hasVariants() {
+    return this.variants.length > 0;
+  }
+
+  getVariant(variantId) {
+    return this.variants.find(variant => variant.id === variantId) || null;
+  }
+
+  // Each variant's share in percent; variants without a weight split what the others leave
+  getVariantSplit() {
+    const weighted = this.variants.filter(variant => variant.weight !== undefined && variant.weight !== null);
+    const assigned = weighted.reduce((sum, variant) => sum + Number(variant.weight), 0);
+    const unweighted = this.variants.length - weighted.length;
+    const share = unweighted > 0 ? Math.max(0, 100 - assigned) / unweighted : 0;
+    return this.variants.map(variant => ({
+      id: variant.id,
+      weight: weighted.includes(variant) ? Number(variant.weight) : share
+    }));
+  }
+
+  /**
+   * Variant for a contact: the promoted winner if there is one, otherwise a bucket picked from a hash of
+   * the campaign and address, so a contact always gets the same variant
+   * @param {string} email - Contact address
+   * @returns {Object|null} Variant, or null when the campaign has no variants
+   */
+  assignVariant(email) {
+    if (!this.hasVariants()) {
+      return null;
+    }
+    if (this.winnerVariantId && this.getVariant(this.winnerVariantId)) {
+      return this.getVariant(this.winnerVariantId);
+    }
+
+    const hash = crypto.createHash('sha256').update(`${this.id}:${normalizeEmail(email)}`).digest();
+    const bucket = (hash.readUInt32BE(0) / 0x100000000) * 100;
+    let cumulative = 0;
+    const split = this.getVariantSplit();
+    for (const { id, weight } of split) {
+      cumulative += weight;
+      if (bucket < cumulative) {
+        return this.getVariant(id);
+      }
+    }
+    return this.getVariant(split[split.length - 1].id);
+  }
+
+  getTotalSteps() {
+    return 1 + this.sequence.length;
+  }
+
+  // Step 1 is the campaign's own template, later steps come from the sequence
+  getSequenceStep(stepNumber) {
+    if (stepNumber === 1) {
+      return { step: 1, delayBusinessDays: 0, templateId: this.templateId, template: this.template, subject: this.subject };
+    }
+
+    const step = this.sequence[stepNumber - 2];
+    return step ? { step: stepNumber, ...step } : null;
+  }
+
+  getSequenceContact(email) {
+    return this.sequenceState[normalizeEmail(email)] || null;
+  }
+
+  // Record the outcome of a sequence step for a contact and schedule the next one
+  recordSequenceSend(contact, stepNumber, result = {}) {
+    const key = normalizeEmail(contact.email);
+    const sentAt = result.sentAt ? new Date(result.sentAt) : new Date();
+
+    if (!this.sequenceState[key]) {
+      this.sequenceState[key] = {
+        email: key,
+        companyName: contact.companyName || contact.company_name || '',
+        currentStep: 0,
+        status: 'active',
+        subject: '',
+        messageIds: [],
+        lastSentAt: null,
+        nextStepDueAt: null,
+        senderId: null,
+        steps: []
+      };
+    }
+
+    const state = this.sequenceState[key];
+    state.steps.push({
+      step: stepNumber,
+      sentAt: result.success ? sentAt : null,
+      success: !!result.success,
+      messageId: result.messageId || null,
+      error: result.error || null
+    });
+
+    if (!result.success) {
+      state.status = 'failed';
+      state.nextStepDueAt = null;
+      return state;
+    }
+
+    state.currentStep = stepNumber;
+    state.lastSentAt = sentAt;
+    if (result.senderId) {
+      state.senderId = result.senderId;
+    }
+    if (stepNumber === 1 && result.subject) {
+      state.subject = result.subject;
+    }
+    if (result.messageId) {
+      state.messageIds.push(result.messageId);
+    }
+
+    const nextStep = this.getSequenceStep(stepNumber + 1);
+    if (nextStep) {
+      state.status = 'active';
+      state.nextStepDueAt = DateUtils.addBusinessDays(sentAt, nextStep.delayBusinessDays);
+    } else {
+      state.status = 'completed';
+      state.nextStepDueAt = null;
+    }
+
+    return state;
+  }
+
+  // Contacts whose next follow-up is due and whose sending window is open
+  getDueSequenceContacts(now = new Date()) {
+    return Object.values(this.sequenceState).filter(state => {
+      if (state.status !== 'active' || !state.nextStepDueAt || new Date(state.nextStepDueAt) > now) {
+        return false;
+      }
+      const contact = this.contacts.find(c => normalizeEmail(c.email) === state.email) || state;
+      return this.isInSendingWindow(contact, now);
+    });
+  }
+
+  // Stop further follow-ups for a contact (status: replied, stopped, ...)
+  stopSequence(email, status = 'stopped', reason = null) {
+    const state = this.getSequenceContact(email);
+    if (!state || state.status !== 'active') {
+      return false;
+    }
+
+    state.status = status;
+    state.stoppedReason = reason;
+    state.nextStepDueAt = null;
+    return true;
+  }
+
+  // Mark a contact as replied and stop any further sends to them; returns whether anything changed
+  markContactReplied(email, repliedAt = new Date()) {
+    const key = normalizeEmail(email);
+    const processedEmails = this.getProcessedEmails();
+    let changed = false;
+
+    this.contacts.forEach(contact => {
+      if (normalizeEmail(contact.email) === key && !contact.repliedAt) {
+        contact.repliedAt = repliedAt;
+        changed = true;
+
+        // They will never get this campaign's email, so it counts as skipped and the campaign can complete
+        if (!processedEmails.has(contact.email)) {
+          this.addDailyLog({
+            recipients: [{
+              email: contact.email,
+              companyName: contact.company_name || contact.companyName || '',
+              success: false,
+              skipped: true,
+              reason: 'Replied before it was sent',
+              sentAt: new Date(repliedAt)
+            }]
+          });
+          this.updateProgress(0, 0, 1);
+        }
+      }
+    });
+
+    const state = this.getSequenceContact(key);
+    if (state && !state.repliedAt) {
+      state.repliedAt = repliedAt;
+      this.stopSequence(key, 'replied', 'Reply received');
+      changed = true;
+    }
+
+    return changed;
+  }
+
+  getSequenceSummary() {
+    const contacts = Object.values(this.sequenceState);
+    const byStatus = {};
+    const byStep = {};
+
+    contacts.forEach(state => {
+      byStatus[state.status] = (byStatus[state.status] || 0) + 1;
+      byStep[state.currentStep] = (byStep[state.currentStep] || 0) + 1;
+    });
+
+    return {
+      totalSteps: this.getTotalSteps(),
+      steps: Array.from({ length: this.getTotalSteps() }, (_, i) => {
+        const step = this.getSequenceStep(i + 1);
+        return { step: step.step, delayBusinessDays: step.delayBusinessDays, templateId: step.templateId || null };
+      }),
+      byStatus,
+      byStep,
+      contacts
+    };
   }
 
   isValid() {
@@ -190,16 +501,111 @@ class Campaign {
       errors.push('Valid user email is required');
     }
 
+    if (!STATUSES.includes(this.status)) {
+      errors.push(`Status must be one of: ${STATUSES.join(', ')}`);
+    }
+
+    if (this.startDate && isNaN(new Date(this.startDate).getTime())) {
+      errors.push('Start date must be a valid date and time');
+    }
+
+    if (this.status === 'scheduled' && !this.startDate) {
+      errors.push('A scheduled campaign needs a start date');
+    }
+
+    if (!Array.isArray(this.senderPool)) {
+      errors.push('Sender pool must be a list of sender account IDs');
+    }
+
+    if (typeof this.trackOpens !== 'boolean') {
+      errors.push('Track opens must be true or false');
+    }
+
+    if (typeof this.trackClicks !== 'boolean') {
+      errors.push('Track clicks must be true or false');
+    }
+
+    if (this.sendingWindow !== null && typeof this.sendingWindow !== 'object') {
+      errors.push('Sending window must be an object');
+    } else {
+      errors.push(...SendingWindow.validate(this.sendingWindow));
+    }
+
+    if (this.hasVariants()) {
+      errors.push(...this.validateVariants());
+    }
+
+    if (!Array.isArray(this.sequence)) {
+      errors.push('Sequence must be a list of follow-up steps');
+    } else {
+      this.sequence.forEach((step, index) => {
+        const stepNumber = index + 2;
+        if (!Number.isInteger(step.delayBusinessDays) || step.delayBusinessDays < 1) {
+          errors.push(`Sequence step ${stepNumber} needs delayBusinessDays of at least 1`);
+        }
+        if (!step.templateId && !(step.template && step.template.trim())) {
+          errors.push(`Sequence step ${stepNumber} needs a templateId or template content`);
+        }
+      });
+    }
+
     return {
       valid: errors.length === 0,
       errors
     };
   }
 
+  validateVariants() {
+    const errors = [];
+
+    if (this.variants.length < 2) {
+      errors.push('An A/B test needs at least two variants');
+    }
+    const ids = this.variants.map(variant => variant.id);
+    if (new Set(ids).size !== ids.length) {
+      errors.push('Variant ids must be unique');
+    }
+    this.variants.forEach(variant => {
+      if (!variant.subject && !variant.templateId && !(variant.template && variant.template.trim())) {
+        errors.push(`Variant ${variant.id} needs a subject, templateId or template content`);
+      }
+      if (variant.weight !== undefined && variant.weight !== null &&
+        (!Number.isFinite(Number(variant.weight)) || Number(variant.weight) < 0)) {
+        errors.push(`Variant ${variant.id} weight must be a non-negative percentage`);
+      }
+    });
+
+    const split = this.getVariantSplit();
+    const total = split.reduce((sum, variant) => sum + variant.weight, 0);
+    if (Math.abs(total - 100) > 0.01) {
+      errors.push(`Variant weights must add up to 100 (got ${Math.round(total * 100) / 100})`);
+    }
+
+    const abTest = Campaign.getAbTestSettings(this.abTest);
+    if (!AB_TEST_METRICS.includes(abTest.metric)) {
+      errors.push(`A/B test metric must be one of: ${AB_TEST_METRICS.join(', ')}`);
+    } else if (abTest.metric === 'open' && !this.trackOpens) {
+      errors.push('Picking the winner by opens needs trackOpens');
+    } else if (abTest.metric === 'click' && !this.trackClicks) {
+      errors.push('Picking the winner by clicks needs trackClicks');
+    }
+    if (!Number.isInteger(abTest.minSamplePerVariant) || abTest.minSamplePerVariant < 1) {
+      errors.push('A/B test minSamplePerVariant must be a positive whole number');
+    }
+    if (this.winnerVariantId && !this.getVariant(this.winnerVariantId)) {
+      errors.push(`Winner variant ${this.winnerVariantId} does not exist`);
+    }
+
+    return errors;
+  }
+
   // Static methods
   static async findByStatus(status) {
-    const campaigns = await this.loadAll();
-    return campaigns.filter(c => c.status === status).sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    const campaigns = await this.getStorage().find('campaigns', {
+      where: { status },
+      orderBy: { field: 'createdAt', direction: 'desc' }
+    });
+    return campaigns.map(campaign => new Campaign(campaign));
   }
 
   static async getActiveCampaigns() {
@@ -210,9 +616,18 @@ class Campaign {
     return this.findByStatus('completed');
   }
 
+  // Campaigns waiting for their start date, soonest first
+  static async getScheduledCampaigns() {
+    const campaigns = await this.findByStatus('scheduled');
+    return campaigns.sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+  }
+
   static async getCampaignsByUser(userEmail) {
-    const campaigns = await this.loadAll();
-    return campaigns.filter(c => c.userEmail === userEmail).sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    const campaigns = await this.getStorage().find('campaigns', {
+      where: { userEmail },
+      orderBy: { field: 'createdAt', direction: 'desc' }
+    });
+    return campaigns.map(campaign => new Campaign(campaign));
   }
 
   toJSON() {
@@ -220,21 +635,39 @@ class Campaign {
       id: this.id,
       name: this.name,
       status: this.status,
+      type: this.type,
       contacts: this.contacts,
+      segmentId: this.segmentId,
       template: this.template,
       templateId: this.templateId,
       subject: this.subject,
       resumeDocLink: this.resumeDocLink,
+      attachments: this.attachments,
       userEmail: this.userEmail,
       totalEmails: this.totalEmails,
       sentEmails: this.sentEmails,
       failedEmails: this.failedEmails,
+      skippedEmails: this.skippedEmails,
       dailyLogs: this.dailyLogs,
       delay: this.delay,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
       lastProcessedAt: this.lastProcessedAt,
-      completedAt: this.completedAt
+      completedAt: this.completedAt,
+      startDate: this.startDate,
+      startedAt: this.startedAt,
+      cancelledAt: this.cancelledAt,
+      sequence: this.sequence,
+      sequenceState: this.sequenceState,
+      senderId: this.senderId,
+      senderPool: this.senderPool,
+      sendingWindow: this.sendingWindow,
+      trackOpens: this.trackOpens,
+      trackClicks: this.trackClicks,
+      variants: this.variants,
+      abTest: this.abTest,
+      winnerVariantId: this.winnerVariantId,
+      promotedAt: this.promotedAt
     };
   }
 }
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const storage = require('../config/storage');
+
+// Contact fields a spreadsheet column can be mapped to
+const FIELDS = ['email', 'company_name', 'name', 'subject', 'message_body', 'timezone'];
+const REQUIRED_FIELDS = ['email', 'company_name'];
+
+const normalizeHeader = (header) => String(header === null || header === undefined ? '' : header)
+  .trim()
+  .toLowerCase()
+  .replace(/\s+/g, ' ');
+
+// Saved column mapping, reused for uploads with the same header shape
+class ColumnMapping {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.name = data.name || '';
+    this.signature = data.signature || ColumnMapping.getSignature(data.headers || []);
+    this.headers = data.headers || [];
+    // { email: 'Recruiter Mail', company_name: 'Org', ... } - field -> spreadsheet header
+    this.fields = data.fields || {};
+    this.useCount = data.useCount || 0;
+    this.lastUsedAt = data.lastUsedAt || null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  static get FIELDS() {
+    return FIELDS;
+  }
+
+  static get REQUIRED_FIELDS() {
+    return REQUIRED_FIELDS;
+  }
+
+  static normalizeHeader(header) {
+    return normalizeHeader(header);
+  }
+
+  // Same set of headers (ignoring case, spacing and order) gives the same signature
+  static getSignature(headers) {
+    const names = Array.from(new Set(headers.map(normalizeHeader).filter(Boolean))).sort();
+    return crypto.createHash('sha1').update(names.join('\n')).digest('hex');
+  }
+
+  // Problems with a field -> header mapping, checked against the file's headers when given
+  static validateFields(fields, headers = null) {
+    const errors = [];
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      return ['Mapping must be an object of field: column pairs'];
+    }
+
+    Object.keys(fields).forEach(field => {
+      if (!FIELDS.includes(field)) {
+        errors.push(`Unknown field "${field}" (expected ${FIELDS.join(', ')})`);
+      }
+    });
+    REQUIRED_FIELDS.forEach(field => {
+      if (!fields[field]) {
+        errors.push(`A column for ${field} is required`);
+      }
+    });
+
+    if (headers) {
+      const available = new Set(headers.map(normalizeHeader));
+      Object.entries(fields).forEach(([field, header]) => {
+        if (header && FIELDS.includes(field) && !available.has(normalizeHeader(header))) {
+          errors.push(`Column "${header}" mapped to ${field} is not in the file`);
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  // Storage backend (JSON files or SQLite, see config/storage)
+  static getStorage() {
+    return storage.getBackend();
+  }
+
+  // All saved mappings, most recently updated first
+  static async loadAll() {
+    const mappings = await this.getStorage().find('columnMappings', {
+      orderBy: { field: 'updatedAt', direction: 'desc' }
+    });
+    return mappings.map(mapping => new ColumnMapping(mapping));
+  }
+
+  static async findById(id) {
+    const mapping = await this.getStorage().findById('columnMappings', id);
+    return mapping ? new ColumnMapping(mapping) : null;
+  }
+
+  static async findBySignature(signature) {
+    const mappings = await this.getStorage().find('columnMappings', { where: { signature }, limit: 1 });
+    return mappings.length > 0 ? new ColumnMapping(mappings[0]) : null;
+  }
+
+  static async findForHeaders(headers) {
+    return this.findBySignature(this.getSignature(headers));
+  }
+
+  // Save a mapping for this header shape, replacing any earlier one
+  static async remember({ headers, fields, name }) {
+    const errors = this.validateFields(fields, headers);
+    if (errors.length > 0) {
+      throw new Error(`Invalid column mapping: ${errors.join(', ')}`);
+    }
+
+    const mapping = (await this.findForHeaders(headers)) || new ColumnMapping({ headers });
+    mapping.headers = headers;
+    mapping.fields = fields;
+    if (name) {
+      mapping.name = name;
+    }
+    return mapping.save();
+  }
+
+  async markUsed() {
+    this.useCount += 1;
+    this.lastUsedAt = new Date();
+    return this.save();
+  }
+
+  async save() {
+    this.updatedAt = new Date();
+    await ColumnMapping.getStorage().upsert('columnMappings', this.toJSON());
+    return this;
+  }
+
+  async delete() {
+    await ColumnMapping.getStorage().remove('columnMappings', this.id);
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      signature: this.signature,
+      headers: this.headers,
+      fields: this.fields,
+      useCount: this.useCount,
+      lastUsedAt: this.lastUsedAt,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = ColumnMapping;
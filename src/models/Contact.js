@@ -0,0 +1,250 @@
+const { v4: uuidv4 } = require('uuid');
+const storage = require('../config/storage');
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const getDomain = (email) => {
+  const address = normalizeEmail(email);
+  const at = address.lastIndexOf('@');
+  return at === -1 ? '' : address.slice(at + 1);
+};
+
+// Tags are matched case-insensitively, so they are stored lowercased and without duplicates
+const normalizeTags = (tags) => Array.from(new Set((Array.isArray(tags) ? tags : String(tags || '').split(','))
+  .map(tag => String(tag).trim().toLowerCase())
+  .filter(Boolean)));
+
+const sameText = (a, b) => String(a === undefined || a === null ? '' : a).trim().toLowerCase() ===
+  String(b === undefined || b === null ? '' : b).trim().toLowerCase();
+
+// Registry entry for one address across every campaign and send that touched it
+class Contact {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.email = normalizeEmail(data.email);
+    this.domain = data.domain || getDomain(data.email);
+    this.companyName = data.companyName || '';
+    this.name = data.name || '';
+    this.tags = normalizeTags(data.tags || []);
+    // [{ id, text, createdAt }]
+    this.notes = data.notes || [];
+    // Values of the custom fields defined in ContactField, keyed by field name
+    this.customFields = data.customFields || {};
+    // [{ campaignId, name, addedAt }]
+    this.campaigns = data.campaigns || [];
+    // [{ campaignId, emailId, messageId, subject, sequenceStep, sentAt }]
+    this.sends = data.sends || [];
+    this.sendCount = data.sendCount || 0;
+    this.firstContactedAt = data.firstContactedAt || null;
+    this.lastContactedAt = data.lastContactedAt || null;
+    this.lastCampaignId = data.lastCampaignId || null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  static normalizeEmail(email) {
+    return normalizeEmail(email);
+  }
+
+  static normalizeTags(tags) {
+    return normalizeTags(tags);
+  }
+
+  // Storage backend (JSON files or SQLite, see config/storage)
+  static getStorage() {
+    return storage.getBackend();
+  }
+
+  static async loadAll() {
+    const contacts = await this.getStorage().findAll('contacts');
+    return contacts.map(contact => new Contact(contact));
+  }
+
+  static async findById(id) {
+    const contact = await this.getStorage().findById('contacts', id);
+    return contact ? new Contact(contact) : null;
+  }
+
+  static async findByEmail(email) {
+    const contacts = await this.getStorage().find('contacts', { where: { email: normalizeEmail(email) }, limit: 1 });
+    return contacts.length > 0 ? new Contact(contacts[0]) : null;
+  }
+
+  // Registry entries for many addresses at once, keyed by normalized email
+  static async findByEmails(emails) {
+    const addresses = Array.from(new Set(emails.map(normalizeEmail).filter(Boolean)));
+    if (addresses.length === 0) {
+      return new Map();
+    }
+    const contacts = await this.getStorage().find('contacts', { where: { email: addresses } });
+    return new Map(contacts.map(contact => [contact.email, new Contact(contact)]));
+  }
+
+  static async findOrCreate(email, data = {}) {
+    const existing = await this.findByEmail(email);
+    return existing || new Contact({ ...data, email });
+  }
+
+  addCampaign(campaign) {
+    if (this.campaigns.some(entry => entry.campaignId === campaign.id)) {
+      return false;
+    }
+    this.campaigns.push({
+      campaignId: campaign.id,
+      name: campaign.name || '',
+      addedAt: new Date()
+    });
+    return true;
+  }
+
+  addSend(send) {
+    const sentAt = send.sentAt ? new Date(send.sentAt) : new Date();
+    this.sends.push({
+      campaignId: send.campaignId || null,
+      emailId: send.emailId || null,
+      messageId: send.messageId || null,
+      subject: send.subject || '',
+      sequenceStep: send.sequenceStep || null,
+      sentAt
+    });
+    this.sendCount += 1;
+    if (!this.firstContactedAt) {
+      this.firstContactedAt = sentAt;
+    }
+    if (!this.lastContactedAt || sentAt > new Date(this.lastContactedAt)) {
+      this.lastContactedAt = sentAt;
+      this.lastCampaignId = send.campaignId || null;
+    }
+  }
+
+  addNote(text) {
+    const note = { id: uuidv4(), text: String(text).trim(), createdAt: new Date() };
+    this.notes.push(note);
+    return note;
+  }
+
+  removeNote(noteId) {
+    const index = this.notes.findIndex(note => note.id === noteId);
+    if (index === -1) {
+      return null;
+    }
+    return this.notes.splice(index, 1)[0];
+  }
+
+  /**
+   * Whether the contact is in a segment; every given criterion must match
+   * @param {Object} filter - { tags, company, domain, search, fields }
+   * @returns {boolean}
+   */
+  matches(filter = {}) {
+    const tags = normalizeTags(filter.tags || []);
+    if (tags.some(tag => !this.tags.includes(tag))) {
+      return false;
+    }
+    if (filter.company && !sameText(this.companyName, filter.company)) {
+      return false;
+    }
+    if (filter.domain) {
+      const domain = normalizeEmail(filter.domain).replace(/^@/, '');
+      if (this.domain !== domain && !this.domain.endsWith(`.${domain}`)) {
+        return false;
+      }
+    }
+    if (filter.search) {
+      const term = String(filter.search).trim().toLowerCase();
+      if (![this.email, this.companyName, this.name].some(value => value.toLowerCase().includes(term))) {
+        return false;
+      }
+    }
+    return Object.entries(filter.fields || {}).every(([field, value]) => sameText(this.customFields[field], value));
+  }
+
+  // Campaign recipient for this contact; custom fields and tags become template variables
+  toRecipient() {
+    const variables = { ...this.customFields, tags: this.tags.join(', ') };
+    const recipient = {
+      email: this.email,
+      company_name: this.companyName,
+      contactId: this.id,
+      variables
+    };
+    if (this.name) {
+      recipient.name = this.name;
+    }
+    if (this.customFields.timezone) {
+      recipient.timezone = this.customFields.timezone;
+    }
+    return recipient;
+  }
+
+  isValid() {
+    const errors = [];
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+    if (!emailRegex.test(this.email)) {
+      errors.push('A valid email address is required');
+    }
+    if (!Array.isArray(this.tags)) {
+      errors.push('Tags must be a list');
+    }
+    if (!this.customFields || typeof this.customFields !== 'object' || Array.isArray(this.customFields)) {
+      errors.push('Custom fields must be an object');
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  // Days since the last successful send, or null if never contacted
+  getDaysSinceContact(now = new Date()) {
+    if (!this.lastContactedAt) {
+      return null;
+    }
+    return (now - new Date(this.lastContactedAt)) / (24 * 60 * 60 * 1000);
+  }
+
+  // Store several entries with one write
+  static async saveMany(contacts) {
+    const now = new Date();
+    contacts.forEach(contact => {
+      contact.updatedAt = now;
+    });
+    await this.getStorage().upsertMany('contacts', contacts.map(contact => contact.toJSON()));
+    return contacts;
+  }
+
+  async save() {
+    this.updatedAt = new Date();
+    await Contact.getStorage().upsert('contacts', this.toJSON());
+    return this;
+  }
+
+  async delete() {
+    await Contact.getStorage().remove('contacts', this.id);
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      email: this.email,
+      domain: this.domain,
+      companyName: this.companyName,
+      name: this.name,
+      tags: this.tags,
+      notes: this.notes,
+      customFields: this.customFields,
+      campaigns: this.campaigns,
+      sends: this.sends,
+      sendCount: this.sendCount,
+      firstContactedAt: this.firstContactedAt,
+      lastContactedAt: this.lastContactedAt,
+      lastCampaignId: this.lastCampaignId,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = Contact;
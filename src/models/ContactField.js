@@ -0,0 +1,113 @@
+const { v4: uuidv4 } = require('uuid');
+const storage = require('../config/storage');
+
+const TYPES = ['text', 'number', 'boolean', 'date'];
+
+// Field names double as template variables ({{city}}), so they follow the same rules
+const NAME_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+
+// Fields every contact already has, which custom fields may not shadow
+const RESERVED_NAMES = ['email', 'company_name', 'name', 'tags', 'unsubscribe_url'];
+
+// Definition of a typed custom field that contacts can carry a value for
+class ContactField {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.name = String(data.name || '').trim();
+    this.label = data.label || this.name;
+    this.type = data.type || 'text';
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  static get TYPES() {
+    return TYPES;
+  }
+
+  // Storage backend (JSON files or SQLite, see config/storage)
+  static getStorage() {
+    return storage.getBackend();
+  }
+
+  static async loadAll() {
+    const fields = await this.getStorage().find('contactFields', { orderBy: { field: 'name', direction: 'asc' } });
+    return fields.map(field => new ContactField(field));
+  }
+
+  static async findByName(name) {
+    const fields = await this.getStorage().find('contactFields', { where: { name }, limit: 1 });
+    return fields.length > 0 ? new ContactField(fields[0]) : null;
+  }
+
+  // Convert a submitted value to the field's type; null clears it, anything unconvertible throws
+  coerce(value) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+
+    switch (this.type) {
+      case 'number': {
+        const number = typeof value === 'number' ? value : parseFloat(value);
+        if (!Number.isFinite(number)) {
+          throw new Error(`${this.name} must be a number`);
+        }
+        return number;
+      }
+      case 'boolean':
+        if (typeof value === 'boolean') return value;
+        if (['true', 'yes', '1'].includes(String(value).toLowerCase())) return true;
+        if (['false', 'no', '0'].includes(String(value).toLowerCase())) return false;
+        throw new Error(`${this.name} must be true or false`);
+      case 'date': {
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+          throw new Error(`${this.name} must be a valid date`);
+        }
+        return date.toISOString().slice(0, 10);
+      }
+      default:
+        return String(value).trim();
+    }
+  }
+
+  isValid() {
+    const errors = [];
+
+    if (!NAME_PATTERN.test(this.name)) {
+      errors.push('Name must start with a lowercase letter and use only lowercase letters, digits and underscores (max 50)');
+    } else if (RESERVED_NAMES.includes(this.name)) {
+      errors.push(`Name cannot be one of: ${RESERVED_NAMES.join(', ')}`);
+    }
+    if (!TYPES.includes(this.type)) {
+      errors.push(`Type must be one of: ${TYPES.join(', ')}`);
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  async save() {
+    this.updatedAt = new Date();
+    await ContactField.getStorage().upsert('contactFields', this.toJSON());
+    return this;
+  }
+
+  async delete() {
+    await ContactField.getStorage().remove('contactFields', this.id);
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      label: this.label,
+      type: this.type,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = ContactField;
@@ -1,6 +1,5 @@
-const fs = require('fs').promises;
-const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const storage = require('../config/storage');
 
 class Email {
   constructor(data = {}) {
@@ -16,12 +15,35 @@ class Email {
     this.templateId = data.templateId || '';
     this.templateName = data.templateName || '';
     this.templateCategory = data.templateCategory || '';
+    this.templateVersion = data.templateVersion || null;
+    this.templateVersionId = data.templateVersionId || null;
+    this.sequenceStep = data.sequenceStep || null;
+    // A/B test variant of the campaign the email was rendered from
+    this.variantId = data.variantId || null;
+    this.inReplyTo = data.inReplyTo || null;
+    this.references = data.references || null;
+    this.unsubscribeUrl = data.unsubscribeUrl || null;
+    // Sender account the email went out through, or the one it is pinned to before sending
+    this.senderId = data.senderId || null;
+    // Accounts to rotate across when not pinned (not stored)
+    this.senderPool = data.senderPool || [];
     this.userEmail = data.userEmail || '';
     this.batchId = data.batchId || '';
     this.status = data.status || 'pending';
     this.sentAt = data.sentAt || null;
     this.deliveredAt = data.deliveredAt || null;
     this.failedAt = data.failedAt || null;
+    this.repliedAt = data.repliedAt || null;
+    this.bouncedAt = data.bouncedAt || null;
+    // Open tracking pixel loads: first and latest, how many, and the latest client
+    this.openedAt = data.openedAt || null;
+    this.lastOpenedAt = data.lastOpenedAt || null;
+    this.openCount = data.openCount || 0;
+    this.openUserAgent = data.openUserAgent || null;
+    // Tracked link clicks: first and latest, and how many (per-link clicks are LinkClick records)
+    this.clickedAt = data.clickedAt || null;
+    this.lastClickedAt = data.lastClickedAt || null;
+    this.clickCount = data.clickCount || 0;
     this.error = data.error || null;
     this.retryCount = data.retryCount || 0;
     this.maxRetries = data.maxRetries || 3;
@@ -38,68 +60,66 @@ class Email {
     this.updatedAt = data.updatedAt || new Date();
   }
 
-  // File storage path
-  static getStoragePath() {
-    return path.join(__dirname, '../../data/emails.json');
+  // Storage backend (JSON files or SQLite, see config/storage)
+  static getStorage() {
+    return storage.getBackend();
   }
 
-  // Load all emails from file
+  // Load all emails
   static async loadAll() {
-    try {
-      const storagePath = this.getStoragePath();
-      const data = await fs.readFile(storagePath, 'utf8');
-      const emails = JSON.parse(data);
-      return emails.map(email => new Email(email));
-    } catch (error) {
-      // If file doesn't exist, return empty array
-      return [];
-    }
+    const emails = await this.getStorage().findAll('emails');
+    return emails.map(email => new Email(email));
   }
 
-  // Save all emails to file
+  // Replace all stored emails
   static async saveAll(emails) {
-    const storagePath = this.getStoragePath();
-    const dir = path.dirname(storagePath);
-
-    // Ensure directory exists
-    try {
-      await fs.mkdir(dir, { recursive: true });
-    } catch (error) {
-      // Directory might already exist
-    }
-
-    const data = JSON.stringify(emails.map(e => e.toJSON()), null, 2);
-    await fs.writeFile(storagePath, data, 'utf8');
+    await this.getStorage().replaceAll('emails', emails.map(e => e.toJSON()));
   }
 
   // Find email by ID
   static async findById(id) {
-    const emails = await this.loadAll();
-    return emails.find(e => e.id === id) || null;
+    const email = await this.getStorage().findById('emails', id);
+    return email ? new Email(email) : null;
+  }
+
+  // Find emails by indexed fields
+  static async find(query = {}) {
+    const emails = await this.getStorage().find('emails', query);
+    return emails.map(email => new Email(email));
+  }
+
+  // Count emails by indexed fields
+  static async count(query = {}) {
+    return this.getStorage().count('emails', query);
   }
 
   // Save this email
   async save() {
-    const emails = await Email.loadAll();
-    const existingIndex = emails.findIndex(e => e.id === this.id);
-
     this.updatedAt = new Date();
-
-    if (existingIndex >= 0) {
-      emails[existingIndex] = this;
-    } else {
-      emails.push(this);
-    }
-
-    await Email.saveAll(emails);
+    await Email.getStorage().upsert('emails', this.toJSON());
     return this;
   }
 
+  /**
+   * Change an email as it is stored now, as one step under the storage backend's write lock,
+   * so counters bumped by concurrent requests are not lost
+   * @param {string} id - Email ID
+   * @param {Function} mutate - Changes the Email it is given; must not await
+   * @returns {Promise<Email|null>} The email as stored afterwards, or null if not found
+   */
+  static async update(id, mutate) {
+    const record = await this.getStorage().update('emails', id, stored => {
+      const email = new Email(stored);
+      mutate(email);
+      email.updatedAt = new Date();
+      return email.toJSON();
+    });
+    return record ? new Email(record) : null;
+  }
+
   // Delete this email
   async delete() {
-    const emails = await Email.loadAll();
-    const filtered = emails.filter(e => e.id !== this.id);
-    await Email.saveAll(filtered);
+    await Email.getStorage().remove('emails', this.id);
   }
 
   // Instance methods
@@ -135,6 +155,83 @@ class Email {
     return this.save();
   }
 
+  // Record an inbound reply on the stored email
+  async markAsReplied(reply = {}) {
+    const repliedAt = reply.receivedAt ? new Date(reply.receivedAt) : new Date();
+    const updated = await Email.update(this.id, email => {
+      email.status = 'replied';
+      email.repliedAt = repliedAt;
+      email.metadata = {
+        ...email.metadata,
+        reply: {
+          messageId: reply.messageId || null,
+          from: reply.from || null,
+          subject: reply.subject || null
+        }
+      };
+    });
+    if (updated) {
+      Object.assign(this, updated);
+    }
+    return this;
+  }
+
+  // Record an asynchronous bounce reported by a delivery status notification on the stored email
+  async markAsBounced(bounce = {}) {
+    const bouncedAt = bounce.reportedAt ? new Date(bounce.reportedAt) : new Date();
+    const updated = await Email.update(this.id, email => {
+      email.status = 'bounced';
+      email.bouncedAt = bouncedAt;
+      email.error = [bounce.statusCode, bounce.diagnosticCode].filter(Boolean).join(' ') || 'Bounced';
+      email.metadata = {
+        ...email.metadata,
+        bounce: {
+          statusCode: bounce.statusCode || null,
+          type: bounce.type || null,
+          action: bounce.action || null,
+          diagnosticCode: bounce.diagnosticCode || null,
+          remoteMta: bounce.remoteMta || null,
+          dsnMessageId: bounce.dsnMessageId || null
+        }
+      };
+    });
+    if (updated) {
+      Object.assign(this, updated);
+    }
+    return this;
+  }
+
+  // Record a load of the open tracking pixel on the stored email; the status stays as it is
+  async markAsOpened({ userAgent = null, openedAt = new Date() } = {}) {
+    const updated = await Email.update(this.id, email => {
+      if (!email.openedAt) {
+        email.openedAt = openedAt;
+      }
+      email.lastOpenedAt = openedAt;
+      email.openCount += 1;
+      email.openUserAgent = userAgent ? String(userAgent).slice(0, 300) : email.openUserAgent;
+    });
+    if (updated) {
+      Object.assign(this, updated);
+    }
+    return this;
+  }
+
+  // Record a click on one of the email's tracked links on the stored email
+  async markAsClicked(clickedAt = new Date()) {
+    const updated = await Email.update(this.id, email => {
+      if (!email.clickedAt) {
+        email.clickedAt = clickedAt;
+      }
+      email.lastClickedAt = clickedAt;
+      email.clickCount += 1;
+    });
+    if (updated) {
+      Object.assign(this, updated);
+    }
+    return this;
+  }
+
   canRetry() {
     return this.retryCount < this.maxRetries && this.status !== 'sent';
   }
@@ -175,6 +272,23 @@ class Email {
       html: this.html || this.content
     };
 
+    // Thread follow-ups under the previous message
+    if (this.inReplyTo) {
+      mailOptions.inReplyTo = this.inReplyTo;
+    }
+    if (this.references) {
+      mailOptions.references = this.references;
+    }
+
+    // RFC 8058 one-click unsubscribe, required by Gmail and Yahoo for bulk senders
+    if (this.unsubscribeUrl) {
+      const mailto = process.env.UNSUBSCRIBE_MAILTO;
+      mailOptions.headers = {
+        'List-Unsubscribe': mailto ? `<${this.unsubscribeUrl}>, <mailto:${mailto}?subject=unsubscribe>` : `<${this.unsubscribeUrl}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      };
+    }
+
     // Add attachments if present
     if (this.attachments && this.attachments.length > 0) {
       mailOptions.attachments = this.attachments.map(att => ({
@@ -208,50 +322,60 @@ class Email {
 
   // Static methods
   static async findByCampaign(campaignId) {
-    const emails = await this.loadAll();
-    return emails.filter(e => e.campaignId === campaignId).sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    return this.find({
+      where: { campaignId },
+      orderBy: { field: 'createdAt', direction: 'desc' }
+    });
   }
 
   static async findByRecipient(email) {
-    const emails = await this.loadAll();
-    return emails.filter(e => e.recipient.email === email).sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    return this.find({
+      where: { recipient: String(email).trim().toLowerCase() },
+      orderBy: { field: 'createdAt', direction: 'desc' }
+    });
+  }
+
+  // Find emails whose SMTP Message-ID is one of the given IDs
+  static async findByMessageIds(messageIds) {
+    if (!messageIds || messageIds.length === 0) {
+      return [];
+    }
+    return this.find({
+      where: { messageId: messageIds },
+      orderBy: { field: 'sentAt', direction: 'desc' }
+    });
   }
 
   static async findByStatus(status) {
-    const emails = await this.loadAll();
-    return emails.filter(e => e.status === status).sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    return this.find({
+      where: { status },
+      orderBy: { field: 'createdAt', direction: 'desc' }
+    });
   }
 
   static async getSentEmails(campaignId = null) {
-    const emails = await this.loadAll();
-    let filtered = emails.filter(e => e.status === 'sent');
+    const where = { status: 'sent' };
     if (campaignId) {
-      filtered = filtered.filter(e => e.campaignId === campaignId);
+      where.campaignId = campaignId;
     }
-    return filtered.sort((a, b) => new Date(b.sentAt) - new Date(a.sentAt));
+    return this.find({ where, orderBy: { field: 'sentAt', direction: 'desc' } });
   }
 
   static async getFailedEmails(campaignId = null) {
-    const emails = await this.loadAll();
-    let filtered = emails.filter(e => e.status === 'failed');
-    if (campaignId) {
-      filtered = filtered.filter(e => e.campaignId === campaignId);
-    }
-    return filtered.sort((a, b) => new Date(b.failedAt) - new Date(a.failedAt));
+    const emails = await this.find({ where: campaignId ? { status: 'failed', campaignId } : { status: 'failed' } });
+    return emails.sort((a, b) => new Date(b.failedAt) - new Date(a.failedAt));
   }
 
   static async getPendingEmails(campaignId = null) {
-    const emails = await this.loadAll();
-    let filtered = emails.filter(e => e.status === 'pending');
+    const where = { status: 'pending' };
     if (campaignId) {
-      filtered = filtered.filter(e => e.campaignId === campaignId);
+      where.campaignId = campaignId;
     }
-    return filtered.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    return this.find({ where, orderBy: { field: 'createdAt', direction: 'desc' } });
   }
 
   static async getEmailStats(campaignId = null) {
-    const emails = await this.loadAll();
-    let filtered = campaignId ? emails.filter(e => e.campaignId === campaignId) : emails;
+    const filtered = campaignId ? await this.find({ where: { campaignId } }) : await this.loadAll();
 
     const stats = {};
     filtered.forEach(email => {
@@ -269,32 +393,56 @@ class Email {
     }));
   }
 
-  static async getEmailsByDateRange(startDate, endDate, campaignId = null) {
-    const emails = await this.loadAll();
-    let filtered = emails.filter(e => {
-      const createdAt = new Date(e.createdAt);
-      return createdAt >= new Date(startDate) && createdAt <= new Date(endDate);
-    });
+  // Opens among delivered emails (sent or replied; bounces never arrived)
+  static async getOpenStats(campaignId = null) {
+    const where = { status: ['sent', 'replied'] };
+    if (campaignId) {
+      where.campaignId = campaignId;
+    }
+    const delivered = await this.find({ where });
+    const opened = delivered.filter(email => email.openCount > 0);
+
+    return {
+      delivered: delivered.length,
+      opened: opened.length,
+      totalOpens: opened.reduce((sum, email) => sum + email.openCount, 0),
+      openRate: delivered.length > 0 ? Math.round((opened.length / delivered.length) * 1000) / 10 : 0
+    };
+  }
 
+  // Delivered emails with at least one tracked link click
+  static async getClickStats(campaignId = null) {
+    const where = { status: ['sent', 'replied'] };
     if (campaignId) {
-      filtered = filtered.filter(e => e.campaignId === campaignId);
+      where.campaignId = campaignId;
     }
+    const delivered = await this.find({ where });
+    const clicked = delivered.filter(email => email.clickCount > 0);
+
+    return {
+      delivered: delivered.length,
+      clicked: clicked.length,
+      totalClicks: clicked.reduce((sum, email) => sum + email.clickCount, 0),
+      clickRate: delivered.length > 0 ? Math.round((clicked.length / delivered.length) * 1000) / 10 : 0
+    };
+  }
 
-    return filtered.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  static async getEmailsByDateRange(startDate, endDate, campaignId = null) {
+    return this.find({
+      where: campaignId ? { campaignId } : {},
+      range: { createdAt: { gte: startDate, lte: endDate } },
+      orderBy: { field: 'createdAt', direction: 'desc' }
+    });
   }
 
   static async cleanupOldEmails(daysOld = 90) {
-    const emails = await this.loadAll();
     const cutoffDate = new Date();
     cutoffDate.setDate(cutoffDate.getDate() - daysOld);
 
-    const filtered = emails.filter(e => {
-      const createdAt = new Date(e.createdAt);
-      return createdAt >= cutoffDate || !['sent', 'failed'].includes(e.status);
+    return this.getStorage().removeWhere('emails', {
+      where: { status: ['sent', 'failed'] },
+      range: { createdAt: { lt: cutoffDate } }
     });
-
-    await this.saveAll(filtered);
-    return emails.length - filtered.length;
   }
 
   toJSON() {
@@ -311,12 +459,29 @@ class Email {
       templateId: this.templateId,
       templateName: this.templateName,
       templateCategory: this.templateCategory,
+      templateVersion: this.templateVersion,
+      templateVersionId: this.templateVersionId,
+      sequenceStep: this.sequenceStep,
+      variantId: this.variantId,
+      inReplyTo: this.inReplyTo,
+      references: this.references,
+      unsubscribeUrl: this.unsubscribeUrl,
+      senderId: this.senderId,
       userEmail: this.userEmail,
       batchId: this.batchId,
       status: this.status,
       sentAt: this.sentAt,
       deliveredAt: this.deliveredAt,
       failedAt: this.failedAt,
+      repliedAt: this.repliedAt,
+      bouncedAt: this.bouncedAt,
+      openedAt: this.openedAt,
+      lastOpenedAt: this.lastOpenedAt,
+      openCount: this.openCount,
+      openUserAgent: this.openUserAgent,
+      clickedAt: this.clickedAt,
+      lastClickedAt: this.lastClickedAt,
+      clickCount: this.clickCount,
       error: this.error,
       retryCount: this.retryCount,
       maxRetries: this.maxRetries,
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const storage = require('../config/storage');
+
+// How long a stored response is replayed for (IDEMPOTENCY_KEY_TTL_HOURS)
+const getTtlMs = () => (parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// Response stored under a client's Idempotency-Key, replayed when the request is retried
+class IdempotencyKey {
+  constructor(data = {}) {
+    this.scope = data.scope || '';
+    this.key = data.key || '';
+    this.id = data.id || IdempotencyKey.makeId(this.scope, this.key);
+    // Hash of the request payload the key was first used with
+    this.fingerprint = data.fingerprint || '';
+    this.statusCode = data.statusCode || 200;
+    this.response = data.response !== undefined ? data.response : null;
+    this.createdAt = data.createdAt || new Date();
+    this.expiresAt = data.expiresAt || new Date(Date.now() + getTtlMs());
+  }
+
+  // Keys are per endpoint, so the same key on two endpoints never collides
+  static makeId(scope, key) {
+    return crypto.createHash('sha256').update(`${scope}\n${key}`).digest('hex');
+  }
+
+  // Storage backend (JSON files or SQLite, see config/storage)
+  static getStorage() {
+    return storage.getBackend();
+  }
+
+  // Stored response for a key, ignoring expired ones
+  static async find(scope, key, now = new Date()) {
+    const record = await this.getStorage().findById('idempotencyKeys', this.makeId(scope, key));
+    if (!record) {
+      return null;
+    }
+    const entry = new IdempotencyKey(record);
+    return entry.isExpired(now) ? null : entry;
+  }
+
+  // Remove keys past their retention, returning how many were dropped
+  static async purgeExpired(now = new Date()) {
+    return this.getStorage().removeWhere('idempotencyKeys', { range: { expiresAt: { lt: now } } });
+  }
+
+  isExpired(now = new Date()) {
+    return new Date(this.expiresAt) <= now;
+  }
+
+  matches(fingerprint) {
+    return this.fingerprint === fingerprint;
+  }
+
+  async save() {
+    await IdempotencyKey.getStorage().upsert('idempotencyKeys', this.toJSON());
+    return this;
+  }
+
+  async delete() {
+    await IdempotencyKey.getStorage().remove('idempotencyKeys', this.id);
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      scope: this.scope,
+      key: this.key,
+      fingerprint: this.fingerprint,
+      statusCode: this.statusCode,
+      response: this.response,
+      createdAt: this.createdAt,
+      expiresAt: this.expiresAt
+    };
+  }
+}
+
+module.exports = IdempotencyKey;
@@ -0,0 +1,77 @@
+const { v4: uuidv4 } = require('uuid');
+const storage = require('../config/storage');
+
+// One click on a tracked link in a sent email
+class LinkClick {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.emailId = data.emailId || null;
+    this.campaignId = data.campaignId || null;
+    this.recipient = data.recipient || '';
+    this.companyName = data.companyName || '';
+    // Original link target the recipient was redirected to
+    this.url = data.url || '';
+    this.userAgent = data.userAgent ? String(data.userAgent).slice(0, 300) : null;
+    this.clickedAt = data.clickedAt || new Date();
+  }
+
+  // Storage backend (JSON files or SQLite, see config/storage)
+  static getStorage() {
+    return storage.getBackend();
+  }
+
+  static async find(query = {}) {
+    const clicks = await this.getStorage().find('linkClicks', query);
+    return clicks.map(click => new LinkClick(click));
+  }
+
+  static async findByCampaign(campaignId) {
+    return this.find({
+      where: { campaignId },
+      orderBy: { field: 'clickedAt', direction: 'asc' }
+    });
+  }
+
+  static async findByEmail(emailId) {
+    return this.find({
+      where: { emailId },
+      orderBy: { field: 'clickedAt', direction: 'asc' }
+    });
+  }
+
+  isValid() {
+    const errors = [];
+
+    if (!this.emailId) {
+      errors.push('Email ID is required');
+    }
+    if (!/^https?:\/\//i.test(this.url)) {
+      errors.push('URL must be an http(s) link');
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  async save() {
+    await LinkClick.getStorage().upsert('linkClicks', this.toJSON());
+    return this;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      emailId: this.emailId,
+      campaignId: this.campaignId,
+      recipient: this.recipient,
+      companyName: this.companyName,
+      url: this.url,
+      userAgent: this.userAgent,
+      clickedAt: this.clickedAt
+    };
+  }
+}
+
+module.exports = LinkClick;
@@ -1,6 +1,5 @@
-const fs = require('fs').promises;
-const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const storage = require('../config/storage');
 
 class Log {
   constructor(data = {}) {
@@ -22,59 +21,43 @@ class Log {
     this.timestamp = data.timestamp || new Date();
   }
 
-  // File storage path
-  static getStoragePath() {
-    return path.join(__dirname, '../../data/logs.json');
+  // Storage backend (JSON files or SQLite, see config/storage)
+  static getStorage() {
+    return storage.getBackend();
   }
 
-  // Load all logs from file
+  // Load all logs
   static async loadAll() {
-    try {
-      const storagePath = this.getStoragePath();
-      const data = await fs.readFile(storagePath, 'utf8');
-      const logs = JSON.parse(data);
-      return logs.map(log => new Log(log));
-    } catch (error) {
-      // If file doesn't exist, return empty array
-      return [];
-    }
+    const logs = await this.getStorage().findAll('logs');
+    return logs.map(log => new Log(log));
   }
 
-  // Save all logs to file
+  // Replace all stored logs
   static async saveAll(logs) {
-    const storagePath = this.getStoragePath();
-    const dir = path.dirname(storagePath);
-
-    // Ensure directory exists
-    try {
-      await fs.mkdir(dir, { recursive: true });
-    } catch (error) {
-      // Directory might already exist
-    }
-
-    const data = JSON.stringify(logs.map(l => l.toJSON()), null, 2);
-    await fs.writeFile(storagePath, data, 'utf8');
+    await this.getStorage().replaceAll('logs', logs.map(l => l.toJSON()));
   }
 
   // Find log by ID
   static async findById(id) {
-    const logs = await this.loadAll();
-    return logs.find(l => l.id === id) || null;
+    const log = await this.getStorage().findById('logs', id);
+    return log ? new Log(log) : null;
+  }
+
+  // Find logs by indexed fields
+  static async find(query = {}) {
+    const logs = await this.getStorage().find('logs', query);
+    return logs.map(log => new Log(log));
   }
 
   // Save this log
   async save() {
-    const logs = await Log.loadAll();
-    logs.push(this);
-    await Log.saveAll(logs);
+    await Log.getStorage().upsert('logs', this.toJSON());
     return this;
   }
 
   // Delete this log
   async delete() {
-    const logs = await Log.loadAll();
-    const filtered = logs.filter(l => l.id !== this.id);
-    await Log.saveAll(filtered);
+    await Log.getStorage().remove('logs', this.id);
   }
 
   // Instance methods
@@ -185,30 +168,34 @@ class Log {
   }
 
   static async getLogsByLevel(level, limit = 100) {
-    const logs = await this.loadAll();
-    return logs.filter(l => l.level === level)
-      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-      .slice(0, limit);
+    return this.find({
+      where: { level },
+      orderBy: { field: 'timestamp', direction: 'desc' },
+      limit
+    });
   }
 
   static async getLogsByCategory(category, limit = 100) {
-    const logs = await this.loadAll();
-    return logs.filter(l => l.category === category)
-      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-      .slice(0, limit);
+    return this.find({
+      where: { category },
+      orderBy: { field: 'timestamp', direction: 'desc' },
+      limit
+    });
   }
 
   static async getLogsByCampaign(campaignId, limit = 100) {
-    const logs = await this.loadAll();
-    return logs.filter(l => l.campaignId === campaignId)
-      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-      .slice(0, limit);
+    return this.find({
+      where: { campaignId },
+      orderBy: { field: 'timestamp', direction: 'desc' },
+      limit
+    });
   }
 
   static async getRecentLogs(limit = 100) {
-    const logs = await this.loadAll();
-    return logs.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-      .slice(0, limit);
+    return this.find({
+      orderBy: { field: 'timestamp', direction: 'desc' },
+      limit
+    });
   }
 
   static async getErrorLogs(limit = 100) {
@@ -216,17 +203,11 @@ class Log {
   }
 
   static async getLogsByDateRange(startDate, endDate, category = null) {
-    const logs = await this.loadAll();
-    let filtered = logs.filter(l => {
-      const timestamp = new Date(l.timestamp);
-      return timestamp >= new Date(startDate) && timestamp <= new Date(endDate);
+    return this.find({
+      where: category ? { category } : {},
+      range: { timestamp: { gte: startDate, lte: endDate } },
+      orderBy: { field: 'timestamp', direction: 'desc' }
     });
-
-    if (category) {
-      filtered = filtered.filter(l => l.category === category);
-    }
-
-    return filtered.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
   }
 
   static async getLogStats() {
@@ -253,13 +234,12 @@ class Log {
   }
 
   static async cleanupOldLogs(daysOld = 90) {
-    const logs = await this.loadAll();
     const cutoffDate = new Date();
     cutoffDate.setDate(cutoffDate.getDate() - daysOld);
 
-    const filtered = logs.filter(l => new Date(l.timestamp) >= cutoffDate);
-    await this.saveAll(filtered);
-    return logs.length - filtered.length;
+    return this.getStorage().removeWhere('logs', {
+      range: { timestamp: { lt: cutoffDate } }
+    });
   }
 
   toJSON() {
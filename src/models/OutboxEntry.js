@@ -0,0 +1,232 @@
+const { v4: uuidv4 } = require('uuid');
+const storage = require('../config/storage');
+
+const STATUSES = ['pending', 'sending', 'sent', 'failed', 'cancelled', 'interrupted'];
+
+// Entries that still stand for an email that may go out: waiting, in flight, or
+// interrupted by a restart mid-send and held until someone retries them
+const UNSETTLED_STATUSES = ['pending', 'sending', 'interrupted'];
+
+// Fields of a prepared email needed to send it again after a restart
+const MESSAGE_FIELDS = [
+  'id', 'to', 'subject', 'html', 'companyName', 'userEmail',
+  'templateId', 'templateName', 'templateCategory', 'templateVersion', 'templateVersionId',
+  'sequenceStep', 'variantId', 'inReplyTo', 'references', 'unsubscribeUrl',
+  'senderId', 'senderPool', 'attachments'
+];
+
+// One prepared email in the durable outbox, with its delivery state
+class OutboxEntry {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    // Emails enqueued together (one send request or one campaign batch)
+    this.batchId = data.batchId || '';
+    this.campaignId = data.campaignId || null;
+    this.message = data.message || {};
+    this.status = data.status || 'pending';
+    this.attempts = data.attempts || 0;
+    this.maxAttempts = data.maxAttempts || parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || 4;
+    this.nextAttemptAt = data.nextAttemptAt || new Date();
+    // Pause after sending this email before the worker sends the next one
+    this.delayMs = data.delayMs !== undefined ? data.delayMs : 10000;
+    this.lastAttemptAt = data.lastAttemptAt || null;
+    this.lastError = data.lastError || null;
+    this.errorCategory = data.errorCategory || null;
+    this.messageId = data.messageId || null;
+    this.senderId = data.senderId || null;
+    this.sentAt = data.sentAt || null;
+    this.completedAt = data.completedAt || null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  static get STATUSES() {
+    return STATUSES;
+  }
+
+  static get UNSETTLED_STATUSES() {
+    return UNSETTLED_STATUSES;
+  }
+
+  // Plain copy of a prepared Email (or email data) that survives a round trip through storage
+  static toMessage(email) {
+    const message = {};
+    MESSAGE_FIELDS.forEach(field => {
+      if (email[field] !== undefined && email[field] !== null) {
+        message[field] = email[field];
+      }
+    });
+    return message;
+  }
+
+  // Storage backend (JSON files or SQLite, see config/storage)
+  static getStorage() {
+    return storage.getBackend();
+  }
+
+  static async findById(id) {
+    const entry = await this.getStorage().findById('outbox', id);
+    return entry ? new OutboxEntry(entry) : null;
+  }
+
+  static async find(query = {}) {
+    const entries = await this.getStorage().find('outbox', query);
+    return entries.map(entry => new OutboxEntry(entry));
+  }
+
+  static async count(query = {}) {
+    return this.getStorage().count('outbox', query);
+  }
+
+  // Pending entries whose next attempt is due, oldest first
+  static async findDue(now = new Date(), limit = 1) {
+    return this.find({
+      where: { status: 'pending' },
+      range: { nextAttemptAt: { lte: now } },
+      orderBy: { field: 'nextAttemptAt', direction: 'asc' },
+      limit
+    });
+  }
+
+  // Addresses of a campaign's contacts that already have an unsettled entry
+  static async getQueuedRecipients(campaignId) {
+    const entries = await this.find({ where: { campaignId, status: UNSETTLED_STATUSES } });
+    return new Set(entries.map(entry => entry.message.to));
+  }
+
+  // Drop sent, failed and cancelled entries finished before the cutoff
+  static async purgeSettled(before) {
+    return this.getStorage().removeWhere('outbox', {
+      where: { status: ['sent', 'failed', 'cancelled'] },
+      range: { completedAt: { lt: before } }
+    });
+  }
+
+  // Store several entries with one write
+  static async saveMany(entries) {
+    const now = new Date();
+    entries.forEach(entry => {
+      entry.updatedAt = now;
+    });
+    await this.getStorage().upsertMany('outbox', entries.map(entry => entry.toJSON()));
+    return entries;
+  }
+
+  // A later step of a campaign's follow-up sequence rather than its initial email
+  isFollowUp() {
+    return (this.message.sequenceStep || 0) > 1;
+  }
+
+  isUnsettled() {
+    return UNSETTLED_STATUSES.includes(this.status);
+  }
+
+  hasAttemptsLeft() {
+    return this.attempts < this.maxAttempts;
+  }
+
+  markSending() {
+    this.status = 'sending';
+    this.attempts += 1;
+    this.lastAttemptAt = new Date();
+  }
+
+  markSent(result = {}) {
+    this.status = 'sent';
+    this.messageId = result.messageId || null;
+    this.senderId = result.senderId || null;
+    this.sentAt = result.sentAt ? new Date(result.sentAt) : new Date();
+    this.completedAt = new Date();
+    this.lastError = null;
+    this.errorCategory = null;
+  }
+
+  markFailed(error, errorCategory = null) {
+    this.status = 'failed';
+    this.lastError = error;
+    this.errorCategory = errorCategory;
+    this.completedAt = new Date();
+  }
+
+  // Back to the queue for another try at `at`
+  reschedule(at, error = null, errorCategory = null) {
+    this.status = 'pending';
+    this.nextAttemptAt = at;
+    this.lastError = error;
+    this.errorCategory = errorCategory;
+  }
+
+  cancel(reason) {
+    this.status = 'cancelled';
+    this.lastError = reason;
+    this.completedAt = new Date();
+  }
+
+  isValid() {
+    const errors = [];
+
+    if (!STATUSES.includes(this.status)) {
+      errors.push(`Status must be one of: ${STATUSES.join(', ')}`);
+    }
+    if (!this.message.to) {
+      errors.push('Recipient email is required');
+    }
+    if (!this.message.subject) {
+      errors.push('Subject is required');
+    }
+    if (!Number.isInteger(this.maxAttempts) || this.maxAttempts < 1) {
+      errors.push('Max attempts must be a positive whole number');
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  async save() {
+    this.updatedAt = new Date();
+    await OutboxEntry.getStorage().upsert('outbox', this.toJSON());
+    return this;
+  }
+
+  async delete() {
+    await OutboxEntry.getStorage().remove('outbox', this.id);
+  }
+
+  // Entry without the message body, for listings
+  toSummary() {
+    const { message, ...entry } = this.toJSON();
+    return {
+      ...entry,
+      recipient: message.to,
+      companyName: message.companyName || '',
+      subject: message.subject
+    };
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      batchId: this.batchId,
+      campaignId: this.campaignId,
+      message: this.message,
+      status: this.status,
+      attempts: this.attempts,
+      maxAttempts: this.maxAttempts,
+      nextAttemptAt: this.nextAttemptAt,
+      delayMs: this.delayMs,
+      lastAttemptAt: this.lastAttemptAt,
+      lastError: this.lastError,
+      errorCategory: this.errorCategory,
+      messageId: this.messageId,
+      senderId: this.senderId,
+      sentAt: this.sentAt,
+      completedAt: this.completedAt,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = OutboxEntry;
@@ -0,0 +1,223 @@
+const { v4: uuidv4 } = require('uuid');
+const storage = require('../config/storage');
+
+const STAGES = ['contacted', 'replied', 'interview', 'offer', 'rejected', 'ghosted'];
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const getDomain = (email) => {
+  const address = normalizeEmail(email);
+  const at = address.lastIndexOf('@');
+  return at === -1 ? '' : address.slice(at + 1);
+};
+
+// Companies are matched by name; contacts without one fall back to their email domain
+const makeKey = (companyName, email) => {
+  const name = String(companyName || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  return name || getDomain(email);
+};
+
+// Pending creations per company key, so concurrent first sends to one company make a single entry
+const keyQueues = new Map();
+
+// Where one contacted company stands in the application process, with notes and a dated activity log
+class PipelineEntry {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.companyName = String(data.companyName || '').trim();
+    this.key = data.key || makeKey(data.companyName, (data.contacts || [])[0]);
+    this.domain = data.domain || getDomain((data.contacts || [])[0]);
+    // Addresses emailed at this company
+    this.contacts = data.contacts || [];
+    this.stage = data.stage || 'contacted';
+    this.stageChangedAt = data.stageChangedAt || new Date();
+    // [{ id, text, createdAt }]
+    this.notes = data.notes || [];
+    // [{ id, type, description, date, stage, from, emailId, campaignId }], oldest first
+    this.activities = data.activities || [];
+    this.lastContactedAt = data.lastContactedAt || null;
+    this.lastActivityAt = data.lastActivityAt || null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  static get STAGES() {
+    return STAGES;
+  }
+
+  static makeKey(companyName, email) {
+    return makeKey(companyName, email);
+  }
+
+  // Storage backend (JSON files or SQLite, see config/storage)
+  static getStorage() {
+    return storage.getBackend();
+  }
+
+  static async findById(id) {
+    const entry = await this.getStorage().findById('pipeline', id);
+    return entry ? new PipelineEntry(entry) : null;
+  }
+
+  static async find(query = {}) {
+    const entries = await this.getStorage().find('pipeline', query);
+    return entries.map(entry => new PipelineEntry(entry));
+  }
+
+  static async findByKey(key) {
+    const entries = await this.find({ where: { key }, limit: 1 });
+    return entries.length > 0 ? entries[0] : null;
+  }
+
+  // Run lookups-then-creates for one company key one at a time
+  static withKeyLock(key, task) {
+    const pending = keyQueues.get(key) || Promise.resolve();
+    const next = pending.then(task, task);
+    const tail = next.catch(() => {});
+    keyQueues.set(key, tail);
+    tail.then(() => {
+      if (keyQueues.get(key) === tail) {
+        keyQueues.delete(key);
+      }
+    });
+    return next;
+  }
+
+  /**
+   * Change an entry as it is stored now, as one step under the storage backend's write lock,
+   * so notes and stage changes made by hand in between are not overwritten by automatic updates
+   * @param {string} id - Pipeline entry ID
+   * @param {Function} mutate - Changes the PipelineEntry it is given; must not await, and
+   *   returns false to leave the stored record as it is
+   * @returns {Promise<PipelineEntry|null>} The entry as stored afterwards, or null if not found
+   */
+  static async update(id, mutate) {
+    const record = await this.getStorage().update('pipeline', id, stored => {
+      const entry = new PipelineEntry(stored);
+      if (mutate(entry) === false) {
+        return null;
+      }
+      entry.updatedAt = new Date();
+      return entry.toJSON();
+    });
+    return record ? new PipelineEntry(record) : null;
+  }
+
+  addContact(email) {
+    const address = normalizeEmail(email);
+    if (!address || this.contacts.includes(address)) {
+      return false;
+    }
+    this.contacts.push(address);
+    if (!this.domain) {
+      this.domain = getDomain(address);
+    }
+    return true;
+  }
+
+  addActivity({ type, description = '', date = new Date(), ...details }) {
+    const activity = {
+      id: uuidv4(),
+      type,
+      description,
+      date: new Date(date),
+      ...details
+    };
+    this.activities.push(activity);
+    this.activities.sort((a, b) => new Date(a.date) - new Date(b.date));
+    if (!this.lastActivityAt || activity.date > new Date(this.lastActivityAt)) {
+      this.lastActivityAt = activity.date;
+    }
+    return activity;
+  }
+
+  addNote(text) {
+    const note = { id: uuidv4(), text: String(text).trim(), createdAt: new Date() };
+    this.notes.push(note);
+    return note;
+  }
+
+  removeNote(noteId) {
+    const index = this.notes.findIndex(note => note.id === noteId);
+    if (index === -1) {
+      return null;
+    }
+    return this.notes.splice(index, 1)[0];
+  }
+
+  // Move to a stage and log the change; returns false if it is already there
+  moveToStage(stage, { date = new Date(), description = '', source = 'manual' } = {}) {
+    if (this.stage === stage) {
+      return false;
+    }
+    const from = this.stage;
+    this.stage = stage;
+    this.stageChangedAt = new Date(date);
+    this.addActivity({ type: 'stage_change', description, date, stage, from, source });
+    return true;
+  }
+
+  isValid() {
+    const errors = [];
+
+    if (!this.key) {
+      errors.push('Company name or a contact email is required');
+    }
+    if (!STAGES.includes(this.stage)) {
+      errors.push(`Stage must be one of: ${STAGES.join(', ')}`);
+    }
+    if (!Array.isArray(this.contacts)) {
+      errors.push('Contacts must be a list of email addresses');
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  async save() {
+    this.updatedAt = new Date();
+    await PipelineEntry.getStorage().upsert('pipeline', this.toJSON());
+    return this;
+  }
+
+  async delete() {
+    await PipelineEntry.getStorage().remove('pipeline', this.id);
+  }
+
+  // Card for board columns and listings, without notes and activities
+  toSummary() {
+    return {
+      id: this.id,
+      companyName: this.companyName,
+      domain: this.domain,
+      contacts: this.contacts,
+      stage: this.stage,
+      stageChangedAt: this.stageChangedAt,
+      noteCount: this.notes.length,
+      lastContactedAt: this.lastContactedAt,
+      lastActivityAt: this.lastActivityAt
+    };
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      key: this.key,
+      companyName: this.companyName,
+      domain: this.domain,
+      contacts: this.contacts,
+      stage: this.stage,
+      stageChangedAt: this.stageChangedAt,
+      notes: this.notes,
+      activities: this.activities,
+      lastContactedAt: this.lastContactedAt,
+      lastActivityAt: this.lastActivityAt,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = PipelineEntry;
@@ -0,0 +1,82 @@
+const { v4: uuidv4 } = require('uuid');
+const storage = require('../config/storage');
+
+const FILTER_KEYS = ['tags', 'company', 'domain', 'search', 'fields'];
+
+// Saved contact filter, e.g. { tags: ['fintech'], fields: { city: 'Pune' } }; every criterion must match
+class Segment {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.name = String(data.name || '').trim();
+    this.description = data.description || '';
+    this.filter = data.filter || {};
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  static get FILTER_KEYS() {
+    return FILTER_KEYS;
+  }
+
+  // Storage backend (JSON files or SQLite, see config/storage)
+  static getStorage() {
+    return storage.getBackend();
+  }
+
+  static async loadAll() {
+    const segments = await this.getStorage().find('segments', { orderBy: { field: 'name', direction: 'asc' } });
+    return segments.map(segment => new Segment(segment));
+  }
+
+  static async findById(id) {
+    const segment = await this.getStorage().findById('segments', id);
+    return segment ? new Segment(segment) : null;
+  }
+
+  isValid() {
+    const errors = [];
+
+    if (!this.name) {
+      errors.push('Name is required');
+    }
+    if (!this.filter || typeof this.filter !== 'object' || Array.isArray(this.filter)) {
+      errors.push('Filter must be an object');
+    } else {
+      const unknown = Object.keys(this.filter).filter(key => !FILTER_KEYS.includes(key));
+      if (unknown.length > 0) {
+        errors.push(`Unknown filter keys: ${unknown.join(', ')} (use ${FILTER_KEYS.join(', ')})`);
+      }
+      if (Object.keys(this.filter).length === 0) {
+        errors.push('Filter needs at least one criterion');
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  async save() {
+    this.updatedAt = new Date();
+    await Segment.getStorage().upsert('segments', this.toJSON());
+    return this;
+  }
+
+  async delete() {
+    await Segment.getStorage().remove('segments', this.id);
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      filter: this.filter,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = Segment;
@@ -0,0 +1,353 @@
+const { v4: uuidv4 } = require('uuid');
+const storage = require('../config/storage');
+const SecretUtils = require('../utils/secretUtils');
+const logger = require('../utils/logger');
+
+// ID of the account built from EMAIL / EMAIL_PASS
+const DEFAULT_SENDER_ID = 'default';
+const HEALTH_STATUSES = ['healthy', 'degraded', 'paused'];
+
+const emptyHealth = () => ({
+  status: 'healthy',
+  consecutiveFailures: 0,
+  lastError: null,
+  lastErrorCategory: null,
+  lastFailureAt: null,
+  pausedUntil: null
+});
+
+const toLimit = (value, fallback) => {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  const limit = parseInt(value, 10);
+  return isNaN(limit) ? fallback : limit;
+};
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// Warm-up settings, accepting `true`/`false` as shorthand; defaults come from SENDER_WARMUP_DAYS / SENDER_WARMUP_START_VOLUME
+const normalizeWarmup = (warmup) => {
+  const settings = typeof warmup === 'object' && warmup !== null ? warmup : { enabled: warmup === true || warmup === 'true' };
+  const enabled = settings.enabled === true || settings.enabled === 'true';
+  return {
+    enabled,
+    startDate: settings.startDate || (enabled ? startOfDay(new Date()) : null),
+    days: toLimit(settings.days, toLimit(process.env.SENDER_WARMUP_DAYS, 14)),
+    startVolume: toLimit(settings.startVolume, toLimit(process.env.SENDER_WARMUP_START_VOLUME, 20)),
+    // Explicit per-day caps; overrides days/startVolume when given
+    schedule: Array.isArray(settings.schedule) ? settings.schedule.map(cap => toLimit(cap, NaN)) : []
+  };
+};
+
+// SMTP account campaigns can send from, with its own caps and health state
+class SenderAccount {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.name = data.name || data.email || '';
+    this.email = String(data.email || '').trim().toLowerCase();
+    this.fromName = data.fromName || '';
+    this.host = data.host || 'smtp.gmail.com';
+    this.port = toLimit(data.port, 587);
+    this.secure = data.secure === true || data.secure === 'true';
+    // SMTP login, when it differs from the address
+    this.username = data.username || '';
+    // Either the password, encrypted with SENDER_SECRET_KEY, or the name of an environment variable holding it.
+    // A plain password (new from the API, or stored before encryption) is encrypted as soon as there is a key.
+    this.password = data.password && !SecretUtils.isEncrypted(data.password) && SecretUtils.hasKey()
+      ? SecretUtils.encrypt(data.password)
+      : data.password || '';
+    this.passwordEnv = data.passwordEnv || '';
+    this.dailyLimit = toLimit(data.dailyLimit, 300);
+    // No hourly cap when null
+    this.hourlyLimit = toLimit(data.hourlyLimit, null);
+    this.enabled = data.enabled !== false && data.enabled !== 'false';
+    // Ramps the daily cap up over the first days of a new mailbox
+    this.warmup = normalizeWarmup(data.warmup);
+    this.health = { ...emptyHealth(), ...(data.health || {}) };
+    // 'env' for the account built from EMAIL / EMAIL_PASS, 'stored' otherwise
+    this.source = data.source || 'stored';
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  static get DEFAULT_SENDER_ID() {
+    return DEFAULT_SENDER_ID;
+  }
+
+  static get HEALTH_STATUSES() {
+    return HEALTH_STATUSES;
+  }
+
+  // Storage backend (JSON files or SQLite, see config/storage)
+  static getStorage() {
+    return storage.getBackend();
+  }
+
+  // The EMAIL / EMAIL_PASS account; limits, name and health may be overridden by a stored record
+  static buildDefault(stored = null) {
+    if (!process.env.EMAIL) {
+      return null;
+    }
+
+    return new SenderAccount({
+      ...(stored || {}),
+      id: DEFAULT_SENDER_ID,
+      name: (stored && stored.name) || 'Default account',
+      email: process.env.EMAIL,
+      fromName: (stored && stored.fromName) || process.env.EMAIL_FROM_NAME || '',
+      host: process.env.SMTP_HOST || 'smtp.gmail.com',
+      port: process.env.SMTP_PORT || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      username: '',
+      password: '',
+      passwordEnv: 'EMAIL_PASS',
+      dailyLimit: stored ? stored.dailyLimit : toLimit(process.env.DAILY_EMAIL_LIMIT, 300),
+      hourlyLimit: stored ? stored.hourlyLimit : toLimit(process.env.HOURLY_EMAIL_LIMIT, null),
+      source: 'env'
+    });
+  }
+
+  // Every account, the default one first
+  static async loadAll() {
+    const records = await this.getStorage().find('senderAccounts', {
+      orderBy: { field: 'createdAt', direction: 'asc' }
+    });
+    const storedDefault = records.find(record => record.id === DEFAULT_SENDER_ID);
+    const accounts = records
+      .filter(record => record.id !== DEFAULT_SENDER_ID)
+      .map(record => new SenderAccount(record));
+
+    const defaultAccount = this.buildDefault(storedDefault);
+    return defaultAccount ? [defaultAccount, ...accounts] : accounts;
+  }
+
+  static async findById(id) {
+    if (id === DEFAULT_SENDER_ID) {
+      const stored = await this.getStorage().findById('senderAccounts', DEFAULT_SENDER_ID);
+      return this.buildDefault(stored);
+    }
+    const record = await this.getStorage().findById('senderAccounts', id);
+    return record ? new SenderAccount(record) : null;
+  }
+
+  static async findByEmail(email) {
+    const records = await this.getStorage().find('senderAccounts', {
+      where: { email: String(email || '').trim().toLowerCase() },
+      limit: 1
+    });
+    return records.length > 0 ? new SenderAccount(records[0]) : null;
+  }
+
+  isDefault() {
+    return this.id === DEFAULT_SENDER_ID;
+  }
+
+  getUsername() {
+    return this.username || this.email;
+  }
+
+  getPassword() {
+    if (this.passwordEnv) {
+      return process.env[this.passwordEnv] || '';
+    }
+    if (!SecretUtils.isEncrypted(this.password)) {
+      return this.password;
+    }
+    try {
+      return SecretUtils.decrypt(this.password);
+    } catch (error) {
+      logger.error(`Cannot decrypt the password of sender account ${this.email}; check SENDER_SECRET_KEY`);
+      return '';
+    }
+  }
+
+  // Nodemailer "from" for this account, or null to keep the transporter default
+  getFromAddress() {
+    if (this.fromName) {
+      return { name: this.fromName, address: this.email };
+    }
+    return this.isDefault() ? null : this.email;
+  }
+
+  // Daily cap for each warm-up day: the explicit schedule, or a geometric ramp from startVolume up to dailyLimit
+  getWarmupSchedule() {
+    if (this.warmup.schedule.length > 0) {
+      return this.warmup.schedule.map(cap => Math.min(cap, this.dailyLimit));
+    }
+
+    const { days, startVolume } = this.warmup;
+    const first = Math.min(startVolume, this.dailyLimit);
+    if (days <= 1 || first <= 0) {
+      return [this.dailyLimit];
+    }
+    const growth = Math.pow(this.dailyLimit / first, 1 / (days - 1));
+    return Array.from({ length: days }, (_, index) => Math.min(this.dailyLimit, Math.round(first * Math.pow(growth, index))));
+  }
+
+  // Where the account is in its warm-up: day number (1-based), length and today's cap
+  getWarmupStatus(now = new Date()) {
+    if (!this.warmup.enabled) {
+      return { enabled: false, active: false, day: null, totalDays: null, dailyCap: this.dailyLimit };
+    }
+
+    const schedule = this.getWarmupSchedule();
+    const elapsed = Math.round((startOfDay(now) - startOfDay(this.warmup.startDate)) / (24 * 60 * 60 * 1000));
+    const day = Math.max(1, elapsed + 1);
+    const active = day <= schedule.length;
+
+    return {
+      enabled: true,
+      active,
+      day: active ? day : schedule.length,
+      totalDays: schedule.length,
+      startDate: this.warmup.startDate,
+      dailyCap: active ? schedule[day - 1] : this.dailyLimit
+    };
+  }
+
+  // Daily cap in effect today, lowered while the account warms up
+  getDailyLimit(now = new Date()) {
+    return this.getWarmupStatus(now).dailyCap;
+  }
+
+  // Enabled and not paused after repeated failures
+  isAvailable(now = new Date()) {
+    if (!this.enabled) {
+      return false;
+    }
+    return !this.health.pausedUntil || new Date(this.health.pausedUntil) <= now;
+  }
+
+  // Record a delivery failure; pauses the account after maxFailures in a row (or at once when told to)
+  recordFailure({ category, message, maxFailures = 3, pauseMinutes = 30, pauseNow = false, now = new Date() }) {
+    this.health.consecutiveFailures += 1;
+    this.health.lastError = message || null;
+    this.health.lastErrorCategory = category || null;
+    this.health.lastFailureAt = now;
+
+    if (pauseNow || this.health.consecutiveFailures >= maxFailures) {
+      this.health.status = 'paused';
+      this.health.pausedUntil = new Date(now.getTime() + pauseMinutes * 60 * 1000);
+    } else {
+      this.health.status = 'degraded';
+    }
+    return this.health;
+  }
+
+  // Back to healthy after a successful send or a manual reset
+  resetHealth() {
+    const { lastError, lastErrorCategory, lastFailureAt } = this.health;
+    this.health = { ...emptyHealth(), lastError, lastErrorCategory, lastFailureAt };
+    return this.health;
+  }
+
+  getHealth(now = new Date()) {
+    // A pause that has run out reads as degraded until the next send succeeds
+    if (this.health.status === 'paused' && this.isAvailable(now)) {
+      return { ...this.health, status: 'degraded' };
+    }
+    return this.health;
+  }
+
+  isValid() {
+    const errors = [];
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(this.email)) {
+      errors.push('A valid sender email is required');
+    }
+    if (!this.isDefault()) {
+      if (!this.host) {
+        errors.push('SMTP host is required');
+      }
+      if (!Number.isInteger(this.port) || this.port < 1 || this.port > 65535) {
+        errors.push('SMTP port must be between 1 and 65535');
+      }
+      if (!this.password && !this.passwordEnv) {
+        errors.push('A password or passwordEnv is required');
+      }
+      if (this.password && !SecretUtils.isEncrypted(this.password)) {
+        errors.push('SENDER_SECRET_KEY must be set to store a password; use passwordEnv otherwise');
+      }
+      if (this.passwordEnv && !/^[A-Z_][A-Z0-9_]*$/i.test(this.passwordEnv)) {
+        errors.push('passwordEnv must be an environment variable name');
+      }
+    }
+    if (!Number.isInteger(this.dailyLimit) || this.dailyLimit < 0) {
+      errors.push('Daily limit must be a non-negative integer');
+    }
+    if (this.hourlyLimit !== null && (!Number.isInteger(this.hourlyLimit) || this.hourlyLimit < 0)) {
+      errors.push('Hourly limit must be a non-negative integer');
+    }
+    if (this.warmup.enabled) {
+      if (isNaN(new Date(this.warmup.startDate).getTime())) {
+        errors.push('Warm-up start date is not a valid date');
+      }
+      if (this.warmup.schedule.length > 0) {
+        if (this.warmup.schedule.some(cap => !Number.isInteger(cap) || cap < 1)) {
+          errors.push('Warm-up schedule must list positive daily caps');
+        }
+      } else {
+        if (!Number.isInteger(this.warmup.days) || this.warmup.days < 1 || this.warmup.days > 90) {
+          errors.push('Warm-up days must be between 1 and 90');
+        }
+        if (!Number.isInteger(this.warmup.startVolume) || this.warmup.startVolume < 1) {
+          errors.push('Warm-up start volume must be a positive integer');
+        }
+      }
+    }
+    if (/[\r\n<>"]/.test(this.fromName)) {
+      errors.push('From name contains characters that are not allowed');
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  async save() {
+    this.updatedAt = new Date();
+    await SenderAccount.getStorage().upsert('senderAccounts', this.toJSON());
+    return this;
+  }
+
+  async delete() {
+    await SenderAccount.getStorage().remove('senderAccounts', this.id);
+  }
+
+  // API representation, without the stored password
+  toSafeJSON() {
+    const { password, ...account } = this.toJSON();
+    return { ...account, hasPassword: !!this.getPassword(), health: this.getHealth() };
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      email: this.email,
+      fromName: this.fromName,
+      host: this.host,
+      port: this.port,
+      secure: this.secure,
+      username: this.username,
+      password: this.password,
+      passwordEnv: this.passwordEnv,
+      dailyLimit: this.dailyLimit,
+      hourlyLimit: this.hourlyLimit,
+      enabled: this.enabled,
+      warmup: this.warmup,
+      health: this.health,
+      source: this.source,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = SenderAccount;
@@ -0,0 +1,161 @@
+const { v4: uuidv4 } = require('uuid');
+const storage = require('../config/storage');
+
+const REASONS = ['unsubscribed', 'bounced', 'manual', 'complained'];
+
+// Suppression entries match on lowercased addresses and domains
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+const getDomain = (email) => {
+  const address = normalize(email);
+  const at = address.lastIndexOf('@');
+  return at === -1 ? '' : address.slice(at + 1);
+};
+
+// Global do-not-contact entry, either for one address or for a whole domain
+class Suppression {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.type = data.type || 'address';
+    this.value = normalize(data.value);
+    this.reason = data.reason || 'manual';
+    this.source = data.source || '';
+    this.note = data.note || '';
+    this.metadata = data.metadata || {};
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  static get REASONS() {
+    return REASONS;
+  }
+
+  // Storage backend (JSON files or SQLite, see config/storage)
+  static getStorage() {
+    return storage.getBackend();
+  }
+
+  static async loadAll() {
+    const entries = await this.getStorage().findAll('suppressions');
+    return entries.map(entry => new Suppression(entry));
+  }
+
+  static async findById(id) {
+    const entry = await this.getStorage().findById('suppressions', id);
+    return entry ? new Suppression(entry) : null;
+  }
+
+  static async findByValue(value, type = null) {
+    const where = { value: normalize(value) };
+    if (type) {
+      where.type = type;
+    }
+    const entries = await this.getStorage().find('suppressions', { where, limit: 1 });
+    return entries.length > 0 ? new Suppression(entries[0]) : null;
+  }
+
+  // Add an address or domain, keeping the existing entry if it is already suppressed
+  static async add({ email, domain, reason = 'manual', source = '', note = '', metadata = {} }) {
+    const type = email ? 'address' : 'domain';
+    const value = normalize(email || domain);
+    const existing = await this.findByValue(value, type);
+    if (existing) {
+      return { entry: existing, created: false };
+    }
+
+    const entry = new Suppression({ type, value, reason, source, note, metadata });
+    const validation = entry.isValid();
+    if (!validation.valid) {
+      throw new Error(`Invalid suppression entry: ${validation.errors.join(', ')}`);
+    }
+
+    await entry.save();
+    return { entry, created: true };
+  }
+
+  // Split contacts into those that may be emailed and those on the suppression list
+  static async filterContacts(contacts) {
+    const addressOf = contact => normalize(contact.email || contact.to || (contact.recipient && contact.recipient.email));
+    const values = new Set();
+    contacts.forEach(contact => {
+      const address = addressOf(contact);
+      values.add(address);
+      values.add(getDomain(address));
+    });
+    values.delete('');
+
+    const entries = values.size > 0
+      ? await this.getStorage().find('suppressions', { where: { value: Array.from(values) } })
+      : [];
+    const byKey = new Map(entries.map(entry => [`${entry.type}:${entry.value}`, new Suppression(entry)]));
+
+    const allowed = [];
+    const suppressed = [];
+    contacts.forEach(contact => {
+      const address = addressOf(contact);
+      const entry = byKey.get(`address:${address}`) || byKey.get(`domain:${getDomain(address)}`);
+      if (entry) {
+        suppressed.push({ contact, entry });
+      } else {
+        allowed.push(contact);
+      }
+    });
+
+    return { allowed, suppressed };
+  }
+
+  // Suppression entry that blocks this address, if any
+  static async findMatch(email) {
+    const { suppressed } = await this.filterContacts([{ email }]);
+    return suppressed.length > 0 ? suppressed[0].entry : null;
+  }
+
+  isValid() {
+    const errors = [];
+
+    if (!['address', 'domain'].includes(this.type)) {
+      errors.push('Type must be address or domain');
+    }
+    if (!this.value) {
+      errors.push('Address or domain is required');
+    } else if (this.type === 'address' && !/^[^\s@]+@[^\s@]+$/.test(this.value)) {
+      errors.push('Invalid email address');
+    } else if (this.type === 'domain' && !/^[a-z0-9.-]+\.[a-z]{2,}$/.test(this.value)) {
+      errors.push('Invalid domain');
+    }
+    if (!REASONS.includes(this.reason)) {
+      errors.push(`Reason must be one of: ${REASONS.join(', ')}`);
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  async save() {
+    this.updatedAt = new Date();
+    await Suppression.getStorage().upsert('suppressions', this.toJSON());
+    return this;
+  }
+
+  async delete() {
+    await Suppression.getStorage().remove('suppressions', this.id);
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      type: this.type,
+      value: this.value,
+      reason: this.reason,
+      source: this.source,
+      note: this.note,
+      metadata: this.metadata,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = Suppression;
@@ -1,9 +1,15 @@
 const fs = require("fs");
 const path = require("path");
 const Handlebars = require("handlebars");
+const { v4: uuidv4 } = require("uuid");
+const storage = require("../config/storage");
+const TemplateVersion = require("./TemplateVersion");
 const FileUtils = require("../utils/fileUtils");
 const logger = require("../utils/logger");
 
+// Pending saves per template ID, so each one numbers its version after the previous one is stored
+const saveQueues = new Map();
+
 class Template {
   constructor(data) {
     this.id = data.id || null;
@@ -16,6 +22,90 @@ class Template {
     this.createdAt = data.createdAt || new Date().toISOString();
     this.updatedAt = data.updatedAt || new Date().toISOString();
     this.description = data.description || "";
+    this.builtIn = data.builtIn || false;
+    this.version = data.version || (this.builtIn ? 1 : 0);
+    this.versionId = data.versionId || null;
+  }
+
+  // Storage backend (JSON files or SQLite, see config/storage)
+  static getStorage() {
+    return storage.getBackend();
+  }
+
+  // Load all user-defined templates
+  static async loadAll() {
+    const templates = await this.getStorage().findAll("templates");
+    return templates.map(template => new Template(template));
+  }
+
+  // Find a user-defined template by ID
+  static async findById(id) {
+    const template = await this.getStorage().findById("templates", id);
+    return template ? new Template(template) : null;
+  }
+
+  // Run saves of one template one at a time
+  static withSaveLock(id, task) {
+    const pending = saveQueues.get(id) || Promise.resolve();
+    const next = pending.then(task, task);
+    const tail = next.catch(() => {});
+    saveQueues.set(id, tail);
+    tail.then(() => {
+      if (saveQueues.get(id) === tail) {
+        saveQueues.delete(id);
+      }
+    });
+    return next;
+  }
+
+  // Save this template as a new version (built-in templates are read-only)
+  async save({ author, note, restoredFrom } = {}) {
+    if (this.builtIn) {
+      throw new Error(`Built-in template ${this.id} is read-only`);
+    }
+
+    if (!this.id) {
+      this.id = uuidv4();
+    }
+    this.extractVariables();
+
+    return Template.withSaveLock(this.id, async () => {
+      const previous = { version: this.version, versionId: this.versionId, updatedAt: this.updatedAt };
+
+      // Number from the stored history rather than this copy, which another save may have overtaken
+      const [latest] = await TemplateVersion.findByTemplate(this.id);
+      this.version = Math.max(previous.version, latest ? latest.version : 0) + 1;
+      this.updatedAt = new Date().toISOString();
+
+      try {
+        const snapshot = TemplateVersion.fromTemplate(this, { author, note, restoredFrom });
+        this.versionId = snapshot.id;
+        await snapshot.save();
+        await Template.getStorage().upsert("templates", this.toJSON());
+      } catch (error) {
+        Object.assign(this, previous);
+        throw error;
+      }
+      return this;
+    });
+  }
+
+  // Version history, newest first
+  async getVersions() {
+    return this.builtIn ? [] : TemplateVersion.findByTemplate(this.id);
+  }
+
+  async getVersion(version) {
+    return this.builtIn ? null : TemplateVersion.findByTemplateAndVersion(this.id, version);
+  }
+
+  // Delete this template (its version history is kept for the emails that used it)
+  async delete() {
+    if (this.builtIn) {
+      throw new Error(`Built-in template ${this.id} is read-only`);
+    }
+
+    await Template.getStorage().remove("templates", this.id);
   }
 
   // Load template from file
@@ -44,17 +134,31 @@ class Template {
     }
   }
 
-  // Get all available templates
-  static getAllTemplates() {
+  // Built-in templates shipped with the app, used as read-only seeds
+  static getBuiltInTemplates() {
+    return [
+      Template.getJobSearchTemplate(),
+      Template.getLeadSearchTemplate()
+    ];
+  }
+
+  static isBuiltIn(id) {
+    return Template.getBuiltInTemplates().some(template => template.id === id);
+  }
+
+  // Get all available templates (built-in first, then user-defined)
+  static async getAllTemplates() {
+    const userTemplates = await Template.loadAll();
     return [
-      Template.getJobSearchTemplate()
+      ...Template.getBuiltInTemplates(),
+      ...userTemplates.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
     ];
   }
 
   // Get template by ID
-  static getTemplateById(id) {
-    const templates = Template.getAllTemplates();
-    return templates.find(template => template.id === id) || null;
+  static async getTemplateById(id) {
+    const builtIn = Template.getBuiltInTemplates().find(template => template.id === id);
+    return builtIn || Template.findById(id);
   }
 
   // Job Search Template
@@ -115,7 +219,8 @@ class Template {
       subject: subject,
       variables: ["name"],
       category: "job-search",
-      description: "Modern outreach template highlighting AI & DevOps engineering role at Hashnode"
+      description: "Modern outreach template highlighting AI & DevOps engineering role at Hashnode",
+      builtIn: true
     });
   }
   // Lead Search Template
@@ -199,7 +304,8 @@ class Template {
       subject: subject,
       variables: ["company_name"],
       category: "lead-search",
-      description: "Professional template for freelancing opportunities and business partnerships"
+      description: "Professional template for freelancing opportunities and business partnerships",
+      builtIn: true
     });
   }
 
@@ -251,10 +357,10 @@ class Template {
       errors.push('Template subject is required');
     }
 
-    // Test compilation
+    // Test compilation (compile() is lazy, so parse to surface syntax errors now)
     try {
-      Handlebars.compile(this.content);
-      Handlebars.compile(this.subject);
+      Handlebars.parse(this.content);
+      Handlebars.parse(this.subject);
     } catch (error) {
       errors.push(`Invalid Handlebars syntax: ${error.message}`);
     }
@@ -287,6 +393,66 @@ class Template {
     return this.variables;
   }
 
+  // Top-level variables the subject and content print, excluding helper names,
+  // @data variables, #if/#unless conditions and anything inside #each/#with blocks
+  getReferencedVariables() {
+    const names = new Set();
+
+    const pathName = (node) => (
+      node && node.type === "PathExpression" && !node.data && node.parts.length > 0 ? node.parts[0] : null
+    );
+
+    // "guarded" holds names already tested by an enclosing #if
+    const visit = (nodes = [], guarded = new Set()) => {
+      const add = (node) => {
+        const name = pathName(node);
+        if (name && !guarded.has(name)) names.add(name);
+      };
+
+      nodes.forEach((node) => {
+        if (node.type === "MustacheStatement") {
+          if (node.params.length === 0 && !node.hash) {
+            add(node.path);
+          } else {
+            node.params.forEach(add);
+          }
+        } else if (node.type === "BlockStatement") {
+          const helper = node.path.original;
+          if (helper === "if") {
+            const inner = new Set(guarded);
+            node.params.forEach((param) => inner.add(pathName(param)));
+            if (node.program) visit(node.program.body, inner);
+          } else if (helper === "unless") {
+            if (node.program) visit(node.program.body, guarded);
+          } else {
+            node.params.forEach(add);
+            if (node.program && helper !== "each" && helper !== "with") {
+              visit(node.program.body, guarded);
+            }
+          }
+          if (node.inverse) visit(node.inverse.body, guarded);
+        }
+      });
+    };
+
+    try {
+      visit(Handlebars.parse(this.subject || "").body);
+      visit(Handlebars.parse(this.content || "").body);
+    } catch (error) {
+      logger.error(`Failed to parse template variables: ${error.message}`);
+    }
+
+    return Array.from(names);
+  }
+
+  // Referenced variables that have no value in the given context
+  getUnresolvedVariables(variables = {}) {
+    return this.getReferencedVariables().filter((name) => {
+      const value = variables[name];
+      return value === undefined || value === null || value === "";
+    });
+  }
+
   // Preview template with sample data
   preview(sampleData = {}) {
     const defaultSampleData = {
@@ -294,6 +460,7 @@ class Template {
       email: "hr@techcorp.com",
       name: "John Doe",
       position: "Software Developer",
+      unsubscribe_url: "https://example.com/unsubscribe",
     };
 
     const previewData = { ...defaultSampleData, ...sampleData };
@@ -323,6 +490,9 @@ class Template {
       ...this.toJSON(),
       id: null,
       name: newName,
+      builtIn: false,
+      version: 0,
+      versionId: null,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     });
@@ -339,7 +509,10 @@ class Template {
       category: this.category,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
-      description: this.description
+      description: this.description,
+      builtIn: this.builtIn,
+      version: this.version,
+      versionId: this.versionId
     };
   }
 }
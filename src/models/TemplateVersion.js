@@ -0,0 +1,95 @@
+const { v4: uuidv4 } = require("uuid");
+const storage = require("../config/storage");
+
+// Immutable snapshot of a user-defined template, written on every save
+class TemplateVersion {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.templateId = data.templateId || null;
+    this.version = data.version || 1;
+    this.name = data.name || "";
+    this.subject = data.subject || "";
+    this.content = data.content || "";
+    this.variables = data.variables || [];
+    this.type = data.type || "html";
+    this.category = data.category || "";
+    this.description = data.description || "";
+    this.author = data.author || "system";
+    this.note = data.note || "";
+    this.restoredFrom = data.restoredFrom || null;
+    this.createdAt = data.createdAt || new Date().toISOString();
+  }
+
+  // Storage backend (JSON files or SQLite, see config/storage)
+  static getStorage() {
+    return storage.getBackend();
+  }
+
+  static async loadAll() {
+    const versions = await this.getStorage().findAll("templateVersions");
+    return versions.map(version => new TemplateVersion(version));
+  }
+
+  // Snapshot the current state of a template
+  static fromTemplate(template, { author, note, restoredFrom } = {}) {
+    return new TemplateVersion({
+      templateId: template.id,
+      version: template.version,
+      name: template.name,
+      subject: template.subject,
+      content: template.content,
+      variables: template.variables,
+      type: template.type,
+      category: template.category,
+      description: template.description,
+      author,
+      note,
+      restoredFrom
+    });
+  }
+
+  // All versions of a template, newest first
+  static async findByTemplate(templateId) {
+    const versions = await this.getStorage().find("templateVersions", { where: { templateId } });
+    return versions
+      .map(version => new TemplateVersion(version))
+      .sort((a, b) => b.version - a.version);
+  }
+
+  static async findByTemplateAndVersion(templateId, version) {
+    const versions = await this.findByTemplate(templateId);
+    return versions.find(v => v.version === Number(version)) || null;
+  }
+
+  // Versions are append-only: saving an existing version is refused
+  async save() {
+    const existing = await TemplateVersion.getStorage().findById("templateVersions", this.id);
+    if (existing) {
+      throw new Error(`Template version ${this.id} already exists and cannot be modified`);
+    }
+
+    await TemplateVersion.getStorage().upsert("templateVersions", this.toJSON());
+    return this;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      templateId: this.templateId,
+      version: this.version,
+      name: this.name,
+      subject: this.subject,
+      content: this.content,
+      variables: this.variables,
+      type: this.type,
+      category: this.category,
+      description: this.description,
+      author: this.author,
+      note: this.note,
+      restoredFrom: this.restoredFrom,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+module.exports = TemplateVersion;
@@ -1,5 +1,6 @@
 const express = require('express');
 const CampaignController = require('../controllers/campaignController');
+const { idempotency } = require('../middleware/idempotency');
 
 const router = express.Router();
 
@@ -12,6 +13,9 @@ router.get('/', campaignController.getAllCampaigns.bind(campaignController));
 // GET /api/campaigns/summary - Get campaigns summary
 router.get('/summary', campaignController.getCampaignsSummary.bind(campaignController));
 
+// GET /api/campaigns/scheduled - List campaigns waiting for their start date
+router.get('/scheduled', campaignController.getScheduledCampaigns.bind(campaignController));
+
 // POST /api/campaigns/trigger - Manually trigger campaign processing
 router.post('/trigger', campaignController.triggerCampaignProcessing.bind(campaignController));
 
@@ -25,7 +29,7 @@ router.post('/trigger-summary', campaignController.triggerDailySummary.bind(camp
 router.post('/trigger-evening-report', campaignController.triggerEveningReport.bind(campaignController));
 
 // POST /api/campaigns - Create new campaign
-router.post('/', campaignController.createCampaign.bind(campaignController));
+router.post('/', idempotency('campaigns'), campaignController.createCampaign.bind(campaignController));
 
 // GET /api/campaign/:id - Get campaign by ID
 router.get('/:id', campaignController.getCampaignById.bind(campaignController));
@@ -33,9 +37,24 @@ router.get('/:id', campaignController.getCampaignById.bind(campaignController));
 // GET /api/campaign/:id/stats - Get campaign statistics
 router.get('/:id/stats', campaignController.getCampaignStats.bind(campaignController));
 
+// GET /api/campaigns/:id/clicks - Tracked link clicks by link and by company
+router.get('/:id/clicks', campaignController.getCampaignClicks.bind(campaignController));
+
+// GET /api/campaigns/:id/variants - A/B test results per variant
+router.get('/:id/variants', campaignController.getCampaignVariants.bind(campaignController));
+
+// POST /api/campaigns/:id/variants/:variantId/promote - Send one variant to the remaining contacts
+router.post('/:id/variants/:variantId/promote', campaignController.promoteCampaignVariant.bind(campaignController));
+
 // PUT /api/campaign/:id - Update campaign
 router.put('/:id', campaignController.updateCampaign.bind(campaignController));
 
+// PUT /api/campaigns/:id/schedule - Reschedule a scheduled campaign
+router.put('/:id/schedule', campaignController.rescheduleCampaign.bind(campaignController));
+
+// POST /api/campaigns/:id/cancel - Cancel a scheduled campaign
+router.post('/:id/cancel', campaignController.cancelCampaign.bind(campaignController));
+
 // POST /api/campaign/:id/pause - Pause campaign
 router.post('/:id/pause', campaignController.pauseCampaign.bind(campaignController));
 
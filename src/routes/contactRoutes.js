@@ -0,0 +1,31 @@
+const express = require('express');
+const ContactController = require('../controllers/contactController');
+
+const router = express.Router();
+
+// Create controller instance
+const contactController = new ContactController();
+
+router.get('/history', contactController.getContactHistory.bind(contactController));
+router.post('/cooldown-check', contactController.checkCooldown.bind(contactController));
+router.post('/quality-check', contactController.checkQuality.bind(contactController));
+
+// Custom field definitions and saved segments are registered before /:id
+router.get('/fields', contactController.getFields.bind(contactController));
+router.post('/fields', contactController.createField.bind(contactController));
+router.delete('/fields/:name', contactController.deleteField.bind(contactController));
+router.get('/segments', contactController.getSegments.bind(contactController));
+router.post('/segments', contactController.createSegment.bind(contactController));
+router.get('/segments/:id', contactController.getSegment.bind(contactController));
+router.put('/segments/:id', contactController.updateSegment.bind(contactController));
+router.delete('/segments/:id', contactController.deleteSegment.bind(contactController));
+
+router.get('/', contactController.getContacts.bind(contactController));
+router.post('/', contactController.createContact.bind(contactController));
+router.get('/:id', contactController.getContact.bind(contactController));
+router.put('/:id', contactController.updateContact.bind(contactController));
+router.delete('/:id', contactController.deleteContact.bind(contactController));
+router.post('/:id/notes', contactController.addNote.bind(contactController));
+router.delete('/:id/notes/:noteId', contactController.deleteNote.bind(contactController));
+
+module.exports = router;
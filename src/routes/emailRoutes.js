@@ -3,6 +3,7 @@ const EmailController = require('../controllers/emailController');
 const { campaignUpload } = require('../middleware/uploadMiddleware');
 const { validateEmailSend, validateBulkEmail, validatePagination } = require('../middleware/validation');
 const { securityHeaders, emailRateLimit, sanitizeInput } = require('../middleware/security');
+const { idempotency } = require('../middleware/idempotency');
 
 const router = express.Router();
 
@@ -15,7 +16,7 @@ router.use(sanitizeInput);
 const emailController = new EmailController();
 
 // Send emails (supports both single and bulk)
-router.post('/send', campaignUpload, emailController.sendEmails.bind(emailController));
+router.post('/send', campaignUpload, idempotency('send-emails'), emailController.sendEmails.bind(emailController));
 
 // Verify email configuration
 router.post('/verify', emailController.verifyEmailConfig.bind(emailController));
@@ -0,0 +1,13 @@
+const express = require('express');
+const OutboxController = require('../controllers/outboxController');
+
+const router = express.Router();
+
+// Create controller instance
+const outboxController = new OutboxController();
+
+router.get('/', outboxController.getOutbox.bind(outboxController));
+router.get('/:id', outboxController.getEntry.bind(outboxController));
+router.post('/:id/retry', outboxController.retryEntry.bind(outboxController));
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const PipelineController = require('../controllers/pipelineController');
+
+const router = express.Router();
+
+// Create controller instance
+const pipelineController = new PipelineController();
+
+// Board summary is registered before /:id
+router.get('/board', pipelineController.getBoard.bind(pipelineController));
+
+router.get('/', pipelineController.getEntries.bind(pipelineController));
+router.post('/', pipelineController.createEntry.bind(pipelineController));
+router.get('/:id', pipelineController.getEntry.bind(pipelineController));
+router.put('/:id', pipelineController.updateEntry.bind(pipelineController));
+router.delete('/:id', pipelineController.deleteEntry.bind(pipelineController));
+router.post('/:id/notes', pipelineController.addNote.bind(pipelineController));
+router.delete('/:id/notes/:noteId', pipelineController.deleteNote.bind(pipelineController));
+router.post('/:id/activities', pipelineController.addActivity.bind(pipelineController));
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const SenderController = require('../controllers/senderController');
+
+const router = express.Router();
+
+// Create controller instance
+const senderController = new SenderController();
+
+router.get('/', senderController.getSenders.bind(senderController));
+router.post('/', senderController.createSender.bind(senderController));
+router.get('/:id', senderController.getSender.bind(senderController));
+router.put('/:id', senderController.updateSender.bind(senderController));
+router.delete('/:id', senderController.deleteSender.bind(senderController));
+router.post('/:id/verify', senderController.verifySender.bind(senderController));
+router.post('/:id/reset', senderController.resetSender.bind(senderController));
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const SuppressionController = require('../controllers/suppressionController');
+const { csvUpload } = require('../middleware/uploadMiddleware');
+
+const router = express.Router();
+
+// Create controller instance
+const suppressionController = new SuppressionController();
+
+// Bulk operations and lookups are registered before /:id
+router.get('/export', suppressionController.exportSuppressions.bind(suppressionController));
+router.post('/import', csvUpload, suppressionController.importSuppressions.bind(suppressionController));
+router.get('/check', suppressionController.checkAddress.bind(suppressionController));
+
+router.get('/', suppressionController.getSuppressions.bind(suppressionController));
+router.post('/', suppressionController.createSuppression.bind(suppressionController));
+router.get('/:id', suppressionController.getSuppression.bind(suppressionController));
+router.put('/:id', suppressionController.updateSuppression.bind(suppressionController));
+router.delete('/:id', suppressionController.deleteSuppression.bind(suppressionController));
+
+module.exports = router;
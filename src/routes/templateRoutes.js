@@ -9,6 +9,14 @@ const templateController = new TemplateController();
 // Modern API routes
 router.get('/', templateController.getAllTemplates.bind(templateController));
 router.get('/:id', templateController.getTemplateById.bind(templateController));
+router.post('/', templateController.createTemplate.bind(templateController));
+router.put('/:id', templateController.updateTemplate.bind(templateController));
+router.delete('/:id', templateController.deleteTemplate.bind(templateController));
+router.post('/:id/clone', templateController.cloneTemplate.bind(templateController));
+router.get('/:id/versions', templateController.getTemplateVersions.bind(templateController));
+router.get('/:id/versions/:version', templateController.getTemplateVersion.bind(templateController));
+router.post('/:id/versions/:version/restore', templateController.restoreTemplateVersion.bind(templateController));
+router.get('/:id/diff', templateController.diffTemplateVersions.bind(templateController));
 
 // Legacy routes for backward compatibility
 router.get('/template', templateController.getDefaultTemplate.bind(templateController));
@@ -19,4 +27,7 @@ router.get('/template/variables', templateController.getTemplateVariables.bind(t
 router.post('/template/validate', templateController.validateTemplate.bind(templateController));
 router.post('/template/render', templateController.renderTemplate.bind(templateController));
 
+// Registered after the legacy routes so /template/render isn't captured as an ID
+router.post('/:id/render', templateController.renderTemplate.bind(templateController));
+
 module.exports = router;
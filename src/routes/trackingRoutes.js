@@ -0,0 +1,13 @@
+const express = require('express');
+const TrackingController = require('../controllers/trackingController');
+
+const router = express.Router();
+
+// Create controller instance
+const trackingController = new TrackingController();
+
+// Public routes loaded from sent emails; the signed token identifies the email
+router.get('/open/:token', trackingController.openPixel.bind(trackingController));
+router.get('/click/:token', trackingController.click.bind(trackingController));
+
+module.exports = router;
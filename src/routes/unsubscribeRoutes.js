@@ -0,0 +1,13 @@
+const express = require('express');
+const UnsubscribeController = require('../controllers/unsubscribeController');
+
+const router = express.Router();
+
+// Create controller instance
+const unsubscribeController = new UnsubscribeController();
+
+// Public routes opened from sent emails; the signed token identifies the recipient
+router.get('/:token', unsubscribeController.showConfirmation.bind(unsubscribeController));
+router.post('/:token', unsubscribeController.unsubscribe.bind(unsubscribeController));
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const UploadController = require('../controllers/uploadController');
+const { contactFileUpload } = require('../middleware/uploadMiddleware');
+
+const router = express.Router();
+
+// Create controller instance
+const uploadController = new UploadController();
+
+// Phase one of a contact upload; the confirmed mapping is sent with POST /api/send-emails
+router.post('/analyze', contactFileUpload, uploadController.analyzeUpload.bind(uploadController));
+router.get('/imports/:id/rejections', uploadController.downloadRejections.bind(uploadController));
+
+router.get('/mappings', uploadController.getMappings.bind(uploadController));
+router.post('/mappings', uploadController.saveMapping.bind(uploadController));
+router.delete('/mappings/:id', uploadController.deleteMapping.bind(uploadController));
+
+module.exports = router;
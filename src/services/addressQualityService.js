@@ -0,0 +1,90 @@
+const EmailQuality = require('../utils/emailQuality');
+
+const QUALITY_MODES = ['exclude', 'warn', 'off'];
+
+/**
+ * Address quality service
+ *
+ * Scores recipient addresses offline (see EmailQuality) and applies the
+ * campaign's quality policy: low-scoring addresses are either dropped from
+ * the send or kept and reported as warnings. Possible domain typos never
+ * lower the score; they are only reported as warnings.
+ *
+ * @class AddressQualityService
+ */
+class AddressQualityService {
+  static get QUALITY_MODES() {
+    return QUALITY_MODES;
+  }
+
+  // Quality settings from the request, falling back to EMAIL_QUALITY_MODE / EMAIL_QUALITY_MIN_SCORE
+  static getQualityOptions({ mode, minScore } = {}) {
+    const resolvedMode = mode || process.env.EMAIL_QUALITY_MODE || 'warn';
+    const resolvedMinScore = minScore !== undefined && minScore !== ''
+      ? parseFloat(minScore)
+      : parseFloat(process.env.EMAIL_QUALITY_MIN_SCORE || 50);
+
+    if (!QUALITY_MODES.includes(resolvedMode)) {
+      throw new Error(`Quality mode must be one of: ${QUALITY_MODES.join(', ')}`);
+    }
+    if (isNaN(resolvedMinScore) || resolvedMinScore < 0 || resolvedMinScore > 100) {
+      throw new Error('Minimum quality score must be a number between 0 and 100');
+    }
+
+    return { mode: resolvedMode, minScore: resolvedMinScore };
+  }
+
+  // Score each contact, reusing a score attached at import
+  scoreContacts(contacts) {
+    return contacts.map(contact => (
+      contact.quality && contact.quality.email === contact.email
+        ? contact
+        : { ...contact, quality: EmailQuality.assess(contact.email) }
+    ));
+  }
+
+  // Split contacts by whether their address scores below the minimum
+  applyPolicy(contacts, options = {}) {
+    const { mode, minScore } = AddressQualityService.getQualityOptions(options);
+    const result = { mode, minScore, allowed: [], excluded: [], warnings: [] };
+
+    if (mode === 'off') {
+      result.allowed = contacts;
+      return result;
+    }
+
+    this.scoreContacts(contacts).forEach(contact => {
+      const { score, flags, reasons, suggestion } = contact.quality;
+      if (score >= minScore) {
+        result.allowed.push(contact);
+        // A likely typo is kept in either mode, but reported so it can be corrected
+        if (flags.some(flag => EmailQuality.WARNING_FLAGS.includes(flag))) {
+          result.warnings.push({ email: contact.email, reason: 'possible_typo', score, flags, reasons, suggestion });
+        }
+        return;
+      }
+
+      const lowQuality = { email: contact.email, reason: 'low_quality', score, flags, reasons, suggestion };
+      if (mode === 'exclude') {
+        result.excluded.push(lowQuality);
+      } else {
+        result.warnings.push(lowQuality);
+        result.allowed.push(contact);
+      }
+    });
+
+    return result;
+  }
+
+  // Quality report for a list of addresses
+  checkAddresses(emails) {
+    const results = emails.map(email => EmailQuality.assess(email));
+    return {
+      checked: results.length,
+      flagged: results.filter(result => result.flags.length > 0).length,
+      results
+    };
+  }
+}
+
+module.exports = AddressQualityService;
@@ -0,0 +1,427 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { simpleParser } = require('mailparser');
+const imapConfig = require('../config/imap');
+const Email = require('../models/Email');
+const Log = require('../models/Log');
+const Suppression = require('../models/Suppression');
+const logger = require('../utils/logger');
+
+const STATUS_PARTS = ['message/delivery-status', 'message/global-delivery-status'];
+const ORIGINAL_PARTS = ['text/rfc822-headers', 'message/rfc822', 'message/global-headers', 'message/global'];
+const DROP_EXTENSIONS = ['.eml', '.mbox'];
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Bounce processing service
+ *
+ * Reads RFC 3464 delivery status notifications from the IMAP inbox and from a
+ * drop folder of .eml/.mbox files, marks the matching Email as `bounced` with
+ * the reported status code and adds hard-bounced (5.x.x) addresses to the
+ * suppression list so they are never emailed again.
+ *
+ * @class BounceService
+ */
+class BounceService {
+  constructor(socketHandler = null) {
+    this.socketHandler = socketHandler;
+    this.dropDir = path.resolve(process.env.BOUNCE_DROP_DIR || path.join(__dirname, '../../data/bounces'));
+    this.lookbackDays = parseInt(process.env.IMAP_LOOKBACK_DAYS) || 7;
+    this.lastUid = null;
+    this.uidValidity = null;
+    // Runs a failing file or message is retried on before it is given up on
+    this.maxAttempts = parseInt(process.env.BOUNCE_MAX_ATTEMPTS) || 3;
+    // Failed runs so far per file path or mailbox UID
+    this.failures = new Map();
+    this.isProcessing = false;
+    this.lastRunAt = null;
+    this.lastResult = null;
+  }
+
+  setSocketHandler(socketHandler) {
+    this.socketHandler = socketHandler;
+  }
+
+  // Parse a block of header-style fields into groups separated by blank lines
+  static parseFieldGroups(text) {
+    return String(text || '')
+      .replace(/\r\n/g, '\n')
+      .replace(/\n[ \t]+/g, ' ')
+      .split(/\n\s*\n/)
+      .map(block => {
+        const fields = {};
+        block.split('\n').forEach(line => {
+          const match = line.match(/^([\w-]+):\s*(.*)$/);
+          if (match && !fields[match[1].toLowerCase()]) {
+            fields[match[1].toLowerCase()] = match[2].trim();
+          }
+        });
+        return fields;
+      })
+      .filter(fields => Object.keys(fields).length > 0);
+  }
+
+  // Drop the address-type prefix, e.g. "rfc822; user@example.com"
+  static stripType(value) {
+    if (!value) return null;
+    const index = value.indexOf(';');
+    return (index === -1 ? value : value.slice(index + 1)).trim();
+  }
+
+  // 5.x.x is a permanent failure, 4.x.x a transient one
+  static classify(statusCode) {
+    if (!statusCode) return 'unknown';
+    if (statusCode.startsWith('5.')) return 'hard';
+    if (statusCode.startsWith('4.')) return 'soft';
+    return 'unknown';
+  }
+
+  // Split an mbox file into raw messages
+  static splitMbox(text) {
+    return String(text)
+      .split(/^From .*\r?\n/m)
+      .map(message => message.replace(/^>(>*From )/gm, '$1').trim())
+      .filter(Boolean);
+  }
+
+  // Parse a raw message; returns null unless it is a delivery status notification
+  static async parseDsn(source) {
+    const parsed = await simpleParser(source, { keepDeliveryStatus: true });
+    const statusPart = parsed.attachments.find(part => STATUS_PARTS.includes(part.contentType));
+    if (!statusPart) {
+      return null;
+    }
+
+    const [perMessage = {}, ...perRecipient] = BounceService.parseFieldGroups(statusPart.content.toString('utf8'));
+    const originalPart = parsed.attachments.find(part => ORIGINAL_PARTS.includes(part.contentType));
+    const originalHeaders = originalPart ? BounceService.parseFieldGroups(originalPart.content.toString('utf8'))[0] || {} : {};
+
+    const recipients = perRecipient
+      .map(fields => {
+        const statusMatch = (fields.status || '').match(/[245]\.\d{1,3}\.\d{1,3}/);
+        const statusCode = statusMatch ? statusMatch[0] : null;
+        return {
+          recipient: normalizeEmail(BounceService.stripType(fields['final-recipient'] || fields['original-recipient'])),
+          action: (fields.action || '').toLowerCase(),
+          statusCode,
+          type: BounceService.classify(statusCode),
+          diagnosticCode: BounceService.stripType(fields['diagnostic-code']),
+          remoteMta: BounceService.stripType(fields['remote-mta'])
+        };
+      })
+      .filter(entry => entry.recipient);
+
+    return {
+      messageId: parsed.messageId || null,
+      date: parsed.date || new Date(),
+      reportingMta: BounceService.stripType(perMessage['reporting-mta']),
+      originalMessageId: originalHeaders['message-id'] || null,
+      recipients
+    };
+  }
+
+  // Find the sent email a bounce refers to: by original Message-ID first, then the latest send to the address
+  async findBouncedEmail(recipient, originalMessageId) {
+    if (originalMessageId) {
+      const bare = originalMessageId.replace(/^<|>$/g, '');
+      const matches = await Email.findByMessageIds([`<${bare}>`, bare]);
+      const match = matches.find(email => normalizeEmail(email.recipient.email || email.to) === recipient) ||
+        (matches.length === 1 ? matches[0] : null);
+      if (match) {
+        return match;
+      }
+    }
+
+    const emails = await Email.findByRecipient(recipient);
+    return emails
+      .filter(email => ['sent', 'bounced'].includes(email.status) && email.sentAt)
+      .sort((a, b) => new Date(b.sentAt) - new Date(a.sentAt))[0] || null;
+  }
+
+  // Apply one recipient's failure from a DSN
+  async recordBounce(dsn, entry, origin) {
+    const email = await this.findBouncedEmail(entry.recipient, dsn.originalMessageId);
+    const outcome = { recipient: entry.recipient, statusCode: entry.statusCode, type: entry.type, emailId: email ? email.id : null, duplicate: false, suppressed: false };
+
+    if (email && email.status === 'bounced' && email.metadata.bounce && email.metadata.bounce.dsnMessageId === dsn.messageId) {
+      outcome.duplicate = true;
+      return outcome;
+    }
+
+    if (email) {
+      await email.markAsBounced({
+        statusCode: entry.statusCode,
+        type: entry.type,
+        action: entry.action,
+        diagnosticCode: entry.diagnosticCode,
+        remoteMta: entry.remoteMta,
+        dsnMessageId: dsn.messageId,
+        reportedAt: dsn.date
+      });
+    }
+
+    if (entry.type === 'hard') {
+      const { created } = await Suppression.add({
+        email: entry.recipient,
+        reason: 'bounced',
+        source: origin,
+        note: entry.diagnosticCode || '',
+        metadata: { statusCode: entry.statusCode, emailId: outcome.emailId, campaignId: email ? email.campaignId : null }
+      });
+      outcome.suppressed = created;
+    }
+
+    await Log.logEmailEvent(email ? email.campaignId : null, entry.recipient, 'bounced', {
+      emailId: outcome.emailId,
+      statusCode: entry.statusCode,
+      bounceType: entry.type,
+      diagnosticCode: entry.diagnosticCode,
+      source: origin
+    });
+
+    logger.warning(`${entry.type === 'hard' ? 'Hard' : 'Soft'} bounce for ${entry.recipient} (${entry.statusCode || 'no status'})${email ? '' : ' - no matching sent email'}`);
+
+    if (this.socketHandler && email) {
+      this.socketHandler.emitEmailBounced(email.campaignId, {
+        emailId: email.id,
+        recipient: entry.recipient,
+        companyName: email.recipient.companyName,
+        statusCode: entry.statusCode,
+        bounceType: entry.type,
+        suppressed: outcome.suppressed
+      });
+    }
+
+    return outcome;
+  }
+
+  // Process one raw message, adding its outcome to the running result
+  async processMessage(source, origin, result) {
+    const dsn = await BounceService.parseDsn(source);
+    if (!dsn) {
+      result.ignored += 1;
+      return null;
+    }
+
+    result.reports += 1;
+    const outcomes = [];
+    for (const entry of dsn.recipients) {
+      // Only failures are bounces; delayed/delivered/relayed notices are informational
+      if (entry.action !== 'failed') {
+        continue;
+      }
+
+      const outcome = await this.recordBounce(dsn, entry, origin);
+      outcomes.push(outcome);
+      if (outcome.duplicate) {
+        result.duplicates += 1;
+        continue;
+      }
+      result.bounces += 1;
+      if (outcome.type === 'hard') result.hard += 1;
+      if (!outcome.emailId) result.unmatched += 1;
+      if (outcome.suppressed) result.suppressed += 1;
+    }
+
+    return outcomes;
+  }
+
+  // Count a failed run for a file or message; true while it should be retried on a later run
+  shouldRetry(key) {
+    const attempts = (this.failures.get(key) || 0) + 1;
+    if (attempts >= this.maxAttempts) {
+      this.failures.delete(key);
+      return false;
+    }
+    this.failures.set(key, attempts);
+    return true;
+  }
+
+  async hasDropFolder() {
+    try {
+      return (await fs.stat(this.dropDir)).isDirectory();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Process every .eml/.mbox file in a folder, moving handled files to processed/. A file with a
+  // message that failed stays in place for the next run (recorded bounces are detected as
+  // duplicates then) and moves to failed/ after maxAttempts runs.
+  async processDropFolder(dir = this.dropDir, result = BounceService.createResult()) {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    const files = entries.filter(entry => entry.isFile() && DROP_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()));
+    if (files.length === 0) {
+      return result;
+    }
+
+    const processedDir = path.join(dir, 'processed');
+    await fs.mkdir(processedDir, { recursive: true });
+
+    for (const file of files) {
+      const filePath = path.join(dir, file.name);
+      let failed = false;
+      try {
+        const content = await fs.readFile(filePath);
+        const messages = path.extname(file.name).toLowerCase() === '.mbox'
+          ? BounceService.splitMbox(content.toString('utf8'))
+          : [content];
+
+        for (const message of messages) {
+          result.checked += 1;
+          try {
+            await this.processMessage(message, `file:${file.name}`, result);
+          } catch (error) {
+            failed = true;
+            result.errors += 1;
+            logger.error(`Failed to process bounce in ${file.name}: ${error.message}`);
+          }
+        }
+      } catch (error) {
+        failed = true;
+        result.errors += 1;
+        logger.error(`Failed to read bounce file ${file.name}: ${error.message}`);
+      }
+
+      try {
+        if (!failed) {
+          this.failures.delete(filePath);
+          await fs.rename(filePath, path.join(processedDir, `${Date.now()}-${file.name}`));
+        } else if (!this.shouldRetry(filePath)) {
+          const failedDir = path.join(dir, 'failed');
+          await fs.mkdir(failedDir, { recursive: true });
+          await fs.rename(filePath, path.join(failedDir, `${Date.now()}-${file.name}`));
+          logger.warning(`Moved bounce file ${file.name} to failed/ after ${this.maxAttempts} attempts`);
+        }
+      } catch (error) {
+        result.errors += 1;
+        logger.error(`Failed to move bounce file ${file.name}: ${error.message}`);
+      }
+    }
+
+    return result;
+  }
+
+  // Fetch DSNs that arrived in the bounce mailbox since the last poll. lastUid only moves past a
+  // failed message once it has failed maxAttempts times, so it is fetched again on the next poll.
+  async processImap(result = BounceService.createResult()) {
+    const client = imapConfig.createClient();
+
+    try {
+      await client.connect();
+      const mailbox = await client.mailboxOpen(imapConfig.getBounceMailbox(), { readOnly: true });
+
+      if (this.uidValidity !== String(mailbox.uidValidity)) {
+        this.uidValidity = String(mailbox.uidValidity);
+        this.lastUid = null;
+        this.failures.clear();
+      }
+
+      const since = new Date(Date.now() - this.lookbackDays * 24 * 60 * 60 * 1000);
+      const query = this.lastUid ? { uid: `${this.lastUid + 1}:*` } : { since };
+      const uids = ((await client.search(query, { uid: true })) || [])
+        .filter(uid => !this.lastUid || uid > this.lastUid)
+        .sort((a, b) => a - b);
+      if (uids.length === 0) {
+        return result;
+      }
+
+      // Only download the full source of multipart/report messages
+      const reportUids = [];
+      for await (const message of client.fetch(uids, { uid: true, bodyStructure: true }, { uid: true })) {
+        if (message.bodyStructure && message.bodyStructure.type === 'multipart/report') {
+          reportUids.push(message.uid);
+        }
+      }
+      result.checked += uids.length;
+      result.ignored += uids.length - reportUids.length;
+
+      // Lowest UID that failed and will be retried; lastUid stops just below it
+      let retryFrom = null;
+      for (const uid of reportUids) {
+        const key = `imap:${uid}`;
+        try {
+          const message = await client.fetchOne(uid, { source: true }, { uid: true });
+          await this.processMessage(message.source, 'imap', result);
+          this.failures.delete(key);
+        } catch (error) {
+          result.errors += 1;
+          logger.error(`Failed to process bounce message ${uid}: ${error.message}`);
+          if (this.shouldRetry(key)) {
+            retryFrom = retryFrom === null ? uid : Math.min(retryFrom, uid);
+          } else {
+            logger.warning(`Giving up on bounce message ${uid} after ${this.maxAttempts} attempts`);
+          }
+        }
+      }
+
+      const handled = retryFrom === null ? uids : uids.filter(uid => uid < retryFrom);
+      if (handled.length > 0) {
+        this.lastUid = Math.max(this.lastUid || 0, ...handled);
+      }
+    } finally {
+      try {
+        await client.logout();
+      } catch (error) {
+        client.close();
+      }
+    }
+
+    return result;
+  }
+
+  static createResult() {
+    return { checked: 0, reports: 0, bounces: 0, hard: 0, suppressed: 0, duplicates: 0, unmatched: 0, ignored: 0, errors: 0 };
+  }
+
+  // Run every configured source once
+  async run() {
+    if (this.isProcessing) {
+      logger.warning('Bounce processing already in progress, skipping');
+      return null;
+    }
+
+    this.isProcessing = true;
+    const result = BounceService.createResult();
+
+    try {
+      if (imapConfig.isConfigured()) {
+        try {
+          await this.processImap(result);
+        } catch (error) {
+          result.errors += 1;
+          logger.error(`Bounce mailbox poll failed: ${error.message}`);
+        }
+      }
+
+      if (await this.hasDropFolder()) {
+        await this.processDropFolder(this.dropDir, result);
+      }
+
+      if (result.bounces > 0) {
+        logger.info(`Bounce processing: ${result.bounces} bounce(s), ${result.hard} hard, ${result.suppressed} newly suppressed`);
+      }
+    } catch (error) {
+      result.errors += 1;
+      logger.error(`Bounce processing failed: ${error.message}`);
+    } finally {
+      this.isProcessing = false;
+      this.lastRunAt = new Date();
+      this.lastResult = result;
+    }
+
+    return result;
+  }
+
+  getStatus() {
+    return {
+      imapConfigured: imapConfig.isConfigured(),
+      dropDir: this.dropDir,
+      lastRunAt: this.lastRunAt,
+      lastResult: this.lastResult
+    };
+  }
+}
+
+module.exports = BounceService;
@@ -1,6 +1,8 @@
 const Campaign = require('../models/Campaign');
 const Email = require('../models/Email');
 const Log = require('../models/Log');
+const OutboxEntry = require('../models/OutboxEntry');
+const ContactService = require('./contactService');
 const logger = require('../utils/logger');
 const DateUtils = require('../utils/dateUtils');
 
@@ -8,6 +10,7 @@ class CampaignService {
   constructor() {
     this.cache = new Map(); // In-memory cache for recently accessed campaigns
     this.cacheTimeout = 5 * 60 * 1000; // 5 minutes cache timeout
+    this.contactService = new ContactService();
   }
 
 
@@ -43,11 +46,13 @@ class CampaignService {
         userEmail: campaignData.userEmail
       })}`);
 
-      // Ensure required fields are set
+      // Ensure required fields are set; a future start date keeps the campaign scheduled until then
+      const startDate = campaignData.startDate ? new Date(campaignData.startDate) : null;
       const enrichedData = {
         ...campaignData,
         id: campaignData.id || require('crypto').randomUUID(),
-        totalEmails: campaignData.totalEmails || campaignData.contacts?.length || 0
+        totalEmails: campaignData.totalEmails || campaignData.contacts?.length || 0,
+        status: campaignData.status || (startDate && startDate > new Date() ? 'scheduled' : 'active')
       };
 
       const campaign = new Campaign(enrichedData);
@@ -70,6 +75,13 @@ class CampaignService {
         userEmail: savedCampaign.userEmail
       });
 
+      // Link the contacts to their cross-campaign history
+      try {
+        await this.contactService.recordCampaign(savedCampaign);
+      } catch (error) {
+        logger.error(`Failed to record campaign contacts in registry: ${error.message}`);
+      }
+
       // Update cache
       this.updateCache(savedCampaign);
 
@@ -108,15 +120,14 @@ class CampaignService {
   // Update campaign with cache invalidation
   async updateCampaign(campaignId, updates) {
     try {
-      const campaign = await Campaign.findById(campaignId);
-      if (!campaign) {
+      // Apply the changes to the stored record so concurrent progress writes aren't lost
+      const updatedCampaign = await Campaign.update(campaignId, campaign => {
+        Object.assign(campaign, updates);
+      });
+      if (!updatedCampaign) {
         throw new Error(`Campaign not found: ${campaignId}`);
       }
 
-      // Update campaign properties
-      Object.assign(campaign, updates);
-      const updatedCampaign = await campaign.save();
-
       // Update cache
       this.updateCache(updatedCampaign);
 
@@ -131,6 +142,23 @@ class CampaignService {
     }
   }
 
+  // Apply updates only while the stored campaign is in one of `fromStatuses`, checked and written in one
+  // step so a campaign the scheduler started meanwhile is never changed; resolves to { campaign, applied }
+  async updateCampaignIf(campaignId, fromStatuses, updates) {
+    let applied = false;
+    const campaign = await Campaign.update(campaignId, stored => {
+      if (!fromStatuses.includes(stored.status)) {
+        return false;
+      }
+      Object.assign(stored, updates);
+      applied = true;
+    });
+    if (campaign) {
+      this.updateCache(campaign);
+    }
+    return { campaign, applied };
+  }
+
   // Get all active campaigns (no caching for list operations)
   async getActiveCampaigns() {
     try {
@@ -153,32 +181,38 @@ class CampaignService {
   }
 
   // Update campaign progress
-  async updateCampaignProgress(campaignId, successCount, failedCount, logData = null) {
+  async updateCampaignProgress(campaignId, successCount, failedCount, logData = null, skippedCount = 0) {
     try {
-      const campaign = await this.getCampaignById(campaignId);
-      if (!campaign) {
+      // Merge into the stored record, never a cached copy, so no other writer's progress is lost
+      const updatedCampaign = await Campaign.update(campaignId, campaign => {
+        campaign.updateProgress(successCount, failedCount, skippedCount);
+
+        // Add daily log if provided
+        if (logData) {
+          campaign.addDailyLog(logData);
+
+          // The initial send is step 1 of the campaign's follow-up sequence
+          if (campaign.hasSequence() && logData.recipients) {
+            logData.recipients.filter(recipient => !recipient.skipped).forEach(recipient => {
+              campaign.recordSequenceSend(recipient, 1, recipient);
+            });
+          }
+        }
+      });
+      if (!updatedCampaign) {
         throw new Error(`Campaign not found: ${campaignId}`);
       }
-
-      // Update progress
-      campaign.updateProgress(successCount, failedCount);
-
-      // Add daily log if provided
-      if (logData) {
-        campaign.addDailyLog(logData);
-      }
-
-      // Save to database
-      const updatedCampaign = await campaign.save();
+      this.updateCache(updatedCampaign);
 
       // Log progress update
       await Log.logCampaignEvent(campaignId, 'progress_updated', {
         sentEmails: updatedCampaign.sentEmails,
         failedEmails: updatedCampaign.failedEmails,
+        skippedEmails: updatedCampaign.skippedEmails,
         totalEmails: updatedCampaign.totalEmails
       });
 
-      logger.campaign(`Campaign progress updated: ${campaign.name} - ${campaign.sentEmails}/${campaign.totalEmails} emails sent`);
+      logger.campaign(`Campaign progress updated: ${updatedCampaign.name} - ${updatedCampaign.sentEmails}/${updatedCampaign.totalEmails} emails sent`);
 
       return updatedCampaign;
     } catch (error) {
@@ -212,14 +246,16 @@ class CampaignService {
   }
 
   // Get next batch for campaign
-  async getNextBatch(campaignId) {
+  async getNextBatch(campaignId, batchSize = 25) {
     try {
       const campaign = await this.getCampaignById(campaignId);
       if (!campaign) {
         throw new Error(`Campaign not found: ${campaignId}`);
       }
 
-      return campaign.getNextBatch();
+      // Contacts waiting in the outbox are not picked a second time
+      const queued = await OutboxEntry.getQueuedRecipients(campaignId);
+      return campaign.getNextBatch(batchSize, new Date(), queued);
     } catch (error) {
       logger.error(`Failed to get next batch for campaign ${campaignId}: ${error.message}`);
       return null;
@@ -244,12 +280,30 @@ class CampaignService {
         totalEmails: campaign.totalEmails,
         sentEmails: campaign.sentEmails,
         failedEmails: campaign.failedEmails,
+        skippedEmails: campaign.skippedEmails,
         successRate: campaign.totalEmails > 0 ? Math.round((campaign.sentEmails / campaign.totalEmails) * 100) : 0,
         progress: campaign.getProgress(),
         duration: campaign.completedAt ? DateUtils.calculateDuration(campaign.createdAt, campaign.completedAt) : null,
         estimatedCompletion: campaign.getEstimatedCompletion(),
         dailyLogs: campaign.dailyLogs,
-        emailStats: emailStats
+        emailStats: emailStats,
+        sequence: campaign.hasSequence() ? campaign.getSequenceSummary() : null,
+        sendingWindow: campaign.getSendingWindowStatus(),
+        opens: {
+          tracked: campaign.trackOpens,
+          ...(await Email.getOpenStats(campaignId))
+        },
+        clicks: {
+          tracked: campaign.trackClicks,
+          ...(await Email.getClickStats(campaignId))
+        },
+        // Per-variant results are at GET /api/campaigns/:id/variants
+        abTest: campaign.hasVariants() ? {
+          ...campaign.abTest,
+          variants: campaign.getVariantSplit(),
+          winnerVariantId: campaign.winnerVariantId,
+          promotedAt: campaign.promotedAt
+        } : null
       };
 
       return stats;
@@ -269,6 +323,8 @@ class CampaignService {
         active: campaigns.filter(c => c.status === 'active').length,
         completed: campaigns.filter(c => c.status === 'completed').length,
         paused: campaigns.filter(c => c.status === 'paused').length,
+        scheduled: campaigns.filter(c => c.status === 'scheduled').length,
+        cancelled: campaigns.filter(c => c.status === 'cancelled').length,
         totalEmailsSent: campaigns.reduce((sum, c) => sum + c.sentEmails, 0),
         totalEmailsFailed: campaigns.reduce((sum, c) => sum + c.failedEmails, 0),
         campaigns: campaigns.map(c => c.getProgress())
@@ -281,6 +337,64 @@ class CampaignService {
     }
   }
 
+  // Scheduled campaigns, soonest start first
+  async getScheduledCampaigns() {
+    try {
+      return await Campaign.getScheduledCampaigns();
+    } catch (error) {
+      logger.error(`Failed to get scheduled campaigns: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Scheduled campaigns whose start time has come
+  async getDueScheduledCampaigns(now = new Date()) {
+    const campaigns = await this.getScheduledCampaigns();
+    return campaigns.filter(campaign => campaign.isDue(now));
+  }
+
+  // Move a scheduled campaign's start time
+  async rescheduleCampaign(campaignId, startDate) {
+    try {
+      const { campaign: rescheduledCampaign, applied } = await this.updateCampaignIf(campaignId, ['scheduled'], { startDate: new Date(startDate) });
+      if (!rescheduledCampaign) {
+        throw new Error(`Campaign not found: ${campaignId}`);
+      }
+      if (!applied) {
+        throw new Error(`Only scheduled campaigns can be rescheduled (status: ${rescheduledCampaign.status})`);
+      }
+
+      // Log campaign reschedule
+      await Log.logCampaignEvent(campaignId, 'rescheduled', { startDate: rescheduledCampaign.startDate });
+
+      return rescheduledCampaign;
+    } catch (error) {
+      logger.error(`Failed to reschedule campaign ${campaignId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Cancel a scheduled campaign before it starts
+  async cancelCampaign(campaignId) {
+    try {
+      const { campaign: cancelledCampaign, applied } = await this.updateCampaignIf(campaignId, ['scheduled'], { status: 'cancelled', cancelledAt: new Date() });
+      if (!cancelledCampaign) {
+        throw new Error(`Campaign not found: ${campaignId}`);
+      }
+      if (!applied) {
+        throw new Error(`Only scheduled campaigns can be cancelled (status: ${cancelledCampaign.status})`);
+      }
+
+      // Log campaign cancellation
+      await Log.logCampaignEvent(campaignId, 'cancelled');
+
+      return cancelledCampaign;
+    } catch (error) {
+      logger.error(`Failed to cancel campaign ${campaignId}: ${error.message}`);
+      throw error;
+    }
+  }
+
   // Pause campaign
   async pauseCampaign(campaignId) {
     try {
@@ -0,0 +1,384 @@
+const Contact = require('../models/Contact');
+const ContactField = require('../models/ContactField');
+const Segment = require('../models/Segment');
+const logger = require('../utils/logger');
+
+const COOLDOWN_MODES = ['skip', 'warn', 'allow'];
+
+/**
+ * Contact service
+ *
+ * Maintains the cross-campaign contact registry (one entry per normalized
+ * address with every campaign and send that touched it) and applies the
+ * re-contact cooldown when new recipients are uploaded. Contacts also carry
+ * tags, notes and values for the typed custom fields defined in ContactField,
+ * and saved segments select contacts by those to build campaigns from.
+ *
+ * @class ContactService
+ */
+class ContactService {
+  static get COOLDOWN_MODES() {
+    return COOLDOWN_MODES;
+  }
+
+  // Cooldown settings from the request, falling back to CONTACT_COOLDOWN_MODE / CONTACT_COOLDOWN_DAYS
+  static getCooldownOptions({ mode, days } = {}) {
+    const resolvedMode = mode || process.env.CONTACT_COOLDOWN_MODE || 'warn';
+    const resolvedDays = days !== undefined && days !== '' ? parseFloat(days) : parseFloat(process.env.CONTACT_COOLDOWN_DAYS || 14);
+
+    if (!COOLDOWN_MODES.includes(resolvedMode)) {
+      throw new Error(`Cooldown mode must be one of: ${COOLDOWN_MODES.join(', ')}`);
+    }
+    if (isNaN(resolvedDays) || resolvedDays < 0) {
+      throw new Error('Cooldown days must be a non-negative number');
+    }
+
+    return { mode: resolvedMode, days: resolvedDays };
+  }
+
+  // Split contacts by whether they were emailed within the cooldown window
+  async checkCooldown(contacts, options = {}) {
+    const { mode, days } = ContactService.getCooldownOptions(options);
+    const result = { mode, days, allowed: [], skipped: [], warnings: [] };
+
+    if (mode === 'allow' || days === 0) {
+      result.allowed = contacts;
+      return result;
+    }
+
+    const registry = await Contact.findByEmails(contacts.map(contact => contact.email));
+    const now = new Date();
+
+    contacts.forEach(contact => {
+      const entry = registry.get(Contact.normalizeEmail(contact.email));
+      const daysSince = entry ? entry.getDaysSinceContact(now) : null;
+
+      if (daysSince === null || daysSince >= days) {
+        result.allowed.push(contact);
+        return;
+      }
+
+      const recent = {
+        email: contact.email,
+        reason: 'cooldown',
+        lastContactedAt: entry.lastContactedAt,
+        daysSinceContact: Math.floor(daysSince),
+        lastCampaignId: entry.lastCampaignId,
+        campaignCount: entry.campaigns.length
+      };
+
+      if (mode === 'skip') {
+        result.skipped.push(recent);
+      } else {
+        result.warnings.push(recent);
+        result.allowed.push(contact);
+      }
+    });
+
+    return result;
+  }
+
+  // Link every contact of a new campaign to their registry entry, written in one batch
+  async recordCampaign(campaign) {
+    const registry = await Contact.findByEmails(campaign.contacts.map(contact => contact.email));
+    const changed = [];
+
+    for (const recipient of campaign.contacts) {
+      const email = Contact.normalizeEmail(recipient.email);
+      if (!email) continue;
+
+      const contact = registry.get(email) || new Contact({
+        email,
+        companyName: recipient.company_name || recipient.companyName || ''
+      });
+      registry.set(email, contact);
+
+      if (contact.addCampaign(campaign)) {
+        changed.push(contact);
+      }
+    }
+
+    if (changed.length > 0) {
+      await Contact.saveMany(changed);
+    }
+  }
+
+  // Record a successful send on the recipient's registry entry
+  async recordSend(emailRecord) {
+    try {
+      const address = emailRecord.recipient.email || emailRecord.to;
+      const contact = await Contact.findOrCreate(address, { companyName: emailRecord.recipient.companyName });
+      if (!contact.companyName && emailRecord.recipient.companyName) {
+        contact.companyName = emailRecord.recipient.companyName;
+      }
+
+      contact.addSend({
+        campaignId: emailRecord.campaignId,
+        emailId: emailRecord.id,
+        messageId: emailRecord.metadata && emailRecord.metadata.messageId,
+        subject: emailRecord.subject,
+        sequenceStep: emailRecord.sequenceStep,
+        sentAt: emailRecord.sentAt
+      });
+      await contact.save();
+      return contact;
+    } catch (error) {
+      // The registry is bookkeeping; never fail a send because of it
+      logger.error(`Failed to record send in contact registry: ${error.message}`);
+      return null;
+    }
+  }
+
+  async getHistory(email) {
+    return Contact.findByEmail(email);
+  }
+
+  // Segment filter from a request body or query string (tags may be a comma-separated string)
+  static normalizeFilter(filter = {}) {
+    const normalized = {};
+    const tags = Contact.normalizeTags(filter.tags || filter.tag || []);
+    if (tags.length > 0) normalized.tags = tags;
+    ['company', 'domain', 'search'].forEach(key => {
+      if (filter[key] !== undefined && String(filter[key]).trim()) {
+        normalized[key] = String(filter[key]).trim();
+      }
+    });
+    const fields = filter.fields && typeof filter.fields === 'object' ? filter.fields : {};
+    if (Object.keys(fields).length > 0) normalized.fields = { ...fields };
+    return normalized;
+  }
+
+  // Custom field definitions keyed by name
+  async getFieldDefinitions() {
+    const fields = await ContactField.loadAll();
+    return new Map(fields.map(field => [field.name, field]));
+  }
+
+  // Check submitted custom field values against their definitions and convert them to each field's type
+  async normalizeCustomFields(values = {}, current = {}) {
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      throw new Error('Invalid contact: customFields must be an object');
+    }
+
+    const definitions = await this.getFieldDefinitions();
+    const result = { ...current };
+    for (const [name, value] of Object.entries(values)) {
+      const field = definitions.get(name);
+      if (!field) {
+        throw new Error(`Invalid contact: Unknown custom field ${name}; define it with POST /api/contacts/fields first`);
+      }
+      let coerced;
+      try {
+        coerced = field.coerce(value);
+      } catch (error) {
+        throw new Error(`Invalid contact: ${error.message}`);
+      }
+      if (coerced === null) {
+        delete result[name];
+      } else {
+        result[name] = coerced;
+      }
+    }
+    return result;
+  }
+
+  async validateFilter(filter) {
+    const definitions = await this.getFieldDefinitions();
+    const unknown = Object.keys(filter.fields || {}).filter(name => !definitions.has(name));
+    if (unknown.length > 0) {
+      throw new Error(`Invalid segment: Unknown custom fields: ${unknown.join(', ')}`);
+    }
+  }
+
+  // Contacts matching a filter, by company then address
+  async findContacts(filter = {}) {
+    const contacts = await Contact.loadAll();
+    return contacts
+      .filter(contact => contact.matches(filter))
+      .sort((a, b) => a.companyName.localeCompare(b.companyName) || a.email.localeCompare(b.email));
+  }
+
+  async list({ limit = 100, offset = 0, ...filter } = {}) {
+    const contacts = await this.findContacts(ContactService.normalizeFilter(filter));
+    const start = Math.max(0, parseInt(offset) || 0);
+    const size = Math.min(1000, Math.max(1, parseInt(limit) || 100));
+
+    return {
+      contacts: contacts.slice(start, start + size),
+      total: contacts.length,
+      limit: size,
+      offset: start
+    };
+  }
+
+  // Add a contact by hand; an address already in the registry is returned with created: false
+  async createContact({ email, companyName, name, tags, customFields, note }) {
+    const existing = await Contact.findByEmail(email);
+    if (existing) {
+      return { contact: existing, created: false };
+    }
+
+    const contact = new Contact({
+      email,
+      companyName: companyName ? String(companyName).trim() : '',
+      name: name ? String(name).trim() : '',
+      tags: tags || [],
+      customFields: await this.normalizeCustomFields(customFields || {})
+    });
+    if (note) {
+      contact.addNote(note);
+    }
+
+    const validation = contact.isValid();
+    if (!validation.valid) {
+      throw new Error(`Invalid contact: ${validation.errors.join(', ')}`);
+    }
+    await contact.save();
+    return { contact, created: true };
+  }
+
+  // Change the company, name or tags (replaced) and set custom fields (merged; null clears one)
+  async updateContact(id, { companyName, name, tags, customFields }) {
+    const contact = await Contact.findById(id);
+    if (!contact) {
+      return null;
+    }
+
+    if (companyName !== undefined) contact.companyName = String(companyName).trim();
+    if (name !== undefined) contact.name = String(name).trim();
+    if (tags !== undefined) contact.tags = Contact.normalizeTags(tags);
+    if (customFields !== undefined) {
+      contact.customFields = await this.normalizeCustomFields(customFields, contact.customFields);
+    }
+
+    const validation = contact.isValid();
+    if (!validation.valid) {
+      throw new Error(`Invalid contact: ${validation.errors.join(', ')}`);
+    }
+    return contact.save();
+  }
+
+  async removeContact(id) {
+    const contact = await Contact.findById(id);
+    if (contact) {
+      await contact.delete();
+    }
+    return contact;
+  }
+
+  async addNote(id, text) {
+    const contact = await Contact.findById(id);
+    if (!contact) {
+      return null;
+    }
+    const note = contact.addNote(text);
+    await contact.save();
+    return { contact, note };
+  }
+
+  async removeNote(id, noteId) {
+    const contact = await Contact.findById(id);
+    if (!contact) {
+      return null;
+    }
+    const note = contact.removeNote(noteId);
+    if (note) {
+      await contact.save();
+    }
+    return { contact, note };
+  }
+
+  async createField({ name, label, type }) {
+    if (await ContactField.findByName(String(name || '').trim())) {
+      return { field: null, created: false };
+    }
+
+    const field = new ContactField({ name, label, type });
+    const validation = field.isValid();
+    if (!validation.valid) {
+      throw new Error(`Invalid contact field: ${validation.errors.join(', ')}`);
+    }
+    await field.save();
+    return { field, created: true };
+  }
+
+  // Delete a field definition and clear its values from every contact
+  async removeField(name) {
+    const field = await ContactField.findByName(name);
+    if (!field) {
+      return null;
+    }
+
+    const contacts = await Contact.loadAll();
+    for (const contact of contacts.filter(c => c.customFields[name] !== undefined)) {
+      delete contact.customFields[name];
+      await contact.save();
+    }
+    await field.delete();
+    return field;
+  }
+
+  async createSegment({ name, description, filter }) {
+    const segment = new Segment({ name, description, filter: ContactService.normalizeFilter(filter || {}) });
+    const validation = segment.isValid();
+    if (!validation.valid) {
+      throw new Error(`Invalid segment: ${validation.errors.join(', ')}`);
+    }
+    await this.validateFilter(segment.filter);
+    return segment.save();
+  }
+
+  async updateSegment(id, { name, description, filter }) {
+    const segment = await Segment.findById(id);
+    if (!segment) {
+      return null;
+    }
+
+    if (name !== undefined) segment.name = String(name).trim();
+    if (description !== undefined) segment.description = description;
+    if (filter !== undefined) segment.filter = ContactService.normalizeFilter(filter);
+
+    const validation = segment.isValid();
+    if (!validation.valid) {
+      throw new Error(`Invalid segment: ${validation.errors.join(', ')}`);
+    }
+    await this.validateFilter(segment.filter);
+    return segment.save();
+  }
+
+  async removeSegment(id) {
+    const segment = await Segment.findById(id);
+    if (segment) {
+      await segment.delete();
+    }
+    return segment;
+  }
+
+  /**
+   * Campaign recipients from a saved segment or an inline filter
+   * @param {Object} selection - { segmentId } or { segment: filter }
+   * @returns {Promise<{segment: Segment|null, recipients: Array}|null>} null when the segment doesn't exist
+   */
+  async resolveRecipients({ segmentId, segment: filter }) {
+    let segment = null;
+    let criteria;
+    if (segmentId) {
+      segment = await Segment.findById(segmentId);
+      if (!segment) {
+        return null;
+      }
+      criteria = segment.filter;
+    } else {
+      criteria = ContactService.normalizeFilter(filter || {});
+      if (Object.keys(criteria).length === 0) {
+        throw new Error('Invalid segment: Filter needs at least one criterion');
+      }
+      await this.validateFilter(criteria);
+    }
+
+    const contacts = await this.findContacts(criteria);
+    return { segment, recipients: contacts.map(contact => contact.toRecipient()) };
+  }
+}
+
+module.exports = ContactService;
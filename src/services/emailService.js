@@ -3,6 +3,15 @@ const logger = require('../utils/logger');
 const successfulEmailLogger = require('../utils/successfulEmailLogger');
 const Email = require('../models/Email');
 const Log = require('../models/Log');
+const Template = require('../models/Template');
+const Suppression = require('../models/Suppression');
+const OutboxEntry = require('../models/OutboxEntry');
+const UnsubscribeService = require('./unsubscribeService');
+const TrackingService = require('./trackingService');
+const ContactService = require('./contactService');
+const PipelineService = require('./pipelineService');
+const VariantService = require('./variantService');
+const SenderService = require('./senderService');
 const FileUtils = require('../utils/fileUtils');
 
 /**
@@ -41,6 +50,30 @@ class EmailService {
      */
     this.transporter = emailConfig.getTransporter();
 
+    /**
+     * Cross-campaign contact registry, updated on every successful send
+     * @type {ContactService}
+     */
+    this.contactService = new ContactService();
+
+    /**
+     * Per-company application pipeline; each send adds or updates the company's entry
+     * @type {PipelineService}
+     */
+    this.pipelineService = new PipelineService();
+
+    /**
+     * A/B test reports and winner promotion for campaign batches
+     * @type {VariantService}
+     */
+    this.variantService = new VariantService();
+
+    /**
+     * Sender account registry: picks the account for each email and tracks its caps and health
+     * @type {SenderService}
+     */
+    this.senderService = new SenderService();
+
     // Retry configuration
     /**
      * Maximum number of retry attempts for failed emails
@@ -218,7 +251,12 @@ class EmailService {
   }
 
   // Send a single email with retry logic
-  async sendEmail(emailData, retryCount = 0, campaignId = null) {
+  // Outbox sends pass { outboxId, finalAttempt }: transient failures come back as `retryable`
+  // for the outbox worker to reschedule instead of being retried here
+  async sendEmail(emailData, retryCount = 0, campaignId = null, options = {}) {
+    // Sender account handed the message, so SMTP failures count against its health
+    let deliveringWith = null;
+
     try {
       // Check rate limits
       const rateLimitCheck = this.checkRateLimit();
@@ -248,22 +286,48 @@ class EmailService {
         throw new Error(errorMsg);
       }
 
+      // Pick the sender account: the pinned one, or the next in the pool with capacity left
+      const sender = await this.senderService.acquire(SenderService.getSelection(email));
+      if (!sender) {
+        // Nothing was attempted, so campaign batches leave the contact for a later run
+        const errorMsg = 'Rate limit exceeded: no sender account has capacity left';
+        logger.warning(`${errorMsg} for ${email.to}`);
+        return {
+          success: false,
+          deferred: true,
+          error: errorMsg,
+          errorCategory: 'RATE_LIMIT',
+          recipient: email.to,
+          companyName: email.companyName,
+          retryCount,
+          logEntry: { success: false, error: errorMsg, errorCategory: 'RATE_LIMIT' }
+        };
+      }
+
       // Convert to nodemailer format
       const mailOptions = email.toNodemailerFormat();
+      const from = sender.account.getFromAddress();
+      if (from) {
+        mailOptions.from = from;
+      }
 
-      logger.email(`Sending email to ${email.to} (${email.companyName || 'Unknown Company'}) - Attempt ${retryCount + 1}/${this.maxRetries + 1}`);
+      logger.email(`Sending email to ${email.to} (${email.companyName || 'Unknown Company'}) via ${sender.account.name} - Attempt ${retryCount + 1}/${this.maxRetries + 1}`);
 
       // Send email
-      const result = await this.transporter.sendMail(mailOptions);
+      deliveringWith = sender.account;
+      const result = await sender.transporter.sendMail(mailOptions);
 
       // Record successful send for rate limiting
       this.recordEmailSent(emailData);
+      await this.senderService.recordSuccess(sender.account);
 
       logger.email(`Email sent successfully to ${email.to} - MessageID: ${result.messageId}`);
 
       // Create email record in file storage
       try {
         const emailRecord = new Email({
+          // Keep the prepared email's id, which its open tracking pixel points at
+          id: email.id,
           campaignId: campaignId,
           recipient: {
             email: email.to,
@@ -272,8 +336,17 @@ class EmailService {
           template: {
             id: email.templateId,
             name: email.templateName || 'Unknown',
-            category: email.templateCategory || 'unknown'
+            category: email.templateCategory || 'unknown',
+            version: email.templateVersion
           },
+          templateId: email.templateId,
+          templateVersion: email.templateVersion,
+          templateVersionId: email.templateVersionId,
+          sequenceStep: email.sequenceStep,
+          variantId: email.variantId,
+          inReplyTo: email.inReplyTo,
+          references: email.references,
+          senderId: sender.account.id,
           subject: email.subject,
           content: email.html,
           status: 'sent',
@@ -283,11 +356,15 @@ class EmailService {
             messageId: result.messageId,
             userEmail: emailData.userEmail,
             batchId: emailData.batchId,
-            smtpResponse: result.response
+            senderEmail: sender.account.email,
+            smtpResponse: result.response,
+            outboxId: options.outboxId || null
           }
         });
 
         await emailRecord.save();
+        await this.contactService.recordSend(emailRecord);
+        await this.pipelineService.recordSend(emailRecord);
 
         // Log successful email event
         await Log.logEmailEvent(campaignId, email.to, 'sent', {
@@ -305,6 +382,7 @@ class EmailService {
         messageId: result.messageId,
         recipient: email.to,
         companyName: email.companyName,
+        senderId: sender.account.id,
         logEntry: email.createLogEntry({ success: true, messageId: result.messageId })
       };
     } catch (error) {
@@ -316,17 +394,36 @@ class EmailService {
       // Record failure for adaptive throttling
       this.recordEmailFailure();
 
+      // Count SMTP failures against the sender account's health
+      if (deliveringWith) {
+        await this.senderService.recordFailure(deliveringWith, errorCategory, this.getSafeErrorMessage(errorCategory, error));
+      }
+
       // Retry logic for transient errors
-      if (retryCount < this.maxRetries &&
-        (errorCategory === 'NETWORK' || errorCategory === 'RATE_LIMIT')) {
+      const transient = errorCategory === 'NETWORK' || errorCategory === 'RATE_LIMIT';
+      if (options.outboxId) {
+        if (transient && !options.finalAttempt) {
+          return {
+            success: false,
+            retryable: true,
+            error: this.getSafeErrorMessage(errorCategory, error),
+            errorCategory,
+            recipient: emailData.to,
+            companyName: emailData.companyName,
+            retryCount,
+            logEntry: { success: false, error: this.getSafeErrorMessage(errorCategory, error), errorCategory }
+          };
+        }
+      } else if (retryCount < this.maxRetries && transient) {
         logger.warning(`Retrying email to ${emailData.to} in ${this.retryDelay}ms (attempt ${retryCount + 1}/${this.maxRetries})`);
         await this.delay(this.retryDelay * (retryCount + 1)); // Exponential backoff
-        return this.sendEmail(emailData, retryCount + 1, campaignId);
+        return this.sendEmail(emailData, retryCount + 1, campaignId, options);
       }
 
       // Create email record for failed email in file storage
       try {
         const failedEmailRecord = new Email({
+          id: emailData.id,
           campaignId: campaignId,
           recipient: {
             email: emailData.to,
@@ -335,8 +432,15 @@ class EmailService {
           template: {
             id: emailData.templateId,
             name: emailData.templateName || 'Unknown',
-            category: emailData.templateCategory || 'unknown'
+            category: emailData.templateCategory || 'unknown',
+            version: emailData.templateVersion
           },
+          templateId: emailData.templateId,
+          templateVersion: emailData.templateVersion,
+          templateVersionId: emailData.templateVersionId,
+          sequenceStep: emailData.sequenceStep,
+          variantId: emailData.variantId,
+          senderId: deliveringWith ? deliveringWith.id : null,
           subject: emailData.subject,
           content: emailData.html,
           status: 'failed',
@@ -346,7 +450,8 @@ class EmailService {
           metadata: {
             userEmail: emailData.userEmail,
             batchId: emailData.batchId,
-            errorCategory: errorCategory
+            errorCategory: errorCategory,
+            outboxId: options.outboxId || null
           }
         });
 
@@ -1183,8 +1288,11 @@ class EmailService {
           results.errors[errorType] += batchResult.errors[errorType];
         });
 
-        // Record recipient failures for problematic recipient tracking
+        // Record recipient failures for problematic recipient tracking (deferred emails were never attempted)
         batchResult.details.forEach(detail => {
+          if (detail.deferred) {
+            return;
+          }
           if (!detail.success && detail.recipient) {
             this.recordRecipientFailure(detail.recipient);
           } else if (detail.success && detail.recipient) {
@@ -1370,16 +1478,40 @@ class EmailService {
     return results;
   }
 
+  // Handlebars context for one recipient: their spreadsheet columns, then the built-in variables
+  buildTemplateVariables(recipient, templateVariables = {}) {
+    const columns = recipient.variables || {};
+    return {
+      ...columns,
+      company_name: recipient.company_name || recipient.companyName,
+      email: recipient.email,
+      name: recipient.name || columns.name || 'there',
+      unsubscribe_url: UnsubscribeService.getUnsubscribeUrl(recipient.email),
+      ...templateVariables
+    };
+  }
+
+  // Template variables each recipient has no value for, e.g. a {{role}} with an empty role column
+  findUnresolvedVariables(template, recipients) {
+    const unresolved = [];
+    recipients.forEach((recipient, index) => {
+      const missing = template.getUnresolvedVariables(this.buildTemplateVariables(recipient));
+      if (missing.length > 0) {
+        unresolved.push({
+          row: recipient.row || index + 1,
+          email: recipient.email,
+          missing
+        });
+      }
+    });
+    return unresolved;
+  }
+
   // Create email from template
   createEmailFromTemplate(template, recipient, templateVariables = {}) {
     try {
       // Prepare template variables
-      const variables = {
-        company_name: recipient.company_name || recipient.companyName,
-        email: recipient.email,
-        name: recipient.name || 'there',
-        ...templateVariables
-      };
+      const variables = this.buildTemplateVariables(recipient, templateVariables);
 
       // Render template
       const rendered = template.render(variables);
@@ -1403,7 +1535,13 @@ class EmailService {
         subject: subject,
         html: html,
         companyName: variables.company_name,
-        templateVariables: variables
+        templateVariables: variables,
+        templateId: template.id,
+        templateName: template.name,
+        templateCategory: template.category,
+        templateVersion: template.id ? template.version : null,
+        templateVersionId: template.versionId || null,
+        unsubscribeUrl: variables.unsubscribe_url
       };
 
       return new Email(emailData);
@@ -1413,14 +1551,32 @@ class EmailService {
     }
   }
 
+  // Template for an A/B test variant: its own template (by id or content) and/or subject over the campaign's
+  async getVariantTemplate(baseTemplate, variant) {
+    let template = baseTemplate;
+    if (variant.templateId) {
+      template = await Template.getTemplateById(variant.templateId);
+      if (!template) {
+        logger.warning(`Template ${variant.templateId} of variant ${variant.id} not found, falling back to campaign template`);
+        template = baseTemplate;
+      }
+    } else if (variant.template && variant.template.trim()) {
+      template = new Template({ content: variant.template, subject: baseTemplate.subject });
+    }
+
+    if (variant.subject) {
+      template = new Template({ ...template, subject: variant.subject });
+    }
+    return template;
+  }
+
   // Prepare emails from campaign data
-  prepareEmailsFromCampaign(campaign, recipients = null) {
+  async prepareEmailsFromCampaign(campaign, recipients = null) {
     try {
       // Load template - prioritize templateId over template content
       let template;
       if (campaign.templateId) {
-        const Template = require('../models/Template');
-        template = Template.getTemplateById(campaign.templateId);
+        template = await Template.getTemplateById(campaign.templateId);
         if (!template) {
           logger.warning(`Template ${campaign.templateId} not found, falling back to campaign template`);
           template = new Template({
@@ -1435,12 +1591,38 @@ class EmailService {
         });
       }
 
-      const contacts = recipients || campaign.contacts;
+      // Never prepare emails for suppressed addresses or domains (hard bounces, opt-outs)
+      const { allowed: contacts, suppressed } = await Suppression.filterContacts(recipients || campaign.contacts);
+      if (suppressed.length > 0) {
+        logger.warning(`Skipping ${suppressed.length} suppressed recipient(s) for campaign ${campaign.id}`);
+      }
       const emails = [];
 
+      // A/B test variants render from their own template or subject
+      const abTesting = typeof campaign.hasVariants === 'function' && campaign.hasVariants();
+      const variantTemplates = new Map();
+
       for (const contact of contacts) {
-        const email = this.createEmailFromTemplate(template, contact);
+        const variant = abTesting ? campaign.assignVariant(contact.email) : null;
+        if (variant && !variantTemplates.has(variant.id)) {
+          variantTemplates.set(variant.id, await this.getVariantTemplate(template, variant));
+        }
+
+        const email = this.createEmailFromTemplate(variant ? variantTemplates.get(variant.id) : template, contact, {
+          unsubscribe_url: UnsubscribeService.getUnsubscribeUrl(contact.email, campaign.id)
+        });
         if (email) {
+          email.variantId = variant ? variant.id : null;
+
+          // The initial email is step 1 of a follow-up sequence
+          if (campaign.sequence && campaign.sequence.length > 0) {
+            email.sequenceStep = 1;
+          }
+
+          // Pinned sender account or pool to rotate across
+          email.senderId = campaign.senderId || null;
+          email.senderPool = campaign.senderPool || [];
+
           // Add attachments if available
           if (campaign.attachments && campaign.attachments.length > 0) {
             campaign.attachments.forEach(att => {
@@ -1463,6 +1645,14 @@ class EmailService {
             email.html += resumeSection;
           }
 
+          // Tracked links and open pixel, keyed to the id the sent Email record keeps
+          if (campaign.trackClicks) {
+            email.html = TrackingService.rewriteLinks(email.html, email.id);
+          }
+          if (campaign.trackOpens) {
+            email.html = TrackingService.injectOpenPixel(email.html, TrackingService.getOpenPixelUrl(email.id));
+          }
+
           emails.push(email);
         }
       }
@@ -1542,41 +1732,85 @@ class EmailService {
     try {
       // Get campaign service (we'll need to import it)
       const CampaignService = require('./campaignService');
+      const OutboxService = require('./outboxService');
       const campaignService = new CampaignService();
 
-      const campaign = campaignService.getCampaignById(campaignId);
+      const campaign = await campaignService.getCampaignById(campaignId);
       if (!campaign) {
         throw new Error(`Campaign ${campaignId} not found`);
       }
 
-      // Get next batch of contacts that haven't been sent yet
-      const nextBatch = campaignService.getNextBatch(campaignId);
-      if (!nextBatch || !nextBatch.contacts || nextBatch.contacts.length === 0) {
+      // Validate batch size using configuration
+      const validatedBatchSize = this.validateBatchSize(batchSize);
+
+      // An A/B test past its sample size sends the winning variant from here on
+      if (campaign.hasVariants()) {
+        await this.variantService.promoteWinnerIfReady(campaign);
+      }
+
+      // Get next batch of contacts that haven't been sent or queued yet
+      const actualBatch = await campaignService.getNextBatch(campaignId, validatedBatchSize);
+      if (!actualBatch || actualBatch.length === 0) {
+        // Pending contacts may just be outside their sending window (night, weekend, holiday)
+        const queued = await OutboxEntry.getQueuedRecipients(campaignId);
+        const waiting = campaign.getPendingContacts().filter(contact => !queued.has(contact.email)).length;
+        if (waiting > 0) {
+          logger.info(`Campaign ${campaignId}: ${waiting} pending recipient(s) are outside their sending window`);
+          return { success: true, sent: 0, outsideWindow: waiting, message: 'No recipients inside their sending window' };
+        }
         logger.info(`No more emails to send for campaign ${campaignId}`);
         return { success: true, sent: 0, message: 'No pending emails' };
       }
 
-      // Validate batch size using configuration
-      const validatedBatchSize = this.validateBatchSize(batchSize);
-      const actualBatch = nextBatch.contacts.slice(0, validatedBatchSize);
+      // Suppressed contacts are recorded as skipped so the campaign moves past them
+      const { allowed, suppressed } = await Suppression.filterContacts(actualBatch);
 
       // Prepare emails from campaign and batch contacts
-      const emails = this.prepareEmailsFromCampaign(campaign, actualBatch);
+      const emails = allowed.length > 0 ? await this.prepareEmailsFromCampaign(campaign, allowed) : [];
+
+      // Record suppressed contacts, and any whose email could not be built, so the next batch moves on
+      const unprepared = allowed.filter(contact => !emails.some(email => email.to === contact.email));
+      if (suppressed.length > 0 || unprepared.length > 0) {
+        const recipients = [
+          ...suppressed.map(s => ({
+            email: s.contact.email,
+            companyName: s.contact.company_name || s.contact.companyName || '',
+            success: false,
+            skipped: true,
+            messageId: null,
+            subject: '',
+            sentAt: new Date(),
+            error: `Suppressed (${s.entry.reason})`
+          })),
+          ...unprepared.map(contact => ({
+            email: contact.email,
+            companyName: contact.company_name || contact.companyName || '',
+            success: false,
+            messageId: null,
+            subject: '',
+            sentAt: new Date(),
+            error: 'Email could not be prepared from the template'
+          }))
+        ];
+        await campaignService.updateCampaignProgress(campaignId, 0, unprepared.length, { recipients }, suppressed.length);
+      }
 
-      // Use enhanced batch processing with intelligent scheduling
-      const result = await this.sendEmailsInBatches(emails, {
-        batchSize: 1, // Process individual emails within the batch (legacy behavior)
-        delayMs: campaign.delay,
-        maxRetries: this.maxRetries
-      }, onProgress, campaignId);
+      // Queue the emails in the outbox; its worker sends them under the rate limiter and records
+      // each result on the campaign, so an interrupted batch resumes after a restart
+      const outbox = OutboxService.getInstance();
+      const entries = await outbox.enqueue(emails, { campaignId, delayMs: campaign.delay });
+      const result = await outbox.waitFor(entries, onProgress);
 
-      // Update campaign progress
-      const updatedCampaign = campaignService.updateCampaignProgress(campaignId, result.successful, result.failed);
+      // Emails still queued (no sender capacity, transient error, window closed) go out later
+      if (result.deferred > 0) {
+        logger.warning(`Campaign ${campaignId}: ${result.deferred} email(s) left in the outbox for a later attempt`);
+      }
 
-      logger.email(`Campaign ${campaignId}: Sent ${result.successful}/${result.total} emails in batch`);
+      logger.email(`Campaign ${campaignId}: Sent ${result.successful}/${result.total} emails in batch${suppressed.length > 0 ? `, ${suppressed.length} suppressed` : ''}`);
 
-      // Check if campaign is now completed
-      if (updatedCampaign.status === 'completed') {
+      // A batch of only suppressed or unusable contacts can finish the campaign
+      const updatedCampaign = await campaignService.getCampaignById(campaignId);
+      if (entries.length === 0 && updatedCampaign.status === 'completed') {
         logger.info(`🎉 Campaign ${campaignId} completed after this batch!`);
 
         // Emit completion event through event system instead of direct call
@@ -1592,10 +1826,11 @@ class EmailService {
       return {
         success: true,
         sent: result.successful,
-        failed: result.failed,
-        total: result.total,
-        batchesProcessed: result.batchesProcessed,
-        statistics: result.statistics
+        failed: result.failed + unprepared.length,
+        skipped: suppressed.length,
+        skippedRecipients: suppressed.map(s => ({ email: s.contact.email, reason: s.entry.reason })),
+        deferred: result.deferred,
+        total: actualBatch.length
       };
 
     } catch (error) {
@@ -1,205 +1,295 @@
 const XLSX = require('xlsx');
+const ExcelJS = require('exceljs');
 const csv = require('csv-parser');
 const fs = require('fs');
+const ColumnMapping = require('../models/ColumnMapping');
 const FileUtils = require('../utils/fileUtils');
 const logger = require('../utils/logger');
 
+// Header aliases tried in order when no column mapping applies
+const COLUMN_ALIASES = {
+  email: [
+    'Email', 'email', 'Email Address', 'email_address', 'email address',
+    'Contact Email', 'contact email', 'E-mail', 'e-mail', 'Mail', 'mail'
+  ],
+  company_name: [
+    'Company Name', 'Company', 'company_name', 'company',
+    'company name', 'Organization', 'organization', 'Org', 'org',
+    'Employer', 'employer', 'Business', 'business'
+  ],
+  name: [
+    'Name', 'name', 'Full Name', 'full_name', 'First Name', 'first_name',
+    'Contact Name', 'contact_name', 'Person', 'person'
+  ],
+  subject: [
+    'Subject', 'subject', 'Email Subject', 'email_subject',
+    'Message Subject', 'message_subject'
+  ],
+  message_body: [
+    'Message', 'message', 'Message Body', 'message_body',
+    'Body', 'body', 'Content', 'content', 'Email Body', 'email_body'
+  ],
+  timezone: [
+    'Timezone', 'timezone', 'Time Zone', 'time zone', 'time_zone', 'TZ', 'tz'
+  ]
+};
+
+// Looser header patterns, only used to suggest a mapping for unfamiliar files
+const COLUMN_PATTERNS = {
+  email: /mail/i,
+  company_name: /compan|organi[sz]ation|\borg\b|employer|business|firm/i,
+  name: /name|contact|person/i,
+  subject: /subject/i,
+  message_body: /message|body|content/i,
+  timezone: /time\s*zone|\btz\b/i
+};
+
+// Rows returned by the analyze step
+const SAMPLE_ROW_COUNT = 5;
+
+const CSV_DELIMITERS = [',', ';', '\t'];
+
+// Spreadsheet header to Handlebars-friendly variable name ("Job URL" -> "job_url")
+const toVariableName = (header) => String(header || '')
+  .trim()
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_+|_+$/g, '');
+
 class FileService {
-  // Parse Excel/ODS file and extract recipients
-  async parseExcelFile(filePath) {
+  // Contact file rows as an async sequence: first { headers }, then { row, values } per data row,
+  // where values maps header -> cell value. CSV and XLSX are streamed; .xls/.ods are read whole.
+  // progress.bytesRead is updated as the file is read.
+  streamRows(filePath, extension, progress = {}) {
+    if (extension === 'csv') {
+      return this.streamCsvRows(filePath, progress);
+    }
+    if (extension === 'xlsx') {
+      return this.streamXlsxRows(filePath, progress);
+    }
+    return this.streamWorkbookRows(filePath, progress);
+  }
+
+  // Pick the delimiter that splits the header line into the most columns
+  async detectDelimiter(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
     try {
-      logger.file(`Parsing spreadsheet file: ${filePath}`);
-      
-      if (!FileUtils.readFile(filePath)) {
-        throw new Error('File not found or cannot be read');
-      }
+      const buffer = Buffer.alloc(64 * 1024);
+      const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+      const firstLine = buffer.toString('utf8', 0, bytesRead).split(/\r?\n/)[0] || '';
+      const counts = CSV_DELIMITERS.map(delimiter => firstLine.split(delimiter).length - 1);
+      const best = counts.indexOf(Math.max(...counts));
+      return counts[best] > 0 ? CSV_DELIMITERS[best] : ',';
+    } finally {
+      await handle.close();
+    }
+  }
 
-      // Read the Excel/ODS file
-      const workbook = XLSX.readFile(filePath);
-      const sheetName = workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[sheetName];
-      
-      // Convert to JSON
-      const data = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
-      
-      if (data.length === 0) {
-        throw new Error('Spreadsheet file is empty');
-      }
+  // Stream CSV rows (headers lowercased, values sanitized)
+  async *streamCsvRows(filePath, progress = {}) {
+    const separator = await this.detectDelimiter(filePath);
+    progress.delimiter = separator;
+    progress.bytesRead = 0;
 
-      // Get headers
-      const headers = data[0];
-      const rows = data.slice(1);
+    const input = fs.createReadStream(filePath);
+    const parser = csv({
+      separator,
+      mapHeaders: ({ header }) => header.replace(/^\uFEFF/, '').trim().toLowerCase()
+    });
+    let headers = null;
 
-      logger.debug(`Excel file contains ${rows.length} rows with headers: ${headers.join(', ')}`);
+    input.on('data', chunk => { progress.bytesRead += chunk.length; });
+    input.on('error', error => parser.destroy(error));
+    parser.on('headers', list => { headers = list; });
 
-      // Process rows (limit to 1000 for performance)
-      const maxRowsToProcess = Math.min(1000, rows.length);
-      const recipients = [];
+    let row = 1;
+    for await (const record of input.pipe(parser)) {
+      if (row === 1) {
+        yield { headers };
+      }
+      row += 1;
+      yield { row, values: this.sanitizeCsvRow(record) };
+    }
+  }
 
-      for (let i = 0; i < maxRowsToProcess; i++) {
-        const row = rows[i];
-        if (!row || row.length === 0) continue;
+  // Stream the first worksheet of an .xlsx file without loading the workbook into memory
+  async *streamXlsxRows(filePath, progress = {}) {
+    progress.bytesRead = 0;
+    // Opened first so a missing or unreadable file rejects here; the reader does not pass stream errors on
+    const handle = await fs.promises.open(filePath, 'r');
+    const input = handle.createReadStream();
+    input.on('data', chunk => { progress.bytesRead += chunk.length; });
+    input.on('error', error => logger.error(`Failed to read ${filePath}: ${error.message}`));
+
+    const workbook = new ExcelJS.stream.xlsx.WorkbookReader(input, {
+      sharedStrings: 'cache',
+      hyperlinks: 'ignore',
+      styles: 'ignore',
+      worksheets: 'emit'
+    });
 
-        // Create row object
-        const rowObj = {};
-        headers.forEach((header, index) => {
-          if (header && row[index] !== undefined) {
-            rowObj[header] = row[index];
+    let started = false;
+    try {
+      for await (const worksheet of workbook) {
+        progress.sheetName = worksheet.name;
+        started = true;
+        let headers = null;
+        for await (const sheetRow of worksheet) {
+          const cells = Array.from(sheetRow.values).slice(1).map(value => this.cellToValue(value));
+          if (!headers) {
+            headers = cells.map(value => (value === undefined ? undefined : String(value).trim()));
+            yield { headers };
+            continue;
           }
-        });
-
-        // Extract company name and email
-        const companyName = this.extractCompanyName(rowObj);
-        const email = this.extractEmail(rowObj);
-
-        // Validate and add recipient
-        if (companyName && email && FileUtils.isValidEmailFormat(email)) {
-          recipients.push({
-            company_name: companyName.toString().trim(),
-            email: email.toString().trim().toLowerCase()
-          });
+          yield { row: sheetRow.number, values: this.toRowObject(headers, cells) };
         }
+        // Only the first worksheet is imported
+        break;
+      }
+    } catch (error) {
+      // The streaming reader sometimes misses workbook.xml when it is the last zip entry without shared
+      // strings (as SheetJS writes it); such files are read whole instead
+      if (started) {
+        throw error;
       }
+      logger.warning(`Streaming ${filePath} failed (${error.message}), reading the workbook whole`);
+      input.destroy();
+      yield* this.streamWorkbookRows(filePath, progress);
+    } finally {
+      input.destroy();
+    }
+  }
 
-      // Remove duplicates based on email
-      const uniqueRecipients = this.removeDuplicateEmails(recipients);
+  // Legacy .xls/.ods workbooks have no streaming reader; read the first sheet in one go
+  async *streamWorkbookRows(filePath, progress = {}) {
+    const workbook = XLSX.readFile(filePath);
+    const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+    progress.sheetName = workbook.SheetNames[0];
+    const data = worksheet ? XLSX.utils.sheet_to_json(worksheet, { header: 1 }) : [];
+    progress.bytesRead = FileUtils.getFileSize(filePath);
 
-      logger.file(`Successfully parsed ${uniqueRecipients.length} unique recipients from spreadsheet file`);
+    if (data.length === 0) {
+      return;
+    }
 
-      return {
-        success: true,
-        recipients: uniqueRecipients,
-        totalRowsInFile: rows.length,
-        rowsProcessed: maxRowsToProcess,
-        wasLimited: rows.length > 1000
-      };
-    } catch (error) {
-      logger.error(`Failed to parse spreadsheet file: ${error.message}`);
-      return {
-        success: false,
-        error: error.message,
-        recipients: []
-      };
+    const headers = data[0];
+    yield { headers };
+    for (let i = 1; i < data.length; i++) {
+      // Header is row 1
+      yield { row: i + 1, values: this.toRowObject(headers, data[i] || []) };
     }
   }
 
-  // Parse CSV file and extract recipients
-  async parseCsvFile(filePath) {
-    try {
-      logger.file(`Parsing CSV file: ${filePath}`);
-
-      if (!FileUtils.readFile(filePath)) {
-        throw new Error('File not found or cannot be read');
+  // Plain value of an exceljs cell (rich text, hyperlinks, formulas and dates included)
+  cellToValue(value) {
+    if (value === null || value === undefined) {
+      return undefined;
+    }
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+    if (typeof value === 'object') {
+      if (Array.isArray(value.richText)) {
+        return value.richText.map(part => part.text).join('');
       }
-
-      const results = [];
-      const delimiters = [',', ';', '\t']; // Try different delimiters
-      let parsedSuccessfully = false;
-      let headers = [];
-      let delimiterUsed = ',';
-
-      // Try parsing with different delimiters
-      for (const delimiter of delimiters) {
-        try {
-          const tempResults = [];
-          let tempHeaders = [];
-
-          await new Promise((resolve, reject) => {
-            fs.createReadStream(filePath)
-              .pipe(csv({
-                separator: delimiter,
-                skipEmptyLines: true,
-                mapHeaders: ({ header }) => header.trim().toLowerCase()
-              }))
-              .on('headers', (headerList) => {
-                tempHeaders = headerList;
-              })
-              .on('data', (data) => tempResults.push(data))
-              .on('end', () => {
-                if (tempResults.length > 0) {
-                  results.length = 0; // Clear previous attempts
-                  results.push(...tempResults);
-                  headers = tempHeaders;
-                  delimiterUsed = delimiter;
-                  parsedSuccessfully = true;
-                  resolve();
-                } else {
-                  reject(new Error('No data found'));
-                }
-              })
-              .on('error', reject);
-          });
-
-          if (parsedSuccessfully) break;
-        } catch (error) {
-          logger.debug(`Failed to parse with delimiter '${delimiter}': ${error.message}`);
-          continue;
-        }
+      if (value.text !== undefined) {
+        return this.cellToValue(value.text);
       }
-
-      if (!parsedSuccessfully || results.length === 0) {
-        throw new Error('CSV file is empty or could not be parsed with supported delimiters');
+      if (value.result !== undefined) {
+        return this.cellToValue(value.result);
       }
+      return undefined;
+    }
+    return value;
+  }
 
-      logger.debug(`CSV file contains ${results.length} rows with headers: ${headers.join(', ')} (delimiter: '${delimiterUsed}')`);
-
-      // Process rows (limit to 1000 for performance)
-      const maxRowsToProcess = Math.min(1000, results.length);
-      const recipients = [];
-
-      for (let i = 0; i < maxRowsToProcess; i++) {
-        const row = results[i];
-        if (!row || Object.keys(row).length === 0) continue;
-
-        // Sanitize row data
-        const sanitizedRow = this.sanitizeCsvRow(row);
+  // Build a header -> value object from a sheet row array
+  toRowObject(headers, row) {
+    const rowObj = {};
+    headers.forEach((header, index) => {
+      if (header && row[index] !== undefined) {
+        rowObj[header] = row[index];
+      }
+    });
+    return rowObj;
+  }
 
-        // Extract required fields
-        const companyName = this.extractCompanyName(sanitizedRow);
-        const email = this.extractEmail(sanitizedRow);
+  // Mapping for this upload: requested fields, a saved mapping by ID, or one saved for the same
+  // header shape. fields is null when contact columns are guessed from header aliases instead.
+  async resolveMapping(headers, { mapping = null, mappingId = null } = {}) {
+    if (mappingId) {
+      const saved = await ColumnMapping.findById(mappingId);
+      if (!saved) {
+        throw new Error(`Column mapping ${mappingId} not found`);
+      }
+      this.assertMappingFits(saved.fields, headers);
+      await saved.markUsed();
+      return { source: 'saved', id: saved.id, name: saved.name, fields: saved.fields };
+    }
 
-        // Validate and add recipient
-        if (companyName && email && FileUtils.isValidEmailFormat(email)) {
-          const recipient = {
-            company_name: companyName.trim(),
-            email: email.trim().toLowerCase()
-          };
+    if (mapping) {
+      this.assertMappingFits(mapping, headers);
+      return { source: 'request', id: null, name: null, fields: mapping };
+    }
 
-          // Add optional fields
-          const subject = this.extractSubject(sanitizedRow);
-          if (subject) recipient.subject = subject.trim();
+    const saved = await ColumnMapping.findForHeaders(headers);
+    if (saved) {
+      await saved.markUsed();
+      logger.file(`Using saved column mapping ${saved.name || saved.id} for this header layout`);
+      return { source: 'saved', id: saved.id, name: saved.name, fields: saved.fields };
+    }
 
-          const messageBody = this.extractMessageBody(sanitizedRow);
-          if (messageBody) recipient.message_body = messageBody.trim();
+    return { source: 'detected', id: null, name: null, fields: null };
+  }
 
-          const name = this.extractName(sanitizedRow);
-          if (name) recipient.name = name.trim();
+  assertMappingFits(fields, headers) {
+    const errors = ColumnMapping.validateFields(fields, headers);
+    if (errors.length > 0) {
+      throw new Error(`Invalid column mapping: ${errors.join(', ')}`);
+    }
+  }
 
-          recipients.push(recipient);
-        }
+  // Translate mapped header names to the exact keys used in parsed rows
+  resolveColumns(headers, fields) {
+    const columns = {};
+    Object.entries(fields).forEach(([field, header]) => {
+      if (!header) return;
+      const key = headers.find(h => ColumnMapping.normalizeHeader(h) === ColumnMapping.normalizeHeader(header));
+      if (key !== undefined) {
+        columns[field] = key;
       }
+    });
+    return columns;
+  }
 
-      // Remove duplicates based on email
-      const uniqueRecipients = this.removeDuplicateEmails(recipients);
-
-      logger.file(`Successfully parsed ${uniqueRecipients.length} unique recipients from CSV file`);
-
+  // Contact fields of a row, from the mapped columns or else the header aliases
+  extractContactFields(row, columns = null) {
+    if (!columns) {
       return {
-        success: true,
-        recipients: uniqueRecipients,
-        totalRowsInFile: results.length,
-        rowsProcessed: maxRowsToProcess,
-        wasLimited: results.length > 1000,
-        delimiterUsed
-      };
-    } catch (error) {
-      logger.error(`Failed to parse CSV file: ${error.message}`);
-      return {
-        success: false,
-        error: error.message,
-        recipients: []
+        email: this.extractEmail(row),
+        company_name: this.extractCompanyName(row),
+        name: this.extractName(row),
+        subject: this.extractSubject(row),
+        message_body: this.extractMessageBody(row),
+        timezone: this.extractField(row, COLUMN_ALIASES.timezone)
       };
     }
+
+    const fields = {};
+    Object.entries(columns).forEach(([field, header]) => {
+      const value = row[header];
+      if (value !== undefined && value !== null && value.toString().trim()) {
+        fields[field] = value.toString().trim();
+      }
+    });
+    return fields;
+  }
+
+  addOptionalFields(recipient, fields) {
+    if (fields.subject) recipient.subject = fields.subject.toString().trim();
+    if (fields.message_body) recipient.message_body = fields.message_body.toString().trim();
+    if (fields.name) recipient.name = fields.name.toString().trim();
+    if (fields.timezone) recipient.timezone = fields.timezone.toString().trim();
   }
 
   // Sanitize CSV row data
@@ -217,30 +307,24 @@ class FileService {
     return sanitized;
   }
 
-  // Extract name from row object
-  extractName(row) {
-    const nameFields = [
-      'Name', 'name', 'Full Name', 'full_name', 'First Name', 'first_name',
-      'Contact Name', 'contact_name', 'Person', 'person'
-    ];
+  // Keep every non-empty column as a per-contact template variable
+  extractVariables(row) {
+    const variables = {};
+    for (const [header, value] of Object.entries(row)) {
+      const name = toVariableName(header);
+      if (!name || value === null || value === undefined) continue;
 
-    for (const field of nameFields) {
-      if (row[field] && row[field].toString().trim()) {
-        return row[field].toString().trim();
+      const text = value.toString().trim();
+      if (text && variables[name] === undefined) {
+        variables[name] = text;
       }
     }
-
-    return null;
+    return variables;
   }
 
-  // Extract subject from row object
-  extractSubject(row) {
-    const subjectFields = [
-      'Subject', 'subject', 'Email Subject', 'email_subject',
-      'Message Subject', 'message_subject'
-    ];
-
-    for (const field of subjectFields) {
+  // First non-empty value among the given header names
+  extractField(row, fields) {
+    for (const field of fields) {
       if (row[field] && row[field].toString().trim()) {
         return row[field].toString().trim();
       }
@@ -249,53 +333,29 @@ class FileService {
     return null;
   }
 
-  // Extract message body from row object
-  extractMessageBody(row) {
-    const messageFields = [
-      'Message', 'message', 'Message Body', 'message_body',
-      'Body', 'body', 'Content', 'content', 'Email Body', 'email_body'
-    ];
+  // Extract name from row object
+  extractName(row) {
+    return this.extractField(row, COLUMN_ALIASES.name);
+  }
 
-    for (const field of messageFields) {
-      if (row[field] && row[field].toString().trim()) {
-        return row[field].toString().trim();
-      }
-    }
+  // Extract subject from row object
+  extractSubject(row) {
+    return this.extractField(row, COLUMN_ALIASES.subject);
+  }
 
-    return null;
+  // Extract message body from row object
+  extractMessageBody(row) {
+    return this.extractField(row, COLUMN_ALIASES.message_body);
   }
 
   // Extract company name from row object
   extractCompanyName(row) {
-    const companyFields = [
-      'Company Name', 'Company', 'company_name', 'company',
-      'company name', 'Organization', 'organization', 'Org', 'org', 
-      'Employer', 'employer', 'Business', 'business'
-    ];
-
-    for (const field of companyFields) {
-      if (row[field] && row[field].toString().trim()) {
-        return row[field].toString().trim();
-      }
-    }
-
-    return null;
+    return this.extractField(row, COLUMN_ALIASES.company_name);
   }
 
   // Extract email from row object
   extractEmail(row) {
-    const emailFields = [
-      'Email', 'email', 'Email Address', 'email_address', 'email address',
-      'Contact Email', 'contact email', 'E-mail', 'e-mail', 'Mail', 'mail'
-    ];
-
-    for (const field of emailFields) {
-      if (row[field] && row[field].toString().trim()) {
-        return row[field].toString().trim();
-      }
-    }
-
-    return null;
+    return this.extractField(row, COLUMN_ALIASES.email);
   }
 
   // Remove duplicate emails
@@ -396,43 +456,57 @@ class FileService {
     }
   }
 
-  // Analyze Excel file structure
-  async analyzeExcelFile(filePath) {
+  // Headers, row count and the first SAMPLE_ROW_COUNT rows of a streamed contact file
+  async summarizeRows(rows) {
+    let headers = [];
+    let rowCount = 0;
+    const sampleRows = [];
+
+    for await (const item of rows) {
+      if (item.headers) {
+        headers = item.headers;
+        continue;
+      }
+      rowCount += 1;
+      if (sampleRows.length < SAMPLE_ROW_COUNT) {
+        sampleRows.push(item.values);
+      }
+    }
+
+    return { headers, rowCount, sampleRows };
+  }
+
+  // Analyze Excel file structure (first worksheet only, the one that is imported).
+  // .xlsx rows are streamed, so only the sample is kept in memory.
+  async analyzeExcelFile(filePath, extension = 'xlsx') {
     try {
-      const workbook = XLSX.readFile(filePath);
+      const progress = {};
+      const { headers, rowCount, sampleRows } = await this.summarizeRows(this.streamRows(filePath, extension, progress));
       const analysis = {
         sheets: [],
         recommendedSheet: null,
-        totalRows: 0,
+        totalRows: rowCount,
         hasValidStructure: false
       };
 
-      workbook.SheetNames.forEach(sheetName => {
-        const worksheet = workbook.Sheets[sheetName];
-        const data = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
-        
-        if (data.length > 0) {
-          const headers = data[0];
-          const rows = data.slice(1);
-          
-          const sheetInfo = {
-            name: sheetName,
-            headers,
-            rowCount: rows.length,
-            hasCompanyField: this.hasCompanyField(headers),
-            hasEmailField: this.hasEmailField(headers)
-          };
-
-          analysis.sheets.push(sheetInfo);
-          analysis.totalRows += rows.length;
-
-          // Recommend sheet with both company and email fields
-          if (sheetInfo.hasCompanyField && sheetInfo.hasEmailField) {
-            analysis.recommendedSheet = sheetName;
-            analysis.hasValidStructure = true;
-          }
+      if (headers.length > 0) {
+        const sheetInfo = {
+          name: progress.sheetName || 'Sheet1',
+          headers,
+          rowCount,
+          hasCompanyField: this.hasCompanyField(headers),
+          hasEmailField: this.hasEmailField(headers),
+          sampleRows,
+          suggestedMapping: this.suggestMapping(headers, sampleRows)
+        };
+        analysis.sheets.push(sheetInfo);
+
+        // Recommend the sheet if it has both company and email fields
+        if (sheetInfo.hasCompanyField && sheetInfo.hasEmailField) {
+          analysis.recommendedSheet = sheetInfo.name;
+          analysis.hasValidStructure = true;
         }
-      });
+      }
 
       return analysis;
     } catch (error) {
@@ -444,6 +518,114 @@ class FileService {
     }
   }
 
+  // Analyze CSV file structure (same shape as analyzeExcelFile, with a single sheet).
+  // Rows are streamed, so only the sample is kept in memory.
+  async analyzeCsvFile(filePath) {
+    try {
+      const progress = {};
+      const { headers, rowCount, sampleRows } = await this.summarizeRows(this.streamCsvRows(filePath, progress));
+
+      if (headers.length === 0) {
+        throw new Error('CSV file is empty');
+      }
+
+      const sheetInfo = {
+        name: 'CSV',
+        headers,
+        rowCount,
+        hasCompanyField: this.hasCompanyField(headers),
+        hasEmailField: this.hasEmailField(headers),
+        sampleRows,
+        suggestedMapping: this.suggestMapping(headers, sampleRows)
+      };
+      const hasValidStructure = sheetInfo.hasCompanyField && sheetInfo.hasEmailField;
+
+      return {
+        sheets: [sheetInfo],
+        recommendedSheet: hasValidStructure ? sheetInfo.name : null,
+        totalRows: rowCount,
+        hasValidStructure,
+        delimiter: progress.delimiter
+      };
+    } catch (error) {
+      logger.error(`Failed to analyze CSV file: ${error.message}`);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // First phase of a two-phase upload: headers, sample rows and the proposed mapping for the
+  // sheet that will be imported (the first one). A mapping saved for the same header shape wins.
+  async analyzeUpload(filePath, extension) {
+    const analysis = extension === 'csv'
+      ? await this.analyzeCsvFile(filePath)
+      : await this.analyzeExcelFile(filePath, extension);
+
+    if (analysis.success === false) {
+      return analysis;
+    }
+
+    const sheet = analysis.sheets[0];
+    if (!sheet) {
+      return { success: false, error: 'Spreadsheet file is empty' };
+    }
+
+    const savedMapping = await ColumnMapping.findForHeaders(sheet.headers);
+    const suggestedMapping = savedMapping ? savedMapping.fields : sheet.suggestedMapping;
+
+    return {
+      success: true,
+      sheet: sheet.name,
+      headers: sheet.headers,
+      rowCount: sheet.rowCount,
+      sampleRows: sheet.sampleRows,
+      fields: ColumnMapping.FIELDS,
+      suggestedMapping,
+      mappingSource: savedMapping ? 'saved' : 'detected',
+      savedMapping: savedMapping ? savedMapping.toJSON() : null,
+      missingFields: ColumnMapping.REQUIRED_FIELDS.filter(field => !suggestedMapping[field]),
+      delimiter: analysis.delimiter
+    };
+  }
+
+  // Propose a header for each contact field: known aliases first, then looser header patterns,
+  // and for email finally the column whose sample values look like addresses
+  suggestMapping(headers, sampleRows = []) {
+    const mapping = {};
+    const used = new Set();
+    const available = headers.filter(header => header !== undefined && header !== null && String(header).trim());
+
+    ColumnMapping.FIELDS.forEach(field => {
+      const candidates = available.filter(header => !used.has(header));
+      const aliases = COLUMN_ALIASES[field].map(ColumnMapping.normalizeHeader);
+      const byAlias = aliases
+        .map(alias => candidates.find(header => ColumnMapping.normalizeHeader(header) === alias))
+        .find(header => header !== undefined);
+      const match = byAlias !== undefined
+        ? byAlias
+        : candidates.find(header => COLUMN_PATTERNS[field].test(header)) ||
+          (field === 'email' ? this.findEmailColumn(candidates, sampleRows) : undefined);
+
+      if (match !== undefined) {
+        mapping[field] = match;
+        used.add(match);
+      }
+    });
+
+    return mapping;
+  }
+
+  // Header whose sample values are mostly valid email addresses
+  findEmailColumn(headers, sampleRows) {
+    return headers.find(header => {
+      const values = sampleRows.map(row => row[header]).filter(value => value !== undefined && value !== null && String(value).trim());
+      const valid = values.filter(value => FileUtils.isValidEmailFormat(String(value).trim()));
+      return values.length > 0 && valid.length / values.length >= 0.5;
+    });
+  }
+
   // Check if headers contain company field
   hasCompanyField(headers) {
     const companyPatterns = /company|organization|org|employer|business/i;
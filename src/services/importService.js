@@ -0,0 +1,244 @@
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const FileService = require('./fileService');
+const FileUtils = require('../utils/fileUtils');
+const EmailQuality = require('../utils/emailQuality');
+const logger = require('../utils/logger');
+
+const REPORT_COLUMNS = ['row', 'reason', 'detail', 'email', 'company_name'];
+const REJECTION_REASONS = ['missing_email', 'invalid_email', 'missing_company', 'duplicate'];
+const PROGRESS_INTERVAL_MS = 500;
+
+/**
+ * Import service
+ *
+ * Streams contact files (CSV and XLSX) row by row into campaign recipients,
+ * so large lists never have to fit in memory as a workbook. Rejected rows are
+ * written to a per-import CSV report as they are found, and progress is
+ * pushed to clients over Socket.IO while the file is read.
+ *
+ * @class ImportService
+ */
+class ImportService {
+  constructor(socketHandler = null) {
+    this.socketHandler = socketHandler;
+    this.fileService = new FileService();
+    this.reportDir = process.env.IMPORT_REPORT_DIR || path.join(__dirname, '../../data/imports');
+  }
+
+  static get REJECTION_REASONS() {
+    return REJECTION_REASONS;
+  }
+
+  // Import IDs end up in file names, so only allow plain tokens
+  static isValidImportId(importId) {
+    return /^[A-Za-z0-9_-]{1,64}$/.test(String(importId || ''));
+  }
+
+  getReportPath(importId) {
+    return path.join(this.reportDir, `${importId}-rejections.csv`);
+  }
+
+  getReportUrl(importId) {
+    return `/api/uploads/imports/${importId}/rejections`;
+  }
+
+  /**
+   * Read a contact file into recipients
+   *
+   * @param {string} filePath - Uploaded file
+   * @param {Object} [options]
+   * @param {string} [options.fileName] - Original file name (decides the format)
+   * @param {string} [options.importId] - Client-chosen ID used in progress events
+   * @param {Object} [options.mapping] - Column mapping fields (see FileService.resolveMapping)
+   * @param {string} [options.mappingId] - Saved column mapping ID
+   * @returns {Promise<Object>} Import summary with recipients, headers and columnMapping
+   */
+  async importFile(filePath, { fileName, importId, mapping = null, mappingId = null } = {}) {
+    const id = ImportService.isValidImportId(importId) ? importId : uuidv4();
+    const name = fileName || path.basename(filePath);
+    const extension = name.split('.').pop().toLowerCase();
+    const totalBytes = FileUtils.getFileSize(filePath);
+    const progress = { bytesRead: 0 };
+
+    const summary = {
+      importId: id,
+      fileName: name,
+      totalRows: 0,
+      accepted: 0,
+      rejected: 0,
+      rejections: REJECTION_REASONS.reduce((counts, reason) => ({ ...counts, [reason]: 0 }), {}),
+      // Accepted rows whose address quality check raised any flag
+      qualityFlagged: 0,
+      reportUrl: null
+    };
+    const recipients = [];
+    // Normalized email -> first row it appeared on
+    const seen = new Map();
+
+    await fs.promises.mkdir(this.reportDir, { recursive: true });
+    const reportPath = this.getReportPath(id);
+    const report = fs.createWriteStream(reportPath);
+    // A report that can't be written fails the import rather than leaving a partial file behind
+    let reportError = null;
+    report.on('error', error => {
+      reportError = error;
+    });
+
+    // Write a report line, waiting for the file to catch up when its buffer is full
+    const writeReport = async (line) => {
+      if (reportError) {
+        throw reportError;
+      }
+      if (!report.write(line)) {
+        await once(report, 'drain');
+      }
+    };
+
+    const reject = (row, reason, detail, fields) => {
+      summary.rejected += 1;
+      summary.rejections[reason] += 1;
+      const line = { row, reason, detail, email: fields.email, company_name: fields.company_name };
+      return writeReport(`${REPORT_COLUMNS.map(column => FileUtils.toCsvValue(line[column])).join(',')}\r\n`);
+    };
+
+    let headers = null;
+    let columnMapping = null;
+    let columns = null;
+    let lastProgressAt = 0;
+
+    logger.file(`Importing contact file ${name} (${FileUtils.formatFileSize(totalBytes)})`);
+    this.emitProgress(summary, 'parsing', 0);
+
+    try {
+      await writeReport(`${REPORT_COLUMNS.join(',')}\r\n`);
+
+      for await (const item of this.fileService.streamRows(filePath, extension, progress)) {
+        if (item.headers) {
+          headers = item.headers;
+          columnMapping = await this.fileService.resolveMapping(headers, { mapping, mappingId });
+          columns = columnMapping.fields ? this.fileService.resolveColumns(headers, columnMapping.fields) : null;
+          continue;
+        }
+
+        const { row, values } = item;
+        if (!Object.values(values).some(value => value !== undefined && value !== null && String(value).trim())) {
+          continue;
+        }
+        summary.totalRows += 1;
+
+        const fields = this.fileService.extractContactFields(values, columns);
+        const email = fields.email ? fields.email.toString().trim().toLowerCase() : '';
+        const companyName = fields.company_name ? fields.company_name.toString().trim() : '';
+
+        if (!email) {
+          await reject(row, 'missing_email', 'No email address', fields);
+        } else if (!FileUtils.isValidEmailFormat(email)) {
+          await reject(row, 'invalid_email', `"${email}" is not a valid email address`, fields);
+        } else if (!companyName) {
+          await reject(row, 'missing_company', 'No company name', fields);
+        } else if (seen.has(email)) {
+          await reject(row, 'duplicate', `Same email as row ${seen.get(email)}`, fields);
+        } else {
+          seen.set(email, row);
+          const recipient = {
+            company_name: companyName,
+            email,
+            variables: this.fileService.extractVariables(values),
+            row,
+            quality: EmailQuality.assess(email)
+          };
+          if (recipient.quality.flags.length > 0) {
+            summary.qualityFlagged += 1;
+          }
+
+          // Name/subject/message columns are read from CSVs, and from workbooks only when mapped explicitly
+          if (extension === 'csv' || columns) {
+            this.fileService.addOptionalFields(recipient, fields);
+          }
+
+          recipients.push(recipient);
+          summary.accepted += 1;
+        }
+
+        if (Date.now() - lastProgressAt >= PROGRESS_INTERVAL_MS) {
+          lastProgressAt = Date.now();
+          this.emitProgress(summary, 'parsing', totalBytes > 0 ? progress.bytesRead / totalBytes : 0);
+        }
+      }
+
+      if (!headers) {
+        throw new Error('Contact file is empty');
+      }
+
+      await this.closeReport(report);
+    } catch (error) {
+      await this.closeReport(report).catch(() => {});
+      await fs.promises.unlink(reportPath).catch(() => {});
+      this.emitProgress({ ...summary, error: error.message }, 'failed', 1);
+      logger.error(`Contact import ${id} failed: ${error.message}`);
+      throw error;
+    }
+
+    if (summary.rejected > 0) {
+      summary.reportUrl = this.getReportUrl(id);
+    } else {
+      await fs.promises.unlink(reportPath).catch(() => {});
+    }
+
+    this.emitProgress(summary, 'completed', 1);
+    logger.file(`Imported ${summary.accepted} of ${summary.totalRows} rows from ${name} (${summary.rejected} rejected)`);
+
+    return {
+      ...summary,
+      headers,
+      columnMapping,
+      delimiter: progress.delimiter,
+      recipients
+    };
+  }
+
+  // Flush and close a report, rejecting if the file could not be written
+  closeReport(report) {
+    if (report.destroyed) {
+      return report.errored ? Promise.reject(report.errored) : Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      report.end(error => (error ? reject(error) : resolve()));
+    });
+  }
+
+  // Path of an import's rejection report, or null if there is none
+  async findReport(importId) {
+    if (!ImportService.isValidImportId(importId)) {
+      return null;
+    }
+    const reportPath = this.getReportPath(importId);
+    try {
+      await fs.promises.access(reportPath);
+      return reportPath;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  emitProgress(summary, status, fraction) {
+    if (!this.socketHandler) {
+      return;
+    }
+    this.socketHandler.emitImportProgress(summary.importId, {
+      fileName: summary.fileName,
+      status,
+      percent: Math.min(100, Math.round(fraction * 100)),
+      rowsRead: summary.totalRows,
+      accepted: summary.accepted,
+      rejected: summary.rejected,
+      reportUrl: summary.reportUrl,
+      error: summary.error
+    });
+  }
+}
+
+module.exports = ImportService;
@@ -0,0 +1,484 @@
+const { v4: uuidv4 } = require('uuid');
+const OutboxEntry = require('../models/OutboxEntry');
+const Campaign = require('../models/Campaign');
+const Email = require('../models/Email');
+const Log = require('../models/Log');
+const EmailService = require('./emailService');
+const CampaignService = require('./campaignService');
+const SendingWindow = require('../utils/sendingWindow');
+const logger = require('../utils/logger');
+
+// Campaigns in these states will never send their queued emails
+const CLOSED_CAMPAIGN_STATUSES = ['completed', 'cancelled', 'deleted'];
+
+// Follow-ups keep going after the campaign's initial send has completed
+const FOLLOW_UP_STATUSES = ['active', 'completed'];
+
+// One worker per process, so two loops never drain the same queue
+let instance = null;
+
+/**
+ * Outbox service
+ *
+ * Every prepared email is written to the `outbox` collection before it is
+ * sent, and a single worker drains the queue one email at a time under the
+ * EmailService rate limiter, pausing each entry's `delayMs` between sends.
+ * Transient failures are retried with backoff, emails no sender account has
+ * capacity for wait, and campaign emails only go out while the campaign is
+ * active and the recipient's sending window is open. Each result is recorded
+ * on its campaign as it happens: initial emails in its progress and daily log,
+ * follow-ups in the contact's sequence state.
+ *
+ * Because the queue lives in storage, a restart resumes where the worker
+ * stopped. An entry caught mid-send is checked against the stored Email
+ * records: if the message went out it is marked sent, otherwise it is held as
+ * `interrupted` rather than sent a second time.
+ *
+ * @class OutboxService
+ */
+class OutboxService {
+  constructor(emailService = null) {
+    this.emailService = emailService || new EmailService();
+    this.pollIntervalMs = parseInt(process.env.OUTBOX_POLL_INTERVAL_MS) || 30000;
+    this.retryDelayMs = parseInt(process.env.OUTBOX_RETRY_DELAY_MS) || 60000;
+    this.deferDelayMs = parseInt(process.env.OUTBOX_DEFER_DELAY_MS) || 30 * 60 * 1000;
+    this.retentionDays = parseInt(process.env.OUTBOX_RETENTION_DAYS) || 7;
+    this.isRunning = false;
+    this.stopped = false;
+    this.draining = null;
+    this.recovering = null;
+    this.wakeRequested = false;
+    this.timer = null;
+    // Entry ID -> callback of a waitFor() caller
+    this.waiters = new Map();
+  }
+
+  // The process-wide worker
+  static getInstance() {
+    if (!instance) {
+      instance = new OutboxService();
+    }
+    return instance;
+  }
+
+  // Recover from the last run, then drain whatever is due and poll for retries
+  async start() {
+    if (this.isRunning) {
+      return;
+    }
+    this.isRunning = true;
+    this.stopped = false;
+
+    this.recovering = this.recover()
+      .catch(error => logger.error(`Error recovering outbox: ${error.message}`))
+      .finally(() => {
+        this.recovering = null;
+      });
+    await this.recovering;
+
+    this.timer = setInterval(() => this.wake(), this.pollIntervalMs);
+    this.wake();
+    logger.info('Outbox worker started');
+  }
+
+  // Stop after the email being sent now, if any
+  stop() {
+    this.isRunning = false;
+    this.stopped = true;
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    logger.info('Outbox worker stopped');
+  }
+
+  // Queue prepared emails, stored with one write before this resolves; options: { campaignId, delayMs, batchId }
+  async enqueue(emails, options = {}) {
+    const batchId = options.batchId || uuidv4();
+    const now = Date.now();
+    const entries = [];
+
+    for (let i = 0; i < emails.length; i++) {
+      const entry = new OutboxEntry({
+        batchId,
+        campaignId: options.campaignId || null,
+        message: OutboxEntry.toMessage(emails[i]),
+        delayMs: options.delayMs !== undefined ? options.delayMs : 10000,
+        // A millisecond apart keeps the queue in order on every backend
+        nextAttemptAt: new Date(now + i)
+      });
+
+      const validation = entry.isValid();
+      if (!validation.valid) {
+        throw new Error(`Invalid outbox entry for ${entry.message.to || 'unknown recipient'}: ${validation.errors.join(', ')}`);
+      }
+      entries.push(entry);
+    }
+
+    if (entries.length > 0) {
+      await OutboxEntry.saveMany(entries);
+      logger.email(`Queued ${entries.length} email(s) in the outbox${options.campaignId ? ` for campaign ${options.campaignId}` : ''}`);
+      this.wake();
+    }
+    return entries;
+  }
+
+  // Resolve once every entry has been sent, has failed for good, or is waiting for a later attempt
+  waitFor(entries, onProgress = null) {
+    const results = {
+      total: entries.length,
+      successful: 0,
+      failed: 0,
+      deferred: 0,
+      details: []
+    };
+    if (entries.length === 0) {
+      return Promise.resolve(results);
+    }
+
+    return new Promise(resolve => {
+      entries.forEach(entry => {
+        this.waiters.set(entry.id, (detail) => {
+          this.waiters.delete(entry.id);
+          results.details.push(detail);
+          if (detail.success) {
+            results.successful++;
+          } else if (detail.deferred) {
+            results.deferred++;
+          } else {
+            results.failed++;
+          }
+
+          if (onProgress && typeof onProgress === 'function') {
+            onProgress({
+              current: results.details.length,
+              total: results.total,
+              successful: results.successful,
+              failed: results.failed,
+              currentEmail: detail
+            });
+          }
+
+          if (results.details.length === results.total) {
+            resolve(results);
+          }
+        });
+      });
+    });
+  }
+
+  // Start draining unless the worker is already at it
+  wake() {
+    if (this.draining) {
+      this.wakeRequested = true;
+      return this.draining;
+    }
+
+    this.draining = this.drain()
+      .catch(error => logger.error(`Error draining outbox: ${error.message}`))
+      .finally(() => {
+        this.draining = null;
+      });
+    return this.draining;
+  }
+
+  async drain() {
+    // Recovery settles what the last run left behind before anything new is sent
+    if (this.recovering) {
+      await this.recovering;
+    }
+
+    do {
+      this.wakeRequested = false;
+      while (!this.stopped) {
+        const [entry] = await OutboxEntry.findDue(new Date(), 1);
+        if (!entry) {
+          break;
+        }
+
+        // Wait for the rate limiter before taking the next email
+        const rateLimit = this.emailService.checkRateLimit(entry.message);
+        if (!rateLimit.allowed) {
+          logger.debug(`Outbox waiting ${rateLimit.resetIn}ms: ${rateLimit.message}`);
+          await this.delay(Math.min(Math.max(rateLimit.resetIn || 1000, 100), this.pollIntervalMs));
+          continue;
+        }
+
+        const attempted = await this.processEntry(entry);
+        if (attempted && entry.delayMs > 0) {
+          await this.delay(entry.delayMs);
+        }
+      }
+    } while (this.wakeRequested && !this.stopped);
+  }
+
+  // Send one entry; returns whether an SMTP attempt was made
+  async processEntry(entry) {
+    const campaign = entry.campaignId ? await Campaign.findById(entry.campaignId) : null;
+
+    if (entry.campaignId) {
+      const sendable = entry.isFollowUp() ? FOLLOW_UP_STATUSES : ['active'];
+      if (!campaign || (CLOSED_CAMPAIGN_STATUSES.includes(campaign.status) && !sendable.includes(campaign.status))) {
+        entry.cancel(`Campaign ${campaign ? campaign.status : 'not found'}`);
+        await entry.save();
+        this.notify(entry, { success: false, cancelled: true, error: entry.lastError });
+        return false;
+      }
+
+      // Paused or not yet started: look again later
+      if (!sendable.includes(campaign.status)) {
+        return this.postpone(entry, new Date(Date.now() + this.deferDelayMs), `Campaign is ${campaign.status}`);
+      }
+
+      const contact = campaign.contacts.find(c => c.email === entry.message.to) || { email: entry.message.to };
+      // Already counted as skipped (or its sequence stopped) when the reply came in
+      if (contact.repliedAt) {
+        entry.cancel('Contact replied');
+        await entry.save();
+        this.notify(entry, { success: false, cancelled: true, error: entry.lastError });
+        return false;
+      }
+      if (!campaign.isInSendingWindow(contact)) {
+        const opening = SendingWindow.getNextOpening(campaign.getSendingWindow(), SendingWindow.getContactTimeZone(contact));
+        return this.postpone(entry, opening || new Date(Date.now() + this.deferDelayMs), 'Outside the sending window');
+      }
+    }
+
+    entry.markSending();
+    await entry.save();
+
+    const result = await this.emailService.sendEmail({ ...entry.message }, 0, entry.campaignId, {
+      outboxId: entry.id,
+      finalAttempt: !entry.hasAttemptsLeft()
+    });
+
+    if (result.success) {
+      entry.markSent(result);
+    } else if (result.deferred) {
+      // No sender account had capacity, so nothing was attempted
+      entry.attempts -= 1;
+      entry.reschedule(new Date(Date.now() + this.deferDelayMs), result.error, result.errorCategory);
+    } else if (result.retryable && entry.hasAttemptsLeft()) {
+      const backoff = this.retryDelayMs * Math.pow(2, entry.attempts - 1);
+      entry.reschedule(new Date(Date.now() + backoff), result.error, result.errorCategory);
+      logger.warning(`Retrying email to ${entry.message.to} in ${Math.round(backoff / 1000)}s (attempt ${entry.attempts}/${entry.maxAttempts})`);
+    } else {
+      entry.markFailed(result.error, result.errorCategory);
+    }
+    await entry.save();
+
+    if (!entry.isUnsettled()) {
+      await this.settle(entry);
+    }
+    this.notify(entry, { ...result, deferred: entry.status === 'pending' });
+    return !result.deferred;
+  }
+
+  // Leave an entry queued until `at` without attempting it
+  async postpone(entry, at, reason) {
+    entry.reschedule(at, reason);
+    await entry.save();
+    this.notify(entry, { success: false, deferred: true, error: reason });
+    return false;
+  }
+
+  // Record a finished entry on its campaign, or clean up a one-off send's attachments
+  async settle(entry) {
+    try {
+      if (entry.campaignId && entry.isFollowUp()) {
+        await this.recordSequenceResults(entry.campaignId, [entry]);
+      } else if (entry.campaignId) {
+        await this.recordCampaignResults(entry.campaignId, [entry]);
+      } else if (entry.message.attachments && entry.message.attachments.length > 0) {
+        const open = await OutboxEntry.count({ where: { batchId: entry.batchId, status: OutboxEntry.UNSETTLED_STATUSES } });
+        if (open === 0) {
+          this.emailService.cleanupAttachments([entry.message]);
+        }
+      }
+    } catch (error) {
+      logger.error(`Error recording outbox result for ${entry.message.to}: ${error.message}`);
+    }
+  }
+
+  // Add finished entries to their campaign's daily log and progress, completing it when nothing is left
+  async recordCampaignResults(campaignId, entries) {
+    const recipients = entries.map(entry => ({
+      email: entry.message.to,
+      companyName: entry.message.companyName || '',
+      success: entry.status === 'sent',
+      messageId: entry.messageId,
+      senderId: entry.senderId,
+      subject: entry.message.subject || '',
+      sentAt: entry.sentAt || entry.completedAt || new Date(),
+      error: entry.status === 'sent' ? null : entry.lastError
+    }));
+    const sent = recipients.filter(recipient => recipient.success).length;
+
+    const campaignService = new CampaignService();
+    const updatedCampaign = await campaignService.updateCampaignProgress(campaignId, sent, recipients.length - sent, { recipients });
+
+    if (updatedCampaign.status === 'completed') {
+      logger.info(`🎉 Campaign ${campaignId} completed!`);
+      if (global.schedulerService) {
+        try {
+          await global.schedulerService.completeCampaign(campaignId);
+        } catch (error) {
+          logger.error(`Error triggering campaign completion: ${error.message}`);
+        }
+      }
+    }
+    return updatedCampaign;
+  }
+
+  // Add finished follow-ups to their contacts' sequence state, skipping steps already recorded
+  async recordSequenceResults(campaignId, entries) {
+    const recorded = [];
+    const updatedCampaign = await Campaign.update(campaignId, campaign => {
+      entries.forEach(entry => {
+        const step = entry.message.sequenceStep;
+        const state = campaign.getSequenceContact(entry.message.to);
+        if (state && state.steps.some(previous => previous.step === step)) {
+          return;
+        }
+
+        campaign.recordSequenceSend({ email: entry.message.to, companyName: entry.message.companyName }, step, {
+          success: entry.status === 'sent',
+          messageId: entry.messageId,
+          senderId: entry.senderId,
+          error: entry.status === 'sent' ? null : entry.lastError,
+          sentAt: entry.sentAt || entry.completedAt || new Date()
+        });
+        recorded.push(entry);
+      });
+      return recorded.length > 0;
+    });
+
+    for (const entry of recorded) {
+      await Log.logCampaignEvent(campaignId, 'sequence_step_sent', {
+        email: entry.message.to,
+        step: entry.message.sequenceStep,
+        success: entry.status === 'sent'
+      });
+    }
+    return updatedCampaign;
+  }
+
+  notify(entry, detail) {
+    const waiter = this.waiters.get(entry.id);
+    if (waiter) {
+      waiter({
+        ...detail,
+        outboxId: entry.id,
+        status: entry.status,
+        recipient: detail.recipient || entry.message.to,
+        companyName: detail.companyName || entry.message.companyName || ''
+      });
+    }
+  }
+
+  // Settle what the last run left behind: emails caught mid-send, and finished campaign
+  // emails whose result didn't make it onto the campaign before the restart
+  async recover() {
+    const inFlight = await OutboxEntry.find({ where: { status: 'sending' } });
+    for (const entry of inFlight) {
+      const records = await Email.find({ where: { outboxId: entry.id } });
+      const sent = records.find(record => record.status !== 'failed');
+
+      if (sent) {
+        entry.markSent({ messageId: sent.metadata.messageId, senderId: sent.senderId, sentAt: sent.sentAt });
+        logger.info(`Outbox: email to ${entry.message.to} went out before the restart, marked as sent`);
+      } else {
+        entry.status = 'interrupted';
+        entry.lastError = 'Interrupted while sending; held so it is not sent twice. Retry it once you have checked it did not arrive.';
+        logger.warning(`Outbox: email to ${entry.message.to} was interrupted mid-send and is held for review`);
+      }
+      await entry.save();
+    }
+
+    const finished = await OutboxEntry.find({ where: { status: ['sent', 'failed'] } });
+    const byCampaign = new Map();
+    const followUps = new Map();
+    finished.filter(entry => entry.campaignId).forEach(entry => {
+      const groups = entry.isFollowUp() ? followUps : byCampaign;
+      if (!groups.has(entry.campaignId)) {
+        groups.set(entry.campaignId, []);
+      }
+      groups.get(entry.campaignId).push(entry);
+    });
+
+    for (const [campaignId, entries] of byCampaign) {
+      const campaign = await Campaign.findById(campaignId);
+      if (!campaign || CLOSED_CAMPAIGN_STATUSES.includes(campaign.status)) {
+        continue;
+      }
+
+      const logged = new Set();
+      campaign.dailyLogs.forEach(log => log.recipients.forEach(recipient => logged.add(recipient.email)));
+      const missing = entries.filter(entry => !logged.has(entry.message.to));
+      if (missing.length > 0) {
+        await this.recordCampaignResults(campaignId, missing);
+        logger.info(`Outbox: recorded ${missing.length} result(s) on campaign ${campaignId} missed before the restart`);
+      }
+    }
+
+    // Follow-ups whose step is already in the contact's sequence state are skipped
+    for (const [campaignId, entries] of followUps) {
+      await this.recordSequenceResults(campaignId, entries);
+    }
+
+    const queued = await OutboxEntry.count({ where: { status: 'pending' } });
+    if (inFlight.length > 0 || queued > 0) {
+      logger.info(`Outbox recovered: ${queued} email(s) queued, ${inFlight.length} were in flight`);
+    }
+  }
+
+  // Put a failed or interrupted entry back in the queue
+  async retry(id) {
+    const entry = await OutboxEntry.findById(id);
+    if (!entry) {
+      return null;
+    }
+    if (!['failed', 'interrupted'].includes(entry.status)) {
+      throw new Error(`Only failed or interrupted emails can be retried (status: ${entry.status})`);
+    }
+    if (entry.status === 'failed' && entry.campaignId) {
+      throw new Error('Failed campaign emails are already recorded on the campaign and cannot be retried');
+    }
+
+    entry.maxAttempts = Math.max(entry.maxAttempts, entry.attempts + 1);
+    entry.reschedule(new Date());
+    entry.completedAt = null;
+    await entry.save();
+    this.wake();
+    return entry;
+  }
+
+  // Counts by status, plus the next due attempt
+  async getSummary() {
+    const summary = { total: 0, running: this.isRunning };
+    for (const status of OutboxEntry.STATUSES) {
+      summary[status] = await OutboxEntry.count({ where: { status } });
+      summary.total += summary[status];
+    }
+
+    const [next] = await OutboxEntry.find({
+      where: { status: 'pending' },
+      orderBy: { field: 'nextAttemptAt', direction: 'asc' },
+      limit: 1
+    });
+    summary.nextAttemptAt = next ? next.nextAttemptAt : null;
+    return summary;
+  }
+
+  // Remove entries that finished more than OUTBOX_RETENTION_DAYS ago
+  async purgeSettled() {
+    const cutoff = new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000);
+    return OutboxEntry.purgeSettled(cutoff);
+  }
+
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = OutboxService;
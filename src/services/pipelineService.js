@@ -0,0 +1,279 @@
+const PipelineEntry = require('../models/PipelineEntry');
+const logger = require('../utils/logger');
+
+// Stages a detected reply moves a company out of; later stages are only changed by hand
+const REPLY_ADVANCES_FROM = ['contacted', 'ghosted'];
+
+/**
+ * Pipeline service
+ *
+ * Keeps one pipeline entry per contacted company: its stage (contacted,
+ * replied, interview, offer, rejected, ghosted), notes and a dated activity
+ * log. Sends create entries at `contacted`, detected replies advance them to
+ * `replied`, and companies that stay silent for PIPELINE_GHOSTED_DAYS move to
+ * `ghosted`; every other change is made through the API.
+ *
+ * @class PipelineService
+ */
+class PipelineService {
+  static get STAGES() {
+    return PipelineEntry.STAGES;
+  }
+
+  static validateStage(stage) {
+    if (!PipelineEntry.STAGES.includes(stage)) {
+      throw new Error(`Invalid pipeline entry: Stage must be one of: ${PipelineEntry.STAGES.join(', ')}`);
+    }
+  }
+
+  static parseDate(value) {
+    const date = value ? new Date(value) : new Date();
+    if (isNaN(date.getTime())) {
+      throw new Error('Invalid pipeline entry: Date must be a valid date');
+    }
+    return date;
+  }
+
+  // Entries matching the filters, most recent activity first
+  async list({ stage, search, limit = 100, offset = 0 } = {}) {
+    const where = {};
+    if (stage) where.stage = stage;
+
+    const entries = await PipelineEntry.find({
+      where,
+      orderBy: { field: 'lastActivityAt', direction: 'desc' }
+    });
+    const term = search ? String(search).trim().toLowerCase() : '';
+    const matching = entries.filter(entry => !term ||
+      entry.companyName.toLowerCase().includes(term) ||
+      entry.domain.includes(term) ||
+      entry.contacts.some(contact => contact.includes(term)));
+
+    const start = Math.max(0, parseInt(offset) || 0);
+    const size = Math.min(1000, Math.max(1, parseInt(limit) || 100));
+    return {
+      entries: matching.slice(start, start + size),
+      total: matching.length,
+      limit: size,
+      offset: start
+    };
+  }
+
+  // Counts per stage, with the most recently active companies in each column
+  async getBoard({ limit = 20 } = {}) {
+    const size = Math.min(1000, Math.max(0, parseInt(limit) || 20));
+    const entries = await PipelineEntry.find({ orderBy: { field: 'lastActivityAt', direction: 'desc' } });
+
+    const columns = PipelineEntry.STAGES.map(stage => {
+      const inStage = entries.filter(entry => entry.stage === stage);
+      return {
+        stage,
+        count: inStage.length,
+        entries: inStage.slice(0, size).map(entry => entry.toSummary())
+      };
+    });
+
+    return {
+      total: entries.length,
+      counts: Object.fromEntries(columns.map(column => [column.stage, column.count])),
+      columns
+    };
+  }
+
+  async create({ companyName, email, contacts = [], stage = 'contacted', note }) {
+    const addresses = [email, ...contacts].filter(Boolean);
+    const key = PipelineEntry.makeKey(companyName, addresses[0]);
+
+    const entry = new PipelineEntry({ companyName: companyName || '', contacts: [], stage });
+    addresses.forEach(address => entry.addContact(address));
+    entry.key = key;
+    entry.addActivity({ type: 'created', description: 'Added to the pipeline', stage });
+    if (note) {
+      entry.addNote(note);
+    }
+
+    const validation = entry.isValid();
+    if (!validation.valid) {
+      throw new Error(`Invalid pipeline entry: ${validation.errors.join(', ')}`);
+    }
+
+    return PipelineEntry.withKeyLock(key, async () => {
+      const existing = await PipelineEntry.findByKey(key);
+      if (existing) {
+        return { entry: existing, created: false };
+      }
+      await entry.save();
+      return { entry, created: true };
+    });
+  }
+
+  // Rename, add contacts or change the stage by hand
+  async update(id, { companyName, contacts, stage, note, date }) {
+    if (stage !== undefined) {
+      PipelineService.validateStage(stage);
+    }
+    const stageDate = stage !== undefined ? PipelineService.parseDate(date) : null;
+
+    return PipelineEntry.update(id, entry => {
+      if (companyName !== undefined) {
+        entry.companyName = String(companyName).trim();
+      }
+      if (Array.isArray(contacts)) {
+        contacts.forEach(address => entry.addContact(address));
+      }
+      if (stage !== undefined) {
+        entry.moveToStage(stage, { date: stageDate, description: note || '' });
+      }
+
+      const validation = entry.isValid();
+      if (!validation.valid) {
+        throw new Error(`Invalid pipeline entry: ${validation.errors.join(', ')}`);
+      }
+    });
+  }
+
+  async addNote(id, text) {
+    let note = null;
+    const entry = await PipelineEntry.update(id, stored => {
+      note = stored.addNote(text);
+    });
+    return entry ? { entry, note } : null;
+  }
+
+  async removeNote(id, noteId) {
+    let note = null;
+    const entry = await PipelineEntry.update(id, stored => {
+      note = stored.removeNote(noteId);
+      return note ? undefined : false;
+    });
+    return entry ? { entry, note } : null;
+  }
+
+  // Log something that happened (a call, an interview, an email outside the app) on its date
+  async addActivity(id, { type, description, date }) {
+    const activityDate = PipelineService.parseDate(date);
+    let activity = null;
+    const entry = await PipelineEntry.update(id, stored => {
+      activity = stored.addActivity({
+        type: String(type).trim(),
+        description: description ? String(description).trim() : '',
+        date: activityDate,
+        source: 'manual'
+      });
+    });
+    return entry ? { entry, activity } : null;
+  }
+
+  async remove(id) {
+    const entry = await PipelineEntry.findById(id);
+    if (entry) {
+      await entry.delete();
+    }
+    return entry;
+  }
+
+  // Record a successful send, adding the company at `contacted` the first time it is emailed
+  async recordSend(emailRecord) {
+    try {
+      const address = emailRecord.recipient.email || emailRecord.to;
+      const companyName = emailRecord.recipient.companyName || '';
+      const key = PipelineEntry.makeKey(companyName, address);
+      if (!key) {
+        return null;
+      }
+
+      const sentAt = emailRecord.sentAt ? new Date(emailRecord.sentAt) : new Date();
+      const recordOn = entry => {
+        entry.addContact(address);
+        entry.lastContactedAt = sentAt;
+        entry.addActivity({
+          type: 'email_sent',
+          description: emailRecord.subject || '',
+          date: sentAt,
+          contact: address,
+          emailId: emailRecord.id,
+          campaignId: emailRecord.campaignId || null
+        });
+      };
+
+      // Existing entries are changed as stored; only the first send to a company creates one
+      return await PipelineEntry.withKeyLock(key, async () => {
+        const existing = await PipelineEntry.findByKey(key);
+        if (existing) {
+          return PipelineEntry.update(existing.id, recordOn);
+        }
+        const entry = new PipelineEntry({ key, companyName, contacts: [], stage: 'contacted', stageChangedAt: sentAt });
+        recordOn(entry);
+        return entry.save();
+      });
+    } catch (error) {
+      // The pipeline is bookkeeping; never fail a send because of it
+      logger.error(`Failed to record send in pipeline: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Record a detected reply, advancing the company to `replied` unless it is already further along
+  async recordReply(email, reply = {}) {
+    try {
+      const address = email.recipient.email || email.to;
+      const existing = await PipelineEntry.findByKey(PipelineEntry.makeKey(email.recipient.companyName, address));
+      if (!existing) {
+        return null;
+      }
+
+      const repliedAt = email.repliedAt ? new Date(email.repliedAt) : new Date();
+      let advanced = false;
+      const entry = await PipelineEntry.update(existing.id, stored => {
+        stored.addActivity({
+          type: 'reply',
+          description: reply.subject || '',
+          date: repliedAt,
+          contact: address,
+          emailId: email.id,
+          campaignId: email.campaignId || null
+        });
+        advanced = REPLY_ADVANCES_FROM.includes(stored.stage) &&
+          stored.moveToStage('replied', { date: repliedAt, description: 'Reply detected', source: 'reply_detection' });
+      });
+      if (entry && advanced) {
+        logger.info(`Pipeline: ${entry.companyName || entry.key} moved to replied`);
+      }
+      return entry;
+    } catch (error) {
+      logger.error(`Failed to record reply in pipeline: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Move companies still at `contacted` with no email for `days` days to `ghosted`
+  async markGhosted(days = parseFloat(process.env.PIPELINE_GHOSTED_DAYS || 30), now = new Date()) {
+    if (!(days > 0)) {
+      return 0;
+    }
+
+    const cutoff = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+    const entries = await PipelineEntry.find({
+      where: { stage: 'contacted' },
+      range: { lastContactedAt: { lt: cutoff } }
+    });
+    let ghosted = 0;
+    for (const entry of entries) {
+      // Skip entries that were moved on or emailed again since the query
+      let moved = false;
+      await PipelineEntry.update(entry.id, stored => {
+        if (stored.stage !== 'contacted' || !stored.lastContactedAt || new Date(stored.lastContactedAt) >= cutoff) {
+          return false;
+        }
+        moved = stored.moveToStage('ghosted', { date: now, description: `No reply within ${days} days`, source: 'automatic' });
+        return moved;
+      });
+      if (moved) {
+        ghosted += 1;
+      }
+    }
+    return ghosted;
+  }
+}
+
+module.exports = PipelineService;
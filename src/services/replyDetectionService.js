@@ -0,0 +1,284 @@
+const imapConfig = require('../config/imap');
+const Campaign = require('../models/Campaign');
+const Email = require('../models/Email');
+const Log = require('../models/Log');
+const SenderAccount = require('../models/SenderAccount');
+const PipelineService = require('./pipelineService');
+const logger = require('../utils/logger');
+
+/**
+ * Reply detection service
+ *
+ * Polls the IMAP inbox for messages that answer one of our sent emails,
+ * matching their In-Reply-To/References headers against the Message-ID stored
+ * in each Email record's metadata. A match marks the email and the contact as
+ * replied, stops their follow-up sequences, advances the company's pipeline
+ * stage and notifies connected clients.
+ *
+ * @class ReplyDetectionService
+ */
+class ReplyDetectionService {
+  constructor(socketHandler = null) {
+    this.socketHandler = socketHandler;
+    this.pipelineService = new PipelineService();
+    this.lookbackDays = parseInt(process.env.IMAP_LOOKBACK_DAYS) || 7;
+    this.lastUid = null;
+    this.uidValidity = null;
+    // Polls a failing message is retried on before it is given up on
+    this.maxAttempts = parseInt(process.env.REPLY_MAX_ATTEMPTS) || 3;
+    // Failed polls so far per mailbox UID
+    this.failures = new Map();
+    this.isPolling = false;
+    this.lastPollAt = null;
+    this.lastResult = null;
+  }
+
+  setSocketHandler(socketHandler) {
+    this.socketHandler = socketHandler;
+  }
+
+  // Pull every <message-id> out of an In-Reply-To or References header value
+  static extractMessageIds(value) {
+    if (!value) return [];
+    const text = Array.isArray(value) ? value.join(' ') : String(value);
+    const ids = text.match(/<[^<>\s]+>/g);
+    return ids ? ids : text.split(/\s+/).filter(Boolean).map(id => `<${id}>`);
+  }
+
+  // Read a header from a raw header block, unfolding continuation lines
+  static getHeader(rawHeaders, name) {
+    if (!rawHeaders) return null;
+    const unfolded = rawHeaders.toString('utf8').replace(/\r?\n[ \t]+/g, ' ');
+    const match = unfolded.match(new RegExp(`^${name}:\\s*(.*)$`, 'im'));
+    return match ? match[1].trim() : null;
+  }
+
+  // Fetch messages that arrived since the last poll (or within the lookback window on first run),
+  // oldest first; poll() moves lastUid past them once they have been processed
+  async fetchCandidateMessages(client) {
+    const mailbox = await client.mailboxOpen(imapConfig.getMailbox(), { readOnly: true });
+
+    if (this.uidValidity !== String(mailbox.uidValidity)) {
+      this.uidValidity = String(mailbox.uidValidity);
+      this.lastUid = null;
+      this.failures.clear();
+    }
+
+    const since = new Date(Date.now() - this.lookbackDays * 24 * 60 * 60 * 1000);
+    const query = this.lastUid ? { uid: `${this.lastUid + 1}:*` } : { since };
+    const uids = (await client.search(query, { uid: true })) || [];
+    const newUids = uids.filter(uid => !this.lastUid || uid > this.lastUid);
+
+    const messages = [];
+    if (newUids.length === 0) {
+      return messages;
+    }
+
+    for await (const message of client.fetch(newUids, { uid: true, envelope: true, headers: ['in-reply-to', 'references'] }, { uid: true })) {
+      const envelope = message.envelope || {};
+      const from = envelope.from && envelope.from[0] ? envelope.from[0].address : null;
+
+      messages.push({
+        uid: message.uid,
+        messageId: envelope.messageId || null,
+        from: from ? from.toLowerCase() : null,
+        subject: envelope.subject || '',
+        date: envelope.date || new Date(),
+        inReplyTo: ReplyDetectionService.getHeader(message.headers, 'in-reply-to') || envelope.inReplyTo || null,
+        references: ReplyDetectionService.getHeader(message.headers, 'references')
+      });
+    }
+
+    return messages.sort((a, b) => a.uid - b.uid);
+  }
+
+  // Count a failed poll for a message; true while it should be retried on a later poll
+  shouldRetry(uid) {
+    const attempts = (this.failures.get(uid) || 0) + 1;
+    if (attempts >= this.maxAttempts) {
+      this.failures.delete(uid);
+      return false;
+    }
+    this.failures.set(uid, attempts);
+    return true;
+  }
+
+  // Addresses and SMTP logins of the mailbox and every sender account
+  async getOwnAddresses() {
+    const accounts = await SenderAccount.loadAll();
+    return new Set([imapConfig.getConnectionOptions().auth.user, ...accounts.flatMap(account => [account.email, account.username])]
+      .filter(Boolean)
+      .map(address => String(address).trim().toLowerCase()));
+  }
+
+  // Match one inbound message to a sent email and record the reply
+  async processMessage(message) {
+    // Our own follow-ups, from any sender account, reference earlier messages too; only the contact's answers count
+    if (message.from && (await this.getOwnAddresses()).has(String(message.from).toLowerCase())) {
+      return null;
+    }
+
+    const referencedIds = [
+      ...ReplyDetectionService.extractMessageIds(message.inReplyTo),
+      ...ReplyDetectionService.extractMessageIds(message.references)
+    ];
+    if (referencedIds.length === 0) {
+      return null;
+    }
+
+    // Stored IDs may or may not keep the angle brackets
+    const candidates = Array.from(new Set(referencedIds.flatMap(id => [id, id.replace(/^<|>$/g, '')])));
+    const matches = await Email.findByMessageIds(candidates);
+    if (matches.length === 0) {
+      return null;
+    }
+
+    // Prefer the email the reply answers directly, then the most recent in the thread
+    const directIds = ReplyDetectionService.extractMessageIds(message.inReplyTo);
+    const email = matches.find(e => directIds.some(id => id.includes(e.metadata.messageId.replace(/^<|>$/g, '')))) || matches[0];
+    const recipient = email.recipient.email || email.to;
+
+    if (email.status === 'replied') {
+      return { email, duplicate: true };
+    }
+
+    await email.markAsReplied({
+      messageId: message.messageId,
+      from: message.from,
+      subject: message.subject,
+      receivedAt: message.date
+    });
+
+    const stoppedCampaigns = await this.stopContact(recipient, email.repliedAt);
+    await this.pipelineService.recordReply(email, { subject: message.subject });
+
+    await Log.logEmailEvent(email.campaignId, recipient, 'replied', {
+      emailId: email.id,
+      replyMessageId: message.messageId,
+      from: message.from,
+      stoppedCampaigns
+    });
+
+    logger.success(`Reply detected from ${message.from || recipient} for email ${email.id}`);
+
+    if (this.socketHandler) {
+      this.socketHandler.emitEmailReplied(email.campaignId, {
+        emailId: email.id,
+        recipient,
+        companyName: email.recipient.companyName,
+        subject: message.subject,
+        repliedAt: email.repliedAt,
+        sequenceStep: email.sequenceStep
+      });
+    }
+
+    return { email, duplicate: false, stoppedCampaigns };
+  }
+
+  // Mark the contact as replied in every campaign so no further automated email goes out
+  async stopContact(address, repliedAt) {
+    const campaigns = await Campaign.loadAll();
+    const stopped = [];
+
+    for (const campaign of campaigns) {
+      if (!campaign.markContactReplied(address, repliedAt)) {
+        continue;
+      }
+
+      // Apply it to the stored record so progress written since loadAll() is kept
+      let changed = false;
+      await Campaign.update(campaign.id, stored => {
+        changed = stored.markContactReplied(address, repliedAt);
+        return changed;
+      });
+      if (changed) {
+        stopped.push(campaign.id);
+      }
+    }
+
+    return stopped;
+  }
+
+  // Run one poll of the inbox. lastUid only moves past a failed message once it has failed
+  // maxAttempts times, so it is fetched again on the next poll.
+  async poll() {
+    if (!imapConfig.isConfigured()) {
+      logger.debug('Reply detection skipped: IMAP is not configured');
+      return null;
+    }
+
+    if (this.isPolling) {
+      logger.warning('Reply detection poll already in progress, skipping');
+      return null;
+    }
+
+    this.isPolling = true;
+    const result = { checked: 0, replies: 0, duplicates: 0, unmatched: 0, errors: 0 };
+    const client = imapConfig.createClient();
+
+    try {
+      await client.connect();
+      const messages = await this.fetchCandidateMessages(client);
+      result.checked = messages.length;
+
+      // Lowest UID that failed and will be retried; lastUid stops just below it
+      let retryFrom = null;
+      for (const message of messages) {
+        try {
+          const outcome = await this.processMessage(message);
+          this.failures.delete(message.uid);
+          if (!outcome) {
+            result.unmatched += 1;
+          } else if (outcome.duplicate) {
+            result.duplicates += 1;
+          } else {
+            result.replies += 1;
+          }
+        } catch (error) {
+          result.errors += 1;
+          logger.error(`Failed to process inbound message ${message.uid}: ${error.message}`);
+          if (this.shouldRetry(message.uid)) {
+            retryFrom = retryFrom === null ? message.uid : Math.min(retryFrom, message.uid);
+          } else {
+            logger.warning(`Giving up on inbound message ${message.uid} after ${this.maxAttempts} attempts`);
+          }
+        }
+      }
+
+      const handled = messages
+        .map(message => message.uid)
+        .filter(uid => retryFrom === null || uid < retryFrom);
+      if (handled.length > 0) {
+        this.lastUid = Math.max(this.lastUid || 0, ...handled);
+      }
+
+      if (result.replies > 0) {
+        logger.info(`Reply detection: ${result.replies} new repl${result.replies === 1 ? 'y' : 'ies'} in ${result.checked} message(s)`);
+      }
+    } catch (error) {
+      result.errors += 1;
+      logger.error(`Reply detection poll failed: ${error.message}`);
+    } finally {
+      this.isPolling = false;
+      this.lastPollAt = new Date();
+      this.lastResult = result;
+      try {
+        await client.logout();
+      } catch (error) {
+        client.close();
+      }
+    }
+
+    return result;
+  }
+
+  getStatus() {
+    return {
+      configured: imapConfig.isConfigured(),
+      lastPollAt: this.lastPollAt,
+      lastResult: this.lastResult
+    };
+  }
+}
+
+module.exports = ReplyDetectionService;
@@ -2,6 +2,15 @@ const cron = require('node-cron');
 const CampaignService = require('./campaignService');
 const EmailService = require('./emailService');
 const NotificationService = require('./notificationService');
+const SequenceService = require('./sequenceService');
+const ReplyDetectionService = require('./replyDetectionService');
+const BounceService = require('./bounceService');
+const SenderService = require('./senderService');
+const OutboxService = require('./outboxService');
+const PipelineService = require('./pipelineService');
+const Email = require('../models/Email');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const imapConfig = require('../config/imap');
 const logger = require('../utils/logger');
 
 class SchedulerService {
@@ -9,10 +18,16 @@ class SchedulerService {
     this.campaignService = new CampaignService();
     this.emailService = new EmailService();
     this.notificationService = new NotificationService();
+    this.sequenceService = new SequenceService(this.emailService);
+    this.replyDetectionService = new ReplyDetectionService(socketHandler);
+    this.bounceService = new BounceService(socketHandler);
+    this.senderService = new SenderService();
+    this.outboxService = OutboxService.getInstance();
+    this.pipelineService = new PipelineService();
     this.socketHandler = socketHandler;
     this.activeJobs = new Map();
     this.isRunning = false;
-    this.DAILY_EMAIL_LIMIT = 300; // Gmail safe limit
+    this.startingScheduled = false;
 
     logger.info('Scheduler service initialized');
   }
@@ -20,6 +35,8 @@ class SchedulerService {
   // Set socket handler (for when it's not available during construction)
   setSocketHandler(socketHandler) {
     this.socketHandler = socketHandler;
+    this.replyDetectionService.setSocketHandler(socketHandler);
+    this.bounceService.setSocketHandler(socketHandler);
     logger.info('Socket handler set for scheduler service');
   }
 
@@ -30,31 +47,56 @@ class SchedulerService {
       return;
     }
 
-    // Schedule campaign processing every hour during business hours (9 AM - 9 PM)
-    this.scheduleJob('hourly-campaigns', '0 9-21 * * *', () => {
+    // Schedule campaign processing every hour around the clock; each campaign's sending
+    // window decides which recipients are due (recipients can be in any time zone)
+    this.scheduleJob('hourly-campaigns', process.env.CAMPAIGN_PROCESSING_CRON || '0 * * * *', () => {
       this.processDailyCampaigns();
     });
 
     // Schedule daily summary at 9 AM
-    this.scheduleJob('daily-summary', '0 9 * * *', () => {
+    this.scheduleJob('daily-summary', process.env.DAILY_SUMMARY_CRON || '0 9 * * *', () => {
       this.sendDailySummary();
     });
 
     // Schedule evening status report at 9 PM
-    this.scheduleJob('evening-report', '0 21 * * *', () => {
+    this.scheduleJob('evening-report', process.env.EVENING_REPORT_CRON || '0 21 * * *', () => {
       this.sendEveningStatusReport();
     });
 
+    // Start scheduled campaigns and one-off sends once their start time comes
+    this.scheduleJob('scheduled-starts', process.env.SCHEDULED_START_CRON || '* * * * *', () => {
+      return this.startScheduledCampaigns();
+    });
+
     // Schedule cleanup job every hour
     this.scheduleJob('cleanup', '0 * * * *', () => {
       this.performCleanup();
     });
 
     // Schedule status check every 10 minutes during business hours
-    this.scheduleJob('status-check', '*/10 9-21 * * *', () => {
+    this.scheduleJob('status-check', process.env.STATUS_CHECK_CRON || '*/10 9-21 * * *', () => {
       this.checkCampaignStatuses();
     });
 
+    // Poll the inbox for replies when IMAP is configured
+    if (imapConfig.isConfigured()) {
+      const pollMinutes = parseInt(process.env.IMAP_POLL_INTERVAL_MINUTES) || 5;
+      this.scheduleJob('reply-detection', `*/${pollMinutes} * * * *`, () => {
+        return this.replyDetectionService.poll();
+      });
+    }
+
+    // Process bounce notifications from the inbox and the drop folder (the folder may appear at any time)
+    const bounceMinutes = parseInt(process.env.BOUNCE_POLL_INTERVAL_MINUTES) || 15;
+    this.scheduleJob('bounce-processing', `*/${bounceMinutes} * * * *`, () => {
+      return this.bounceService.run();
+    });
+
+    // Resume the outbox: emails queued before a restart go out, in-flight ones are reconciled
+    this.outboxService.start().catch(error => {
+      logger.error(`Error starting outbox worker: ${error.message}`);
+    });
+
     this.isRunning = true;
     logger.info('Scheduler started with all jobs');
   }
@@ -76,6 +118,7 @@ class SchedulerService {
     });
 
     this.activeJobs.clear();
+    this.outboxService.stop();
     this.isRunning = false;
     logger.info('Scheduler stopped');
   }
@@ -83,6 +126,10 @@ class SchedulerService {
   // Schedule a new job
   scheduleJob(name, cronExpression, task) {
     try {
+      if (!cron.validate(cronExpression)) {
+        throw new Error(`Invalid cron expression "${cronExpression}"`);
+      }
+
       if (this.activeJobs.has(name)) {
         logger.warning(`Job ${name} already exists, stopping old job`);
         this.activeJobs.get(name).stop();
@@ -109,7 +156,7 @@ class SchedulerService {
         }
       }, {
         scheduled: true,
-        timezone: 'America/New_York' // Adjust timezone as needed
+        timezone: process.env.SCHEDULER_TIMEZONE || 'America/New_York'
       });
 
       this.activeJobs.set(name, job);
@@ -140,36 +187,37 @@ class SchedulerService {
     }
   }
 
-  // Get total emails sent today across all campaigns
-  async getTodaysEmailCount() {
+  // Get total emails sent today (since local midnight) across all campaigns, optionally for one sender account
+  async getTodaysEmailCount(senderId = null) {
     try {
-      const campaigns = await this.campaignService.getAllCampaigns();
-      const today = new Date().toDateString();
-      
-      let totalSentToday = 0;
-      
-      campaigns.forEach(campaign => {
-        if (campaign.dailyLogs && campaign.dailyLogs.length > 0) {
-          const todaysLogs = campaign.dailyLogs.filter(log => 
-            new Date(log.sentAt).toDateString() === today && log.status === 'sent'
-          );
-          totalSentToday += todaysLogs.length;
-        }
+      const startOfDay = new Date();
+      startOfDay.setHours(0, 0, 0, 0);
+
+      return await Email.count({
+        where: senderId ? { senderId } : {},
+        range: { sentAt: { gte: startOfDay } }
       });
-      
-      return totalSentToday;
     } catch (error) {
       logger.error(`Error getting today's email count: ${error.message}`);
       return 0;
     }
   }
 
-  // Check if we can send more emails today (respecting daily limit)
-  async canSendMoreEmailsToday(requestedCount = 1) {
-    const currentCount = await this.getTodaysEmailCount();
-    const remaining = this.DAILY_EMAIL_LIMIT - currentCount;
-    
-    const statusMessage = `📊 Daily email status: ${currentCount}/${this.DAILY_EMAIL_LIMIT} sent, ${remaining} remaining`;
+  // Check if we can send more emails today, summing what each sender account in the selection has left
+  // (its daily cap, lowered during warm-up, and hourly cap, skipping disabled or paused accounts);
+  // a selection of null means every account
+  async canSendMoreEmailsToday(requestedCount = 1, senders = null) {
+    const capacity = await this.senderService.getCapacity(senders);
+    const currentCount = capacity.sentToday;
+    const remaining = capacity.remaining;
+
+    const perSender = capacity.senders
+      .map(({ account, usage }) => {
+        const warmup = usage.warmup.active ? ` (warm-up day ${usage.warmup.day}/${usage.warmup.totalDays})` : '';
+        return `${account.name} ${usage.sentToday}/${usage.dailyLimit}${warmup}${usage.available ? '' : ' (paused)'}`;
+      })
+      .join(', ');
+    const statusMessage = `📊 Daily email status: ${currentCount}/${capacity.dailyLimit} sent, ${remaining} can be sent now${perSender ? ` [${perSender}]` : ''}`;
     logger.info(statusMessage);
     
     // Emit to client
@@ -181,8 +229,8 @@ class SchedulerService {
       });
     }
     
-    if (currentCount >= this.DAILY_EMAIL_LIMIT) {
-      const limitMessage = `🚫 Daily email limit reached: ${currentCount}/${this.DAILY_EMAIL_LIMIT}. Stopping email processing for today to prevent Gmail blacklisting.`;
+    if (remaining <= 0) {
+      const limitMessage = `🚫 No sender account can send more right now (${currentCount}/${capacity.dailyLimit} sent today). Stopping email processing to prevent Gmail blacklisting.`;
       logger.warning(limitMessage);
       
       // Emit to client
@@ -200,18 +248,10 @@ class SchedulerService {
     return Math.min(requestedCount, remaining);
   }
 
-  // Process daily campaigns
+  // Process daily campaigns; only recipients inside their campaign's sending window
+  // (in their own time zone when the contact has one) are sent to, forced or not
   async processDailyCampaigns(forceProcessing = false) {
     try {
-      // Check if we're in business hours (9 AM - 9 PM) unless forced
-      const now = new Date();
-      const currentHour = now.getHours();
-      
-      if (!forceProcessing && (currentHour < 9 || currentHour >= 21)) {
-        logger.info('Outside business hours (9 AM - 9 PM), skipping campaign processing');
-        return;
-      }
-
       // Check daily email limit first
       const canSend = await this.canSendMoreEmailsToday();
       if (!canSend) {
@@ -219,45 +259,58 @@ class SchedulerService {
         return;
       }
 
-      const timeContext = forceProcessing ? 'with forced processing' : 'during business hours';
+      const timeContext = forceProcessing ? 'with forced processing' : 'for recipients inside their sending windows';
       logger.info(`Starting campaign processing ${timeContext}`);
       
       const campaigns = await this.campaignService.getAllCampaigns();
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
 
       for (const campaign of campaigns) {
         try {
-          // Skip if campaign is completed or paused
-          if (campaign.status === 'completed' || campaign.status === 'paused') {
+          // Only active campaigns send; scheduled ones are started by the scheduled-starts job
+          if (campaign.status !== 'active') {
             continue;
           }
 
-          // Check if campaign should start today
-          const startDate = new Date(campaign.startDate);
-          startDate.setHours(0, 0, 0, 0);
-
-          if (startDate <= today && campaign.status === 'pending') {
-            logger.info(`Starting campaign: ${campaign.name} (${campaign.id})`);
-            await this.startCampaign(campaign.id);
-          }
-
-          // Process active campaigns
-          if (campaign.status === 'active') {
-            await this.processCampaignBatch(campaign);
-          }
+          await this.processCampaignBatch(campaign);
 
         } catch (error) {
           logger.error(`Error processing campaign ${campaign.id}: ${error.message}`);
         }
       }
 
+      // Send follow-up steps that came due since the last run
+      await this.processSequenceSteps();
+
       logger.info('Completed daily campaign processing');
     } catch (error) {
       logger.error(`Error in daily campaign processing: ${error.message}`);
     }
   }
 
+  // Start every scheduled campaign whose start time has come and send it like a newly created one;
+  // runs are skipped while a previous one is still sending
+  async startScheduledCampaigns(now = new Date()) {
+    if (this.startingScheduled) {
+      return 0;
+    }
+
+    this.startingScheduled = true;
+    try {
+      const due = await this.campaignService.getDueScheduledCampaigns(now);
+      for (const campaign of due) {
+        try {
+          logger.info(`⏰ Start time reached for scheduled campaign ${campaign.name} (${campaign.id})`);
+          await this.processNewCampaignImmediately(campaign.id);
+        } catch (error) {
+          logger.error(`Error starting scheduled campaign ${campaign.id}: ${error.message}`);
+        }
+      }
+      return due.length;
+    } finally {
+      this.startingScheduled = false;
+    }
+  }
+
   // Start a specific campaign
   async startCampaign(campaignId) {
     try {
@@ -266,11 +319,15 @@ class SchedulerService {
         throw new Error(`Campaign ${campaignId} not found`);
       }
 
-      // Update campaign status to active
-      await this.campaignService.updateCampaign(campaignId, {
+      // Update campaign status to active, unless it was cancelled or paused since it was loaded
+      const { applied } = await this.campaignService.updateCampaignIf(campaignId, ['scheduled', 'active'], {
         status: 'active',
         startedAt: new Date()
       });
+      if (!applied) {
+        logger.info(`Campaign ${campaignId} was not started: it is no longer scheduled`);
+        return false;
+      }
 
       const startMessage = `Started campaign: ${campaign.name} (${campaignId})`;
       logger.info(startMessage);
@@ -300,10 +357,11 @@ class SchedulerService {
   // Process a campaign batch
   async processCampaignBatch(campaign) {
     try {
-      // Check global daily limit first
-      const canSendGlobal = await this.canSendMoreEmailsToday(50);
+      // Check what the campaign's sender accounts have left first
+      const senders = SenderService.getSelection(campaign);
+      const canSendGlobal = await this.canSendMoreEmailsToday(50, senders);
       if (!canSendGlobal) {
-        const limitMessage = `🚫 Cannot process campaign ${campaign.id}: Global daily limit of ${this.DAILY_EMAIL_LIMIT} emails reached`;
+        const limitMessage = `🚫 Cannot process campaign ${campaign.id}: its sender accounts have reached their limits`;
         logger.warning(limitMessage);
         
         // Emit to client
@@ -318,13 +376,12 @@ class SchedulerService {
         return;
       }
 
-      const today = new Date().toDateString();
+      const today = new Date().toISOString().split('T')[0];
       const dailyLimit = campaign.dailyLimit || 50;
       
       // Check if we've already sent emails today for this campaign
-      const sentToday = (campaign.dailyLogs || []).filter(log => 
-        new Date(log.sentAt).toDateString() === today && log.status === 'sent'
-      ).length;
+      const todaysLog = (campaign.dailyLogs || []).find(log => log.date === today);
+      const sentToday = todaysLog ? todaysLog.totalSent : 0;
 
       if (sentToday >= dailyLimit) {
         const campaignLimitMessage = `Daily limit reached for campaign ${campaign.id}: ${sentToday}/${dailyLimit}`;
@@ -364,7 +421,7 @@ class SchedulerService {
         return;
       }
 
-      const batchMessage = `Processing batch for campaign ${campaign.id}: ${batchSize} emails (Respecting global limit: ${await this.getTodaysEmailCount()}/${this.DAILY_EMAIL_LIMIT})`;
+      const batchMessage = `Processing batch for campaign ${campaign.id}: ${batchSize} emails (Respecting sender limits: ${remainingGlobal} available)`;
       logger.info(batchMessage);
       
       // Emit to client
@@ -424,6 +481,56 @@ class SchedulerService {
     }
   }
 
+  // Send due follow-up steps for campaigns with sequences
+  async processSequenceSteps() {
+    try {
+      const allowance = await this.canSendMoreEmailsToday(50);
+      if (!allowance) {
+        return null;
+      }
+
+      const totals = await this.sequenceService.processDueSteps(allowance, (campaign, result) => {
+        if (!this.socketHandler || result.skipped) {
+          return;
+        }
+
+        if (result.success) {
+          this.socketHandler.emitEmailSent(campaign.id, {
+            recipient: result.recipient,
+            companyName: result.companyName,
+            messageId: result.messageId,
+            sequenceStep: result.step
+          });
+        } else {
+          this.socketHandler.emitEmailError(campaign.id, {
+            recipient: result.recipient,
+            companyName: result.companyName,
+            message: result.error,
+            sequenceStep: result.step
+          });
+        }
+      });
+
+      if (totals.sent + totals.failed + totals.replied > 0) {
+        const sequenceMessage = `Follow-up sequences: ${totals.sent} sent, ${totals.failed} failed, ${totals.replied} stopped by reply across ${totals.campaigns} campaign(s)`;
+        logger.info(sequenceMessage);
+
+        if (this.socketHandler) {
+          this.socketHandler.emitGeneralNotification('serverLog', {
+            level: 'info',
+            message: `ℹ️ INFO: ${sequenceMessage}`,
+            timestamp: new Date().toISOString()
+          });
+        }
+      }
+
+      return totals;
+    } catch (error) {
+      logger.error(`Error processing follow-up sequences: ${error.message}`);
+      return null;
+    }
+  }
+
   // Check campaign statuses and complete if needed
   async checkCampaignStatuses() {
     try {
@@ -525,6 +632,24 @@ class SchedulerService {
         }
       }
 
+      // Drop finished outbox entries past their retention
+      const purged = await this.outboxService.purgeSettled();
+      if (purged > 0) {
+        logger.info(`Removed ${purged} finished outbox entries`);
+      }
+
+      // Drop idempotency keys past their retention
+      const expiredKeys = await IdempotencyKey.purgeExpired();
+      if (expiredKeys > 0) {
+        logger.info(`Removed ${expiredKeys} expired idempotency keys`);
+      }
+
+      // Companies that never answered move to ghosted after PIPELINE_GHOSTED_DAYS
+      const ghosted = await this.pipelineService.markGhosted();
+      if (ghosted > 0) {
+        logger.info(`Moved ${ghosted} pipeline entries to ghosted`);
+      }
+
       logger.info('Completed scheduled cleanup');
     } catch (error) {
       logger.error(`Error in scheduled cleanup: ${error.message}`);
@@ -537,7 +662,8 @@ class SchedulerService {
       logger.info('Generating daily summary report');
       
       const campaigns = await this.campaignService.getAllCampaigns();
-      const todaysEmailCount = await this.getTodaysEmailCount();
+      const capacity = await this.senderService.getCapacity();
+      const todaysEmailCount = capacity.sentToday;
       const yesterday = new Date();
       yesterday.setDate(yesterday.getDate() - 1);
       
@@ -547,14 +673,42 @@ class SchedulerService {
         activeCampaigns: campaigns.filter(c => c.status === 'active').length,
         completedCampaigns: campaigns.filter(c => c.status === 'completed').length,
         pausedCampaigns: campaigns.filter(c => c.status === 'paused').length,
+        scheduledCampaigns: campaigns.filter(c => c.status === 'scheduled').length,
         totalEmailsSent: campaigns.reduce((sum, c) => sum + (c.sentEmails || 0), 0),
         totalEmailsPending: campaigns.reduce((sum, c) => sum + (c.totalEmails - (c.sentEmails || 0)), 0),
         todaysEmailCount,
-        dailyEmailLimit: this.DAILY_EMAIL_LIMIT,
-        remainingEmailsToday: Math.max(0, this.DAILY_EMAIL_LIMIT - todaysEmailCount),
+        dailyEmailLimit: capacity.dailyLimit,
+        remainingEmailsToday: capacity.remainingToday,
+        senders: capacity.senders.map(({ account, usage }) => ({
+          name: account.name,
+          email: account.email,
+          sentToday: usage.sentToday,
+          dailyLimit: usage.dailyLimit,
+          warmupDay: usage.warmup.active ? usage.warmup.day : null,
+          warmupDays: usage.warmup.active ? usage.warmup.totalDays : null,
+          status: account.getHealth().status,
+          enabled: account.enabled
+        })),
+        opens: null,
         campaignDetails: []
       };
 
+      // Open rate across the campaigns that track opens
+      const openStats = new Map();
+      for (const campaign of campaigns.filter(c => c.trackOpens)) {
+        openStats.set(campaign.id, await Email.getOpenStats(campaign.id));
+      }
+      if (openStats.size > 0) {
+        const delivered = [...openStats.values()].reduce((sum, stats) => sum + stats.delivered, 0);
+        const opened = [...openStats.values()].reduce((sum, stats) => sum + stats.opened, 0);
+        summary.opens = {
+          campaigns: openStats.size,
+          delivered,
+          opened,
+          openRate: delivered > 0 ? Math.round((opened / delivered) * 1000) / 10 : 0
+        };
+      }
+
       // Add detailed campaign information
       campaigns.forEach(campaign => {
         if (campaign.status === 'active' || campaign.status === 'pending') {
@@ -565,6 +719,7 @@ class SchedulerService {
             status: campaign.status,
             progress: `${progress.sent}/${progress.total} emails`,
             progressPercentage: Math.round((progress.sent / progress.total) * 100),
+            openRate: openStats.has(campaign.id) ? openStats.get(campaign.id).openRate : null,
             createdAt: campaign.createdAt,
             estimatedCompletion: campaign.getEstimatedCompletion()
           });
@@ -720,6 +875,7 @@ class SchedulerService {
             <li>🟢 <strong>Active Campaigns:</strong> ${data.activeCampaigns}</li>
             <li>✅ <strong>Completed Campaigns:</strong> ${data.completedCampaigns}</li>
             <li>⏸️ <strong>Paused Campaigns:</strong> ${data.pausedCampaigns}</li>
+            ${data.opens ? `<li>👀 <strong>Open Rate:</strong> ${data.opens.openRate}% (${data.opens.opened}/${data.opens.delivered} emails in ${data.opens.campaigns} tracked campaign${data.opens.campaigns === 1 ? '' : 's'})</li>` : ''}
           </ul>
         </div>
 
@@ -731,6 +887,11 @@ class SchedulerService {
             <div style="background: ${data.remainingEmailsToday > 50 ? '#28a745' : data.remainingEmailsToday > 0 ? '#ffc107' : '#dc3545'}; height: 12px; border-radius: 10px; width: ${Math.round((data.todaysEmailCount / data.dailyEmailLimit) * 100)}%;"></div>
           </div>
           <p style="margin: 5px 0; font-size: 0.9em; color: #6c757d;">Daily limit prevents Gmail blacklisting</p>
+          ${data.senders && (data.senders.length > 1 || data.senders.some(sender => sender.warmupDay)) ? `
+          <ul style="margin: 10px 0 0 0; padding-left: 20px; font-size: 0.9em;">
+            ${data.senders.map(sender => `<li>${sender.name} (${sender.email}): ${sender.sentToday}/${sender.dailyLimit}${sender.warmupDay ? ` (warm-up day ${sender.warmupDay}/${sender.warmupDays})` : ''}${!sender.enabled ? ' - disabled' : sender.status !== 'healthy' ? ` - ${sender.status}` : ''}</li>`).join('')}
+          </ul>
+          ` : ''}
         </div>
 
         ${limitWarning}
@@ -744,6 +905,7 @@ class SchedulerService {
               <h4 style="margin: 0 0 10px 0; color: #495057;">${campaign.name}</h4>
               <p style="margin: 5px 0;"><strong>Status:</strong> <span style="color: ${campaign.status === 'active' ? '#28a745' : '#ffc107'};">${campaign.status.toUpperCase()}</span></p>
               <p style="margin: 5px 0;"><strong>Progress:</strong> ${campaign.progress} (${campaign.progressPercentage}%)</p>
+              ${campaign.openRate !== null ? `<p style="margin: 5px 0;"><strong>Open Rate:</strong> ${campaign.openRate}%</p>` : ''}
               <div style="background: #e9ecef; border-radius: 10px; height: 10px; margin: 10px 0;">
                 <div style="background: #28a745; height: 10px; border-radius: 10px; width: ${campaign.progressPercentage}%;"></div>
               </div>
@@ -796,16 +958,31 @@ class SchedulerService {
 
   // Get scheduler statistics
   async getStatistics() {
-    const todaysEmailCount = await this.getTodaysEmailCount();
+    const senders = await this.senderService.getSummary();
     return {
       isRunning: this.isRunning,
       activeJobs: Array.from(this.activeJobs.keys()),
       jobCount: this.activeJobs.size,
       lastRun: new Date(),
-      dailyEmailLimit: this.DAILY_EMAIL_LIMIT,
-      todaysEmailCount,
-      remainingEmailsToday: Math.max(0, this.DAILY_EMAIL_LIMIT - todaysEmailCount),
-      limitReached: todaysEmailCount >= this.DAILY_EMAIL_LIMIT
+      dailyEmailLimit: senders.dailyLimit,
+      todaysEmailCount: senders.sentToday,
+      remainingEmailsToday: senders.remainingToday,
+      limitReached: senders.remaining <= 0,
+      senders: senders.senders,
+      // Accounts still ramping up, with today's warm-up day and cap
+      warmup: senders.senders
+        .filter(sender => sender.usage.warmup.active)
+        .map(sender => ({
+          senderId: sender.id,
+          name: sender.name,
+          day: sender.usage.warmup.day,
+          totalDays: sender.usage.warmup.totalDays,
+          dailyCap: sender.usage.warmup.dailyCap,
+          sentToday: sender.usage.sentToday
+        })),
+      outbox: await this.outboxService.getSummary(),
+      replyDetection: this.replyDetectionService.getStatus(),
+      bounceProcessing: this.bounceService.getStatus()
     };
   }
 
@@ -839,17 +1016,29 @@ class SchedulerService {
         throw new Error(`Campaign ${campaignId} not found`);
       }
 
+      // Scheduled campaigns wait for their start time
+      if (campaign.status === 'scheduled' && !campaign.isDue()) {
+        logger.info(`Campaign ${campaignId} is scheduled to start at ${new Date(campaign.startDate).toLocaleString()}`);
+        return false;
+      }
+
       // Start the campaign immediately
-      await this.startCampaign(campaignId);
-      
-      // Process ALL emails in one session (up to daily limit of 300)
-      const totalEmails = Math.min(campaign.totalEmails, this.DAILY_EMAIL_LIMIT);
-      const emailsToSend = totalEmails - (campaign.sentEmails || 0);
+      if (!await this.startCampaign(campaignId)) {
+        return false;
+      }
       
-      if (emailsToSend <= 0) {
+      // Process ALL emails in one session (up to what the campaign's sender accounts have left today)
+      const pendingEmails = campaign.totalEmails - (campaign.sentEmails || 0);
+      if (pendingEmails <= 0) {
         logger.info(`Campaign ${campaignId} has no emails to send`);
         return true;
       }
+
+      const emailsToSend = await this.canSendMoreEmailsToday(pendingEmails, SenderService.getSelection(campaign));
+      if (!emailsToSend) {
+        logger.info(`Campaign ${campaignId} will be sent in the scheduled runs once its sender accounts have capacity`);
+        return true;
+      }
       
       const processingMessage = `📧 Processing ALL emails for campaign ${campaignId}: ${emailsToSend} emails with ${campaign.delay || 10000}ms delay`;
       logger.info(processingMessage);
@@ -940,7 +1129,9 @@ class SchedulerService {
 
       // Calculate remaining emails to send
       const remainingEmails = campaign.totalEmails - (campaign.sentEmails || 0);
-      const emailsToSend = Math.min(remainingEmails, this.DAILY_EMAIL_LIMIT - await this.getTodaysEmailCount());
+      const emailsToSend = remainingEmails > 0
+        ? (await this.canSendMoreEmailsToday(remainingEmails, SenderService.getSelection(campaign))) || 0
+        : 0;
       
       if (emailsToSend <= 0) {
         logger.info(`No emails remaining to send for campaign ${campaignId}`);
@@ -0,0 +1,325 @@
+const emailConfig = require('../config/email');
+const SenderAccount = require('../models/SenderAccount');
+const Campaign = require('../models/Campaign');
+const Email = require('../models/Email');
+const logger = require('../utils/logger');
+
+// Error categories that point at the account rather than the recipient
+const SENDER_ERROR_CATEGORIES = ['AUTHENTICATION', 'NETWORK', 'RATE_LIMIT'];
+// Categories that pause the account straight away (bad credentials, provider quota)
+const PAUSE_NOW_CATEGORIES = ['AUTHENTICATION', 'RATE_LIMIT'];
+
+// Fields the API may set; the default account takes its address and SMTP login from the environment
+const EDITABLE_FIELDS = ['name', 'email', 'fromName', 'host', 'port', 'secure', 'username', 'password', 'passwordEnv', 'dailyLimit', 'hourlyLimit', 'enabled', 'warmup'];
+const DEFAULT_EDITABLE_FIELDS = ['name', 'fromName', 'dailyLimit', 'hourlyLimit', 'enabled', 'warmup'];
+
+// Shared by every service instance: one pooled transporter per account, and when each account was last picked
+const transporters = new Map();
+const lastPickedAt = new Map();
+
+const parsePool = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+  const text = String(value).trim();
+  if (text.startsWith('[')) {
+    return JSON.parse(text);
+  }
+  return text.split(',');
+};
+
+/**
+ * Sender service
+ *
+ * Picks the SMTP account each email goes out through. A campaign either pins
+ * one account (`senderId`) or rotates across a pool (`senderPool`, all
+ * enabled accounts when neither is set). Accounts at their daily or hourly
+ * cap, disabled, or paused after repeated failures are passed over; usage is
+ * counted from the stored Email records, so it survives restarts.
+ *
+ * @class SenderService
+ */
+class SenderService {
+  static get SENDER_ERROR_CATEGORIES() {
+    return SENDER_ERROR_CATEGORIES;
+  }
+
+  // { senderId, senderPool } from a campaign or request, normalized to an ID list (null = every account)
+  static getSelection(source = {}) {
+    if (source.senderId) {
+      return [String(source.senderId)];
+    }
+    const pool = parsePool(source.senderPool).map(id => String(id).trim()).filter(Boolean);
+    return pool.length > 0 ? Array.from(new Set(pool)) : null;
+  }
+
+  // Check that the chosen accounts exist; returns the fields to store on the campaign
+  async resolveSelection({ senderId, senderPool } = {}) {
+    let selection;
+    try {
+      selection = SenderService.getSelection({ senderId, senderPool });
+    } catch (error) {
+      throw new Error('Invalid sender pool: expected a list of sender account IDs');
+    }
+    if (!selection) {
+      return { senderId: null, senderPool: [] };
+    }
+
+    for (const id of selection) {
+      if (!(await SenderAccount.findById(id))) {
+        throw new Error(`Sender account ${id} not found`);
+      }
+    }
+
+    return senderId ? { senderId: selection[0], senderPool: [] } : { senderId: null, senderPool: selection };
+  }
+
+  async createAccount(data = {}) {
+    const fields = EDITABLE_FIELDS.reduce((picked, field) => (
+      data[field] !== undefined ? { ...picked, [field]: data[field] } : picked
+    ), {});
+    // New mailboxes warm up unless told otherwise
+    if (fields.warmup === undefined && process.env.SENDER_WARMUP_NEW_ACCOUNTS !== 'false') {
+      fields.warmup = { enabled: true };
+    }
+    const account = new SenderAccount(fields);
+
+    const validation = account.isValid();
+    if (!validation.valid) {
+      throw new Error(`Invalid sender account: ${validation.errors.join(', ')}`);
+    }
+    if (await SenderAccount.findByEmail(account.email) || (process.env.EMAIL && account.email === process.env.EMAIL.toLowerCase())) {
+      throw new Error(`Sender account for ${account.email} already exists`);
+    }
+
+    return account.save();
+  }
+
+  async updateAccount(id, data = {}) {
+    const account = await SenderAccount.findById(id);
+    if (!account) {
+      return null;
+    }
+
+    const allowed = account.isDefault() ? DEFAULT_EDITABLE_FIELDS : EDITABLE_FIELDS;
+    const changes = allowed.reduce((picked, field) => (data[field] !== undefined ? { ...picked, [field]: data[field] } : picked), {});
+    if (changes.warmup !== undefined) {
+      changes.warmup = this.mergeWarmup(account.warmup, changes.warmup);
+    }
+    const updated = new SenderAccount({ ...account.toJSON(), ...changes });
+
+    const validation = updated.isValid();
+    if (!validation.valid) {
+      throw new Error(`Invalid sender account: ${validation.errors.join(', ')}`);
+    }
+    if (updated.email !== account.email && await SenderAccount.findByEmail(updated.email)) {
+      throw new Error(`Sender account for ${updated.email} already exists`);
+    }
+
+    this.closeTransporter(id);
+    return updated.save();
+  }
+
+  // Apply a partial warm-up update; turning warm-up on restarts it from today unless a startDate is given
+  mergeWarmup(current, changes) {
+    const update = typeof changes === 'object' && changes !== null ? changes : { enabled: changes === true || changes === 'true' };
+    const merged = { ...current, ...update };
+    const enabling = !current.enabled && (update.enabled === true || update.enabled === 'true');
+    if (enabling && !update.startDate) {
+      merged.startDate = null;
+    }
+    return merged;
+  }
+
+  // Campaigns still due to send that pin or pool an account
+  async findCampaignsUsing(id) {
+    const campaigns = await Campaign.loadAll();
+    return campaigns.filter(campaign =>
+      !['completed', 'cancelled', 'deleted'].includes(campaign.status) &&
+      (campaign.senderId === id || (campaign.senderPool || []).includes(id))
+    );
+  }
+
+  // Accounts a selection may use, in registry order
+  async getAccounts(selection = null) {
+    const accounts = await SenderAccount.loadAll();
+    return selection ? accounts.filter(account => selection.includes(account.id)) : accounts;
+  }
+
+  // Sends through an account today (since local midnight) and in the last hour, against its caps
+  async getUsage(account, now = new Date()) {
+    const startOfDay = new Date(now);
+    startOfDay.setHours(0, 0, 0, 0);
+    const hourAgo = new Date(now.getTime() - 60 * 60 * 1000);
+
+    const [sentToday, sentLastHour] = await Promise.all([
+      Email.count({ where: { senderId: account.id }, range: { sentAt: { gte: startOfDay } } }),
+      Email.count({ where: { senderId: account.id }, range: { sentAt: { gte: hourAgo } } })
+    ]);
+
+    // Today's cap, lowered while the account warms up
+    const warmup = account.getWarmupStatus(now);
+    const dailyLimit = warmup.dailyCap;
+    const remainingToday = Math.max(0, dailyLimit - sentToday);
+    const remainingThisHour = account.hourlyLimit === null ? null : Math.max(0, account.hourlyLimit - sentLastHour);
+    const available = account.isAvailable(now);
+
+    return {
+      sentToday,
+      sentLastHour,
+      dailyLimit,
+      hourlyLimit: account.hourlyLimit,
+      warmup,
+      remainingToday,
+      remainingThisHour,
+      available,
+      // What can still go out right now
+      remaining: available ? Math.min(remainingToday, remainingThisHour === null ? Infinity : remainingThisHour) : 0
+    };
+  }
+
+  // Combined usage of the accounts in a selection
+  async getCapacity(selection = null, now = new Date()) {
+    const accounts = await this.getAccounts(selection);
+    const senders = [];
+    for (const account of accounts) {
+      senders.push({ account, usage: await this.getUsage(account, now) });
+    }
+
+    const usable = senders.filter(sender => sender.account.isAvailable(now));
+    return {
+      senders,
+      sentToday: senders.reduce((sum, sender) => sum + sender.usage.sentToday, 0),
+      dailyLimit: usable.reduce((sum, sender) => sum + sender.usage.dailyLimit, 0),
+      remainingToday: usable.reduce((sum, sender) => sum + sender.usage.remainingToday, 0),
+      remaining: senders.reduce((sum, sender) => sum + sender.usage.remaining, 0)
+    };
+  }
+
+  // Account (and transporter) for the next email, or null when every account in the selection is used up
+  async acquire(selection = null, now = new Date()) {
+    const { senders } = await this.getCapacity(selection, now);
+    const candidates = senders.filter(sender => sender.usage.remaining > 0);
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    // Rotate: the account picked longest ago goes next
+    candidates.sort((a, b) => (lastPickedAt.get(a.account.id) || 0) - (lastPickedAt.get(b.account.id) || 0));
+    const { account } = candidates[0];
+    lastPickedAt.set(account.id, now.getTime());
+
+    return { account, transporter: this.getTransporter(account) };
+  }
+
+  getTransporter(account) {
+    if (account.isDefault()) {
+      return emailConfig.getTransporter();
+    }
+
+    // Rebuild when the SMTP settings changed since the transporter was created
+    const fingerprint = [account.host, account.port, account.secure, account.getUsername(), account.getPassword()].join('|');
+    const cached = transporters.get(account.id);
+    if (cached && cached.fingerprint === fingerprint) {
+      return cached.transporter;
+    }
+    if (cached) {
+      cached.transporter.close();
+    }
+
+    const transporter = emailConfig.createTransport({
+      host: account.host,
+      port: account.port,
+      secure: account.secure,
+      user: account.getUsername(),
+      pass: account.getPassword()
+    });
+    transporters.set(account.id, { fingerprint, transporter });
+    return transporter;
+  }
+
+  closeTransporter(accountId) {
+    const cached = transporters.get(accountId);
+    if (cached) {
+      cached.transporter.close();
+      transporters.delete(accountId);
+    }
+  }
+
+  // Clear failure state after a successful send
+  async recordSuccess(account) {
+    if (account.health.consecutiveFailures === 0 && account.health.status === 'healthy') {
+      return;
+    }
+    try {
+      const current = await SenderAccount.findById(account.id);
+      if (current) {
+        current.resetHealth();
+        await current.save();
+      }
+    } catch (error) {
+      logger.error(`Failed to update health of sender ${account.id}: ${error.message}`);
+    }
+  }
+
+  // Count a failure against the account when it was the account's fault, pausing it if needed
+  async recordFailure(account, category, message) {
+    if (!SENDER_ERROR_CATEGORIES.includes(category)) {
+      return;
+    }
+    try {
+      const current = await SenderAccount.findById(account.id);
+      if (!current) {
+        return;
+      }
+
+      const health = current.recordFailure({
+        category,
+        message,
+        maxFailures: parseInt(process.env.SENDER_MAX_FAILURES) || 3,
+        pauseMinutes: parseInt(process.env.SENDER_PAUSE_MINUTES) || 30,
+        pauseNow: PAUSE_NOW_CATEGORIES.includes(category)
+      });
+      await current.save();
+
+      if (health.status === 'paused') {
+        logger.warning(`Sender ${current.name} paused until ${new Date(health.pausedUntil).toLocaleString()} after ${category.toLowerCase()} failure`);
+      }
+    } catch (error) {
+      logger.error(`Failed to update health of sender ${account.id}: ${error.message}`);
+    }
+  }
+
+  // Test the account's SMTP login
+  async verify(account) {
+    try {
+      await this.getTransporter(account).verify();
+      account.resetHealth();
+      await account.save();
+      return { success: true, message: 'Sender account verified successfully' };
+    } catch (error) {
+      const errorType = emailConfig.getVerificationErrorType(error);
+      return {
+        success: false,
+        error: emailConfig.getSafeVerificationError(errorType, error),
+        errorType
+      };
+    }
+  }
+
+  // Every account with its usage, for the API and status reports
+  async getSummary(now = new Date()) {
+    const capacity = await this.getCapacity(null, now);
+    return {
+      sentToday: capacity.sentToday,
+      dailyLimit: capacity.dailyLimit,
+      remainingToday: capacity.remainingToday,
+      remaining: capacity.remaining,
+      senders: capacity.senders.map(({ account, usage }) => ({
+        ...account.toSafeJSON(),
+        usage
+      }))
+    };
+  }
+}
+
+module.exports = SenderService;
@@ -0,0 +1,191 @@
+const Campaign = require('../models/Campaign');
+const Email = require('../models/Email');
+const OutboxEntry = require('../models/OutboxEntry');
+const Template = require('../models/Template');
+const Log = require('../models/Log');
+const Suppression = require('../models/Suppression');
+const EmailService = require('./emailService');
+const OutboxService = require('./outboxService');
+const UnsubscribeService = require('./unsubscribeService');
+const logger = require('../utils/logger');
+
+// Statuses that end a contact's sequence because they answered
+const REPLY_STATUSES = ['replied'];
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+class SequenceService {
+  constructor(emailService = null) {
+    this.emailService = emailService || new EmailService();
+  }
+
+  // Whether any email of this campaign to the contact got a reply
+  async hasReplied(campaignId, email) {
+    const emails = await Email.find({
+      where: { campaignId, recipient: String(email).trim().toLowerCase() }
+    });
+    return emails.some(e => REPLY_STATUSES.includes(e.status) || e.repliedAt);
+  }
+
+  // Resolve the template for a sequence step
+  async getStepTemplate(step) {
+    if (step.templateId) {
+      const template = await Template.getTemplateById(step.templateId);
+      if (template) {
+        return template;
+      }
+      logger.warning(`Sequence template ${step.templateId} not found`);
+    }
+
+    if (!step.template) {
+      return null;
+    }
+
+    return new Template({
+      content: step.template,
+      subject: step.subject || ''
+    });
+  }
+
+  // End a contact's sequence on the stored campaign
+  async stopSequence(campaignId, email, status, reason) {
+    await Campaign.update(campaignId, campaign => campaign.stopSequence(email, status, reason));
+  }
+
+  // Render the next step for one contact, or stop their sequence when it can't be rendered
+  async prepareStep(campaign, state) {
+    const step = campaign.getSequenceStep(state.currentStep + 1);
+    const contact = campaign.contacts.find(c => normalizeEmail(c.email) === state.email) ||
+      { email: state.email, company_name: state.companyName };
+
+    const template = await this.getStepTemplate(step);
+    if (!template) {
+      await this.stopSequence(campaign.id, state.email, 'stopped', `No template for step ${step.step}`);
+      return null;
+    }
+
+    const email = this.emailService.createEmailFromTemplate(template, contact, {
+      unsubscribe_url: UnsubscribeService.getUnsubscribeUrl(state.email, campaign.id)
+    });
+    if (!email) {
+      await this.stopSequence(campaign.id, state.email, 'stopped', `Step ${step.step} failed to render`);
+      return null;
+    }
+
+    // Follow-ups reply in the original thread unless the step sets its own subject
+    if (!step.subject && state.subject) {
+      email.subject = /^re:/i.test(state.subject) ? state.subject : `Re: ${state.subject}`;
+    }
+    email.sequenceStep = step.step;
+    email.inReplyTo = state.messageIds[state.messageIds.length - 1] || null;
+    email.references = state.messageIds.length > 0 ? state.messageIds.join(' ') : null;
+
+    // Stay on the account that sent the earlier steps so the thread has one sender
+    email.senderId = state.senderId || campaign.senderId || null;
+    email.senderPool = campaign.senderPool || [];
+
+    return email;
+  }
+
+  // Queue every due follow-up of a campaign in the outbox, up to the given limit, and wait for
+  // the results. The outbox worker records each step on the contact's sequence state once it is
+  // settled, so a crash neither loses a queued follow-up nor sends it twice.
+  async processCampaign(campaignId, limit = Infinity, onResult = null) {
+    const summary = { sent: 0, failed: 0, replied: 0, skipped: 0, suppressed: 0, deferred: 0 };
+
+    const campaign = await Campaign.findById(campaignId);
+    if (!campaign || !campaign.hasSequence()) {
+      return summary;
+    }
+
+    // Contacts with a follow-up still in the outbox are not due again until it settles
+    const queued = new Set([...await OutboxEntry.getQueuedRecipients(campaignId)].map(normalizeEmail));
+    const due = campaign.getDueSequenceContacts().filter(state => !queued.has(state.email));
+    const emails = [];
+    for (const state of due) {
+      if (emails.length >= limit) {
+        break;
+      }
+
+      if (await this.hasReplied(campaign.id, state.email)) {
+        await this.stopSequence(campaign.id, state.email, 'replied', 'Reply received');
+        summary.replied += 1;
+        continue;
+      }
+
+      const suppression = await Suppression.findMatch(state.email);
+      if (suppression) {
+        await this.stopSequence(campaign.id, state.email, 'stopped', `Suppressed (${suppression.reason})`);
+        summary.suppressed += 1;
+        continue;
+      }
+
+      const email = await this.prepareStep(campaign, state);
+      if (email) {
+        emails.push(email);
+      } else {
+        summary.skipped += 1;
+      }
+    }
+
+    if (emails.length > 0) {
+      const outbox = OutboxService.getInstance();
+      const entries = await outbox.enqueue(emails, { campaignId, delayMs: 0 });
+      const steps = new Map(entries.map(entry => [entry.id, entry.message.sequenceStep]));
+
+      const results = await outbox.waitFor(entries, progress => {
+        // A deferred follow-up stays queued and is reported once it is sent
+        if (onResult && !progress.currentEmail.deferred) {
+          onResult(campaign, { ...progress.currentEmail, step: steps.get(progress.currentEmail.outboxId) });
+        }
+      });
+      summary.sent += results.successful;
+      summary.failed += results.failed;
+      summary.deferred += results.deferred;
+    }
+
+    if (summary.sent + summary.failed + summary.replied > 0) {
+      logger.campaign(`Sequence steps for ${campaign.name}: ${summary.sent} sent, ${summary.failed} failed, ${summary.replied} stopped by reply`);
+    }
+
+    return summary;
+  }
+
+  // Evaluate due steps across all campaigns that still accept follow-ups
+  async processDueSteps(limit = Infinity, onResult = null) {
+    const totals = { campaigns: 0, sent: 0, failed: 0, replied: 0, skipped: 0, suppressed: 0, deferred: 0 };
+    const campaigns = await Campaign.loadAll();
+
+    for (const campaign of campaigns) {
+      // Follow-ups continue after the initial send completes, but not for paused or deleted campaigns
+      if (!campaign.hasSequence() || !['active', 'completed'].includes(campaign.status)) {
+        continue;
+      }
+      if (campaign.getDueSequenceContacts().length === 0) {
+        continue;
+      }
+
+      const remaining = limit - totals.sent - totals.failed;
+      if (remaining <= 0) {
+        break;
+      }
+
+      try {
+        const result = await this.processCampaign(campaign.id, remaining, onResult);
+        totals.campaigns += 1;
+        totals.sent += result.sent;
+        totals.failed += result.failed;
+        totals.replied += result.replied;
+        totals.skipped += result.skipped;
+        totals.suppressed += result.suppressed;
+        totals.deferred += result.deferred;
+      } catch (error) {
+        logger.error(`Error processing sequence for campaign ${campaign.id}: ${error.message}`);
+      }
+    }
+
+    return totals;
+  }
+}
+
+module.exports = SequenceService;
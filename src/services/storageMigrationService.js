@@ -0,0 +1,323 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const storage = require('../config/storage');
+const schema = require('../storage/schema');
+const Campaign = require('../models/Campaign');
+const Email = require('../models/Email');
+const Log = require('../models/Log');
+const Suppression = require('../models/Suppression');
+const Contact = require('../models/Contact');
+const ContactField = require('../models/ContactField');
+const Segment = require('../models/Segment');
+const ColumnMapping = require('../models/ColumnMapping');
+const SenderAccount = require('../models/SenderAccount');
+const Template = require('../models/Template');
+const TemplateVersion = require('../models/TemplateVersion');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const OutboxEntry = require('../models/OutboxEntry');
+const LinkClick = require('../models/LinkClick');
+const PipelineEntry = require('../models/PipelineEntry');
+const FileUtils = require('../utils/fileUtils');
+const SecretUtils = require('../utils/secretUtils');
+const logger = require('../utils/logger');
+
+// Serialize with sorted keys so equal records always hash the same
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const isValidDate = (value) => !!value && !isNaN(new Date(value).getTime());
+
+/**
+ * Storage migration service
+ *
+ * Copies every collection in storage/schema from one storage backend into
+ * another (JSON files to SQLite by default), refusing to run while one of them
+ * has no entry here. Rows are read with the backend's findAll, which is what
+ * the models' loadAll calls too, but checked before the model is built, so a
+ * row without an ID is skipped rather than given a new one on every run. They
+ * are then built through their model so they get the same defaults the app
+ * applies, and upserted by ID so re-running the migration only writes what
+ * changed.
+ *
+ * @class StorageMigrationService
+ */
+class StorageMigrationService {
+  constructor(options = {}) {
+    this.from = options.from || 'json';
+    this.to = options.to || 'sqlite';
+    this.dryRun = !!options.dryRun;
+    this.dataDir = options.dataDir || path.join(__dirname, '../../data');
+    this.sqlitePath = options.sqlitePath;
+    this.reportPath = options.reportPath || null;
+
+    this.models = [
+      { collection: 'campaigns', model: Campaign, validate: record => this.validateCampaign(record) },
+      { collection: 'emails', model: Email, validate: record => this.validateEmail(record) },
+      { collection: 'outbox', model: OutboxEntry, validate: record => new OutboxEntry(record).isValid().errors },
+      { collection: 'templates', model: Template, validate: record => new Template(record).isValid().errors },
+      { collection: 'templateVersions', model: TemplateVersion, validate: record => (record.templateId ? [] : ['missing templateId']) },
+      { collection: 'contacts', model: Contact, validate: record => (record.email ? [] : ['missing email']) },
+      { collection: 'contactFields', model: ContactField, validate: record => new ContactField(record).isValid().errors },
+      { collection: 'segments', model: Segment, validate: record => new Segment(record).isValid().errors },
+      { collection: 'columnMappings', model: ColumnMapping, validate: record => ColumnMapping.validateFields(record.fields) },
+      { collection: 'senderAccounts', model: SenderAccount, validate: record => new SenderAccount(record).isValid().errors },
+      { collection: 'suppressions', model: Suppression, validate: record => new Suppression(record).isValid().errors },
+      { collection: 'pipeline', model: PipelineEntry, validate: record => new PipelineEntry(record).isValid().errors },
+      { collection: 'linkClicks', model: LinkClick, validate: record => new LinkClick(record).isValid().errors },
+      { collection: 'idempotencyKeys', model: IdempotencyKey, validate: record => (record.scope && record.key ? [] : ['missing scope or key']) },
+      { collection: 'logs', model: Log, validate: record => this.validateLog(record) }
+    ];
+  }
+
+  createBackend(type) {
+    return storage.createBackend(type, { dataDir: this.dataDir, path: this.sqlitePath });
+  }
+
+  validateCampaign(campaign) {
+    const errors = [];
+    if (!campaign.name || String(campaign.name).trim().length === 0) errors.push('missing name');
+    if (!Array.isArray(campaign.contacts)) errors.push('contacts is not a list');
+    if (!isValidDate(campaign.createdAt)) errors.push('invalid createdAt');
+    return errors;
+  }
+
+  validateEmail(email) {
+    const errors = [];
+    const address = (email.recipient && email.recipient.email) || email.to;
+    if (!address || !FileUtils.isValidEmailFormat(address)) errors.push('missing or invalid recipient');
+    if (!email.status) errors.push('missing status');
+    if (!isValidDate(email.createdAt)) errors.push('invalid createdAt');
+    if (email.sentAt && !isValidDate(email.sentAt)) errors.push('invalid sentAt');
+    return errors;
+  }
+
+  validateLog(log) {
+    const errors = [];
+    if (!log.level) errors.push('missing level');
+    if (!isValidDate(log.timestamp)) errors.push('invalid timestamp');
+    return errors;
+  }
+
+  // Make sure a JSON source file is a readable array, so a corrupt file isn't migrated as empty
+  async checkJsonSource(collection, source) {
+    if (source.name !== 'json') return null;
+
+    let raw;
+    try {
+      raw = await fs.readFile(source.getFilePath(collection), 'utf8');
+    } catch (error) {
+      return null; // Missing file means an empty collection
+    }
+
+    try {
+      const parsed = JSON.parse(raw);
+      if (!Array.isArray(parsed)) return 'file does not contain a JSON array';
+      const invalidIndex = parsed.findIndex(record => !record || typeof record !== 'object' || Array.isArray(record));
+      if (invalidIndex >= 0) return `entry ${invalidIndex} is not an object`;
+      return null;
+    } catch (error) {
+      return `file is not valid JSON: ${error.message}`;
+    }
+  }
+
+  // Hash a list of records independently of their order
+  checksum(records) {
+    const hash = crypto.createHash('sha256');
+    records
+      .map(record => canonicalize(record))
+      .sort()
+      .forEach(line => hash.update(line).update('\n'));
+    return hash.digest('hex');
+  }
+
+  // Two encrypted values (see SecretUtils) that hold the same secret
+  isSameSecret(a, b) {
+    if (a === b || !SecretUtils.isEncrypted(a) || !SecretUtils.isEncrypted(b)) {
+      return false;
+    }
+    try {
+      return SecretUtils.decrypt(a) === SecretUtils.decrypt(b);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Migrate a single collection from the source to the target backend
+  async migrateCollection({ collection, model, validate }, source, target) {
+    const result = {
+      collection,
+      read: 0,
+      migrated: 0,
+      inserted: 0,
+      updated: 0,
+      unchanged: 0,
+      skipped: [],
+      sourceChecksum: null,
+      targetChecksum: null,
+      verified: false
+    };
+
+    const sourceError = await this.checkJsonSource(collection, source);
+    if (sourceError) {
+      result.error = sourceError;
+      return result;
+    }
+
+    // Check the stored rows before any model fills in defaults: a constructor would give a row
+    // without an ID (or date) a fresh one on every run and the row would be copied again each time
+    let rows;
+    try {
+      rows = await source.findAll(collection);
+    } catch (error) {
+      result.error = `failed to load: ${error.message}`;
+      return result;
+    }
+    result.read = rows.length;
+
+    const existing = await target.findAll(collection);
+    const existingById = new Map(existing.map(record => [record.id, record]));
+
+    const seenIds = new Set();
+    const valid = [];
+    rows.forEach((row, index) => {
+      const errors = validate(row);
+      if (!row.id) errors.push('missing id');
+      if (row.id && seenIds.has(row.id)) errors.push('duplicate id');
+
+      if (errors.length > 0) {
+        result.skipped.push({ index, id: row.id || null, reasons: errors });
+        return;
+      }
+
+      // Build through the model so the copy gets the app's own defaults; a default for a field the
+      // row lacks (updatedAt = now) keeps the value an earlier run copied, so re-runs stay unchanged
+      seenIds.add(row.id);
+      const record = JSON.parse(JSON.stringify(new model(row).toJSON()));
+      const current = existingById.get(row.id);
+      if (current) {
+        Object.keys(record).forEach(field => {
+          if (row[field] === undefined && current[field] !== undefined) {
+            record[field] = current[field];
+          } else if (this.isSameSecret(record[field], current[field])) {
+            // A plain source password is encrypted with a new IV each run; keep the copy already there
+            record[field] = current[field];
+          }
+        });
+      }
+      valid.push(record);
+    });
+
+    const changed = [];
+
+    valid.forEach(record => {
+      const current = existingById.get(record.id);
+      if (!current) {
+        result.inserted += 1;
+        changed.push(record);
+      } else if (canonicalize(current) !== canonicalize(record)) {
+        result.updated += 1;
+        changed.push(record);
+      } else {
+        result.unchanged += 1;
+      }
+    });
+
+    result.migrated = valid.length;
+    result.sourceChecksum = this.checksum(valid);
+
+    if (this.dryRun) {
+      return result;
+    }
+
+    if (changed.length > 0) {
+      // Merge into what the target already holds, writing the collection in one pass
+      changed.forEach(record => existingById.set(record.id, record));
+      await target.replaceAll(collection, Array.from(existingById.values()));
+    }
+
+    const written = (await target.findAll(collection)).filter(record => seenIds.has(record.id));
+    result.targetChecksum = this.checksum(written);
+    result.verified = written.length === valid.length && result.targetChecksum === result.sourceChecksum;
+
+    return result;
+  }
+
+  // Run the migration for every collection and return the summary
+  async migrate() {
+    if (this.from === this.to && (this.from !== 'sqlite' || !this.sqlitePath)) {
+      throw new Error(`Source and target backends are both "${this.from}"`);
+    }
+
+    // A collection missing from the list would be left behind while the run still reported success
+    const missing = Object.keys(schema.collections)
+      .filter(collection => !this.models.some(entry => entry.collection === collection));
+    if (missing.length > 0) {
+      throw new Error(`No migration defined for: ${missing.join(', ')}`);
+    }
+
+    const source = this.createBackend(this.from);
+    const target = this.createBackend(this.to);
+    const startedAt = new Date();
+
+    logger.info(`Migrating storage from ${this.from} to ${this.to}${this.dryRun ? ' (dry run)' : ''}`);
+
+    const collections = [];
+    try {
+      for (const entry of this.models) {
+        const result = await this.migrateCollection(entry, source, target);
+        collections.push(result);
+
+        if (result.error) {
+          logger.error(`${entry.collection}: ${result.error}`);
+        } else {
+          logger.info(`${entry.collection}: ${result.migrated}/${result.read} valid, ${result.inserted} new, ${result.updated} updated, ${result.unchanged} unchanged, ${result.skipped.length} skipped`);
+        }
+      }
+    } finally {
+      await source.close();
+      await target.close();
+    }
+
+    const summary = {
+      from: this.from,
+      to: this.to,
+      dryRun: this.dryRun,
+      startedAt,
+      completedAt: new Date(),
+      success: collections.every(result => !result.error && (this.dryRun || result.verified)),
+      collections
+    };
+
+    if (!this.dryRun || this.reportPath) {
+      summary.reportPath = await this.writeReport(summary);
+      logger.info(`Migration report written to ${summary.reportPath}`);
+    }
+
+    return summary;
+  }
+
+  async writeReport(summary) {
+    const reportPath = this.reportPath || path.join(
+      this.dataDir,
+      'migrations',
+      `storage-${this.from}-to-${this.to}-${summary.startedAt.toISOString().replace(/[:.]/g, '-')}.json`
+    );
+
+    await fs.mkdir(path.dirname(reportPath), { recursive: true });
+    await fs.writeFile(reportPath, JSON.stringify(summary, null, 2), 'utf8');
+    return reportPath;
+  }
+}
+
+module.exports = StorageMigrationService;
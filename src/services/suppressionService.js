@@ -0,0 +1,155 @@
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const Suppression = require('../models/Suppression');
+const FileUtils = require('../utils/fileUtils');
+const logger = require('../utils/logger');
+
+const EXPORT_COLUMNS = ['type', 'value', 'reason', 'source', 'note', 'createdAt'];
+
+/**
+ * Suppression service
+ *
+ * Manages the global do-not-contact list: single entries, filtered listing
+ * and bulk CSV import/export. Enforcement happens where emails are sent
+ * (see Suppression.filterContacts).
+ *
+ * @class SuppressionService
+ */
+class SuppressionService {
+  // Turn an address-or-domain input into add() arguments; "@example.com" and "*@example.com" mean a domain
+  static parseTarget({ email, domain, value, type } = {}) {
+    const raw = String(email || domain || value || '').trim();
+    if (domain || type === 'domain' || /^\*?@/.test(raw)) {
+      return { domain: raw.replace(/^\*?@/, '') };
+    }
+    return { email: raw };
+  }
+
+  // All entries matching the filters, newest first
+  async findEntries({ reason, type, search } = {}) {
+    const where = {};
+    if (reason) where.reason = reason;
+    if (type) where.type = type;
+
+    const entries = await Suppression.getStorage().find('suppressions', {
+      where,
+      orderBy: { field: 'createdAt', direction: 'desc' }
+    });
+    const term = search ? String(search).trim().toLowerCase() : '';
+
+    return entries
+      .filter(entry => !term || entry.value.includes(term) || (entry.note || '').toLowerCase().includes(term))
+      .map(entry => new Suppression(entry));
+  }
+
+  async list({ limit = 100, offset = 0, ...filters } = {}) {
+    const entries = await this.findEntries(filters);
+    const start = Math.max(0, parseInt(offset) || 0);
+    const size = Math.min(1000, Math.max(1, parseInt(limit) || 100));
+
+    return {
+      entries: entries.slice(start, start + size),
+      total: entries.length,
+      limit: size,
+      offset: start
+    };
+  }
+
+  async create(data, source = 'api') {
+    const target = SuppressionService.parseTarget(data);
+    return Suppression.add({
+      ...target,
+      reason: data.reason || 'manual',
+      source: data.source || source,
+      note: data.note || ''
+    });
+  }
+
+  // Only the reason and note can change; the address or domain identifies the entry
+  async update(id, data) {
+    const entry = await Suppression.findById(id);
+    if (!entry) {
+      return null;
+    }
+
+    if (data.reason !== undefined) entry.reason = data.reason;
+    if (data.note !== undefined) entry.note = data.note;
+
+    const validation = entry.isValid();
+    if (!validation.valid) {
+      throw new Error(`Invalid suppression entry: ${validation.errors.join(', ')}`);
+    }
+
+    return entry.save();
+  }
+
+  async remove(id) {
+    const entry = await Suppression.findById(id);
+    if (!entry) {
+      return null;
+    }
+    await entry.delete();
+    logger.info(`Removed ${entry.type} ${entry.value} from suppression list`);
+    return entry;
+  }
+
+  // Parse CSV text into rows with lowercased headers
+  parseCsv(content) {
+    return new Promise((resolve, reject) => {
+      const rows = [];
+      Readable.from([String(content || '').replace(/^\uFEFF/, '')])
+        .pipe(csv({ mapHeaders: ({ header }) => header.trim().toLowerCase() }))
+        .on('data', row => rows.push(row))
+        .on('end', () => resolve(rows))
+        .on('error', reject);
+    });
+  }
+
+  // Bulk import; expects an email, domain or value column and optional reason/note columns
+  async importCsv(content, { reason = 'manual', source = 'csv-import' } = {}) {
+    const rows = await this.parseCsv(content);
+    const result = { total: rows.length, imported: 0, existing: 0, invalid: [] };
+
+    for (let index = 0; index < rows.length; index++) {
+      const row = rows[index];
+      // Header row is line 1
+      const line = index + 2;
+
+      try {
+        const target = SuppressionService.parseTarget(row);
+        if (!target.email && !target.domain) {
+          result.invalid.push({ line, errors: ['Address or domain is required'] });
+          continue;
+        }
+
+        const { created } = await Suppression.add({
+          ...target,
+          reason: (row.reason || reason).trim().toLowerCase(),
+          source,
+          note: row.note || ''
+        });
+        if (created) {
+          result.imported += 1;
+        } else {
+          result.existing += 1;
+        }
+      } catch (error) {
+        result.invalid.push({ line, value: row.email || row.domain || row.value, errors: [error.message.replace(/^Invalid suppression entry: /, '')] });
+      }
+    }
+
+    logger.info(`Suppression import: ${result.imported} added, ${result.existing} already listed, ${result.invalid.length} invalid`);
+    return result;
+  }
+
+  async exportCsv(filters = {}) {
+    const entries = await this.findEntries(filters);
+    const lines = [EXPORT_COLUMNS.join(',')];
+    entries.forEach(entry => {
+      lines.push(EXPORT_COLUMNS.map(column => FileUtils.toCsvValue(entry[column])).join(','));
+    });
+    return `${lines.join('\r\n')}\r\n`;
+  }
+}
+
+module.exports = SuppressionService;
@@ -0,0 +1,175 @@
+const linkConfig = require('../config/links');
+const Email = require('../models/Email');
+const LinkClick = require('../models/LinkClick');
+const Log = require('../models/Log');
+const TokenUtils = require('../utils/tokenUtils');
+const logger = require('../utils/logger');
+
+const OPEN_PURPOSE = 'open';
+const CLICK_PURPOSE = 'click';
+
+// href attribute of an anchor tag: prefix, quote and value
+const ANCHOR_HREF = /(<a\b[^>]*?\bhref\s*=\s*)(["'])(.*?)\2/gi;
+
+const decodeHref = (href) => href.replace(/&amp;/gi, '&').trim();
+
+// Transparent 1x1 GIF
+const PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+/**
+ * Tracking service
+ *
+ * Engagement tracking for campaigns that opt in. Open tracking adds a 1x1
+ * image whose URL carries a signed token naming the Email record; loading it
+ * counts an open on that record. Image proxies and privacy features may load
+ * it without a human reading the email, so opens are a rough signal.
+ *
+ * Click tracking rewrites each http(s) link to a signed redirect carrying the
+ * email and the original URL; following it records a LinkClick and redirects.
+ * Links to this server (unsubscribe) are left alone.
+ *
+ * @class TrackingService
+ */
+class TrackingService {
+  static get PIXEL() {
+    return PIXEL;
+  }
+
+  static getOpenPixelUrl(emailId) {
+    return linkConfig.buildUrl(`/track/open/${TokenUtils.sign(OPEN_PURPOSE, { i: emailId })}.gif`);
+  }
+
+  // Decode a pixel token (with or without its .gif suffix) into { emailId }, or null when it doesn't verify
+  static parseOpenToken(token) {
+    const data = TokenUtils.verify(String(token || '').replace(/\.gif$/, ''), OPEN_PURPOSE);
+    return data && data.i ? { emailId: data.i } : null;
+  }
+
+  // Put the pixel at the end of the body, where it doesn't affect the layout
+  static injectOpenPixel(html, url) {
+    const pixel = `<img src="${url}" width="1" height="1" alt="" style="display:block;width:1px;height:1px;border:0;" />`;
+    const closingBody = html.search(/<\/body>/i);
+    return closingBody === -1 ? `${html}${pixel}` : `${html.slice(0, closingBody)}${pixel}${html.slice(closingBody)}`;
+  }
+
+  static getClickUrl(emailId, url) {
+    return linkConfig.buildUrl(`/track/click/${TokenUtils.sign(CLICK_PURPOSE, { i: emailId, u: url })}`);
+  }
+
+  // Decode a click token into { emailId, url }, or null when it doesn't verify
+  static parseClickToken(token) {
+    const data = TokenUtils.verify(token, CLICK_PURPOSE);
+    return data && data.i && /^https?:\/\//i.test(data.u || '') ? { emailId: data.i, url: data.u } : null;
+  }
+
+  // Point every external http(s) link in the email at its tracked redirect
+  static rewriteLinks(html, emailId) {
+    const ownLinks = linkConfig.buildUrl('/');
+    return html.replace(ANCHOR_HREF, (match, prefix, quote, href) => {
+      const url = decodeHref(href);
+      if (!/^https?:\/\//i.test(url) || url.startsWith(ownLinks)) {
+        return match;
+      }
+      return `${prefix}${quote}${TrackingService.getClickUrl(emailId, url)}${quote}`;
+    });
+  }
+
+  // Count an open on the token's email; returns the email, or null when the token or email is unknown
+  async recordOpen(token, { userAgent = null } = {}) {
+    const target = TrackingService.parseOpenToken(token);
+    if (!target) {
+      return null;
+    }
+
+    const email = await Email.findById(target.emailId);
+    if (!email) {
+      return null;
+    }
+
+    await email.markAsOpened({ userAgent });
+
+    // Counted from the stored record, so two pixels loading at once log one first open
+    if (email.openCount === 1) {
+      await Log.logEmailEvent(email.campaignId || null, email.recipient.email, 'opened', { emailId: email.id });
+      logger.email(`Email to ${email.recipient.email} opened`);
+    }
+    return email;
+  }
+
+  // Record a click on the token's link; returns the URL to redirect to, or null when the token is invalid
+  async recordClick(token, { userAgent = null } = {}) {
+    const target = TrackingService.parseClickToken(token);
+    if (!target) {
+      return null;
+    }
+
+    // The link is signed, so the redirect still works for emails no longer stored
+    const email = await Email.findById(target.emailId);
+    if (email) {
+      await email.markAsClicked();
+      await new LinkClick({
+        emailId: email.id,
+        campaignId: email.campaignId || null,
+        recipient: email.recipient.email,
+        companyName: email.recipient.companyName || '',
+        url: target.url,
+        userAgent
+      }).save();
+      await Log.logEmailEvent(email.campaignId || null, email.recipient.email, 'clicked', { emailId: email.id, url: target.url });
+    }
+    return target.url;
+  }
+
+  // Clicks on a campaign's links, by link and by company
+  async getCampaignClickReport(campaignId) {
+    const clicks = await LinkClick.findByCampaign(campaignId);
+    const links = new Map();
+    const companies = new Map();
+
+    clicks.forEach(click => {
+      const companyName = click.companyName || 'Unknown Company';
+
+      if (!links.has(click.url)) {
+        links.set(click.url, { url: click.url, clicks: 0, recipients: new Set(), companies: new Set() });
+      }
+      const link = links.get(click.url);
+      link.clicks += 1;
+      link.recipients.add(click.recipient);
+      link.companies.add(companyName);
+
+      if (!companies.has(companyName)) {
+        companies.set(companyName, { companyName, clicks: 0, recipients: new Set(), links: new Map() });
+      }
+      const company = companies.get(companyName);
+      company.clicks += 1;
+      company.recipients.add(click.recipient);
+      if (!company.links.has(click.url)) {
+        company.links.set(click.url, { url: click.url, clicks: 0, firstClickedAt: click.clickedAt, lastClickedAt: null });
+      }
+      const companyLink = company.links.get(click.url);
+      companyLink.clicks += 1;
+      companyLink.lastClickedAt = click.clickedAt;
+    });
+
+    const byClicks = (a, b) => b.clicks - a.clicks;
+    return {
+      campaignId,
+      totalClicks: clicks.length,
+      uniqueRecipients: new Set(clicks.map(click => click.recipient)).size,
+      links: [...links.values()].map(link => ({
+        url: link.url,
+        clicks: link.clicks,
+        uniqueRecipients: link.recipients.size,
+        companies: [...link.companies]
+      })).sort(byClicks),
+      companies: [...companies.values()].map(company => ({
+        companyName: company.companyName,
+        clicks: company.clicks,
+        recipients: [...company.recipients],
+        links: [...company.links.values()].sort(byClicks)
+      })).sort(byClicks)
+    };
+  }
+}
+
+module.exports = TrackingService;
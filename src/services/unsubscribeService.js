@@ -0,0 +1,59 @@
+const linkConfig = require('../config/links');
+const Suppression = require('../models/Suppression');
+const Log = require('../models/Log');
+const TokenUtils = require('../utils/tokenUtils');
+const logger = require('../utils/logger');
+
+const TOKEN_PURPOSE = 'unsubscribe';
+
+/**
+ * Unsubscribe service
+ *
+ * Builds the signed one-click unsubscribe links placed in every email
+ * (List-Unsubscribe header and the {{unsubscribe_url}} template variable)
+ * and records unsubscribes on the suppression list.
+ *
+ * @class UnsubscribeService
+ */
+class UnsubscribeService {
+  static getUnsubscribeUrl(email, campaignId = null) {
+    const data = { e: String(email || '').trim().toLowerCase() };
+    if (campaignId) {
+      data.c = campaignId;
+    }
+    return linkConfig.buildUrl(`/unsubscribe/${TokenUtils.sign(TOKEN_PURPOSE, data)}`);
+  }
+
+  // Decode an unsubscribe token into { email, campaignId }, or null when it doesn't verify
+  static parseToken(token) {
+    const data = TokenUtils.verify(token, TOKEN_PURPOSE);
+    if (!data || !data.e) {
+      return null;
+    }
+    return { email: data.e, campaignId: data.c || null };
+  }
+
+  // Add the token's address to the suppression list; safe to repeat
+  async unsubscribe(token, { method = 'link' } = {}) {
+    const target = UnsubscribeService.parseToken(token);
+    if (!target) {
+      return null;
+    }
+
+    const { entry, created } = await Suppression.add({
+      email: target.email,
+      reason: 'unsubscribed',
+      source: method === 'one-click' ? 'one-click' : 'unsubscribe-link',
+      metadata: { campaignId: target.campaignId }
+    });
+
+    if (created) {
+      await Log.logEmailEvent(target.campaignId, target.email, 'unsubscribed', { method });
+      logger.info(`${target.email} unsubscribed (${method})`);
+    }
+
+    return { ...target, entry, created };
+  }
+}
+
+module.exports = UnsubscribeService;
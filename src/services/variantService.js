@@ -0,0 +1,149 @@
+const Campaign = require('../models/Campaign');
+const Email = require('../models/Email');
+const Log = require('../models/Log');
+const logger = require('../utils/logger');
+
+// Statuses of initial emails that went out (a bounce was still sent)
+const SENT_STATUSES = ['sent', 'replied', 'bounced'];
+
+// Campaigns with no contacts left to send a promoted variant to
+const CLOSED_STATUSES = ['completed', 'cancelled', 'deleted'];
+
+const rate = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 10 : 0);
+
+/**
+ * Variant service
+ *
+ * Reports and promotion for A/B tests of a campaign's initial email. Results
+ * are counted per contact: a contact that opened, clicked or replied to any
+ * email of the campaign (follow-ups included) counts for the variant of the
+ * initial email they got. Once every variant has been sent to
+ * `minSamplePerVariant` contacts, a campaign with `autoPromote` sends the
+ * variant with the best rate for its `metric` to everyone still pending.
+ *
+ * @class VariantService
+ */
+class VariantService {
+  // Sent, open, click and reply counts and rates for each variant
+  async getReport(campaign) {
+    const emails = await Email.find({ where: { campaignId: campaign.id } });
+
+    // Engagement per contact across every email of the campaign
+    const engagement = new Map();
+    emails.forEach(email => {
+      const address = (email.recipient.email || '').toLowerCase();
+      const entry = engagement.get(address) || { opened: false, clicked: false, replied: false };
+      entry.opened = entry.opened || email.openCount > 0;
+      entry.clicked = entry.clicked || email.clickCount > 0;
+      entry.replied = entry.replied || email.status === 'replied' || !!email.repliedAt;
+      engagement.set(address, entry);
+    });
+
+    const split = new Map(campaign.getVariantSplit().map(variant => [variant.id, variant.weight]));
+    const variants = campaign.variants.map(variant => {
+      const recipients = new Set(emails
+        .filter(email => email.variantId === variant.id && SENT_STATUSES.includes(email.status))
+        .map(email => (email.recipient.email || '').toLowerCase()));
+      const counts = { opened: 0, clicked: 0, replied: 0 };
+      recipients.forEach(address => {
+        const entry = engagement.get(address);
+        Object.keys(counts).forEach(key => {
+          if (entry[key]) counts[key] += 1;
+        });
+      });
+
+      return {
+        id: variant.id,
+        name: variant.name || `Variant ${variant.id}`,
+        subject: variant.subject || null,
+        templateId: variant.templateId || null,
+        weight: split.get(variant.id),
+        sent: recipients.size,
+        opened: counts.opened,
+        clicked: counts.clicked,
+        replied: counts.replied,
+        openRate: rate(counts.opened, recipients.size),
+        clickRate: rate(counts.clicked, recipients.size),
+        replyRate: rate(counts.replied, recipients.size),
+        winner: campaign.winnerVariantId === variant.id
+      };
+    });
+
+    const abTest = Campaign.getAbTestSettings(campaign.abTest);
+    const sampleReached = variants.every(variant => variant.sent >= abTest.minSamplePerVariant);
+    const leader = VariantService.findLeader(variants, abTest.metric);
+
+    return {
+      campaignId: campaign.id,
+      metric: abTest.metric,
+      minSamplePerVariant: abTest.minSamplePerVariant,
+      autoPromote: abTest.autoPromote,
+      sampleReached,
+      leader: leader ? leader.id : null,
+      winnerVariantId: campaign.winnerVariantId,
+      promotedAt: campaign.promotedAt,
+      tracking: { opens: campaign.trackOpens, clicks: campaign.trackClicks },
+      variants
+    };
+  }
+
+  // Variant with the best rate for the metric, or null while the top rates are tied
+  static findLeader(variants, metric) {
+    const key = `${metric}Rate`;
+    const ranked = [...variants].sort((a, b) => b[key] - a[key]);
+    if (ranked.length === 0 || (ranked.length > 1 && ranked[0][key] === ranked[1][key])) {
+      return null;
+    }
+    return ranked[0];
+  }
+
+  // Send one variant to every contact still pending. Only the winner fields are written, to the
+  // stored record, so progress recorded since `campaign` was loaded is kept.
+  async promote(campaign, variantId, reason = 'manual') {
+    if (!campaign.getVariant(variantId)) {
+      throw new Error(`Variant ${variantId} does not exist`);
+    }
+
+    let closedStatus = null;
+    const updated = await Campaign.update(campaign.id, stored => {
+      if (CLOSED_STATUSES.includes(stored.status)) {
+        closedStatus = stored.status;
+        return false;
+      }
+      stored.winnerVariantId = variantId;
+      stored.promotedAt = new Date();
+    });
+    if (!updated) {
+      throw new Error(`Campaign ${campaign.id} not found`);
+    }
+    if (closedStatus) {
+      throw new Error(`Cannot promote a variant of a ${closedStatus} campaign`);
+    }
+
+    // Keep the caller's copy in step, e.g. for the batch about to be prepared from it
+    campaign.winnerVariantId = updated.winnerVariantId;
+    campaign.promotedAt = updated.promotedAt;
+
+    await Log.logCampaignEvent(campaign.id, 'variant_promoted', { variantId, reason });
+    logger.campaign(`Campaign ${campaign.id}: variant ${variantId} promoted (${reason})`);
+    return updated;
+  }
+
+  // Promote the leading variant once every variant reached the sample size (autoPromote campaigns only)
+  async promoteWinnerIfReady(campaign) {
+    if (!campaign.hasVariants() || campaign.winnerVariantId || CLOSED_STATUSES.includes(campaign.status) ||
+      !Campaign.getAbTestSettings(campaign.abTest).autoPromote) {
+      return null;
+    }
+
+    const report = await this.getReport(campaign);
+    if (!report.sampleReached || !report.leader) {
+      return null;
+    }
+
+    await this.promote(campaign, report.leader, 'automatic');
+    return report.leader;
+  }
+}
+
+module.exports = VariantService;
@@ -0,0 +1,205 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { getCollection, getIndex, toIso } = require('./schema');
+
+/**
+ * JSON file storage backend
+ *
+ * Keeps each collection in a single JSON array under data/, exactly like the
+ * original model implementation. Every mutation rewrites the whole file, so
+ * mutations on a collection are queued and applied one at a time to avoid
+ * losing writes when two saves overlap.
+ *
+ * @class JsonStorage
+ */
+class JsonStorage {
+  constructor(options = {}) {
+    this.name = 'json';
+    this.dataDir = options.dataDir || path.join(__dirname, '../../data');
+    this.writeQueues = new Map(); // Pending mutation chain per collection
+  }
+
+  getFilePath(collection) {
+    return path.join(this.dataDir, getCollection(collection).file);
+  }
+
+  // Read the raw records of a collection
+  async readAll(collection) {
+    try {
+      const data = await fs.readFile(this.getFilePath(collection), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      // If file doesn't exist, return empty array
+      return [];
+    }
+  }
+
+  // Write the whole collection through a temporary file and an atomic rename
+  async writeAll(collection, records) {
+    const filePath = this.getFilePath(collection);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(records, null, 2), 'utf8');
+    await fs.rename(tempPath, filePath);
+  }
+
+  // Run a read-modify-write task after every pending task on the same collection
+  withWriteLock(collection, task) {
+    const pending = this.writeQueues.get(collection) || Promise.resolve();
+    const next = pending.then(task, task);
+    this.writeQueues.set(collection, next.catch(() => {}));
+    return next;
+  }
+
+  // Check a record against where/range filters
+  matches(collection, record, query = {}) {
+    const { where = {}, range = {} } = query;
+
+    for (const [field, expected] of Object.entries(where)) {
+      const value = getIndex(collection, field)(record);
+      if (Array.isArray(expected) ? !expected.includes(value) : value !== expected) {
+        return false;
+      }
+    }
+
+    for (const [field, bounds] of Object.entries(range)) {
+      const value = getIndex(collection, field)(record);
+      if (value === null) return false;
+      if (bounds.gte && value < toIso(bounds.gte)) return false;
+      if (bounds.gt && value <= toIso(bounds.gt)) return false;
+      if (bounds.lte && value > toIso(bounds.lte)) return false;
+      if (bounds.lt && value >= toIso(bounds.lt)) return false;
+    }
+
+    return true;
+  }
+
+  async findAll(collection) {
+    return this.readAll(collection);
+  }
+
+  async findById(collection, id) {
+    const records = await this.readAll(collection);
+    return records.find(record => record.id === id) || null;
+  }
+
+  // Query by indexed fields: { where, range, orderBy: { field, direction }, limit, offset }
+  async find(collection, query = {}) {
+    const records = await this.readAll(collection);
+    let results = records.filter(record => this.matches(collection, record, query));
+
+    if (query.orderBy) {
+      const extractor = getIndex(collection, query.orderBy.field);
+      const direction = query.orderBy.direction === 'asc' ? 1 : -1;
+      results.sort((a, b) => {
+        const aValue = extractor(a);
+        const bValue = extractor(b);
+        if (aValue === bValue) return 0;
+        if (aValue === null) return 1;
+        if (bValue === null) return -1;
+        return aValue < bValue ? -direction : direction;
+      });
+    }
+
+    const offset = query.offset || 0;
+    return query.limit ? results.slice(offset, offset + query.limit) : results.slice(offset);
+  }
+
+  async count(collection, query = {}) {
+    const records = await this.readAll(collection);
+    return records.filter(record => this.matches(collection, record, query)).length;
+  }
+
+  // Insert or replace a record by ID
+  async upsert(collection, record) {
+    return this.withWriteLock(collection, async () => {
+      const records = await this.readAll(collection);
+      const existingIndex = records.findIndex(r => r.id === record.id);
+
+      if (existingIndex >= 0) {
+        records[existingIndex] = record;
+      } else {
+        records.push(record);
+      }
+
+      await this.writeAll(collection, records);
+      return record;
+    });
+  }
+
+  // Insert or replace many records with a single write of the collection
+  async upsertMany(collection, records) {
+    if (records.length === 0) {
+      return records;
+    }
+
+    return this.withWriteLock(collection, async () => {
+      const stored = await this.readAll(collection);
+      const positions = new Map(stored.map((record, index) => [record.id, index]));
+
+      records.forEach(record => {
+        if (positions.has(record.id)) {
+          stored[positions.get(record.id)] = record;
+        } else {
+          positions.set(record.id, stored.length);
+          stored.push(record);
+        }
+      });
+
+      await this.writeAll(collection, stored);
+      return records;
+    });
+  }
+
+  // Read-modify-write one record under the collection's write lock. `mutate` gets the stored
+  // record and returns its replacement, or null to leave it unchanged; it must not await.
+  // Resolves to the record as stored afterwards, or null when there is no record with that ID.
+  async update(collection, id, mutate) {
+    return this.withWriteLock(collection, async () => {
+      const records = await this.readAll(collection);
+      const index = records.findIndex(record => record.id === id);
+      if (index < 0) {
+        return null;
+      }
+
+      const updated = mutate(records[index]);
+      if (!updated) {
+        return records[index];
+      }
+
+      records[index] = updated;
+      await this.writeAll(collection, records);
+      return updated;
+    });
+  }
+
+  async remove(collection, id) {
+    return this.withWriteLock(collection, async () => {
+      const records = await this.readAll(collection);
+      const filtered = records.filter(record => record.id !== id);
+      await this.writeAll(collection, filtered);
+      return records.length - filtered.length;
+    });
+  }
+
+  // Delete every record matching the query, returning the number removed
+  async removeWhere(collection, query) {
+    return this.withWriteLock(collection, async () => {
+      const records = await this.readAll(collection);
+      const filtered = records.filter(record => !this.matches(collection, record, query));
+      await this.writeAll(collection, filtered);
+      return records.length - filtered.length;
+    });
+  }
+
+  async replaceAll(collection, records) {
+    return this.withWriteLock(collection, () => this.writeAll(collection, records));
+  }
+
+  async close() {
+    await Promise.all(Array.from(this.writeQueues.values()));
+  }
+}
+
+module.exports = JsonStorage;
@@ -0,0 +1,175 @@
+// Normalize Date objects and date strings to ISO strings so they sort and compare consistently
+const toIso = (value) => {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Collection definitions shared by every storage backend
+ *
+ * `file` is the JSON file used by the JSON backend (relative to data/).
+ * `indexes` maps each queryable field to a function extracting it from a record.
+ * Only these fields can be used in `where`, `range` and `orderBy` queries; the
+ * SQLite backend keeps each of them in its own indexed column, recomputed for
+ * every stored row when its extractor here changes.
+ */
+const collections = {
+  campaigns: {
+    file: 'campaigns.json',
+    indexes: {
+      status: record => record.status || null,
+      userEmail: record => record.userEmail || null,
+      createdAt: record => toIso(record.createdAt)
+    }
+  },
+  emails: {
+    file: 'emails.json',
+    indexes: {
+      campaignId: record => record.campaignId || null,
+      // Lowercased so lookups by address match however it was typed in the contact list
+      recipient: record => (record.recipient && record.recipient.email && String(record.recipient.email).trim().toLowerCase()) || null,
+      status: record => record.status || null,
+      createdAt: record => toIso(record.createdAt),
+      sentAt: record => toIso(record.sentAt),
+      messageId: record => (record.metadata && record.metadata.messageId) || null,
+      // Emails sent before sender accounts existed went through the default account
+      senderId: record => record.senderId || (record.sentAt ? 'default' : null),
+      outboxId: record => (record.metadata && record.metadata.outboxId) || null
+    }
+  },
+  outbox: {
+    file: 'outbox.json',
+    indexes: {
+      status: record => record.status || null,
+      campaignId: record => record.campaignId || null,
+      batchId: record => record.batchId || null,
+      nextAttemptAt: record => toIso(record.nextAttemptAt),
+      completedAt: record => toIso(record.completedAt),
+      createdAt: record => toIso(record.createdAt)
+    }
+  },
+  templates: {
+    file: 'templates.json',
+    indexes: {
+      category: record => record.category || null,
+      createdAt: record => toIso(record.createdAt)
+    }
+  },
+  templateVersions: {
+    file: 'template-versions.json',
+    indexes: {
+      templateId: record => record.templateId || null,
+      createdAt: record => toIso(record.createdAt)
+    }
+  },
+  contacts: {
+    file: 'contacts.json',
+    indexes: {
+      email: record => record.email || null,
+      domain: record => record.domain || null,
+      lastContactedAt: record => toIso(record.lastContactedAt),
+      createdAt: record => toIso(record.createdAt)
+    }
+  },
+  contactFields: {
+    file: 'contact-fields.json',
+    indexes: {
+      name: record => record.name || null,
+      createdAt: record => toIso(record.createdAt)
+    }
+  },
+  segments: {
+    file: 'segments.json',
+    indexes: {
+      name: record => record.name || null,
+      createdAt: record => toIso(record.createdAt)
+    }
+  },
+  columnMappings: {
+    file: 'column-mappings.json',
+    indexes: {
+      signature: record => record.signature || null,
+      createdAt: record => toIso(record.createdAt),
+      updatedAt: record => toIso(record.updatedAt)
+    }
+  },
+  senderAccounts: {
+    file: 'sender-accounts.json',
+    indexes: {
+      email: record => record.email || null,
+      createdAt: record => toIso(record.createdAt)
+    }
+  },
+  suppressions: {
+    file: 'suppressions.json',
+    indexes: {
+      value: record => record.value || null,
+      type: record => record.type || null,
+      reason: record => record.reason || null,
+      createdAt: record => toIso(record.createdAt)
+    }
+  },
+  pipeline: {
+    file: 'pipeline.json',
+    indexes: {
+      key: record => record.key || null,
+      domain: record => record.domain || null,
+      stage: record => record.stage || null,
+      lastActivityAt: record => toIso(record.lastActivityAt),
+      lastContactedAt: record => toIso(record.lastContactedAt),
+      createdAt: record => toIso(record.createdAt)
+    }
+  },
+  linkClicks: {
+    file: 'link-clicks.json',
+    indexes: {
+      emailId: record => record.emailId || null,
+      campaignId: record => record.campaignId || null,
+      url: record => record.url || null,
+      clickedAt: record => toIso(record.clickedAt)
+    }
+  },
+  idempotencyKeys: {
+    file: 'idempotency-keys.json',
+    indexes: {
+      scope: record => record.scope || null,
+      expiresAt: record => toIso(record.expiresAt),
+      createdAt: record => toIso(record.createdAt)
+    }
+  },
+  logs: {
+    file: 'logs.json',
+    indexes: {
+      campaignId: record => record.campaignId || null,
+      level: record => record.level || null,
+      category: record => record.category || null,
+      timestamp: record => toIso(record.timestamp)
+    }
+  }
+};
+
+// Get a collection definition, failing loudly on typos
+function getCollection(name) {
+  const collection = collections[name];
+  if (!collection) {
+    throw new Error(`Unknown storage collection: ${name}`);
+  }
+  return collection;
+}
+
+// Get the extractor for an indexed field
+function getIndex(name, field) {
+  const extractor = getCollection(name).indexes[field];
+  if (!extractor) {
+    throw new Error(`Field ${field} is not indexed in collection ${name}`);
+  }
+  return extractor;
+}
+
+module.exports = {
+  collections,
+  getCollection,
+  getIndex,
+  toIso
+};
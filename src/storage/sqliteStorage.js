@@ -0,0 +1,279 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { collections, getCollection, getIndex, toIso } = require('./schema');
+
+// Convert an indexed field name to its column name (campaignId -> campaign_id)
+const toColumn = (field) => field.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+
+// Longer IN lists are passed as one JSON parameter, staying under SQLite's bound-variable limit
+const MAX_INLINE_PARAMS = 500;
+
+/**
+ * Embedded SQLite storage backend
+ *
+ * Each collection is a table holding the full record as JSON in `data`, plus
+ * one indexed column per field declared in the collection schema. Queries on
+ * those fields run as SQL instead of loading and filtering the whole history,
+ * and writes touch a single row inside SQLite's own transactions.
+ *
+ * @class SqliteStorage
+ */
+class SqliteStorage {
+  constructor(options = {}) {
+    this.name = 'sqlite';
+    this.dbPath = options.path || process.env.SQLITE_PATH || path.join(__dirname, '../../data/hr-emailer.db');
+    this.db = null;
+    this.preparedTables = new Set();
+  }
+
+  // Open the database lazily on first use
+  getDb() {
+    if (!this.db) {
+      if (this.dbPath !== ':memory:') {
+        fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+      }
+
+      this.db = new Database(this.dbPath);
+      this.db.pragma('journal_mode = WAL');
+      this.db.pragma('synchronous = NORMAL');
+
+      Object.keys(collections).forEach(name => this.prepareTable(name));
+    }
+    return this.db;
+  }
+
+  // Create the table and indexes, adding and backfilling columns for newly indexed fields and
+  // recomputing those whose extractor in the schema has changed since they were filled
+  prepareTable(name) {
+    if (this.preparedTables.has(name)) return;
+
+    const { indexes } = getCollection(name);
+    const fields = Object.keys(indexes);
+    const columnDefs = fields.map(field => `${toColumn(field)} TEXT`).join(', ');
+
+    this.db.exec(`CREATE TABLE IF NOT EXISTS ${name} (id TEXT PRIMARY KEY, ${columnDefs}, data TEXT NOT NULL)`);
+    this.db.exec('CREATE TABLE IF NOT EXISTS index_definitions (collection TEXT NOT NULL, field TEXT NOT NULL, definition TEXT NOT NULL, PRIMARY KEY (collection, field))');
+
+    const existingColumns = new Set(this.db.prepare(`PRAGMA table_info(${name})`).all().map(c => c.name));
+    const missingFields = fields.filter(field => !existingColumns.has(toColumn(field)));
+    const definitions = new Map(this.db.prepare('SELECT field, definition FROM index_definitions WHERE collection = ?')
+      .all(name)
+      .map(row => [row.field, row.definition]));
+    const staleFields = fields.filter(field => definitions.get(field) !== indexes[field].toString());
+
+    missingFields.forEach(field => {
+      this.db.exec(`ALTER TABLE ${name} ADD COLUMN ${toColumn(field)} TEXT`);
+    });
+
+    if (staleFields.length > 0) {
+      const update = this.db.prepare(
+        `UPDATE ${name} SET ${staleFields.map(f => `${toColumn(f)} = ?`).join(', ')} WHERE id = ?`
+      );
+      const saveDefinition = this.db.prepare(
+        'INSERT INTO index_definitions (collection, field, definition) VALUES (?, ?, ?) ' +
+        'ON CONFLICT(collection, field) DO UPDATE SET definition = excluded.definition'
+      );
+      const backfill = this.db.transaction(() => {
+        for (const row of this.db.prepare(`SELECT id, data FROM ${name}`).all()) {
+          const record = JSON.parse(row.data);
+          update.run(...staleFields.map(f => indexes[f](record)), row.id);
+        }
+        staleFields.forEach(field => saveDefinition.run(name, field, indexes[field].toString()));
+      });
+      backfill();
+    }
+
+    fields.forEach(field => {
+      const column = toColumn(field);
+      this.db.exec(`CREATE INDEX IF NOT EXISTS idx_${name}_${column} ON ${name}(${column})`);
+    });
+
+    this.preparedTables.add(name);
+  }
+
+  // Serialize a record into column values in schema order
+  toRow(collection, record) {
+    const { indexes } = getCollection(collection);
+    const data = JSON.parse(JSON.stringify(record));
+    return [
+      data.id,
+      ...Object.keys(indexes).map(field => indexes[field](data)),
+      JSON.stringify(data)
+    ];
+  }
+
+  // Build WHERE clause and parameters from where/range filters
+  buildWhere(collection, query = {}) {
+    const { where = {}, range = {} } = query;
+    const clauses = [];
+    const params = [];
+
+    for (const [field, expected] of Object.entries(where)) {
+      getIndex(collection, field);
+      const column = toColumn(field);
+
+      if (Array.isArray(expected)) {
+        if (expected.length === 0) {
+          clauses.push('0');
+          continue;
+        }
+        if (expected.length > MAX_INLINE_PARAMS) {
+          clauses.push(`${column} IN (SELECT value FROM json_each(?))`);
+          params.push(JSON.stringify(expected));
+        } else {
+          clauses.push(`${column} IN (${expected.map(() => '?').join(', ')})`);
+          params.push(...expected);
+        }
+      } else if (expected === null || expected === undefined) {
+        clauses.push(`${column} IS NULL`);
+      } else {
+        clauses.push(`${column} = ?`);
+        params.push(expected);
+      }
+    }
+
+    const operators = { gte: '>=', gt: '>', lte: '<=', lt: '<' };
+    for (const [field, bounds] of Object.entries(range)) {
+      getIndex(collection, field);
+      const column = toColumn(field);
+
+      for (const [bound, operator] of Object.entries(operators)) {
+        if (bounds[bound]) {
+          clauses.push(`${column} ${operator} ?`);
+          params.push(toIso(bounds[bound]));
+        }
+      }
+    }
+
+    return {
+      sql: clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  async findAll(collection) {
+    getCollection(collection);
+    const rows = this.getDb().prepare(`SELECT data FROM ${collection} ORDER BY rowid`).all();
+    return rows.map(row => JSON.parse(row.data));
+  }
+
+  async findById(collection, id) {
+    getCollection(collection);
+    const row = this.getDb().prepare(`SELECT data FROM ${collection} WHERE id = ?`).get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  // Query by indexed fields: { where, range, orderBy: { field, direction }, limit, offset }
+  async find(collection, query = {}) {
+    const db = this.getDb();
+    const { sql: whereSql, params } = this.buildWhere(collection, query);
+    let sql = `SELECT data FROM ${collection}${whereSql}`;
+
+    if (query.orderBy) {
+      getIndex(collection, query.orderBy.field);
+      const direction = query.orderBy.direction === 'asc' ? 'ASC' : 'DESC';
+      // Keep records without a value last, matching the JSON backend
+      sql += ` ORDER BY ${toColumn(query.orderBy.field)} IS NULL, ${toColumn(query.orderBy.field)} ${direction}`;
+    } else {
+      sql += ' ORDER BY rowid';
+    }
+
+    if (query.limit) {
+      sql += ' LIMIT ? OFFSET ?';
+      params.push(query.limit, query.offset || 0);
+    } else if (query.offset) {
+      sql += ' LIMIT -1 OFFSET ?';
+      params.push(query.offset);
+    }
+
+    return db.prepare(sql).all(...params).map(row => JSON.parse(row.data));
+  }
+
+  async count(collection, query = {}) {
+    const { sql, params } = this.buildWhere(collection, query);
+    return this.getDb().prepare(`SELECT COUNT(*) AS total FROM ${collection}${sql}`).get(...params).total;
+  }
+
+  // Statement inserting a record or replacing the one with the same ID
+  prepareUpsert(collection) {
+    const fields = Object.keys(getCollection(collection).indexes).map(toColumn);
+    const columns = ['id', ...fields, 'data'];
+    const updates = [...fields, 'data'].map(column => `${column} = excluded.${column}`).join(', ');
+
+    return this.getDb()
+      .prepare(`INSERT INTO ${collection} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')}) ON CONFLICT(id) DO UPDATE SET ${updates}`);
+  }
+
+  // Insert or replace a record by ID
+  async upsert(collection, record) {
+    this.prepareUpsert(collection).run(...this.toRow(collection, record));
+    return record;
+  }
+
+  // Insert or replace many records in one transaction
+  async upsertMany(collection, records) {
+    const statement = this.prepareUpsert(collection);
+    this.getDb().transaction(() => {
+      records.forEach(record => statement.run(...this.toRow(collection, record)));
+    })();
+    return records;
+  }
+
+  // Read-modify-write one record in an immediate transaction. `mutate` gets the stored record and
+  // returns its replacement, or null to leave it unchanged; it must not await.
+  // Resolves to the record as stored afterwards, or null when there is no record with that ID.
+  async update(collection, id, mutate) {
+    const db = this.getDb();
+    const statement = this.prepareUpsert(collection);
+
+    return db.transaction(() => {
+      const row = db.prepare(`SELECT data FROM ${collection} WHERE id = ?`).get(id);
+      if (!row) {
+        return null;
+      }
+
+      const record = JSON.parse(row.data);
+      const updated = mutate(record);
+      if (!updated) {
+        return record;
+      }
+
+      statement.run(...this.toRow(collection, updated));
+      return updated;
+    }).immediate();
+  }
+
+  async remove(collection, id) {
+    getCollection(collection);
+    return this.getDb().prepare(`DELETE FROM ${collection} WHERE id = ?`).run(id).changes;
+  }
+
+  // Delete every record matching the query, returning the number removed
+  async removeWhere(collection, query) {
+    const { sql, params } = this.buildWhere(collection, query);
+    return this.getDb().prepare(`DELETE FROM ${collection}${sql}`).run(...params).changes;
+  }
+
+  async replaceAll(collection, records) {
+    const db = this.getDb();
+    const fields = Object.keys(getCollection(collection).indexes).map(toColumn);
+    const columns = ['id', ...fields, 'data'];
+    const insert = db.prepare(`INSERT INTO ${collection} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`);
+
+    db.transaction(() => {
+      db.prepare(`DELETE FROM ${collection}`).run();
+      records.forEach(record => insert.run(...this.toRow(collection, record)));
+    })();
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+      this.preparedTables.clear();
+    }
+  }
+}
+
+module.exports = SqliteStorage;
@@ -55,6 +55,24 @@ class DateUtils {
     return result;
   }
 
+  static isWeekend(date) {
+    const day = new Date(date).getDay();
+    return day === 0 || day === 6;
+  }
+
+  // Add working days, skipping Saturdays and Sundays
+  static addBusinessDays(date, days) {
+    const result = new Date(date);
+    let remaining = days;
+    while (remaining > 0) {
+      result.setDate(result.getDate() + 1);
+      if (!this.isWeekend(result)) {
+        remaining--;
+      }
+    }
+    return result;
+  }
+
   static addHours(date, hours) {
     const result = new Date(date);
     result.setHours(result.getHours() + hours);
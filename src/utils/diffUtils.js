@@ -0,0 +1,53 @@
+class DiffUtils {
+  // Line-based diff using the longest common subsequence of the two texts
+  static diffLines(oldText = '', newText = '') {
+    const oldLines = String(oldText || '').split(/\r?\n/);
+    const newLines = String(newText || '').split(/\r?\n/);
+    const rows = oldLines.length;
+    const cols = newLines.length;
+
+    // lcs[i][j] = length of the common subsequence of oldLines[i..] and newLines[j..]
+    const lcs = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+    for (let i = rows - 1; i >= 0; i--) {
+      for (let j = cols - 1; j >= 0; j--) {
+        lcs[i][j] = oldLines[i] === newLines[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    const changes = [];
+    let i = 0;
+    let j = 0;
+    while (i < rows && j < cols) {
+      if (oldLines[i] === newLines[j]) {
+        changes.push({ type: 'unchanged', line: oldLines[i], oldLine: i + 1, newLine: j + 1 });
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        changes.push({ type: 'removed', line: oldLines[i], oldLine: i + 1 });
+        i++;
+      } else {
+        changes.push({ type: 'added', line: newLines[j], newLine: j + 1 });
+        j++;
+      }
+    }
+    while (i < rows) {
+      changes.push({ type: 'removed', line: oldLines[i], oldLine: i + 1 });
+      i++;
+    }
+    while (j < cols) {
+      changes.push({ type: 'added', line: newLines[j], newLine: j + 1 });
+      j++;
+    }
+
+    return {
+      changed: changes.some(change => change.type !== 'unchanged'),
+      added: changes.filter(change => change.type === 'added').length,
+      removed: changes.filter(change => change.type === 'removed').length,
+      changes
+    };
+  }
+}
+
+module.exports = DiffUtils;
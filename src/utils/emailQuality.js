@@ -0,0 +1,215 @@
+const disposableDomains = require('./disposableDomains.json');
+
+const DISPOSABLE_DOMAINS = new Set(disposableDomains);
+
+// Local parts that reach a shared inbox rather than a person
+const ROLE_ACCOUNTS = new Set([
+  'admin', 'administrator', 'billing', 'careers', 'contact', 'enquiries', 'enquiry', 'help', 'hello',
+  'hiring', 'hr', 'info', 'inquiries', 'jobs', 'marketing', 'office', 'recruiting', 'recruitment',
+  'sales', 'support', 'talent', 'team', 'webmaster', 'postmaster', 'hostmaster', 'abuse', 'security'
+]);
+
+// Local parts that never read replies
+const NO_REPLY_ACCOUNTS = new Set([
+  'noreply', 'no-reply', 'no_reply', 'donotreply', 'do-not-reply', 'do_not_reply', 'mailer-daemon', 'bounce', 'bounces'
+]);
+
+// Mailbox providers whose misspellings are worth suggesting a fix for
+const COMMON_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.uk', 'yahoo.co.in', 'ymail.com', 'hotmail.com',
+  'hotmail.co.uk', 'outlook.com', 'live.com', 'msn.com', 'icloud.com', 'me.com', 'aol.com',
+  'protonmail.com', 'proton.me', 'gmx.com', 'gmx.de', 'mail.com', 'zoho.com', 'yandex.com', 'rediffmail.com'
+];
+
+// Shortest provider label (the part before the TLD) worth matching against
+// COMMON_DOMAINS; shorter ones are as likely a real company (ge.com, aon.com)
+const MIN_TYPO_LABEL_LENGTH = 5;
+
+// Misspelled top-level domains -> intended one (real TLDs such as .om are left out)
+const TLD_TYPOS = {
+  con: 'com', cmo: 'com', ocm: 'com', comm: 'com', coom: 'com', vom: 'com', xom: 'com', cpm: 'com',
+  nte: 'net', ney: 'net', nett: 'net', ogr: 'org', orgg: 'org'
+};
+
+// Score deductions per flag; invalid syntax always scores 0
+const PENALTIES = {
+  no_reply: 80,
+  disposable: 70,
+  role_account: 20
+};
+
+// Flags reported alongside the score without lowering it, since the address may well be right
+const WARNING_FLAGS = ['domain_typo'];
+
+// RFC 5322 dot-atom characters allowed in an unquoted local part
+const ATOM = /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+$/;
+const DOMAIN_LABEL = /^[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?$/;
+
+// Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+const editDistance = (a, b) => {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const d = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)]);
+  for (let j = 0; j < cols; j++) d[0][j] = j;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[rows - 1][cols - 1];
+};
+
+/**
+ * Offline email address quality checks
+ *
+ * Everything here works from bundled lists, without DNS or SMTP lookups, so
+ * it can run on every imported row.
+ */
+class EmailQuality {
+  static get PENALTIES() {
+    return PENALTIES;
+  }
+
+  static get WARNING_FLAGS() {
+    return WARNING_FLAGS;
+  }
+
+  // Syntax problems per RFC 5321/5322 (unquoted dot-atom or quoted local part), or [] if none
+  static getSyntaxErrors(email) {
+    const address = String(email || '').trim();
+    const at = address.lastIndexOf('@');
+    if (at <= 0 || at === address.length - 1) {
+      return ['Address must have a local part and a domain'];
+    }
+
+    const errors = [];
+    const local = address.slice(0, at);
+    const domain = address.slice(at + 1);
+
+    if (address.length > 254) errors.push('Address is longer than 254 characters');
+    if (local.length > 64) errors.push('Local part is longer than 64 characters');
+
+    const quoted = /^"(?:[^"\\\r\n]|\\.)*"$/.test(local);
+    if (!quoted) {
+      if (local.startsWith('.') || local.endsWith('.')) {
+        errors.push('Local part cannot start or end with a dot');
+      } else if (local.includes('..')) {
+        errors.push('Local part cannot contain consecutive dots');
+      } else if (!local.split('.').every(part => ATOM.test(part))) {
+        errors.push('Local part contains characters that are not allowed');
+      }
+    }
+
+    const labels = domain.split('.');
+    if (labels.length < 2 || !labels.every(label => DOMAIN_LABEL.test(label))) {
+      errors.push('Domain is not a valid host name');
+    } else if (!/^[A-Za-z]{2,63}$/.test(labels[labels.length - 1]) && !/^xn--/i.test(labels[labels.length - 1])) {
+      errors.push('Top-level domain is not valid');
+    }
+
+    return errors;
+  }
+
+  static isRoleAccount(local) {
+    return ROLE_ACCOUNTS.has(local.toLowerCase());
+  }
+
+  static isNoReply(local) {
+    const normalized = local.toLowerCase();
+    return NO_REPLY_ACCOUNTS.has(normalized) || /^no[-_.]?reply[-_.+]/.test(normalized);
+  }
+
+  // The domain or any parent domain is on the bundled disposable list
+  static isDisposable(domain) {
+    const labels = domain.toLowerCase().split('.');
+    for (let i = 0; i < labels.length - 1; i++) {
+      if (DISPOSABLE_DOMAINS.has(labels.slice(i).join('.'))) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Likely intended domain for a misspelled one (gmial.com -> gmail.com), or null
+  static suggestDomain(domain) {
+    const normalized = domain.toLowerCase();
+    if (COMMON_DOMAINS.includes(normalized)) {
+      return null;
+    }
+
+    let best = null;
+    let bestDistance = Infinity;
+    const candidates = normalized.split('.')[0].length >= MIN_TYPO_LABEL_LENGTH ? COMMON_DOMAINS : [];
+    candidates.forEach(candidate => {
+      const distance = editDistance(normalized, candidate);
+      // One edit for short domains, two for longer ones
+      const limit = candidate.length > 9 ? 2 : 1;
+      if (distance <= limit && distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    });
+    if (best) {
+      return best;
+    }
+
+    const dot = normalized.lastIndexOf('.');
+    const tld = normalized.slice(dot + 1);
+    return dot > 0 && TLD_TYPOS[tld] ? `${normalized.slice(0, dot)}.${TLD_TYPOS[tld]}` : null;
+  }
+
+  /**
+   * Score an address from 0 (unusable) to 100
+   *
+   * @param {string} email
+   * @returns {{ email: string, score: number, flags: string[], reasons: string[], suggestion: string|null }}
+   */
+  static assess(email) {
+    const address = String(email || '').trim();
+    const result = { email: address, score: 100, flags: [], reasons: [], suggestion: null };
+
+    const syntaxErrors = EmailQuality.getSyntaxErrors(address);
+    if (syntaxErrors.length > 0) {
+      result.score = 0;
+      result.flags.push('invalid_syntax');
+      result.reasons.push(...syntaxErrors);
+      return result;
+    }
+
+    const at = address.lastIndexOf('@');
+    const local = address.slice(0, at);
+    const domain = address.slice(at + 1).toLowerCase();
+
+    const flag = (code, reason) => {
+      result.flags.push(code);
+      result.reasons.push(reason);
+      result.score -= PENALTIES[code] || 0;
+    };
+
+    if (EmailQuality.isNoReply(local)) {
+      flag('no_reply', 'No-reply mailboxes do not read replies');
+    } else if (EmailQuality.isRoleAccount(local)) {
+      flag('role_account', `${local}@ is a shared role mailbox`);
+    }
+
+    if (EmailQuality.isDisposable(domain)) {
+      flag('disposable', `${domain} is a disposable email provider`);
+    } else {
+      const suggestedDomain = EmailQuality.suggestDomain(domain);
+      if (suggestedDomain) {
+        result.suggestion = `${local}@${suggestedDomain}`;
+        flag('domain_typo', `${domain} looks like a typo of ${suggestedDomain}`);
+      }
+    }
+
+    result.score = Math.max(0, result.score);
+    return result;
+  }
+}
+
+module.exports = EmailQuality;
@@ -329,11 +329,11 @@ class FileLogger {
     }
   }
 
-  // Start periodic cleanup
+  // Start periodic cleanup; unref'd so scripts and tests that log can still exit on their own
   startCleanup(intervalMs = 24 * 60 * 60 * 1000) { // Daily
     setInterval(async () => {
       await this.cleanupOldLogs();
-    }, intervalMs);
+    }, intervalMs).unref();
   }
 }
 
@@ -88,6 +88,15 @@ class FileUtils {
   static sanitizeFilename(filename) {
     return filename.replace(/[^a-z0-9.-]/gi, '_').toLowerCase();
   }
+
+  // Quote a CSV cell, neutralising values a spreadsheet would evaluate as a formula
+  static toCsvValue(value) {
+    let text = value instanceof Date ? value.toISOString() : String(value === null || value === undefined ? '' : value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
 }
 
 module.exports = FileUtils;
@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+
+const PREFIX = 'enc:v1:';
+
+// AES-256-GCM for secrets kept in the data files (sender account passwords), keyed by SENDER_SECRET_KEY
+class SecretUtils {
+  static hasKey() {
+    return !!process.env.SENDER_SECRET_KEY;
+  }
+
+  static getKey() {
+    if (!SecretUtils.hasKey()) {
+      throw new Error('SENDER_SECRET_KEY is not set');
+    }
+    return crypto.createHash('sha256').update(process.env.SENDER_SECRET_KEY).digest();
+  }
+
+  static isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+  }
+
+  // "enc:v1:<iv>:<auth tag>:<ciphertext>", each part base64url
+  static encrypt(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', SecretUtils.getKey(), iv);
+    const data = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+    return `${PREFIX}${[iv, cipher.getAuthTag(), data].map(part => part.toString('base64url')).join(':')}`;
+  }
+
+  // Throws when the key is missing or is not the one the value was encrypted with
+  static decrypt(value) {
+    const [iv, tag, data] = String(value).slice(PREFIX.length).split(':').map(part => Buffer.from(part || '', 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', SecretUtils.getKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+  }
+}
+
+module.exports = SecretUtils;
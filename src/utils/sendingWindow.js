@@ -0,0 +1,225 @@
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})$/;
+
+// Column names a contact's time zone may arrive under as a template variable
+const TIME_ZONE_VARIABLES = ['timezone', 'time_zone', 'tz'];
+
+// Intl formatters are slow to build, so keep one per time zone
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+// "mon-fri", "mon,wed,fri", ["sat", 0] -> day numbers (0 = Sunday); unknown entries become NaN
+const parseDays = (value) => {
+  const entries = Array.isArray(value) ? value : String(value || '').split(',');
+  const days = [];
+
+  entries.forEach(entry => {
+    const text = String(entry).trim().toLowerCase();
+    if (!text) return;
+
+    const range = text.match(/^([a-z]{3})[a-z]*\s*-\s*([a-z]{3})[a-z]*$/);
+    if (range) {
+      const from = DAY_NAMES.indexOf(range[1]);
+      const to = DAY_NAMES.indexOf(range[2]);
+      if (from === -1 || to === -1) {
+        days.push(NaN);
+        return;
+      }
+      for (let day = from; ; day = (day + 1) % 7) {
+        days.push(day);
+        if (day === to) break;
+      }
+      return;
+    }
+
+    days.push(/^\d$/.test(text) ? parseInt(text, 10) : DAY_NAMES.indexOf(text.slice(0, 3)));
+  });
+
+  return Array.from(new Set(days.map(day => (day >= 0 && day <= 6 ? day : NaN))));
+};
+
+const toMinutes = (time) => {
+  const match = String(time || '').match(TIME_PATTERN);
+  if (!match) return NaN;
+  const minutes = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+  return parseInt(match[2], 10) < 60 && minutes <= 24 * 60 ? minutes : NaN;
+};
+
+// Time zone given for a contact, from its `timezone` field or a time zone column
+const getTimeZoneValue = (contact = {}) => {
+  const variables = contact.variables || {};
+  const value = [contact.timezone, ...TIME_ZONE_VARIABLES.map(name => variables[name])]
+    .find(candidate => candidate && String(candidate).trim());
+  return value ? String(value).trim() : null;
+};
+
+const parseDates = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+  .map(date => String(date).trim())
+  .filter(Boolean);
+
+/**
+ * Sending windows
+ *
+ * When a campaign may send: allowed days of the week, a daily start/end time
+ * and a time zone, minus holidays. Contacts may carry their own time zone, in
+ * which case the window is applied in the recipient's local time.
+ *
+ * @class SendingWindow
+ */
+class SendingWindow {
+  static get DAY_NAMES() {
+    return DAY_NAMES;
+  }
+
+  static getServerTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  }
+
+  static isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') {
+      return false;
+    }
+    try {
+      getFormatter(timeZone);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Window used when a campaign doesn't set one (SENDING_DAYS, SENDING_START, SENDING_END, SENDING_TIMEZONE)
+  static getDefaults() {
+    return {
+      days: parseDays(process.env.SENDING_DAYS || 'mon-fri'),
+      start: process.env.SENDING_START || '09:00',
+      end: process.env.SENDING_END || '21:00',
+      timezone: process.env.SENDING_TIMEZONE || this.getServerTimeZone(),
+      holidays: []
+    };
+  }
+
+  // Holidays skipped by every campaign (SENDING_HOLIDAYS, comma-separated YYYY-MM-DD)
+  static getGlobalHolidays() {
+    return parseDates(process.env.SENDING_HOLIDAYS);
+  }
+
+  // A campaign's (possibly partial) window filled in from the defaults
+  static normalize(window = null) {
+    const defaults = this.getDefaults();
+    const settings = window || {};
+
+    return {
+      days: settings.days !== undefined ? parseDays(settings.days) : defaults.days,
+      start: settings.start || defaults.start,
+      end: settings.end || defaults.end,
+      timezone: settings.timezone || defaults.timezone,
+      holidays: settings.holidays !== undefined ? parseDates(settings.holidays) : defaults.holidays
+    };
+  }
+
+  static validate(window = null) {
+    const errors = [];
+    const normalized = this.normalize(window);
+
+    if (normalized.days.length === 0 || normalized.days.some(day => isNaN(day))) {
+      errors.push(`Sending days must be day names (${DAY_NAMES.join(', ')}) or ranges such as mon-fri`);
+    }
+    const start = toMinutes(normalized.start);
+    const end = toMinutes(normalized.end);
+    if (isNaN(start) || isNaN(end)) {
+      errors.push('Sending start and end must be times in HH:MM format');
+    } else if (start >= end) {
+      errors.push('Sending start must be before sending end');
+    }
+    if (!this.isValidTimeZone(normalized.timezone)) {
+      errors.push(`Unknown time zone: ${normalized.timezone}`);
+    }
+    if (normalized.holidays.some(date => !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date).getTime()))) {
+      errors.push('Holidays must be dates in YYYY-MM-DD format');
+    }
+
+    return errors;
+  }
+
+  // Calendar date, weekday and minutes past midnight of an instant in a time zone
+  static getLocalTime(date, timeZone) {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(new Date(date)).forEach(part => {
+      parts[part.type] = part.value;
+    });
+
+    return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      weekday: DAY_NAMES.indexOf(parts.weekday.toLowerCase().slice(0, 3)),
+      minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+    };
+  }
+
+  // A contact's own time zone (a `timezone` field or column), or null when missing or unknown
+  static getContactTimeZone(contact = {}) {
+    const timeZone = getTimeZoneValue(contact);
+    return timeZone && this.isValidTimeZone(timeZone) ? timeZone : null;
+  }
+
+  // Contacts whose time zone value isn't a known IANA zone (they fall back to the campaign's)
+  static findUnknownTimeZones(contacts = []) {
+    return contacts
+      .filter(contact => {
+        const timeZone = getTimeZoneValue(contact);
+        return timeZone && !this.isValidTimeZone(timeZone);
+      })
+      .map(contact => contact.email);
+  }
+
+  // Whether the window is open at `now`, in the given time zone (the window's own when omitted)
+  static isOpen(window, timeZone = null, now = new Date()) {
+    const normalized = this.normalize(window);
+    const zone = timeZone || normalized.timezone;
+    if (!this.isValidTimeZone(zone)) {
+      return false;
+    }
+
+    const local = this.getLocalTime(now, zone);
+    if (!normalized.days.includes(local.weekday)) {
+      return false;
+    }
+    if (normalized.holidays.includes(local.date) || this.getGlobalHolidays().includes(local.date)) {
+      return false;
+    }
+    return local.minutes >= toMinutes(normalized.start) && local.minutes < toMinutes(normalized.end);
+  }
+
+  // When the window next opens (now if it is open), checked in 15-minute steps over the next two weeks
+  static getNextOpening(window, timeZone = null, now = new Date()) {
+    const normalized = this.normalize(window);
+    const step = 15 * 60 * 1000;
+    const first = new Date(Math.ceil(now.getTime() / step) * step);
+
+    if (this.isOpen(normalized, timeZone, now)) {
+      return new Date(now);
+    }
+    for (let time = first.getTime(); time < now.getTime() + 14 * 24 * 60 * 60 * 1000; time += step) {
+      if (this.isOpen(normalized, timeZone, new Date(time))) {
+        return new Date(time);
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = SendingWindow;
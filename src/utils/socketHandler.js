@@ -87,6 +87,19 @@ class SocketHandler {
     this.io.emit('email-error', { campaignId, ...data });
   }
 
+  emitEmailReplied(campaignId, data) {
+    this.io.emit('email-replied', { campaignId, ...data });
+  }
+
+  emitEmailBounced(campaignId, data) {
+    this.io.emit('email-bounced', { campaignId, ...data });
+  }
+
+  // Contact file import progress
+  emitImportProgress(importId, data) {
+    this.io.emit('import-progress', { importId, ...data });
+  }
+
   // Cleanup completed campaigns from client tracking
   cleanupCompletedCampaigns() {
     // This could be used to clean up any campaign-specific data
@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const linkConfig = require('../config/links');
+
+class TokenUtils {
+  static hmac(value) {
+    return crypto.createHmac('sha256', linkConfig.getSecret()).update(value).digest('base64url');
+  }
+
+  // Sign a small payload into a URL-safe token; the purpose stops a token from being reused by another route
+  static sign(purpose, data = {}) {
+    const payload = Buffer.from(JSON.stringify({ ...data, p: purpose })).toString('base64url');
+    return `${payload}.${TokenUtils.hmac(payload)}`;
+  }
+
+  // Returns the signed data, or null if the token is malformed, tampered with or for another purpose
+  static verify(token, purpose) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature) {
+      return null;
+    }
+
+    const expected = Buffer.from(TokenUtils.hmac(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    try {
+      const { p, ...data } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      return p === purpose ? data : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = TokenUtils;
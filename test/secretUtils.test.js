@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SecretUtils = require('../src/utils/secretUtils');
+
+const KEY = 'test-sender-secret';
+
+test.beforeEach(() => {
+  process.env.SENDER_SECRET_KEY = KEY;
+});
+
+test('an encrypted secret decrypts back to the plaintext', () => {
+  const encrypted = SecretUtils.encrypt('app password with ünicode');
+
+  assert.strictEqual(SecretUtils.isEncrypted(encrypted), true);
+  assert.strictEqual(encrypted.includes('app password'), false);
+  assert.strictEqual(SecretUtils.decrypt(encrypted), 'app password with ünicode');
+});
+
+test('each encryption uses a fresh IV', () => {
+  const first = SecretUtils.encrypt('secret');
+  const second = SecretUtils.encrypt('secret');
+
+  assert.notStrictEqual(first, second);
+  assert.strictEqual(SecretUtils.decrypt(first), SecretUtils.decrypt(second));
+});
+
+test('plain values are not mistaken for encrypted ones', () => {
+  assert.strictEqual(SecretUtils.isEncrypted('hunter2'), false);
+  assert.strictEqual(SecretUtils.isEncrypted(null), false);
+  assert.strictEqual(SecretUtils.isEncrypted(undefined), false);
+});
+
+test('decrypting with another key fails', () => {
+  const encrypted = SecretUtils.encrypt('secret');
+  process.env.SENDER_SECRET_KEY = 'another-key';
+  assert.throws(() => SecretUtils.decrypt(encrypted));
+});
+
+test('a tampered value fails to decrypt', () => {
+  const encrypted = SecretUtils.encrypt('secret');
+  const parts = encrypted.split(':');
+  const data = Buffer.from(parts[parts.length - 1], 'base64url');
+  data[0] ^= 1;
+  parts[parts.length - 1] = data.toString('base64url');
+
+  assert.throws(() => SecretUtils.decrypt(parts.join(':')));
+});
+
+test('encrypting without SENDER_SECRET_KEY fails', () => {
+  delete process.env.SENDER_SECRET_KEY;
+
+  assert.strictEqual(SecretUtils.hasKey(), false);
+  assert.throws(() => SecretUtils.encrypt('secret'), /SENDER_SECRET_KEY is not set/);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SendingWindow = require('../src/utils/sendingWindow');
+
+delete process.env.SENDING_HOLIDAYS;
+
+const window = { days: 'mon-fri', start: '09:00', end: '17:00', timezone: 'UTC' };
+
+test('the same instant is open or closed depending on the recipient time zone', () => {
+  // Monday 13:00 UTC
+  const now = new Date('2026-10-19T13:00:00Z');
+
+  assert.strictEqual(SendingWindow.isOpen(window, 'America/New_York', now), true); // Mon 09:00
+  assert.strictEqual(SendingWindow.isOpen(window, 'Asia/Kolkata', now), false); // Mon 18:30
+  assert.strictEqual(SendingWindow.isOpen(window, 'Pacific/Auckland', now), false); // Tue 02:00
+});
+
+test('the weekday is taken in the recipient time zone', () => {
+  // Friday 20:00 UTC
+  const now = new Date('2026-10-16T20:00:00Z');
+  const allDay = { ...window, start: '00:00', end: '24:00' };
+
+  assert.strictEqual(SendingWindow.isOpen(allDay, 'America/New_York', now), true); // Fri 16:00
+  assert.strictEqual(SendingWindow.isOpen(allDay, 'Pacific/Auckland', now), false); // Sat 09:00
+});
+
+test('daylight saving time changes are followed', () => {
+  // 13:30 UTC is 09:30 EDT before New York leaves DST on Nov 1, and 08:30 EST after
+  assert.strictEqual(SendingWindow.isOpen(window, 'America/New_York', new Date('2026-10-30T13:30:00Z')), true);
+  assert.strictEqual(SendingWindow.isOpen(window, 'America/New_York', new Date('2026-11-02T13:30:00Z')), false);
+});
+
+test('the window time zone applies when no recipient time zone is given', () => {
+  const now = new Date('2026-10-19T13:00:00Z');
+
+  assert.strictEqual(SendingWindow.isOpen({ ...window, timezone: 'America/New_York' }, null, now), true);
+  assert.strictEqual(SendingWindow.isOpen({ ...window, timezone: 'Asia/Tokyo' }, null, now), false); // Mon 22:00
+});
+
+test('holidays are matched against the local date', () => {
+  const now = new Date('2026-10-19T13:00:00Z');
+  const withHoliday = { ...window, holidays: ['2026-10-19'] };
+
+  assert.strictEqual(SendingWindow.isOpen(withHoliday, 'America/New_York', now), false);
+  // Already Tuesday the 20th in Auckland, so the holiday doesn't apply there
+  assert.strictEqual(SendingWindow.isOpen({ ...withHoliday, start: '00:00', end: '24:00' }, 'Pacific/Auckland', now), true);
+});
+
+test('an unknown time zone never opens the window', () => {
+  assert.strictEqual(SendingWindow.isOpen(window, 'Mars/Olympus_Mons', new Date('2026-10-19T13:00:00Z')), false);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const storage = require('../src/config/storage');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hr-emailer-storage-'));
+
+test.after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const backends = {
+  json: () => storage.createBackend('json', { dataDir: path.join(dir, 'json') }),
+  sqlite: () => storage.createBackend('sqlite', { path: path.join(dir, 'storage.db') })
+};
+
+Object.entries(backends).forEach(([name, create]) => {
+  test(`${name}: concurrent updates of one record are all kept`, async () => {
+    const backend = create();
+    try {
+      await backend.upsert('emails', { id: 'email-1', status: 'sent', openCount: 0 });
+
+      await Promise.all(Array.from({ length: 25 }, () => backend.update('emails', 'email-1', record => ({
+        ...record,
+        openCount: record.openCount + 1
+      }))));
+
+      const stored = await backend.findById('emails', 'email-1');
+      assert.strictEqual(stored.openCount, 25);
+    } finally {
+      await backend.close();
+    }
+  });
+
+  test(`${name}: an update does not overwrite fields changed by another`, async () => {
+    const backend = create();
+    try {
+      await backend.upsert('pipeline', { id: 'entry-1', key: 'acme', stage: 'contacted', notes: [] });
+
+      await Promise.all([
+        backend.update('pipeline', 'entry-1', record => ({ ...record, stage: 'interview' })),
+        backend.update('pipeline', 'entry-1', record => ({ ...record, notes: [...record.notes, 'called'] }))
+      ]);
+
+      const stored = await backend.findById('pipeline', 'entry-1');
+      assert.strictEqual(stored.stage, 'interview');
+      assert.deepStrictEqual(stored.notes, ['called']);
+    } finally {
+      await backend.close();
+    }
+  });
+
+  test(`${name}: a mutate returning null leaves the record as stored`, async () => {
+    const backend = create();
+    try {
+      await backend.upsert('campaigns', { id: 'campaign-1', name: 'Original', status: 'draft' });
+
+      const result = await backend.update('campaigns', 'campaign-1', () => null);
+
+      assert.strictEqual(result.name, 'Original');
+      assert.strictEqual((await backend.findById('campaigns', 'campaign-1')).name, 'Original');
+    } finally {
+      await backend.close();
+    }
+  });
+
+  test(`${name}: updating a missing record resolves to null without creating it`, async () => {
+    const backend = create();
+    try {
+      const result = await backend.update('campaigns', 'missing', record => ({ ...record, name: 'Created' }));
+
+      assert.strictEqual(result, null);
+      assert.strictEqual(await backend.findById('campaigns', 'missing'), null);
+    } finally {
+      await backend.close();
+    }
+  });
+
+  test(`${name}: the updated record is indexed by its new values`, async () => {
+    const backend = create();
+    try {
+      await backend.upsert('emails', { id: 'email-2', status: 'sent', recipient: { email: 'Jane@Example.com' } });
+      await backend.update('emails', 'email-2', record => ({ ...record, status: 'replied' }));
+
+      const replied = await backend.find('emails', { where: { status: 'replied', recipient: 'jane@example.com' } });
+      assert.deepStrictEqual(replied.map(record => record.id), ['email-2']);
+    } finally {
+      await backend.close();
+    }
+  });
+});
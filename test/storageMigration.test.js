@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const storage = require('../src/config/storage');
+const StorageMigrationService = require('../src/services/storageMigrationService');
+
+process.env.SENDER_SECRET_KEY = 'test-sender-secret';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hr-emailer-migration-'));
+const dataDir = path.join(dir, 'data');
+const sqlitePath = path.join(dir, 'target.db');
+
+const writeCollection = (file, records) => {
+  fs.writeFileSync(path.join(dataDir, file), JSON.stringify(records, null, 2));
+};
+
+const migrate = (options = {}) => new StorageMigrationService({
+  dataDir,
+  sqlitePath,
+  reportPath: path.join(dir, 'report.json'),
+  ...options
+}).migrate();
+
+const byCollection = (summary) => Object.fromEntries(summary.collections.map(result => [result.collection, result]));
+
+test.before(() => {
+  fs.mkdirSync(dataDir, { recursive: true });
+  writeCollection('campaigns.json', [
+    { id: 'campaign-1', name: 'Fintech', contacts: [], status: 'draft', createdAt: '2026-10-01T09:00:00.000Z' }
+  ]);
+  writeCollection('emails.json', [
+    { id: 'email-1', campaignId: 'campaign-1', recipient: { email: 'jane@acme.com' }, status: 'sent', createdAt: '2026-10-01T09:00:00.000Z' },
+    // No ID: reported as skipped on every run instead of copied under a new one
+    { campaignId: 'campaign-1', recipient: { email: 'john@acme.com' }, status: 'sent', createdAt: '2026-10-01T09:00:00.000Z' }
+  ]);
+  writeCollection('sender-accounts.json', [
+    { id: 'sender-1', name: 'Main', email: 'me@example.com', host: 'smtp.example.com', port: 587, username: 'me@example.com', password: 'plain-password' }
+  ]);
+  writeCollection('pipeline.json', [
+    { id: 'entry-1', companyName: 'Acme', contacts: ['jane@acme.com'], stage: 'contacted' }
+  ]);
+});
+
+test.after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a dry run reports what would be copied without writing', async () => {
+  const summary = await migrate({ dryRun: true });
+  const results = byCollection(summary);
+
+  assert.strictEqual(summary.success, true);
+  assert.strictEqual(results.emails.inserted, 1);
+
+  const target = storage.createBackend('sqlite', { path: sqlitePath });
+  try {
+    assert.deepStrictEqual(await target.findAll('emails'), []);
+  } finally {
+    await target.close();
+  }
+});
+
+test('the first run copies every valid row and skips rows without an ID', async () => {
+  const summary = await migrate();
+  const results = byCollection(summary);
+
+  assert.strictEqual(summary.success, true);
+  assert.strictEqual(results.campaigns.inserted, 1);
+  assert.strictEqual(results.emails.inserted, 1);
+  assert.deepStrictEqual(results.emails.skipped.map(row => row.reasons), [['missing id']]);
+  assert.strictEqual(results.senderAccounts.inserted, 1);
+  assert.strictEqual(results.pipeline.inserted, 1);
+  summary.collections.forEach(result => assert.strictEqual(result.verified, true, result.collection));
+});
+
+test('re-running leaves everything unchanged', async () => {
+  const summary = await migrate();
+
+  assert.strictEqual(summary.success, true);
+  summary.collections.forEach(result => {
+    assert.strictEqual(result.inserted, 0, result.collection);
+    assert.strictEqual(result.updated, 0, result.collection);
+    assert.strictEqual(result.verified, true, result.collection);
+  });
+  const results = byCollection(summary);
+  assert.strictEqual(results.emails.unchanged, 1);
+  // The plain password is encrypted with a new IV each run, but holds the same secret
+  assert.strictEqual(results.senderAccounts.unchanged, 1);
+});
+
+test('only changed rows are written on a later run', async () => {
+  writeCollection('campaigns.json', [
+    { id: 'campaign-1', name: 'Fintech (renamed)', contacts: [], status: 'draft', createdAt: '2026-10-01T09:00:00.000Z' }
+  ]);
+
+  const results = byCollection(await migrate());
+
+  assert.strictEqual(results.campaigns.updated, 1);
+  assert.strictEqual(results.emails.unchanged, 1);
+});
+
+test('an unreadable source file fails the migration', async () => {
+  fs.writeFileSync(path.join(dataDir, 'logs.json'), '{ not json');
+
+  const summary = await migrate();
+
+  assert.strictEqual(summary.success, false);
+  assert.match(byCollection(summary).logs.error, /not valid JSON/);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.LINK_SIGNING_SECRET = 'test-link-secret';
+const TokenUtils = require('../src/utils/tokenUtils');
+
+test('a signed token verifies back to its data', () => {
+  const token = TokenUtils.sign('unsubscribe', { e: 'jane@example.com', c: 'campaign-1' });
+  assert.deepStrictEqual(TokenUtils.verify(token, 'unsubscribe'), { e: 'jane@example.com', c: 'campaign-1' });
+});
+
+test('a token is only valid for the purpose it was signed for', () => {
+  const token = TokenUtils.sign('unsubscribe', { e: 'jane@example.com' });
+  assert.strictEqual(TokenUtils.verify(token, 'open'), null);
+});
+
+test('a tampered token is rejected', () => {
+  const token = TokenUtils.sign('unsubscribe', { e: 'jane@example.com' });
+  const [, signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ e: 'someone@example.com', p: 'unsubscribe' })).toString('base64url');
+
+  assert.strictEqual(TokenUtils.verify(`${forged}.${signature}`, 'unsubscribe'), null);
+  assert.strictEqual(TokenUtils.verify(`${token.slice(0, -1)}${token.endsWith('A') ? 'B' : 'A'}`, 'unsubscribe'), null);
+});
+
+test('a token signed with another secret is rejected', () => {
+  const token = TokenUtils.sign('unsubscribe', { e: 'jane@example.com' });
+  process.env.LINK_SIGNING_SECRET = 'rotated-secret';
+  try {
+    assert.strictEqual(TokenUtils.verify(token, 'unsubscribe'), null);
+  } finally {
+    process.env.LINK_SIGNING_SECRET = 'test-link-secret';
+  }
+});
+
+test('malformed tokens are rejected', () => {
+  [undefined, null, '', 'no-dot', '.', 'abc.', '.abc'].forEach(token => {
+    assert.strictEqual(TokenUtils.verify(token, 'unsubscribe'), null);
+  });
+});